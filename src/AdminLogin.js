@@ -0,0 +1,107 @@
+import React, { useState } from "react";
+import { Lock, KeyRound } from "lucide-react";
+import { Button, Card, Input } from "./ui";
+import { formatCountdown, useNow } from "./timer";
+import { describeAuthError, loadAuth, lockoutRemaining, pinPolicyError, setRolePin, verifyPin } from "./auth";
+
+// 管理员 / 评分员登录：按 PIN 区分角色；锁定倒计时；仍在使用默认 PIN 时先强制修改
+export default function AdminLogin({ onLogin }) {
+    const [pin, setPin] = useState("");
+    const [message, setMessage] = useState("");
+    const [busy, setBusy] = useState(false);
+    const [mustChange, setMustChange] = useState(false);
+    const [newPin, setNewPin] = useState("");
+    const [confirmPin, setConfirmPin] = useState("");
+    const [lockedUntil, setLockedUntil] = useState(() => loadAuth().lockedUntil || 0);
+    const now = useNow(lockedUntil > Date.now());
+    const lockedMs = lockoutRemaining({ lockedUntil }, now);
+
+    async function tryAdmin() {
+        if (busy || lockedMs > 0 || !pin) return;
+        setBusy(true);
+        try {
+            const result = await verifyPin(pin);
+            setPin("");
+            if (result.ok && result.mustChange) {
+                setMustChange(true);
+                setMessage("");
+            } else if (result.ok) {
+                onLogin(result.role);
+            } else if (result.lockedMs) {
+                setLockedUntil(Date.now() + result.lockedMs);
+                setMessage("连续输错次数过多，已暂时锁定。");
+            } else {
+                setMessage(`PIN 不正确，还可尝试 ${result.attemptsLeft} 次。`);
+            }
+        } catch (e) {
+            setMessage(describeAuthError(e));
+        } finally {
+            setBusy(false);
+        }
+    }
+
+    async function changeDefaultPin() {
+        const error = pinPolicyError(newPin);
+        if (error) return setMessage(error);
+        if (newPin !== confirmPin) return setMessage("两次输入的 PIN 码不一致。");
+        setBusy(true);
+        try {
+            const refused = await setRolePin("admin", newPin);
+            if (refused) setMessage(refused);
+            else onLogin("admin");
+        } catch (e) {
+            setMessage(describeAuthError(e));
+        } finally {
+            setBusy(false);
+        }
+    }
+
+    if (mustChange) {
+        return (
+            <Card>
+                <h3 className="font-semibold mb-1"><KeyRound className="w-4 h-4 inline -mt-0.5 mr-1" />请先设置新的管理员 PIN</h3>
+                <p className="text-sm text-gray-500 mb-3">当前仍在使用默认 PIN，设置新 PIN 后才能进入管理页。</p>
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                    <Input type="password" placeholder="新 PIN" value={newPin} onChange={(e) => setNewPin(e.target.value)} />
+                    <Input
+                        type="password"
+                        placeholder="再次输入新 PIN"
+                        value={confirmPin}
+                        onChange={(e) => setConfirmPin(e.target.value)}
+                        onKeyPress={(e) => {
+                            if (e.key === 'Enter') changeDefaultPin();
+                        }}
+                    />
+                </div>
+                {message && <p className="text-sm text-rose-600 mt-2">{message}</p>}
+                <Button onClick={changeDefaultPin} disabled={busy} className="mt-3 bg-purple-600 text-white hover:bg-purple-700">保存并进入</Button>
+            </Card>
+        );
+    }
+
+    return (
+        <Card>
+            <h3 className="font-semibold mb-2">管理员 / 评分员登录</h3>
+            <div className="flex items-center gap-2">
+                <Input
+                    placeholder="管理员或评分员 PIN"
+                    value={pin}
+                    onChange={(e) => setPin(e.target.value)}
+                    type="password"
+                    disabled={lockedMs > 0}
+                    onKeyPress={(e) => {
+                        if (e.key === 'Enter') tryAdmin();
+                    }}
+                />
+                <Button onClick={tryAdmin} disabled={busy || lockedMs > 0} className="bg-blue-600 text-white hover:bg-blue-700">
+                    <Lock className="w-4 h-4 inline" /> 解锁
+                </Button>
+            </div>
+            {lockedMs > 0 ? (
+                <p className="text-sm text-rose-600 mt-2">已锁定，{formatCountdown(lockedMs)} 后可重试。</p>
+            ) : (
+                message && <p className="text-sm text-rose-600 mt-2">{message}</p>
+            )}
+        </Card>
+    );
+}
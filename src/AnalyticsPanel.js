@@ -0,0 +1,175 @@
+import React, { useMemo, useState } from "react";
+import { BarChart3, ChevronDown, ChevronRight } from "lucide-react";
+import { LEVEL_COLORS, TYPE_LABELS } from "./constants";
+import { Button, Card, Tag } from "./ui";
+import { MIN_SAMPLES, ipPopularity, levelMismatches, questionStats } from "./analytics";
+
+const PAGE = 30;
+
+const percent = (x) => (x === null ? "-" : `${Math.round(x * 100)}%`);
+
+const SORTS = {
+    picks: { label: "按使用次数", compare: (a, b) => b.picks - a.picks },
+    hardest: { label: "按得分率（低→高）", compare: (a, b) => (a.rate ?? 2) - (b.rate ?? 2) },
+    easiest: { label: "按得分率（高→低）", compare: (a, b) => (b.rate ?? -1) - (a.rate ?? -1) },
+};
+
+function Bar({ value, max, tone = "bg-blue-400" }) {
+    return (
+        <div className="h-2 rounded-full bg-gray-100 flex-1 overflow-hidden">
+            <div className={`h-full ${tone}`} style={{ width: `${max > 0 ? (value / max) * 100 : 0}%` }} />
+        </div>
+    );
+}
+
+// 选择题各选项的选择分布；被选最多的错误选项即最有迷惑性的干扰项
+function OptionDistribution({ q, counts }) {
+    const total = counts.reduce((a, b) => a + b, 0);
+    const correct = new Set(q.correctIndices || []);
+    const wrong = counts.map((n, i) => (correct.has(i) ? -1 : n));
+    const decoy = Math.max(...wrong) > 0 ? wrong.indexOf(Math.max(...wrong)) : -1;
+    return (
+        <div className="space-y-1 text-xs">
+            {(q.options || []).map((opt, i) => (
+                <div key={i} className="flex items-center gap-2">
+                    <span className={`w-40 truncate ${correct.has(i) ? "text-green-700 font-medium" : ""}`} title={opt}>
+                        {String.fromCharCode(65 + i)}. {opt}
+                    </span>
+                    <Bar value={counts[i]} max={total} tone={correct.has(i) ? "bg-green-400" : "bg-rose-300"} />
+                    <span className="w-16 text-right text-gray-600">{counts[i]} 次</span>
+                    <span className="w-20">{i === decoy && <Tag tone="rose">最具迷惑性</Tag>}</span>
+                </div>
+            ))}
+        </div>
+    );
+}
+
+// 题目数据分析：使用次数、得分率、选项分布、难度与等级是否相符、IP 热度
+export default function AnalyticsPanel({ runs, questions, rules, levelLabel }) {
+    const stats = useMemo(() => questionStats(runs, questions, rules), [runs, questions, rules]);
+    const mismatches = useMemo(() => levelMismatches(stats), [stats]);
+    const popularity = useMemo(() => ipPopularity(runs), [runs]);
+    const [sort, setSort] = useState("picks");
+    const [onlyMismatch, setOnlyMismatch] = useState(false);
+    const [openId, setOpenId] = useState(null);
+    const [shown, setShown] = useState(PAGE);
+    const [allIPs, setAllIPs] = useState(false);
+
+    const rows = useMemo(() => {
+        const list = onlyMismatch ? mismatches : stats;
+        return [...list].sort(SORTS[sort].compare);
+    }, [stats, mismatches, onlyMismatch, sort]);
+
+    if (runs.length === 0) {
+        return (
+            <Card>
+                <h3 className="font-semibold mb-2"><BarChart3 className="w-4 h-4 inline -mt-0.5 mr-1" />题目数据分析</h3>
+                <div className="text-center py-4 text-gray-500 text-sm">还没有成绩记录。</div>
+            </Card>
+        );
+    }
+
+    const topPicks = popularity[0]?.picks || 0;
+
+    return (
+        <Card>
+            <div className="flex items-center gap-2 flex-wrap mb-3">
+                <h3 className="font-semibold mr-auto"><BarChart3 className="w-4 h-4 inline -mt-0.5 mr-1" />题目数据分析</h3>
+                <Tag tone="gray">{runs.length} 场记录</Tag>
+                <Tag tone="gray">{stats.length} 道题被使用过</Tag>
+                {mismatches.length > 0 && <Tag tone="amber">{mismatches.length} 道题难度与等级不符</Tag>}
+            </div>
+
+            <h4 className="font-medium text-sm mb-2">IP 热度（手选 / 抽中）</h4>
+            <div className="space-y-1 text-sm mb-4">
+                {(allIPs ? popularity : popularity.slice(0, 10)).map((row) => (
+                    <div key={row.ip} className="flex items-center gap-2">
+                        <span className="w-32 truncate" title={row.ip}>{row.ip}</span>
+                        <Bar value={row.picks} max={topPicks} />
+                        <span className="w-40 text-right text-xs text-gray-600">
+                            {row.picks} 题次（{row.manual} / {row.drawn}），{row.runs} 场
+                        </span>
+                    </div>
+                ))}
+                {popularity.length > 10 && (
+                    <button type="button" className="text-blue-600 text-xs" onClick={() => setAllIPs(!allIPs)}>
+                        {allIPs ? "收起" : `显示全部 ${popularity.length} 个 IP`}
+                    </button>
+                )}
+            </div>
+
+            <div className="flex items-center gap-2 flex-wrap mb-2 text-sm">
+                <h4 className="font-medium mr-auto">题目统计</h4>
+                <label className="flex items-center gap-1">
+                    <input type="checkbox" checked={onlyMismatch} onChange={(e) => setOnlyMismatch(e.target.checked)} />
+                    只看难度与等级不符
+                </label>
+                <select className="px-2 py-1 border rounded-lg bg-white" value={sort} onChange={(e) => setSort(e.target.value)}>
+                    {Object.entries(SORTS).map(([k, s]) => <option key={k} value={k}>{s.label}</option>)}
+                </select>
+            </div>
+            <p className="text-xs text-gray-500 mb-2">
+                得分率按当前题库与规则重新计分；作答不少于 {MIN_SAMPLES} 次时才给出建议等级。待评分的作答不计入得分率。
+            </p>
+
+            <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                    <thead>
+                        <tr className="text-left text-gray-500 border-b">
+                            <th className="py-1 pr-2">题目</th>
+                            <th className="py-1 px-2">等级</th>
+                            <th className="py-1 px-2 text-right">使用</th>
+                            <th className="py-1 px-2 text-right">得分率</th>
+                            <th className="py-1 px-2 text-right">正确率</th>
+                            <th className="py-1 px-2 text-right">人工均分</th>
+                            <th className="py-1 pl-2">建议</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {rows.slice(0, shown).map((s) => (
+                            <React.Fragment key={s.q.id}>
+                                <tr
+                                    className={`border-b ${s.optionCounts ? "cursor-pointer hover:bg-gray-50" : ""}`}
+                                    onClick={() => s.optionCounts && setOpenId(openId === s.q.id ? null : s.q.id)}
+                                >
+                                    <td className="py-1 pr-2 max-w-xs">
+                                        <div className="flex items-center gap-1">
+                                            {s.optionCounts && (openId === s.q.id ? <ChevronDown className="w-3 h-3 shrink-0" /> : <ChevronRight className="w-3 h-3 shrink-0" />)}
+                                            <Tag tone="blue">{s.q.ip}</Tag>
+                                            <span className="truncate" title={s.q.title}>{s.q.title}</span>
+                                        </div>
+                                        <span className="text-xs text-gray-400">{TYPE_LABELS[s.q.type]}</span>
+                                    </td>
+                                    <td className="py-1 px-2"><Tag tone={LEVEL_COLORS[s.q.level]}>{levelLabel(s.q.level)}</Tag></td>
+                                    <td className="py-1 px-2 text-right">{s.picks}</td>
+                                    <td className="py-1 px-2 text-right">{percent(s.rate)}</td>
+                                    <td className="py-1 px-2 text-right">{percent(s.correctRate)}</td>
+                                    <td className="py-1 px-2 text-right">
+                                        {s.manualAvg === null ? "-" : s.manualAvg.toFixed(1)}
+                                        {s.pending > 0 && <span className="text-xs text-amber-600 ml-1">（{s.pending} 待评）</span>}
+                                    </td>
+                                    <td className="py-1 pl-2">
+                                        {s.suggested && s.suggested !== s.q.level && <Tag tone="amber">{levelLabel(s.suggested)}</Tag>}
+                                    </td>
+                                </tr>
+                                {openId === s.q.id && (
+                                    <tr className="border-b bg-gray-50">
+                                        <td colSpan={7} className="p-2">
+                                            <OptionDistribution q={s.q} counts={s.optionCounts} />
+                                        </td>
+                                    </tr>
+                                )}
+                            </React.Fragment>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+            {rows.length === 0 && <div className="text-center py-4 text-gray-500 text-sm">没有符合条件的题目。</div>}
+            {rows.length > shown && (
+                <Button onClick={() => setShown(shown + PAGE)} className="mt-2 bg-gray-100 hover:bg-gray-200 text-gray-700">
+                    显示更多（剩余 {rows.length - shown} 题）
+                </Button>
+            )}
+        </Card>
+    );
+}
@@ -0,0 +1,66 @@
+import React from "react";
+import { ArrowDown, ArrowUp, Trash2 } from "lucide-react";
+import { Button, Input } from "./ui";
+
+// 判断 / 排序 / 连线题的答案编辑（题目编辑表单内）
+
+export function TrueFalseFields({ answer, onChange }) {
+    return (
+        <div className="flex items-center gap-2">
+            <span className="text-sm font-medium text-gray-700">正确答案：</span>
+            {[true, false].map((v) => (
+                <Button
+                    key={String(v)}
+                    onClick={() => onChange({ answer: v })}
+                    className={answer === v ? "bg-blue-600 text-white" : "bg-gray-100 hover:bg-gray-200"}
+                >
+                    {v ? "正确" : "错误"}
+                </Button>
+            ))}
+        </div>
+    );
+}
+
+export function OrderingFields({ items, onChange }) {
+    const list = items || [];
+    function move(i, delta) {
+        const next = [...list];
+        const [x] = next.splice(i, 1);
+        next.splice(i + delta, 0, x);
+        onChange({ items: next });
+    }
+    return (
+        <div className="space-y-2">
+            <p className="text-sm text-gray-600">按正确顺序填写，答题时会打乱显示。</p>
+            {list.map((item, i) => (
+                <div key={i} className="flex items-center gap-2">
+                    <span className="w-6 text-sm text-gray-500 text-right">{i + 1}.</span>
+                    <Input value={item} onChange={(e) => onChange({ items: list.map((x, k) => (k === i ? e.target.value : x)) })} placeholder={`第 ${i + 1} 项`} />
+                    <button type="button" className="p-1 text-gray-500 disabled:opacity-30" disabled={i === 0} onClick={() => move(i, -1)} title="上移"><ArrowUp className="w-4 h-4" /></button>
+                    <button type="button" className="p-1 text-gray-500 disabled:opacity-30" disabled={i === list.length - 1} onClick={() => move(i, 1)} title="下移"><ArrowDown className="w-4 h-4" /></button>
+                    <button type="button" className="p-1 text-rose-600" onClick={() => onChange({ items: list.filter((_, k) => k !== i) })} title="删除"><Trash2 className="w-4 h-4" /></button>
+                </div>
+            ))}
+            <button type="button" className="text-sm text-blue-600" onClick={() => onChange({ items: [...list, ""] })}>+ 添加一项</button>
+        </div>
+    );
+}
+
+export function MatchingFields({ pairs, onChange }) {
+    const list = pairs || [];
+    const setPair = (i, patch) => onChange({ pairs: list.map((p, k) => (k === i ? { ...p, ...patch } : p)) });
+    return (
+        <div className="space-y-2">
+            <p className="text-sm text-gray-600">每行一对，答题时右列会打乱显示。</p>
+            {list.map((p, i) => (
+                <div key={i} className="flex items-center gap-2">
+                    <Input value={p.left} onChange={(e) => setPair(i, { left: e.target.value })} placeholder="左列（如角色）" />
+                    <span className="text-gray-400">—</span>
+                    <Input value={p.right} onChange={(e) => setPair(i, { right: e.target.value })} placeholder="右列（如声优）" />
+                    <button type="button" className="p-1 text-rose-600" onClick={() => onChange({ pairs: list.filter((_, k) => k !== i) })} title="删除"><Trash2 className="w-4 h-4" /></button>
+                </div>
+            ))}
+            <button type="button" className="text-sm text-blue-600" onClick={() => onChange({ pairs: [...list, { left: "", right: "" }] })}>+ 添加一对</button>
+        </div>
+    );
+}
@@ -1,4 +1,4 @@
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 import ReactMarkdown from "react-markdown";
 import {
     PlusCircle,
@@ -13,151 +13,273 @@ import {
     RotateCcw,
     Save,
     ListChecks,
+    Timer,
+    Table,
+    History,
+    GripVertical,
+    ArrowUp,
+    ArrowDown,
+    Paperclip,
+    WifiOff,
+    AlertTriangle,
 } from "lucide-react";
 import remarkGfm from 'remark-gfm';
 import rehypeRaw from 'rehype-raw';
 import initialQuestions from "./question.json"; // Changed import name
-import baseHints from "./hint.json";
+import baseIpMeta from "./ips.json";
 import { pinyin } from 'pinyin-pro'; // 在文件顶部引入
-
-// --- Types ---
-/**
- * Question types:
- * - mcq: multiple choice (can be single or multi-select)
- * - fill: fill in blank (manual grading)
- * - short: short answer (manual grading)
- * - reading: reading comprehension (manual grading)
- */
-const LEVEL_POINTS = { a: 3, b: 2, c: 1, s: 5 };
-const LEVEL_LABEL = { a: "A(3)", b: "B(2)", c: "C(1)", s: "S(5)" };
-const LEVEL_COLORS = { a: "red", b: "yellow", c: "green", s: "purple" };
-const TYPE_LABELS = {
-    mcq: "选择题",
-    fill: "填空题",
-    short: "简答题",
-    reading: "阅读题",
-};
-
-/** @typedef {"mcq"|"fill"|"short"|"reading"} QType */
-
-function uid() {
-    return Math.random().toString(36).slice(2, 10);
-}
-
-// --- LocalStorage helpers ---
-const LS_KEY = "ipquiz.questions.v2"; // Changed LS_KEY for new format
-const LS_HINTS = "ipquiz.hints.v2";   // Changed LS_HINTS for new format
-const LS_PIN = "ipquiz.admin.pin";
-
-function loadQuestions() {
-    try {
-        const s = localStorage.getItem(LS_KEY);
-        if (s) {
-            return JSON.parse(s);
-        }
-    } catch (e) {
-        console.error("Failed to load questions from localStorage:", e);
-    }
-    return initialQuestions; // Fallback to initial questions
-}
-function saveQuestions(arr) {
-    localStorage.setItem(LS_KEY, JSON.stringify(arr));
-}
-function loadHints() {
-    try {
-        const s = localStorage.getItem(LS_HINTS);
-        if (s) {
-            const fromLS = JSON.parse(s);
-            // merge: file defaults + local overrides
-            return { ...(baseHints || {}), ...(fromLS || {}) };
-        }
-    } catch (e) {
-        console.error("Failed to load hints from localStorage:", e);
-    }
-    return baseHints || {};
-}
-function saveHints(obj) {
-    localStorage.setItem(LS_HINTS, JSON.stringify(obj || {}));
-}
-function getAdminPin() {
-    return localStorage.getItem(LS_PIN) || "flycomic"; // default pin
-}
-function setAdminPin(pin) {
-    localStorage.setItem(LS_PIN, pin);
-}
-
-// --- UI Primitives (Tailwind) ---
-function Button({ className = "", disabled, children, ...props }) {
-    return (
-        <button
-            disabled={disabled}
-            className={`px-3 py-2 rounded-2xl shadow-sm border text-sm hover:shadow transition disabled:opacity-50 disabled:cursor-not-allowed ${className}`}
-            {...props}
-        >
-            {children}
-        </button>
-    );
-}
-function Card({ className = "", children }) {
-    return (
-        <div className={`rounded-2xl border shadow-sm p-4 bg-white ${className}`}>{children}</div>
-    );
-}
-function Input({ className = "", ...props }) {
-    return (
-        <input
-            className={`w-full px-3 py-2 border rounded-xl focus:outline-none focus:ring ${className}`}
-            {...props}
-        />
-    );
-}
-function Textarea({ className = "", ...props }) {
-    return (
-        <textarea
-            className={`w-full px-3 py-2 border rounded-xl focus:outline-none focus:ring min-h-[100px] ${className}`}
-            {...props}
-        />
-    );
-}
-function Tag({ children, tone = "gray", className = "" }) {
-    const colors = {
-        gray: "bg-gray-100 text-gray-700",
-        blue: "bg-blue-100 text-blue-700",
-        green: "bg-green-100 text-green-700",
-        yellow: "bg-yellow-100 text-yellow-700",
-        red: "bg-red-100 text-red-700",
-        purple: "bg-purple-100 text-purple-700",
-        rose: "bg-rose-100 text-rose-700",
-        amber: "bg-amber-100 text-amber-700"
-    };
-    return (
-        <span className={`px-2 py-0.5 rounded-full text-[11px] ${colors[tone] || colors.gray} ${className}`}>{children}</span>
-    );
+import { IP_CATEGORIES, LEVEL_COLORS, LEVEL_NAMES, TYPE_LABELS } from "./constants";
+import { Button, Card, Input, Textarea, Tag } from "./ui";
+import { uid } from "./utils";
+import { createRun } from "./sessions";
+import RunHistory from "./RunHistory";
+import Leaderboard from "./Leaderboard";
+import RandomDraw from "./RandomDraw";
+import { loadDrawSettings, saveDrawSettings, scrambledIndices } from "./draw";
+import {
+    loadRulesStore,
+    saveRulesStore,
+    getActiveRules,
+    levelLabel,
+    describeRules,
+    basketAddError,
+    basketStartError,
+    REVEAL_MODES,
+} from "./rules";
+import RulesEditor from "./RulesEditor";
+import {
+    useNow,
+    hasTimers,
+    isTimeUp,
+    remainingMs,
+    globalLimitMs,
+    questionLimitMs,
+    formatCountdown,
+} from "./timer";
+import { formatElapsed } from "./ranking";
+import {
+    MCQ_STRATEGIES,
+    mcqStrategy,
+    mcqVerdict,
+    orderingStrategy,
+    round2,
+    scoreMatching,
+    scoreMcq,
+    scoreOrdering,
+    scoreSubQuestions,
+    scoreTrueFalse,
+    summarizeScore,
+} from "./scoring";
+import { acceptedFromReference, autoFillScore, blankCount, fillBlanks, gradeFill, isAutoGraded } from "./fillGrading";
+import { validateIpMeta, validateQuestions } from "./schema";
+import ValidationReport from "./ValidationReport";
+import MergePreview from "./MergePreview";
+import CsvImport from "./CsvImport";
+import { parseDelimited, questionsToDelimited } from "./csv";
+import {
+    EMPTY_JOURNAL,
+    diffQuestionLists,
+    diffIpMetaMaps,
+    makeEntry,
+    recordEntry,
+    undo,
+    redo,
+    stateAt,
+} from "./journal";
+import HistoryPanel, { QuestionHistory } from "./HistoryPanel";
+import { describeStorageError, loadMediaList, loadStoredData, pruneMedia, resetStorage, saveMedia, saveRecord, saveRuns } from "./storage";
+import { MEDIA_KINDS, makeBundle, readBundle, referencedMediaIds } from "./media";
+import StorageStatus from "./StorageStatus";
+import OfflineCache from "./OfflineCache";
+import AnalyticsPanel from "./AnalyticsPanel";
+import DuplicatePanel from "./DuplicatePanel";
+import { duplicatesOf, loadIgnoredPairs, mergeDuplicate } from "./duplicates";
+import QuestionFilters, { Highlight } from "./QuestionFilters";
+import { EMPTY_FILTERS, isFiltering, rehypeHighlight, searchQuestions } from "./search";
+import { applyUpdate, useOnline, useWaitingWorker } from "./offline";
+import { applyUpgrade, hashBank, planUpgrade, summarizeUpgrade } from "./bankSync";
+import BankUpgrade from "./BankUpgrade";
+import IpEditor, { IpInfo } from "./IpEditor";
+import { groupIps, ipLabel, makeIp, matchesIp, normalizeIpMeta, renameIp } from "./ips";
+import { clearGraderPin, describeAuthError, hasGraderPin, IDLE_LOGOUT_MS, pinPolicyError, ROLES, setRolePin, useIdleLogout, verifyPin } from "./auth";
+import AdminLogin from "./AdminLogin";
+import GradingQueue, { WrittenAnswer } from "./GradingQueue";
+import { answerParts, gradeRun, withGrade } from "./grading";
+import { isStructuredReading, lintSubQuestion, normalizeSubQuestion, subQuestionPoints } from "./reading";
+import ReadingEditor from "./ReadingEditor";
+import MediaEditor from "./MediaEditor";
+import MediaPlayer from "./MediaPlayer";
+import { MatchingFields, OrderingFields, TrueFalseFields } from "./AnswerKeyEditor";
+
+// --- Storage helpers (the bank lives in IndexedDB, see storage.js) ---
+function saveFailed(setStorageError) {
+    return (e) => setStorageError(describeStorageError(e));
 }
 
 // --- Main App ---
 export default function App() {
-    const [tab, setTab] = useState("welcome"); // welcome | quiz | admin
-    const [questions, setQuestions] = useState(() => loadQuestions());
-    const [hints, setHints] = useState(() => loadHints()); // { [ip: string]: string }
+    const [tab, setTab] = useState("welcome"); // welcome | quiz | leaderboard | admin
+    const [questions, setQuestions] = useState([]); // filled from storage on mount
+    const [ipMeta, setIpMeta] = useState({}); // { [ip: string]: IpRecord }, see ips.js
     const [selectedIP, setSelectedIP] = useState("");
+    const [ipCategory, setIpCategory] = useState("all"); // sidebar filter: all | a category | "" (uncategorized)
+    const [ipQuery, setIpQuery] = useState(""); // sidebar search on names and aliases
     const [basket, setBasket] = useState([]); // selected question ids before start
     const [phase, setPhase] = useState("pick"); // pick | running | confirm | finished
     const [answers, setAnswers] = useState({}); // qid -> { chosenIndices: [], manualScore: number }
-    const [adminMode, setAdminMode] = useState(false);
-    const [pinInput, setPinInput] = useState("");
+    const [role, setRole] = useState(null); // null | admin | grader, see ROLES in auth.js
+    const [contestant, setContestant] = useState({ name: "", code: "" }); // who is playing the current run
+    const [startedAt, setStartedAt] = useState(null);
+    const [questionStarts, setQuestionStarts] = useState({}); // question id -> when the player opened it, for per-question timers
+    const [currentRunId, setCurrentRunId] = useState(null); // id of the stored run once finished
+    const [submittedAt, setSubmittedAt] = useState(null); // end of answering when answers are revealed in the confirm phase
+    const [runs, setRuns] = useState([]);
+    const [pickMode, setPickMode] = useState("manual"); // manual | random
+    const [drawSettings, setDrawSettings] = useState(() => loadDrawSettings());
+    const [drawInfo, setDrawInfo] = useState(null); // { seed, ips } of the current random basket
+    const [rulesStore, setRulesStore] = useState(() => loadRulesStore()); // { activeId, profiles }
+    const [journal, setJournal] = useState(EMPTY_JOURNAL); // { entries, cursor } of admin edits
+    const [storageStatus, setStorageStatus] = useState("loading"); // loading | ready | failed (data only in memory)
+    const [storageError, setStorageError] = useState(""); // last storage failure, shown as a banner
+    const [loadAttempt, setLoadAttempt] = useState(0); // bumped to load storage again after a failure
+    const [bankUpgrade, setBankUpgrade] = useState(null); // { hash, base, dismissed } when the bundled question.json is newer
+    const rules = useMemo(() => getActiveRules(rulesStore), [rulesStore]);
+    const adminMode = role === "admin";
 
     useEffect(() => {
-        saveQuestions(questions);
-    }, [questions]);
+        let cancelled = false;
+        loadStoredData()
+            .then((data) => {
+                if (cancelled) return;
+                const list = data.questions || initialQuestions;
+                // Compare the bundled bank with the one the stored copy was synced from
+                const hash = hashBank(initialQuestions);
+                if (!data.questions) {
+                    saveRecord("base", { hash, questions: initialQuestions }).catch(saveFailed(setStorageError));
+                } else if (data.base?.hash !== hash) {
+                    setBankUpgrade({ hash, base: data.base?.questions || null, dismissed: false });
+                }
+                setQuestions(list);
+                setIpMeta(data.ipMeta);
+                setRuns(data.runs);
+                setJournal(data.journal || EMPTY_JOURNAL);
+                setStorageStatus("ready");
+            })
+            .catch((e) => {
+                if (cancelled) return;
+                setQuestions(initialQuestions);
+                setIpMeta(baseIpMeta);
+                setStorageStatus("failed");
+                setStorageError(describeStorageError(e));
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [loadAttempt]);
+
+    // Persist only once storage has loaded, so the empty initial state never overwrites it
+    const storageReady = storageStatus === "ready";
+    const online = useOnline();
+    const waitingWorker = useWaitingWorker(); // a new app version is installed and waits for a reload
+    const [updateDismissed, setUpdateDismissed] = useState(false);
+    // Checked here rather than only on the admin page, so errors in a loaded bank are announced
+    const bankReport = useMemo(() => validateQuestions(questions, rules), [questions, rules]);
+    const [bankIssuesDismissed, setBankIssuesDismissed] = useState(false);
+    useEffect(() => {
+        if (storageReady) saveRecord("questions", questions).catch(saveFailed(setStorageError));
+    }, [questions, storageReady]);
+    useEffect(() => {
+        if (storageReady) saveRecord("ipMeta", ipMeta).catch(saveFailed(setStorageError));
+    }, [ipMeta, storageReady]);
+    useEffect(() => {
+        if (storageReady) saveRuns(runs).catch(saveFailed(setStorageError));
+    }, [runs, storageReady]);
+    useEffect(() => {
+        saveDrawSettings(drawSettings);
+    }, [drawSettings]);
+    useEffect(() => {
+        saveRulesStore(rulesStore);
+    }, [rulesStore]);
     useEffect(() => {
-        saveHints(hints);
-    }, [hints]);
+        if (storageReady) saveRecord("journal", journal).catch(saveFailed(setStorageError));
+    }, [journal, storageReady]);
+
+    // --- Recovery from the storage banner ---
+    function retryStorage() {
+        if (storageStatus === "failed") {
+            // Loading replaces what was edited in memory meanwhile
+            if ((journal.entries.length > 0 || runs.length > 0) && !window.confirm("重新读取本地数据会丢弃本页面中尚未保存的修改与成绩，确定吗？")) return;
+            setStorageError("");
+            setStorageStatus("loading");
+            setLoadAttempt((n) => n + 1);
+            return;
+        }
+        setStorageError("");
+        Promise.all([saveRecord("questions", questions), saveRecord("ipMeta", ipMeta), saveRuns(runs), saveRecord("journal", journal)]).catch(
+            saveFailed(setStorageError)
+        );
+    }
+    async function resetLocalData() {
+        if (!window.confirm("重置会删除本地保存的题库、IP 资料、成绩记录和媒体文件，恢复为内置题库（规则等设置保留）。建议先导出备份。确定重置吗？")) return;
+        try {
+            await resetStorage();
+        } catch (e) {
+            setStorageError(describeStorageError(e));
+            return;
+        }
+        setStorageError("");
+        setStorageStatus("loading");
+        setLoadAttempt((n) => n + 1);
+    }
+
+    // --- Journaled edits: admin changes to questions / IP metadata go through here ---
+    function commitBank(next, label) {
+        const entry = makeEntry(label, {
+            questions: diffQuestionLists(questions, next.questions),
+            ipMeta: diffIpMetaMaps(ipMeta, next.ipMeta),
+        });
+        if (!entry) return;
+        setJournal((prev) => recordEntry(prev, entry));
+        setQuestions(next.questions);
+        setIpMeta(next.ipMeta);
+    }
+    function editQuestions(updater, label) {
+        commitBank({ questions: typeof updater === "function" ? updater(questions) : updater, ipMeta }, label);
+    }
+    function editIpMeta(updater, label) {
+        commitBank({ questions, ipMeta: typeof updater === "function" ? updater(ipMeta) : updater }, label);
+    }
+    function stepJournal(step) {
+        const result = step(journal, { questions, ipMeta });
+        if (!result) return;
+        setJournal(result.journal);
+        setQuestions(result.state.questions);
+        setIpMeta(result.state.ipMeta);
+    }
+    // Re-planned against the live bank, so edits made before upgrading are respected
+    const upgradeItems = useMemo(
+        () => (bankUpgrade ? planUpgrade(bankUpgrade.base, questions, initialQuestions) : []),
+        [bankUpgrade, questions]
+    );
+    function markBankSynced() {
+        saveRecord("base", { hash: bankUpgrade.hash, questions: initialQuestions }).catch(saveFailed(setStorageError));
+        setBankUpgrade(null);
+    }
+    function applyBankUpgrade(choices) {
+        editQuestions(applyUpgrade(questions, upgradeItems, choices), "升级内置题库");
+        markBankSynced();
+        alert("题库已升级！可在「修改记录」中撤销。");
+    }
+
+    function restoreSnapshot(cursor) {
+        if (!window.confirm(`确定要把题库和 IP 资料恢复到第 ${cursor} 步之后的状态吗？恢复本身也会记录，可再撤销。`)) return;
+        commitBank(stateAt(journal, { questions, ipMeta }, cursor), `恢复到第 ${cursor} 步`);
+    }
 
     // Use a Set for unique IPs, then convert to Array and sort
     const ips = useMemo(() => {
         const ipSet = new Set(questions.map((q) => q.ip));
-        Object.keys(hints || {}).forEach((ip) => ipSet.add(ip));
+        Object.keys(ipMeta).forEach((ip) => ipSet.add(ip));
 
         const allIPs = Array.from(ipSet);
         const chineseRegex = /^[\u4e00-\u9fa5]/;
@@ -181,7 +303,24 @@ export default function App() {
 
         return allIPs;
 
-    }, [questions, hints]);
+    }, [questions, ipMeta]);
+
+    // Hidden IPs are listed for admins only; contestants never see them in the sidebar, the pick list or draws
+    const hiddenIPs = useMemo(() => new Set(ips.filter((ip) => ipMeta[ip]?.hidden)), [ips, ipMeta]);
+    const visibleIPs = useMemo(() => ips.filter((ip) => !hiddenIPs.has(ip)), [ips, hiddenIPs]);
+    const sidebarGroups = useMemo(() => {
+        const listed = (adminMode ? ips : visibleIPs).filter((ip) => matchesIp(ip, ipMeta[ip], ipQuery));
+        return groupIps(listed, ipMeta).filter((g) => ipCategory === "all" || g.category === ipCategory);
+    }, [ips, visibleIPs, ipMeta, adminMode, ipQuery, ipCategory]);
+
+    // Renaming moves the IP's questions in the same journal entry as its record, so one undo reverts both
+    function saveIp(from, to, record) {
+        const merging = to !== from && ips.includes(to);
+        if (merging && !window.confirm(`「${to}」已存在，确定把「${from}」的题目并入其中吗？将保留「${to}」的资料。`)) return;
+        commitBank(renameIp({ questions, ipMeta: { ...ipMeta, [from]: record } }, from, to), to === from ? "编辑 IP 资料" : `IP 改名：${from} → ${to}`);
+        if (to !== from) setSelectedIP(to);
+        alert(to === from ? "IP 资料已保存！" : `已改名为「${to}」，题目已一并更新。可在「修改记录」中撤销。`);
+    }
 
     const perIPCounts = useMemo(() => {
         const m = {};
@@ -195,123 +334,141 @@ export default function App() {
 
     const inBasket = (id) => basket.includes(id);
 
+    const pickedQuestions = useMemo(
+        () => basket.map((id) => questions.find((x) => x.id === id)).filter(Boolean),
+        [basket, questions]
+    );
+
+    // countdowns only tick while a timed quiz is running
+    const now = useNow(phase === "running" && hasTimers(rules));
+    const timeUp = phase === "running" && isTimeUp(rules, pickedQuestions, startedAt, now, questionStarts);
+    const globalLeft = remainingMs(globalLimitMs(rules), startedAt, now);
+
     function toggleBasket(id) {
-        if (phase !== "pick") return; // Only allow modification in pick phase
+        if (phase !== "pick" || pickMode !== "manual") return; // Only allow modification in manual pick phase
 
         if (inBasket(id)) {
             setBasket(basket.filter((x) => x !== id));
         } else {
-            // constraints: total <=5; per IP <=2
+            // constraints come from the active rules profile (total / per IP / level / type)
             const q = questions.find((x) => x.id === id);
             if (!q) return; // Should not happen
 
-            const totalOk = basket.length < 5;
-            const ipOk = (perIPCounts[q.ip] || 0) < 2;
-
-            if (!totalOk) return alert("已达总数上限（最多 5 题）");
-            if (!ipOk) return alert("该 IP 已选 2 题上限");
+            const err = basketAddError(rules, pickedQuestions, q);
+            if (err) return alert(err);
             setBasket([...basket, id]);
         }
     }
 
+    function changePickMode(mode) {
+        if (phase !== "pick" || mode === pickMode) return;
+        setPickMode(mode);
+        setBasket([]);
+        setDrawInfo(null);
+    }
+
+    function applyDraw(ids, info) {
+        if (phase !== "pick") return;
+        setBasket(ids);
+        setDrawInfo(info);
+    }
+
     function startQuiz() {
         if (basket.length === 0) return alert("请先选择题目");
+        if (!contestant.name.trim()) return alert("请先填写选手昵称");
+        const startErr = basketStartError(rules, pickedQuestions);
+        if (startErr) return alert(startErr);
+        setStartedAt(Date.now());
+        setQuestionStarts({});
         setPhase("running");
         setTab("quiz");
         window.scrollTo({ top: 0, behavior: "smooth" });
     }
 
+    // A timed question stays covered until opened; its countdown starts then
+    function openQuestion(id) {
+        setQuestionStarts((prev) => (prev[id] ? prev : { ...prev, [id]: Date.now() }));
+    }
+
     function resetAll() {
         setBasket([]);
         setPhase("pick");
         setAnswers({});
         setTab("welcome");
         setSelectedIP("");
+        setContestant({ name: "", code: "" });
+        setStartedAt(null);
+        setQuestionStarts({});
+        setSubmittedAt(null);
+        setCurrentRunId(null);
+        setDrawInfo(null);
     }
 
-    // scoring
-    const scoreSummary = useMemo(() => {
-        let total = 0;
-        const byIP = {};
-        const byLevel = { a: 0, b: 0, c: 0, s: 0 }; // Initialize all levels
-
-        for (const id of basket) {
-            const q = questions.find((x) => x.id === id);
-            if (!q) continue; // Question might have been deleted
-
-            const ans = answers[id];
-            let gained = 0;
-
-            if (q.type === "mcq") {
-                if (ans && ans.chosenIndices) { // chosenIndices is now an array
-                    const correctIndicesSet = new Set(q.correctIndices || []);
-                    const chosenIndicesSet = new Set(ans.chosenIndices || []);
-
-                    let allCorrectChosen = true;
-                    let noIncorrectChosen = true;
+    // scoring (see scoring.js)
+    const scoreSummary = useMemo(
+        () => summarizeScore(basket, questions, answers, rules),
+        [answers, basket, questions, rules]
+    );
 
-                    // Check if all correct answers are chosen by the user
-                    for (const cIdx of correctIndicesSet) {
-                        if (!chosenIndicesSet.has(cIdx)) {
-                            allCorrectChosen = false;
-                            break;
-                        }
-                    }
+    // running -> confirm: lock every answer and reveal all references; grading happens here
+    function revealReferences() {
+        setSubmittedAt(Date.now());
+        setPhase("confirm");
+        window.scrollTo({ top: 0, behavior: "smooth" });
+    }
 
-                    // Check if no incorrect answers are chosen by the user
-                    for (const cIdx of chosenIndicesSet) {
-                        if (!correctIndicesSet.has(cIdx)) {
-                            noIncorrectChosen = false;
-                            break;
-                        }
-                    }
+    function finishAndShowScore() {
+        // instant 模式从 running 直接跳转到 finished；其余模式经过 confirm 公布答案
+        const elapsedMs = startedAt ? (submittedAt || Date.now()) - startedAt : null;
+        const run = createRun({ contestant, basket, answers, scoreSummary, questions, startedAt, rules, elapsedMs, draw: drawInfo });
+        setRuns((prev) => [run, ...prev]);
+        setCurrentRunId(run.id);
+        setPhase("finished");
+        window.scrollTo({ top: 0, behavior: "smooth" });
+    }
 
-                    // Full points only if:
-                    // 1. All correct answers were chosen
-                    // 2. No incorrect answers were chosen
-                    // 3. The number of chosen options matches the number of correct options
-                    if (allCorrectChosen && noIncorrectChosen && correctIndicesSet.size === chosenIndicesSet.size) {
-                        gained = LEVEL_POINTS[q.level];
-                    }
-                }
-            } else {
-                // Manual grading (admin sets ans.manualScore)
-                if (ans && typeof ans.manualScore === "number") {
-                    gained = ans.manualScore;
-                }
-            }
-            total += gained;
-            byIP[q.ip] = (byIP[q.ip] || 0) + gained;
-            byLevel[q.level] = (byLevel[q.level] || 0) + gained; // Ensure level is initialized
-        }
-        return { total, byIP, byLevel };
-    }, [answers, basket, questions]);
+    // End of answering: reveal first unless answers are already shown instantly
+    function endAnswering() {
+        if (rules.revealMode === "instant") finishAndShowScore();
+        else revealReferences();
+    }
 
+    // Auto-end once the timers run out; the ref always points at the latest closure
+    const endRef = useRef(endAnswering);
+    endRef.current = endAnswering;
+    useEffect(() => {
+        if (timeUp) endRef.current();
+    }, [timeUp]);
 
-    // function revealReferences() {
-    //     setPhase("confirm");
-    //     window.scrollTo({ top: 0, behavior: "smooth" });
-    // }
+    const currentRun = runs.find((r) => r.id === currentRunId);
 
-    function finishAndShowScore() {
-        // 确保从 running 阶段直接跳转到 finished 阶段
-        setPhase("finished");
-        window.scrollTo({ top: 0, behavior: "smooth" });
+    // Manual grading usually happens after the run is finished, keep the stored record in sync
+    useEffect(() => {
+        if (phase !== "finished" || !currentRunId) return;
+        setRuns((prev) => prev.map((r) => (r.id === currentRunId ? { ...r, answers, scoreSummary } : r)));
+    }, [phase, currentRunId, answers, scoreSummary]);
+
+    // Admin / grader login; an unattended booth machine drops back to player mode
+    function login(nextRole) {
+        setRole(nextRole);
+        setTab("admin"); // Automatically switch to admin tab on login
     }
+    useIdleLogout(role !== null, IDLE_LOGOUT_MS, () => setRole(null));
 
-    // Admin login toggle
-    function tryAdmin() {
-        const pin = getAdminPin();
-        if (pinInput === pin) {
-            setAdminMode(true);
-            setPinInput("");
-            setTab("admin"); // Automatically switch to admin tab on login
+    // Grades from the queue; the live run is graded through its answers so the sync above keeps them
+    function gradeStoredRun(runId, q, grade) {
+        if (runId === currentRunId) {
+            setAnswers((prev) => ({ ...prev, [q.id]: withGrade(prev[q.id], grade) }));
         } else {
-            alert("PIN 不正确");
+            setRuns((prev) => prev.map((r) => (r.id === runId ? gradeRun(r, q, grade, rules) : r)));
         }
     }
 
     // --- Renderers ---
+    if (storageStatus === "loading") {
+        return <div className="min-h-screen bg-gray-50 flex items-center justify-center text-gray-500">正在加载题库…</div>;
+    }
+
     return (
         <div className="min-h-screen bg-gray-50 text-gray-900">
             <header className="sticky top-0 z-20 bg-white/80 backdrop-blur border-b">
@@ -319,17 +476,76 @@ export default function App() {
                     <BookOpen className="w-6 h-6" />
                     <h1 className="text-lg font-semibold">IP 主题测验 · Demo</h1>
                     <div className="ml-auto flex items-center gap-2">
-                        <Tag tone="blue" className="hidden sm:inline-block">总计可选 5 题；每个 IP ≤ 2 题</Tag>
+                        {!online && (
+                            <span title="网络已断开，已缓存的内容仍可使用">
+                                <Tag tone="amber" className="flex items-center gap-1"><WifiOff className="w-3 h-3" /> 离线</Tag>
+                            </span>
+                        )}
+                        <Tag tone="blue" className="hidden sm:inline-block">{describeRules(rules)}</Tag>
                         <Button onClick={() => setTab("welcome")} className={`${tab === "welcome" ? "bg-gray-900 text-white" : ""}`}>欢迎</Button>
                         <Button onClick={() => setTab("quiz")} className={`${tab === "quiz" ? "bg-gray-900 text-white" : ""}`}>答题</Button>
+                        <Button onClick={() => setTab("leaderboard")} className={`${tab === "leaderboard" ? "bg-gray-900 text-white" : ""}`}>排行榜</Button>
                         <Button onClick={() => setTab("admin")} className={`${tab === "admin" ? "bg-gray-900 text-white" : ""}`}>管理员</Button>
-                        {adminMode && (
-                            <Button onClick={() => setAdminMode(false)} className="bg-red-500 text-white">退出管理</Button>
+                        {role && (
+                            <Button onClick={() => setRole(null)} className="bg-red-500 text-white">退出{ROLES[role]}</Button>
                         )}
                     </div>
                 </div>
             </header>
 
+            {bankUpgrade && !bankUpgrade.dismissed && upgradeItems.length > 0 && !(tab === "admin" && adminMode) && (
+                <div className="max-w-6xl mx-auto px-4 pt-4">
+                    <div className="rounded-2xl border border-blue-300 bg-blue-50 text-blue-800 text-sm px-4 py-2 flex items-center gap-2">
+                        <span className="flex-1">
+                            内置题库有新版本（新增 {summarizeUpgrade(upgradeItems).added} 题，待处理 {upgradeItems.length} 项），请管理员在「管理员」页查看并升级。
+                        </span>
+                        <button className="text-blue-600 hover:text-blue-800" onClick={() => setTab("admin")}>前往</button>
+                        <button className="text-blue-500 hover:text-blue-700" onClick={() => setBankUpgrade({ ...bankUpgrade, dismissed: true })}>稍后</button>
+                    </div>
+                </div>
+            )}
+
+            {storageStatus !== "loading" && bankReport.errors > 0 && !bankIssuesDismissed && !(tab === "admin" && adminMode) && (
+                <div className="max-w-6xl mx-auto px-4 pt-4">
+                    <div className="rounded-2xl border border-amber-300 bg-amber-50 text-amber-800 text-sm px-4 py-2 flex items-center gap-2">
+                        <AlertTriangle className="w-4 h-4 shrink-0" />
+                        <span className="flex-1">
+                            当前题库有 {bankReport.errors} 个错误{bankReport.warnings > 0 && `、${bankReport.warnings} 个警告`}，相关题目可能无法正常作答，请管理员在「管理员」页的「当前题库检查」中处理。
+                        </span>
+                        <button className="text-amber-700 hover:text-amber-900" onClick={() => setTab("admin")}>前往</button>
+                        <button className="text-amber-600 hover:text-amber-800" onClick={() => setBankIssuesDismissed(true)}>稍后</button>
+                    </div>
+                </div>
+            )}
+
+            {waitingWorker && !updateDismissed && (
+                <div className="max-w-6xl mx-auto px-4 pt-4">
+                    <div className="rounded-2xl border border-blue-300 bg-blue-50 text-blue-800 text-sm px-4 py-2 flex items-center gap-2">
+                        <span className="flex-1">新版本已下载，刷新页面后生效。</span>
+                        <button
+                            className="text-blue-600 hover:text-blue-800"
+                            onClick={() => (phase !== "running" || window.confirm("答题进行中，刷新会丢失当前作答，确定现在刷新吗？")) && applyUpdate(waitingWorker)}
+                        >
+                            立即刷新
+                        </button>
+                        <button className="text-blue-500 hover:text-blue-700" onClick={() => setUpdateDismissed(true)}>稍后</button>
+                    </div>
+                </div>
+            )}
+
+            {storageError && (
+                <div className="max-w-6xl mx-auto px-4 pt-4">
+                    <div className="rounded-2xl border border-rose-300 bg-rose-50 text-rose-700 text-sm px-4 py-2 flex items-center gap-2">
+                        <XCircle className="w-4 h-4 shrink-0" />
+                        <span className="flex-1">{storageError}</span>
+                        <button className="text-rose-600 font-medium hover:text-rose-800" onClick={retryStorage}>重试</button>
+                        {storageStatus === "failed" && (
+                            <button className="text-rose-500 hover:text-rose-700" onClick={resetLocalData}>重置本地数据</button>
+                        )}
+                    </div>
+                </div>
+            )}
+
             <main className="max-w-6xl mx-auto px-4 py-4 grid grid-cols-12 gap-4">
                 {/* Sidebar */}
                 <aside className="col-span-12 md:col-span-4 lg:col-span-3 sticky top-20 self-start">
@@ -338,25 +554,58 @@ export default function App() {
                             <h2 className="font-semibold">IP 列表</h2>
                             {selectedIP && <Tag tone="blue">{selectedIP}</Tag>}
                         </div>
+                        {ips.length > 0 && (
+                            <div className="flex gap-2 mb-2">
+                                <Input value={ipQuery} onChange={(e) => setIpQuery(e.target.value)} placeholder="搜索 IP 或别名" className="py-1 text-sm" />
+                                <select className="px-2 py-1 border rounded-xl bg-white text-sm" value={ipCategory} onChange={(e) => setIpCategory(e.target.value)}>
+                                    <option value="all">全部分类</option>
+                                    {Object.entries(IP_CATEGORIES).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+                                    <option value="">未分类</option>
+                                </select>
+                            </div>
+                        )}
                         <div className="space-y-2 max-h-[320px] overflow-auto pr-1">
-                            {ips.map((ip) => (
-                                <button
-                                    key={ip}
-                                    className={`w-full text-left px-3 py-2 rounded-xl border hover:bg-gray-50 flex items-center justify-between ${selectedIP === ip ? "bg-gray-100" : ""}`}
-                                    onClick={() => setSelectedIP(ip)}
-                                >
-                                    <span>{ip}</span>
-                                    <Tag tone="green">{questions.filter((q) => q.ip === ip).length} 题</Tag>
-                                </button>
+                            {sidebarGroups.map((g) => (
+                                <div key={g.category} className="space-y-2">
+                                    {sidebarGroups.length > 1 && <div className="text-xs text-gray-500 pt-1">{g.label}（{g.ips.length}）</div>}
+                                    {g.ips.map((ip) => (
+                                        <button
+                                            key={ip}
+                                            className={`w-full text-left px-3 py-2 rounded-xl border hover:bg-gray-50 flex items-center justify-between gap-1 ${selectedIP === ip ? "bg-gray-100" : ""} ${hiddenIPs.has(ip) ? "text-gray-400" : ""}`}
+                                            onClick={() => setSelectedIP(ip)}
+                                        >
+                                            <span>{ipLabel(ip, ipMeta[ip])}</span>
+                                            <span className="shrink-0">
+                                                {hiddenIPs.has(ip) && <Tag className="mr-1">已隐藏</Tag>}
+                                                <Tag tone="green">{questions.filter((q) => q.ip === ip).length} 题</Tag>
+                                            </span>
+                                        </button>
+                                    ))}
+                                </div>
                             ))}
                             {ips.length === 0 && <div className="text-sm text-gray-500">暂无题目，请到管理员页面添加。</div>}
+                            {ips.length > 0 && sidebarGroups.length === 0 && <div className="text-sm text-gray-500">没有符合条件的 IP。</div>}
                         </div>
 
                         <div className="mt-4 border-t pt-3 space-y-2">
-                            <div className="text-sm">已选：{basket.length} / 5</div>
+                            <div className="space-y-1">
+                                <Input
+                                    placeholder="选手昵称（必填）"
+                                    value={contestant.name}
+                                    onChange={(e) => setContestant({ ...contestant, name: e.target.value })}
+                                    disabled={phase !== "pick"}
+                                />
+                                <Input
+                                    placeholder="选手编号 / 手环号（可选）"
+                                    value={contestant.code}
+                                    onChange={(e) => setContestant({ ...contestant, code: e.target.value })}
+                                    disabled={phase !== "pick"}
+                                />
+                            </div>
+                            <div className="text-sm">已选：{basket.length} / {rules.total}</div>
                             <div className="flex flex-wrap gap-1 text-xs">
                                 {Object.entries(perIPCounts).map(([ip, n]) => (
-                                    <Tag key={ip} tone={n > 2 ? "rose" : "amber"}>{ip}: {n}</Tag>
+                                    <Tag key={ip} tone={n > rules.perIP ? "rose" : "amber"}>{ip}: {n}</Tag>
                                 ))}
                             </div>
                             <div className="flex flex-col gap-2">
@@ -368,7 +617,25 @@ export default function App() {
                                         <RotateCcw className="w-4 h-4 inline -mt-0.5" /> 重置
                                     </Button>
                                 )}
-                                {phase === "running" && ( // 只有在 running 阶段可以完成并查看总分
+                                {phase === "running" && Number.isFinite(globalLeft) && (
+                                    <div className={`text-center text-2xl font-bold ${globalLeft <= 30000 ? "text-rose-600" : "text-gray-800"}`}>
+                                        <Timer className="w-5 h-5 inline -mt-1 mr-1" />{formatCountdown(globalLeft)}
+                                    </div>
+                                )}
+                                {phase === "running" && rules.revealMode === "instant" && ( // 即时判分：running 阶段直接完成
+                                    <Button className="w-full bg-green-500 text-white hover:bg-green-600" onClick={finishAndShowScore}>
+                                        <ListChecks className="w-4 h-4 inline -mt-0.5" /> 完成并查看总分
+                                    </Button>
+                                )}
+                                {phase === "running" && rules.revealMode !== "instant" && (
+                                    <Button
+                                        className="w-full bg-amber-500 text-white hover:bg-amber-600"
+                                        onClick={() => window.confirm("提交后所有答案将锁定并公布正确答案，确定提交吗？") && revealReferences()}
+                                    >
+                                        <Eye className="w-4 h-4 inline -mt-0.5" /> 提交答卷并公布答案
+                                    </Button>
+                                )}
+                                {phase === "confirm" && ( // 公布答案、人工评分后再完成
                                     <Button className="w-full bg-green-500 text-white hover:bg-green-600" onClick={finishAndShowScore}>
                                         <ListChecks className="w-4 h-4 inline -mt-0.5" /> 完成并查看总分
                                     </Button>
@@ -380,11 +647,13 @@ export default function App() {
 
                 {/* Main content */}
                 <section className="col-span-12 md:col-span-8 lg:col-span-9 space-y-4">
-                    {tab === "welcome" && <Welcome />}
+                    {tab === "welcome" && <Welcome rules={rules} />}
+                    {tab === "leaderboard" && <Leaderboard runs={runs} />}
                     {tab === "quiz" && (
                         <QuizArea
                             questions={questions}
-                            hints={hints}
+                            ipMeta={ipMeta}
+                            hiddenIPs={hiddenIPs}
                             selectedIP={selectedIP}
                             basket={basket}
                             setBasket={setBasket}
@@ -393,36 +662,54 @@ export default function App() {
                             phase={phase}
                             answers={answers}
                             setAnswers={setAnswers}
-                            adminMode={adminMode}
+                            canGrade={role !== null}
                             scoreSummary={scoreSummary}
+                            contestant={contestant}
+                            rules={rules}
+                            questionStarts={questionStarts}
+                            onOpenQuestion={openQuestion}
+                            now={now}
+                            elapsedMs={currentRun?.elapsedMs}
+                            ips={visibleIPs}
+                            pickMode={pickMode}
+                            onChangePickMode={changePickMode}
+                            drawSettings={drawSettings}
+                            drawInfo={drawInfo}
+                            onDraw={applyDraw}
                         />
                     )}
+                    {tab === "admin" && role && (
+                        <GradingQueue runs={runs} questions={questions} rules={rules} onGrade={gradeStoredRun} />
+                    )}
                     {tab === "admin" && adminMode ? (
                         <AdminArea
                             questions={questions}
-                            setQuestions={setQuestions}
-                            hints={hints}
-                            setHints={setHints}
-                            onSetPin={setAdminPin}
+                            editQuestions={editQuestions}
+                            ipMeta={ipMeta}
+                            editIpMeta={editIpMeta}
+                            onSaveIp={saveIp}
+                            journal={journal}
+                            onUndo={() => stepJournal(undo)}
+                            onRedo={() => stepJournal(redo)}
+                            onRestore={restoreSnapshot}
                             selectedIP={selectedIP}
                             ips={ips} // Pass all available IPs to admin area
+                            runs={runs}
+                            setRuns={setRuns}
+                            drawSettings={drawSettings}
+                            setDrawSettings={setDrawSettings}
+                            rules={rules}
+                            rulesStore={rulesStore}
+                            setRulesStore={setRulesStore}
+                            storageStatus={storageStatus}
+                            bankReport={bankReport}
+                            upgradeItems={bankUpgrade ? upgradeItems : []}
+                            onApplyUpgrade={applyBankUpgrade}
+                            onIgnoreUpgrade={markBankSynced}
+                            onLaterUpgrade={() => setBankUpgrade(null)}
                         />
-                    ) : tab === "admin" && (
-                        <Card>
-                            <h3 className="font-semibold mb-2">管理员登录</h3>
-                            <div className="flex items-center gap-2">
-                                <Input
-                                    placeholder="管理员 PIN"
-                                    value={pinInput}
-                                    onChange={(e) => setPinInput(e.target.value)}
-                                    type="password"
-                                    onKeyPress={(e) => {
-                                        if (e.key === 'Enter') tryAdmin();
-                                    }}
-                                />
-                                <Button onClick={tryAdmin} className="bg-blue-600 text-white hover:bg-blue-700"><Lock className="w-4 h-4 inline" /> 解锁</Button>
-                            </div>
-                        </Card>
+                    ) : tab === "admin" && !role && (
+                        <AdminLogin onLogin={login} />
                     )}
                 </section>
             </main>
@@ -430,18 +717,33 @@ export default function App() {
     );
 }
 
-function Welcome() {
+function Welcome({ rules }) {
     return (
         <Card>
             <div className="flex items-center gap-3">
                 <BookOpen className="w-6 h-6 text-blue-500" />
                 <h2 className="text-xl font-semibold">欢迎来到 IP 主题测验</h2>
             </div>
-            <p className="text-gray-600 mt-2">左侧选择你感兴趣的 IP 与题目（每个 IP 最多选 2 题，总计最多 5 题），随后点击「开始回答」。</p>
+            <p className="text-gray-600 mt-2">左侧选择你感兴趣的 IP 与题目（每个 IP 最多选 {rules.perIP} 题，总计最多 {rules.total} 题），随后点击「开始回答」。</p>
             <ul className="mt-3 text-sm text-gray-700 list-disc pl-5 space-y-1">
-                <li>选择题：包括单选和多选。选中后立即判分与显示正确答案。</li>
-                <li>填空 / 简答 / 阅读：仅管理员可在现场选择分数；确认环节可显示参考答案。</li>
-                <li>分值：A=3 分，B=2 分，C=1 分，S=5 分。</li>
+                <li>选择题：包括单选和多选。{REVEAL_MODES[rules.revealMode]?.hint}</li>
+                <li>填空 / 简答 / 阅读：在答题框中输入答案。填空题与分小题的阅读题自动判分，简答等主观题由评分员在「评分队列」中打分；确认环节可显示参考答案。</li>
+                <li>分值：{Object.entries(rules.points).map(([lv, p]) => `${LEVEL_NAMES[lv]}=${p} 分`).join("，")}。</li>
+                {hasTimers(rules) && (
+                    <li>
+                        本场限时：
+                        {[
+                            rules.timer.global > 0 && `全程 ${formatCountdown(rules.timer.global * 1000)}`,
+                            ...Object.entries(rules.timer.perQuestion)
+                                .filter(([, sec]) => sec > 0)
+                                .map(([lv, sec]) => `${LEVEL_NAMES[lv]} 级每题 ${sec} 秒`),
+                        ].filter(Boolean).join("，")}
+                        ；{Object.values(rules.timer.perQuestion).some((sec) => sec > 0) && "限时题从点击「开始作答」起计时，"}超时后答案锁定，时间耗尽自动交卷。
+                    </li>
+                )}
+                {rules.allowedTypes.length < Object.keys(TYPE_LABELS).length && (
+                    <li>本场可选题型：{rules.allowedTypes.map((t) => TYPE_LABELS[t]).join("、")}。</li>
+                )}
             </ul>
         </Card>
     );
@@ -451,7 +753,8 @@ function Welcome() {
 
 function QuizArea({
                       questions,
-                      hints,
+                      ipMeta,
+                      hiddenIPs,
                       selectedIP,
                       basket,
                       inBasket,
@@ -459,24 +762,38 @@ function QuizArea({
                       phase,
                       answers,
                       setAnswers,
-                      adminMode,
+                      canGrade,
                       scoreSummary,
+                      contestant,
+                      rules,
+                      questionStarts,
+                      onOpenQuestion,
+                      now,
+                      elapsedMs,
+                      ips,
+                      pickMode,
+                      onChangePickMode,
+                      drawSettings,
+                      drawInfo,
+                      onDraw,
                   }) {
     const [expandedQuestion, setExpandedQuestion] = useState(null);
-    const [specialHint, setSpecialHint] = useState("");
+    const [filters, setFilters] = useState(EMPTY_FILTERS);
 
-    useEffect(() => {
-        // Load special hint for the selected IP from hints map
-        setSpecialHint((hints && selectedIP && hints[selectedIP]) || "");
-    }, [selectedIP, hints]);
-
-    const visibleQuestions = useMemo(() => {
-        const list = phase === "pick"
-            ? questions.filter((q) => !selectedIP || q.ip === selectedIP)
-            : questions.filter((q) => basket.includes(q.id));
+    const manualPick = phase === "pick" && pickMode === "manual";
+
+    // Search terms by question id are kept for highlighting
+    const [visibleQuestions, termsById] = useMemo(() => {
+        // random mode never lists the pool, only what was drawn; only the manual pick list is searched
+        if (!manualPick) return [questions.filter((q) => basket.includes(q.id) && q.type !== "info"), new Map()];
         // exclude any legacy info-type items if they exist
-        return list.filter((q) => q.type !== "info");
-    }, [questions, selectedIP, basket, phase]);
+        const pool = questions.filter((q) => (!selectedIP || q.ip === selectedIP) && !hiddenIPs.has(q.ip) && rules.allowedTypes.includes(q.type) && q.type !== "info");
+        const results = searchQuestions(pool, filters);
+        return [results.map((r) => r.q), new Map(results.map((r) => [r.q.id, r.terms]))];
+    }, [questions, selectedIP, hiddenIPs, basket, manualPick, rules, filters]);
+    const drawable = useMemo(() => questions.filter((q) => !hiddenIPs.has(q.ip)), [questions, hiddenIPs]);
+
+    const revealAll = phase === "confirm" || phase === "finished";
 
     function setAnswer(qid, data) {
         setAnswers((prev) => ({ ...prev, [qid]: { ...(prev[qid] || {}), ...data } }));
@@ -497,16 +814,21 @@ function QuizArea({
                         <div className="prose prose-sm max-w-none">
                             <ReactMarkdown
                                 remarkPlugins={[remarkGfm]}
-                                rehypePlugins={[rehypeRaw]}
+                                rehypePlugins={[rehypeRaw, [rehypeHighlight, { terms: termsById.get(expandedQuestion.id) || [] }]]}
                                 children={expandedQuestion.title}
                             />
                         </div>
+                        {expandedQuestion.media?.length > 0 && (
+                            <div className="mt-3">
+                                <MediaPlayer media={expandedQuestion.media} large />
+                            </div>
+                        )}
                         {expandedQuestion.type === "mcq" && (
                             <div className="mt-3 space-y-2">
                                 {expandedQuestion.options?.map((opt, idx) => (
                                     <div key={idx} className="flex items-center gap-2">
                                         <span className="font-medium">{String.fromCharCode(65 + idx)}.</span>
-                                        <span>{opt}</span>
+                                        <span><Highlight text={opt} terms={termsById.get(expandedQuestion.id)} /></span>
                                     </div>
                                 ))}
                             </div>
@@ -515,23 +837,42 @@ function QuizArea({
                 </div>
             )}
 
-            {specialHint && (
-                <div className="p-3 bg-yellow-100 border border-yellow-300 rounded-lg">
-                    <h4 className="font-semibold text-yellow-800">提示</h4>
-                    <div className="prose prose-sm max-w-none text-yellow-700"> {/* ADDED THIS WRAPPER */}
-                        <ReactMarkdown
-                            remarkPlugins={[remarkGfm]}
-                            rehypePlugins={[rehypeRaw]}
-                            children={specialHint}
-                        />
-                    </div> {/* END ADDED WRAPPER */}
+            {phase === "pick" && (
+                <div className="flex gap-2">
+                    <Button onClick={() => onChangePickMode("manual")} className={pickMode === "manual" ? "bg-gray-900 text-white" : "bg-white"}>手动选题</Button>
+                    <Button onClick={() => onChangePickMode("random")} className={pickMode === "random" ? "bg-gray-900 text-white" : "bg-white"}>随机抽题</Button>
                 </div>
             )}
 
+            {phase === "pick" && pickMode === "random" && (
+                <RandomDraw
+                    questions={drawable}
+                    ips={ips}
+                    settings={drawSettings}
+                    rules={rules}
+                    drawInfo={drawInfo}
+                    onDraw={onDraw}
+                />
+            )}
+
+            {selectedIP && <IpInfo name={selectedIP} ip={ipMeta[selectedIP]} />}
+
+            {phase === "confirm" && (
+                <Card className="border-amber-300">
+                    <h3 className="text-lg font-semibold">答卷已提交，答案已公布</h3>
+                    <p className="text-sm text-gray-700">
+                        所有作答已锁定。请工作人员为简答 / 阅读题评分后，点击左侧「完成并查看总分」。
+                    </p>
+                </Card>
+            )}
+
             {phase === "finished" && (
                 <Card>
-                    <h3 className="text-lg font-semibold">总分总结</h3>
-                    <p className="text-gray-700">总得分：<span className="font-bold text-xl text-blue-600">{scoreSummary.total}</span> 分</p>
+                    <h3 className="text-lg font-semibold">总分总结{contestant?.name && ` · ${contestant.name}`}</h3>
+                    <p className="text-gray-700">
+                        总得分：<span className="font-bold text-xl text-blue-600">{scoreSummary.total}</span> 分
+                        {elapsedMs != null && <span className="ml-3 text-sm text-gray-500">用时 {formatElapsed(elapsedMs)}</span>}
+                    </p>
                     <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-4">
                         <div>
                             <h4 className="font-medium text-gray-800">按 IP 分数</h4>
@@ -550,7 +891,7 @@ function QuizArea({
                             <ul className="list-disc pl-5 text-sm text-gray-600 space-y-1 mt-1">
                                 {Object.entries(scoreSummary.byLevel).length > 0 ? (
                                     Object.entries(scoreSummary.byLevel).map(([level, score]) => (
-                                        <li key={level}>{LEVEL_LABEL[level]}: <span className="font-semibold">{score}</span> 分</li>
+                                        <li key={level}>{levelLabel(rules, level)}: <span className="font-semibold">{score}</span> 分</li>
                                     ))
                                 ) : (
                                     <li>暂无数据</li>
@@ -561,85 +902,245 @@ function QuizArea({
                 </Card>
             )}
 
+            {manualPick && (
+                <Card>
+                    <QuestionFilters
+                        filters={filters}
+                        onChange={setFilters}
+                        count={visibleQuestions.length}
+                        types={rules.allowedTypes}
+                        levelLabel={(l) => levelLabel(rules, l)}
+                    />
+                </Card>
+            )}
+
             <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
-                {visibleQuestions.map((q) => (
-                    <Card key={q.id} className="relative flex flex-col">
-                        <div className="flex items-start justify-between gap-2 mb-2">
-                            <div className="space-y-1">
-                                <div className="flex items-center gap-2">
+                {visibleQuestions.map((q) => {
+                    const terms = termsById.get(q.id) || [];
+                    const limit = questionLimitMs(rules, q);
+                    if (phase === "running" && limit > 0 && !questionStarts[q.id]) {
+                        return (
+                            <Card key={q.id} className="flex flex-col">
+                                <div className="flex items-center gap-2 mb-2">
                                     <Tag tone="blue">{q.ip}</Tag>
-                                    <Tag tone={LEVEL_COLORS[q.level]}>{LEVEL_LABEL[q.level]}</Tag>
-                                    <Tag tone="gray">{TYPE_LABELS[q.type]}{q.type === 'mcq' && (q.isMultiChoice ? ' (多选)' : ' (单选)')}</Tag>
+                                    <Tag tone={LEVEL_COLORS[q.level]}>{levelLabel(rules, q.level)}</Tag>
+                                    <Tag tone="gray">{TYPE_LABELS[q.type]}</Tag>
+                                    <Tag tone="gray"><Timer className="w-3 h-3 inline -mt-0.5" /> 限时 {formatCountdown(limit)}</Tag>
                                 </div>
-                                <div className={`prose max-w-none text-base ${q.title.length > 100 ? "line-clamp-3 overflow-hidden" : ""}`}>
-                                    <ReactMarkdown
-                                        remarkPlugins={[remarkGfm]}
-                                        rehypePlugins={[rehypeRaw]}
-                                        children={q.title}
-                                    />
+                                <div className="text-sm text-gray-500 mb-3">点击后显示题目并开始计时。</div>
+                                <Button onClick={() => onOpenQuestion(q.id)} className="bg-blue-600 text-white hover:bg-blue-700 self-start">
+                                    <Timer className="w-4 h-4 inline -mt-0.5 mr-1" /> 开始作答
+                                </Button>
+                            </Card>
+                        );
+                    }
+                    const qLeft = remainingMs(limit, questionStarts[q.id], now);
+                    const expired = phase === "running" && qLeft === 0;
+                    const ans = answers[q.id];
+                    const isLocked = expired || !!ans?.locked;
+                    // Answers cannot change once the question is locked, timed out or the answering is over
+                    const frozen = phase !== "running" || isLocked;
+                    // confirm/finished reveal everything; perQuestion reveals each answer once it is locked
+                    const revealed = revealAll || (rules.revealMode === "perQuestion" && isLocked);
+                    // Ordering / matching answers take several moves, so even instant mode judges them once locked
+                    const judgedOnLock = q.type === "ordering" || q.type === "matching";
+                    const lockable = phase === "running" && (rules.revealMode !== "instant" || judgedOnLock);
+                    const structured = isStructuredReading(q);
+                    return (
+                        <Card key={q.id} className={`relative flex flex-col ${structured && phase !== "pick" ? "md:col-span-2" : ""}`}>
+                            <div className="flex items-start justify-between gap-2 mb-2">
+                                <div className="space-y-1">
+                                    <div className="flex items-center gap-2">
+                                        <Tag tone="blue">{q.ip}</Tag>
+                                        <Tag tone={LEVEL_COLORS[q.level]}>{levelLabel(rules, q.level)}</Tag>
+                                        <Tag tone="gray">{TYPE_LABELS[q.type]}{q.type === 'mcq' && (q.isMultiChoice ? ' (多选)' : ' (单选)')}</Tag>
+                                        {q.media?.length > 0 && (
+                                            <Tag tone="gray"><Paperclip className="w-3 h-3 inline -mt-0.5" /> {q.media.map((m) => MEDIA_KINDS[m.kind]).join("、")}</Tag>
+                                        )}
+                                        {phase === "running" && Number.isFinite(qLeft) && (
+                                            <Tag tone={expired ? "rose" : qLeft <= 10000 ? "amber" : "gray"}>
+                                                <Timer className="w-3 h-3 inline -mt-0.5" /> {expired ? "已超时" : formatCountdown(qLeft)}
+                                            </Tag>
+                                        )}
+                                    </div>
+                                    <div className={`prose max-w-none text-base ${q.title.length > 100 ? "line-clamp-3 overflow-hidden" : ""}`}>
+                                        <ReactMarkdown
+                                            remarkPlugins={[remarkGfm]}
+                                            rehypePlugins={[rehypeRaw, [rehypeHighlight, { terms }]]}
+                                            children={q.title}
+                                        />
+                                    </div>
                                 </div>
+
+                                {phase === "pick" && pickMode === "manual" ? (
+                                    <button
+                                        onClick={() => toggleBasket(q.id)}
+                                        className={`p-2 rounded-xl border hover:bg-gray-50 transition ${inBasket(q.id) ? "bg-green-50 border-green-300 text-green-600" : "text-gray-500"}`}
+                                        title={inBasket(q.id) ? "移出选择" : "加入选择"}
+                                    >
+                                        {inBasket(q.id) ? <CheckCircle2 className="w-5 h-5" /> : <PlusCircle className="w-5 h-5" />}
+                                    </button>
+                                ) : null}
                             </div>
 
-                            {phase === "pick" ? (
-                                <button
-                                    onClick={() => toggleBasket(q.id)}
-                                    className={`p-2 rounded-xl border hover:bg-gray-50 transition ${inBasket(q.id) ? "bg-green-50 border-green-300 text-green-600" : "text-gray-500"}`}
-                                    title={inBasket(q.id) ? "移出选择" : "加入选择"}
+                            {/* Media stay out of the pick list, so browsing the bank does not load every file */}
+                            {phase !== "pick" && q.media?.length > 0 && (
+                                <div className="mt-3">
+                                    <MediaPlayer media={q.media} />
+                                </div>
+                            )}
+
+                            {(q.title.length > 100 || q.media?.length > 0) && (
+                                <Button
+                                    className="mt-2 bg-gray-100 hover:bg-gray-200 self-start text-gray-700"
+                                    onClick={() => setExpandedQuestion(q)}
                                 >
-                                    {inBasket(q.id) ? <CheckCircle2 className="w-5 h-5" /> : <PlusCircle className="w-5 h-5" />}
-                                </button>
-                            ) : null}
-                        </div>
+                                    展开完整题目
+                                </Button>
+                            )}
 
-                        {q.title.length > 100 && (
-                            <Button
-                                className="mt-2 bg-gray-100 hover:bg-gray-200 self-start text-gray-700"
-                                onClick={() => setExpandedQuestion(q)}
-                            >
-                                展开完整题目
-                            </Button>
-                        )}
+                            {q.type === "mcq" && (
+                                <div className="mt-3 space-y-2">
+                                    {phase === "pick" ? (
+                                        // Static display of options during the 'pick' phase
+                                        q.options?.map((opt, idx) => (
+                                            <div key={idx} className="flex items-center gap-2 text-sm text-gray-700">
+                                                <span className="font-medium">{String.fromCharCode(65 + idx)}.</span>
+                                                <span><Highlight text={opt} terms={terms} /></span>
+                                            </div>
+                                        ))
+                                    ) : (
+                                        // Interactive options during the 'running', 'confirm', 'finished' phase
+                                        <MCQBlock
+                                            q={q}
+                                            ans={answers[q.id]}
+                                            setAns={(data) => setAnswer(q.id, data)}
+                                            // MCQs 的参考答案在 confirm / finished 阶段也应该显示
+                                            showReference={revealAll}
+                                            feedback={rules.revealMode === "instant" || revealed}
+                                            frozen={frozen}
+                                            points={rules.points[q.level] || 0}
+                                            strategy={mcqStrategy(rules, q)}
+                                        />
+                                    )}
+                                </div>
+                            )}
 
-                        {q.type === "mcq" && (
-                            <div className="mt-3 space-y-2">
-                                {phase === "pick" ? (
-                                    // Static display of options during the 'pick' phase
-                                    q.options?.map((opt, idx) => (
-                                        <div key={idx} className="flex items-center gap-2 text-sm text-gray-700">
-                                            <span className="font-medium">{String.fromCharCode(65 + idx)}.</span>
-                                            <span>{opt}</span>
-                                        </div>
-                                    ))
-                                ) : (
-                                    // Interactive options during the 'running', 'confirm', 'finished' phase
-                                    <MCQBlock
+                            {phase !== "pick" && q.type === "fill" && (
+                                <div className="mt-3">
+                                    <FillBlock
                                         q={q}
                                         ans={answers[q.id]}
                                         setAns={(data) => setAnswer(q.id, data)}
-                                        // MCQs 的参考答案在 finished 阶段也应该显示
-                                        showReference={phase === "finished"}
+                                        forceShowReference={revealed}
+                                        frozen={frozen}
+                                        canGrade={canGrade}
+                                        maxPoints={rules.points[q.level] || 0}
                                     />
-                                )}
-                            </div>
-                        )}
+                                </div>
+                            )}
 
-                        {phase !== "pick" && q.type !== "mcq" && (
-                            <div className="mt-3">
-                                <ManualBlock
-                                    q={q}
-                                    ans={answers[q.id]}
-                                    setAns={(data) => setAnswer(q.id, data)}
-                                    // ManualBlock 将自行管理其参考答案显示状态，但在 finished 阶段强制显示
-                                    forceShowReference={phase === "finished"}
-                                    adminMode={adminMode}
-                                />
-                            </div>
-                        )}
-                    </Card>
-                ))}
-                {visibleQuestions.length === 0 && phase === "pick" && (
+                            {phase !== "pick" && q.type === "truefalse" && (
+                                <div className="mt-3">
+                                    <TrueFalseBlock
+                                        q={q}
+                                        ans={answers[q.id]}
+                                        setAns={(data) => setAnswer(q.id, data)}
+                                        showReference={revealAll}
+                                        feedback={rules.revealMode === "instant" || revealed}
+                                        frozen={frozen}
+                                        points={rules.points[q.level] || 0}
+                                    />
+                                </div>
+                            )}
+
+                            {phase !== "pick" && q.type === "ordering" && (
+                                <div className="mt-3">
+                                    <OrderingBlock
+                                        q={q}
+                                        ans={answers[q.id]}
+                                        setAns={(data) => setAnswer(q.id, data)}
+                                        showReference={revealAll}
+                                        feedback={revealed || (rules.revealMode === "instant" && isLocked)}
+                                        frozen={frozen}
+                                        points={rules.points[q.level] || 0}
+                                        strategy={orderingStrategy(rules)}
+                                    />
+                                </div>
+                            )}
+
+                            {phase !== "pick" && q.type === "matching" && (
+                                <div className="mt-3">
+                                    <MatchingBlock
+                                        q={q}
+                                        ans={answers[q.id]}
+                                        setAns={(data) => setAnswer(q.id, data)}
+                                        showReference={revealAll}
+                                        feedback={revealed || (rules.revealMode === "instant" && isLocked)}
+                                        frozen={frozen}
+                                        points={rules.points[q.level] || 0}
+                                    />
+                                </div>
+                            )}
+
+                            {phase !== "pick" && structured && (
+                                <div className="mt-3">
+                                    <ReadingBlock
+                                        q={q}
+                                        ans={answers[q.id]}
+                                        setAns={(data) => setAnswer(q.id, data)}
+                                        showReference={revealAll}
+                                        revealed={revealed}
+                                        feedback={rules.revealMode === "instant" || revealed}
+                                        frozen={frozen}
+                                        canGrade={canGrade}
+                                        rules={rules}
+                                    />
+                                </div>
+                            )}
+
+                            {phase !== "pick" && (q.type === "short" || q.type === "reading") && !structured && (
+                                <div className="mt-3">
+                                    <TextAnswerBlock
+                                        q={q}
+                                        ans={answers[q.id]}
+                                        setAns={(data) => setAnswer(q.id, data)}
+                                        // ManualBlock 将自行管理其参考答案显示状态，但在 confirm / finished 阶段强制显示
+                                        forceShowReference={revealAll}
+                                        frozen={frozen}
+                                        canGrade={canGrade}
+                                        maxPoints={rules.points[q.level] || 0}
+                                    />
+                                </div>
+                            )}
+
+                            {lockable && (
+                                <div className="mt-3 flex items-center gap-2">
+                                    {isLocked ? (
+                                        <Tag tone="gray"><Lock className="w-3 h-3 inline -mt-0.5" /> 已锁定{expired && !ans?.locked ? "（超时）" : ""}</Tag>
+                                    ) : (
+                                        <Button
+                                            onClick={() => setAnswer(q.id, { locked: true })}
+                                            className="bg-blue-600 text-white hover:bg-blue-700"
+                                            disabled={!hasAnswer(q, ans)}
+                                        >
+                                            <Lock className="w-4 h-4 inline -mt-0.5 mr-1" /> 确认作答
+                                        </Button>
+                                    )}
+                                    {!isLocked && <span className="text-xs text-gray-500">确认前可随时修改答案</span>}
+                                </div>
+                            )}
+                        </Card>
+                    );
+                })}
+                {visibleQuestions.length === 0 && manualPick && (
                     <div className="col-span-full text-center py-8 text-gray-500 text-lg">
-                        请选择左侧的 IP 以查看题目，或切换到“管理员”页面添加题目。
+                        {isFiltering(filters) ? "没有符合搜索条件的题目。" : "请选择左侧的 IP 以查看题目，或切换到“管理员”页面添加题目。"}
+                    </div>
+                )}
+                {visibleQuestions.length === 0 && phase === "pick" && pickMode === "random" && (
+                    <div className="col-span-full text-center py-8 text-gray-500 text-lg">
+                        选择 IP 范围后点击“抽题”。
                     </div>
                 )}
                 {visibleQuestions.length === 0 && phase !== "pick" && (
@@ -652,14 +1153,24 @@ function QuizArea({
     );
 }
 
-function MCQBlock({ q, ans, setAns, showReference }) {
+/** Has the player entered anything worth locking? */
+function hasAnswer(q, ans) {
+    if (q.type === "mcq") return (ans?.chosenIndices || []).length > 0;
+    if (q.type === "truefalse") return typeof ans?.choice === "boolean";
+    if (q.type === "ordering") return Array.isArray(ans?.order);
+    if (q.type === "matching") return Object.keys(ans?.matches || {}).length > 0;
+    if (isStructuredReading(q)) return q.subQuestions.some((sub) => hasAnswer(sub, ans?.subs?.[sub.id]));
+    return (ans?.texts || []).some((t) => t && t.trim() !== "");
+}
+
+function MCQBlock({ q, ans, setAns, showReference, feedback, frozen, points, strategy }) {
     const chosenIndices = ans?.chosenIndices || []; // User's chosen indices
     const correctIndices = q.correctIndices || []; // Correct indices from question
     const isMultiChoice = q.isMultiChoice;
     const hasAnswered = chosenIndices.length > 0;
 
     function toggleChoice(idx) {
-        if (showReference) return; // Prevent changing answers if references are shown
+        if (frozen) return; // Prevent changing answers once locked, timed out or revealed
 
         let newChosenIndices;
         if (isMultiChoice) {
@@ -680,10 +1191,9 @@ function MCQBlock({ q, ans, setAns, showReference }) {
     const isCorrectChoice = (idx) => correctIndices.includes(idx);
     const isChosenByUser = (idx) => chosenIndices.includes(idx);
 
-    // Quiz score logic (for UI feedback)
-    const allCorrectChosen = correctIndices.every(cIdx => chosenIndices.includes(cIdx));
-    const noIncorrectChosen = chosenIndices.every(cIdx => correctIndices.includes(cIdx));
-    const isFullyCorrect = allCorrectChosen && noIncorrectChosen && correctIndices.length === chosenIndices.length; // THIS IS LINE 661
+    // Same scoring module as the score summary, so the tag always matches the total
+    const verdict = mcqVerdict(q, chosenIndices);
+    const gained = scoreMcq(q, chosenIndices, points, strategy);
 
     return (
         <div className="space-y-2">
@@ -691,7 +1201,7 @@ function MCQBlock({ q, ans, setAns, showReference }) {
                 let buttonClass = "";
                 let icon = null;
 
-                if (showReference || hasAnswered) { // Show feedback if references are out or user has answered
+                if (showReference || (feedback && hasAnswered)) { // Show feedback if references are out or the answer may be judged
                     const chosen = isChosenByUser(idx);
                     const correct = isCorrectChoice(idx);
 
@@ -711,10 +1221,10 @@ function MCQBlock({ q, ans, setAns, showReference }) {
                     <button
                         key={idx}
                         className={`w-full text-left px-3 py-2 rounded-xl border flex items-center justify-between transition ${
-                            showReference ? "cursor-not-allowed" : "hover:bg-gray-50"
+                            frozen ? "cursor-not-allowed" : "hover:bg-gray-50"
                         } ${buttonClass}`}
                         onClick={() => toggleChoice(idx)}
-                        disabled={showReference}
+                        disabled={frozen}
                     >
                         <span className="mr-2 font-medium">{String.fromCharCode(65 + idx)}.</span>
                         <span className="flex-1 text-gray-800">{opt}</span>
@@ -722,7 +1232,7 @@ function MCQBlock({ q, ans, setAns, showReference }) {
                     </button>
                 );
             })}
-            {(showReference || hasAnswered) && (
+            {(showReference || (feedback && hasAnswered)) && (
                 <div className="text-sm mt-1 p-2 rounded-lg bg-gray-50 border border-gray-200">
                     <div className="flex items-center gap-2 mb-1"> {/* Add this div for overall correctness feedback */}
                         正确答案：
@@ -736,13 +1246,17 @@ function MCQBlock({ q, ans, setAns, showReference }) {
                             <Tag tone="gray">无</Tag> // Should not happen for MCQs
                         )}
                         {hasAnswered && ( // Only show overall feedback if user has answered
-                            isFullyCorrect ? (
+                            verdict === "correct" ? (
                                 <Tag tone="green" className="ml-auto flex items-center gap-1">
-                                    <CheckCircle2 className="w-3 h-3" /> 完全正确
+                                    <CheckCircle2 className="w-3 h-3" /> 完全正确 +{gained}
+                                </Tag>
+                            ) : gained > 0 ? (
+                                <Tag tone="amber" className="ml-auto flex items-center gap-1">
+                                    <CheckCircle2 className="w-3 h-3" /> 部分正确 +{gained}
                                 </Tag>
                             ) : (
                                 <Tag tone="rose" className="ml-auto flex items-center gap-1">
-                                    <XCircle className="w-3 h-3" /> 部分或完全错误
+                                    <XCircle className="w-3 h-3" /> {verdict === "partial" ? "部分正确，不得分" : "错误"}
                                 </Tag>
                             )
                         )}
@@ -765,9 +1279,349 @@ function MCQBlock({ q, ans, setAns, showReference }) {
 // --- App.js (部分) ---
 // ...
 
-function ManualBlock({ q, ans, setAns, forceShowReference, adminMode }) {
-    const maxPoints = LEVEL_POINTS[q.level];
-    const manualScore = ans?.manualScore; // Current score given by admin
+// Verdict tag shared by the auto-graded blocks below
+function ScoreVerdict({ gained, points }) {
+    if (gained >= points && points > 0) {
+        return <Tag tone="green" className="flex items-center gap-1"><CheckCircle2 className="w-3 h-3" /> 完全正确 +{gained}</Tag>;
+    }
+    if (gained > 0) {
+        return <Tag tone="amber" className="flex items-center gap-1"><CheckCircle2 className="w-3 h-3" /> 部分正确 +{gained}</Tag>;
+    }
+    return <Tag tone="rose" className="flex items-center gap-1"><XCircle className="w-3 h-3" /> 错误</Tag>;
+}
+
+function TrueFalseBlock({ q, ans, setAns, showReference, feedback, frozen, points }) {
+    const choice = ans?.choice;
+    const answered = typeof choice === "boolean";
+    const judged = showReference || (feedback && answered);
+
+    return (
+        <div className="space-y-2">
+            <div className="grid grid-cols-2 gap-2">
+                {[true, false].map((v) => {
+                    let tone = "";
+                    if (judged && choice === v) tone = v === q.answer ? "bg-green-100 border-green-400 text-green-800" : "bg-rose-100 border-rose-400 text-rose-800";
+                    else if (showReference && v === q.answer) tone = "bg-green-50 border-green-200 text-green-700";
+                    else if (choice === v) tone = "bg-blue-50 border-blue-400";
+                    return (
+                        <button
+                            key={String(v)}
+                            className={`px-3 py-2 rounded-xl border transition ${frozen ? "cursor-not-allowed" : "hover:bg-gray-50"} ${tone}`}
+                            onClick={() => !frozen && setAns({ choice: v })}
+                            disabled={frozen}
+                        >
+                            {v ? <CheckCircle2 className="w-4 h-4 inline -mt-0.5 mr-1" /> : <XCircle className="w-4 h-4 inline -mt-0.5 mr-1" />}
+                            {v ? "正确" : "错误"}
+                        </button>
+                    );
+                })}
+            </div>
+            {judged && (
+                <div className="text-sm p-2 rounded-lg bg-gray-50 border border-gray-200 flex items-center gap-2">
+                    正确答案：<Tag tone="green">{q.answer ? "正确" : "错误"}</Tag>
+                    {answered && <span className="ml-auto"><ScoreVerdict gained={scoreTrueFalse(q, choice, points)} points={points} /></span>}
+                </div>
+            )}
+            {showReference && q.reference && (
+                <div className="text-sm text-gray-700 prose prose-sm max-w-none">
+                    <ReactMarkdown>{q.reference}</ReactMarkdown>
+                </div>
+            )}
+        </div>
+    );
+}
+
+// 排序题：拖动（或用上下按钮）调整顺序；初始顺序按题目 id 固定打乱
+function OrderingBlock({ q, ans, setAns, showReference, feedback, frozen, points, strategy }) {
+    const items = q.items || [];
+    const order = ans?.order || scrambledIndices(items.length, q.id);
+    const judged = showReference || feedback;
+    const [dragFrom, setDragFrom] = useState(null);
+
+    // The scrambled start is not an answer: only the first move stores one, untouched questions score 0
+    function move(from, to) {
+        if (frozen || from === null || to < 0 || to >= order.length || from === to) return;
+        const next = [...order];
+        const [x] = next.splice(from, 1);
+        next.splice(to, 0, x);
+        setAns({ order: next });
+    }
+
+    return (
+        <div className="space-y-2">
+            <ol className="space-y-1">
+                {order.map((idx, pos) => {
+                    const tone = judged ? (idx === pos ? "bg-green-50 border-green-300" : "bg-rose-50 border-rose-300") : "bg-white";
+                    return (
+                        <li
+                            key={idx}
+                            draggable={!frozen}
+                            onDragStart={() => setDragFrom(pos)}
+                            onDragOver={(e) => e.preventDefault()}
+                            onDrop={() => {
+                                move(dragFrom, pos);
+                                setDragFrom(null);
+                            }}
+                            className={`flex items-center gap-2 px-3 py-2 rounded-xl border ${frozen ? "" : "cursor-move"} ${tone}`}
+                        >
+                            {!frozen && <GripVertical className="w-4 h-4 text-gray-400 shrink-0" />}
+                            <span className="text-sm text-gray-500 w-5">{pos + 1}.</span>
+                            <span className="flex-1">{items[idx]}</span>
+                            {judged && (idx === pos ? <CheckCircle2 className="w-4 h-4 text-green-600" /> : <XCircle className="w-4 h-4 text-rose-600" />)}
+                            {!frozen && (
+                                <>
+                                    <button type="button" className="p-1 text-gray-500 disabled:opacity-30" disabled={pos === 0} onClick={() => move(pos, pos - 1)} title="上移"><ArrowUp className="w-4 h-4" /></button>
+                                    <button type="button" className="p-1 text-gray-500 disabled:opacity-30" disabled={pos === order.length - 1} onClick={() => move(pos, pos + 1)} title="下移"><ArrowDown className="w-4 h-4" /></button>
+                                </>
+                            )}
+                        </li>
+                    );
+                })}
+            </ol>
+            {judged && (
+                <div className="text-sm p-2 rounded-lg bg-gray-50 border border-gray-200 space-y-1">
+                    <div className="flex items-center gap-2">
+                        <span className="flex-1">正确顺序：{items.join(" → ")}</span>
+                        <ScoreVerdict gained={scoreOrdering(q, ans?.order, points, strategy)} points={points} />
+                    </div>
+                    {showReference && q.reference && (
+                        <div className="text-gray-700 prose prose-sm max-w-none">
+                            <ReactMarkdown>{q.reference}</ReactMarkdown>
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
+
+// 连线题：为左列每一项选择右列对应项，右列按题目 id 固定打乱
+function MatchingBlock({ q, ans, setAns, showReference, feedback, frozen, points }) {
+    const pairs = q.pairs || [];
+    const rightOrder = scrambledIndices(pairs.length, q.id);
+    const matches = ans?.matches || {};
+    const judged = showReference || feedback;
+    const used = new Set(Object.values(matches));
+
+    function choose(i, value) {
+        const next = { ...matches };
+        if (value === "") delete next[i];
+        else next[i] = Number(value);
+        setAns({ matches: next });
+    }
+
+    return (
+        <div className="space-y-2">
+            {pairs.map((p, i) => {
+                const chosen = matches[i];
+                const tone = judged ? (chosen === i ? "border-green-300 bg-green-50" : "border-rose-300 bg-rose-50") : "";
+                return (
+                    <div key={i} className={`flex items-center gap-2 px-3 py-2 rounded-xl border ${tone}`}>
+                        <span className="flex-1">{p.left}</span>
+                        <span className="text-gray-400">—</span>
+                        <select
+                            className="flex-1 px-2 py-1 border rounded-lg bg-white text-sm"
+                            value={chosen ?? ""}
+                            onChange={(e) => choose(i, e.target.value)}
+                            disabled={frozen}
+                        >
+                            <option value="">请选择</option>
+                            {rightOrder.map((j) => (
+                                <option key={j} value={j}>{pairs[j].right}{used.has(j) && chosen !== j ? "（已选）" : ""}</option>
+                            ))}
+                        </select>
+                        {judged && (chosen === i ? <CheckCircle2 className="w-4 h-4 text-green-600 shrink-0" /> : <XCircle className="w-4 h-4 text-rose-600 shrink-0" />)}
+                    </div>
+                );
+            })}
+            {judged && (
+                <div className="text-sm p-2 rounded-lg bg-gray-50 border border-gray-200 space-y-1">
+                    <div className="flex items-start gap-2">
+                        <span className="flex-1">正确配对：{pairs.map((p) => `${p.left} — ${p.right}`).join("；")}</span>
+                        <ScoreVerdict gained={scoreMatching(q, matches, points)} points={points} />
+                    </div>
+                    {showReference && q.reference && (
+                        <div className="text-gray-700 prose prose-sm max-w-none">
+                            <ReactMarkdown>{q.reference}</ReactMarkdown>
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
+
+// 填空输入框；公布后逐空标记对错并列出可接受答案（阅读题的填空小题也用它）
+function BlankInputs({ q, ans, setAns, forceShowReference, frozen }) {
+    const texts = ans?.texts || [];
+    const auto = isAutoGraded(q);
+    const grade = auto ? gradeFill(q, texts) : null;
+    const blanks = fillBlanks(q);
+
+    function setText(i, value) {
+        const next = Array.from({ length: blankCount(q) }, (_, k) => texts[k] || "");
+        next[i] = value;
+        setAns({ texts: next });
+    }
+
+    return (
+        <div className="space-y-2">
+            <div className="space-y-2">
+                {Array.from({ length: blankCount(q) }, (_, i) => (
+                    <div key={i} className="flex items-center gap-2">
+                        {blankCount(q) > 1 && <span className="text-sm text-gray-500 w-12 shrink-0">第 {i + 1} 空</span>}
+                        <Input
+                            value={texts[i] || ""}
+                            onChange={(e) => setText(i, e.target.value)}
+                            placeholder="在此输入答案"
+                            disabled={frozen}
+                        />
+                        {forceShowReference && grade && (
+                            grade.results[i]
+                                ? <CheckCircle2 className="w-5 h-5 text-green-600 shrink-0" />
+                                : <XCircle className="w-5 h-5 text-rose-600 shrink-0" />
+                        )}
+                    </div>
+                ))}
+            </div>
+            {forceShowReference && auto && (
+                <div className="text-xs text-gray-500">
+                    可接受答案：{blanks.map((b, i) => `${blanks.length > 1 ? `[${i + 1}] ` : ""}${b.accepted.join(" / ") || "（按规则匹配）"}`).join("；")}
+                </div>
+            )}
+        </div>
+    );
+}
+
+function FillBlock({ q, ans, setAns, forceShowReference, frozen, canGrade, maxPoints }) {
+    const auto = isAutoGraded(q);
+    return (
+        <div className="space-y-2">
+            <BlankInputs q={q} ans={ans} setAns={setAns} forceShowReference={forceShowReference} frozen={frozen} />
+            <ManualBlock
+                q={q}
+                ans={ans}
+                setAns={setAns}
+                forceShowReference={forceShowReference}
+                frozen={frozen}
+                canGrade={canGrade}
+                maxPoints={maxPoints}
+                autoScore={auto ? autoFillScore(q, ans?.texts, maxPoints) : undefined}
+            />
+        </div>
+    );
+}
+
+// 结构化阅读题：材料在左侧随页面固定，右侧逐个小题作答，按各小题分值自动判分
+function ReadingBlock({ q, ans, setAns, showReference, revealed, feedback, frozen, canGrade, rules }) {
+    const levelPoints = rules.points[q.level] || 0;
+    const points = subQuestionPoints(q, levelPoints);
+    const subScores = scoreSubQuestions(q, ans, rules);
+    const autoScore = Object.values(subScores).reduce((a, b) => round2(a + b), 0);
+
+    function setSub(subId, data) {
+        const subs = ans?.subs || {};
+        setAns({ subs: { ...subs, [subId]: { ...(subs[subId] || {}), ...data } } });
+    }
+
+    return (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div className="md:sticky md:top-20 self-start max-h-[70vh] overflow-auto p-3 rounded-xl border bg-gray-50">
+                <div className="text-xs text-gray-500 mb-1">阅读材料</div>
+                <div className="prose prose-sm max-w-none">
+                    <ReactMarkdown remarkPlugins={[remarkGfm]} rehypePlugins={[rehypeRaw]} children={q.passage} />
+                </div>
+            </div>
+            <div className="space-y-4">
+                {q.subQuestions.map((sub, i) => (
+                    <div key={sub.id} className="space-y-2">
+                        <div className="flex items-start gap-2">
+                            <span className="font-medium">{i + 1}.</span>
+                            <div className="prose prose-sm max-w-none flex-1">
+                                <ReactMarkdown children={sub.title} />
+                            </div>
+                            <Tag tone="gray">{points[i]} 分</Tag>
+                        </div>
+                        {sub.type === "mcq" ? (
+                            <MCQBlock
+                                q={sub}
+                                ans={ans?.subs?.[sub.id]}
+                                setAns={(data) => setSub(sub.id, data)}
+                                showReference={showReference}
+                                feedback={feedback}
+                                frozen={frozen}
+                                points={points[i]}
+                                strategy={mcqStrategy(rules, sub)}
+                            />
+                        ) : (
+                            <>
+                                <BlankInputs
+                                    q={sub}
+                                    ans={ans?.subs?.[sub.id]}
+                                    setAns={(data) => setSub(sub.id, data)}
+                                    forceShowReference={revealed}
+                                    frozen={frozen}
+                                />
+                                {revealed && <div className="text-sm text-gray-700">小题得分：<Tag tone="blue">{subScores[sub.id]}</Tag> 分</div>}
+                            </>
+                        )}
+                    </div>
+                ))}
+                <ManualBlock
+                    q={q}
+                    ans={ans}
+                    setAns={setAns}
+                    forceShowReference={revealed}
+                    frozen={frozen}
+                    canGrade={canGrade}
+                    maxPoints={levelPoints}
+                    autoScore={autoScore}
+                />
+            </div>
+        </div>
+    );
+}
+
+// 简答 / 阅读题的书面作答；阅读题有编号小问时每问一个输入框
+function TextAnswerBlock({ q, ans, setAns, forceShowReference, frozen, canGrade, maxPoints }) {
+    const texts = ans?.texts || [];
+    const parts = answerParts(q);
+
+    function setText(i, value) {
+        const next = parts.map((_, k) => texts[k] || "");
+        next[i] = value;
+        setAns({ texts: next });
+    }
+
+    return (
+        <div className="space-y-2">
+            {parts.map((label, i) => (
+                <div key={i}>
+                    {label && <div className="text-sm text-gray-500 mb-1">{label}</div>}
+                    <Textarea
+                        value={texts[i] || ""}
+                        onChange={(e) => setText(i, e.target.value)}
+                        placeholder="在此输入作答"
+                        disabled={frozen}
+                    />
+                </div>
+            ))}
+            <ManualBlock
+                q={q}
+                ans={ans}
+                setAns={setAns}
+                forceShowReference={forceShowReference}
+                frozen={frozen}
+                canGrade={canGrade}
+                maxPoints={maxPoints}
+            />
+        </div>
+    );
+}
+
+function ManualBlock({ q, ans, setAns, forceShowReference, frozen, canGrade, maxPoints, autoScore }) {
+    const manualScore = ans?.manualScore; // Current score given by an admin or grader
+    const autoGraded = autoScore !== undefined; // fill questions with accepted answers; admin score is an override
 
     // 内部状态，控制当前题目的参考答案显示
     const [localShowReference, setLocalShowReference] = useState(false);
@@ -782,39 +1636,47 @@ function ManualBlock({ q, ans, setAns, forceShowReference, adminMode }) {
     // 定义评分选项
     const choices = Array.from({ length: maxPoints + 1 }, (_, i) => i); // 0 to maxPoints
 
-    // 管理员只有在 adminMode 开启 且 参考答案已显示（或强制显示）时才能打分
+    // 锁定或超时后、公布答案前，本题保持冻结：不能查看参考答案，也不能打分
+    const referenceShown = forceShowReference || (localShowReference && !frozen);
+
+    // 管理员 / 评分员登录后，且参考答案已显示（或强制显示）时才能打分
     // 如果没有显示参考答案就不能打分
-    const canGrade = adminMode && (localShowReference || forceShowReference);
+    const gradingOpen = canGrade && referenceShown;
 
     return (
         <div className="space-y-2">
-            {!adminMode && (
-                <div className="text-sm text-gray-600">此题需管理员评分。</div>
+            {!canGrade && !autoGraded && (
+                <div className="text-sm text-gray-600">此题需评分员评分。</div>
             )}
 
-            {adminMode && ( // 管理员UI
+            {canGrade && ( // 评分UI
                 <>
                     <div className="flex gap-2 items-center justify-between mb-2">
                         <Button
                             onClick={() => setLocalShowReference(prev => !prev)}
-                            className={`bg-gray-100 text-gray-700 hover:bg-gray-200 ${localShowReference ? 'border-blue-300 text-blue-700' : ''}`}
-                            disabled={forceShowReference} // 在 finished 阶段禁用切换按钮
+                            className={`bg-gray-100 text-gray-700 hover:bg-gray-200 ${referenceShown ? 'border-blue-300 text-blue-700' : ''}`}
+                            disabled={forceShowReference || frozen} // 在 finished 阶段或冻结时禁用切换按钮
                         >
                             <Eye className="w-4 h-4 inline mr-1" />
-                            {localShowReference ? "隐藏参考答案" : "显示参考答案"}
+                            {referenceShown ? "隐藏参考答案" : "显示参考答案"}
                         </Button>
                         <div className="flex items-center gap-2">
-                            <span className="text-sm font-medium">评分 ({maxPoints} 分):</span>
+                            <span className="text-sm font-medium">{autoGraded ? "改判" : "评分"} ({maxPoints} 分):</span>
                             {choices.map((p) => (
                                 <Button
                                     key={p}
                                     onClick={() => setAns({ manualScore: p })}
                                     className={`${manualScore === p ? "bg-blue-600 text-white" : "bg-gray-100 hover:bg-gray-200"}`}
-                                    disabled={!canGrade} // 只有在允许打分时才启用按钮
+                                    disabled={!gradingOpen} // 只有在允许打分时才启用按钮
                                 >
                                     {p} 分
                                 </Button>
                             ))}
+                            {autoGraded && manualScore !== undefined && (
+                                <Button onClick={() => setAns({ manualScore: undefined })} className="bg-gray-100 hover:bg-gray-200" disabled={!gradingOpen}>
+                                    恢复自动
+                                </Button>
+                            )}
                         </div>
                     </div>
                 </>
@@ -823,16 +1685,31 @@ function ManualBlock({ q, ans, setAns, forceShowReference, adminMode }) {
             {/* 无论是否管理员模式，只要有分数，就显示得分 */}
             {manualScore !== undefined && (
                 <div className="text-sm text-gray-700">
-                    你的得分：<Tag tone="blue">{manualScore}</Tag> 分
+                    你的得分：<Tag tone="blue">{manualScore}</Tag> 分{autoGraded && <span className="text-xs text-gray-500 ml-1">（人工改判）</span>}
+                    {ans?.graderComment && <div className="text-xs text-gray-500 mt-1">评分备注：{ans.graderComment}</div>}
+                </div>
+            )}
+            {/* 自动判分只在公布答案后显示，避免答题中泄露正误 */}
+            {manualScore === undefined && autoGraded && forceShowReference && (
+                <div className="text-sm text-gray-700">
+                    你的得分：<Tag tone="blue">{autoScore}</Tag> 分<span className="text-xs text-gray-500 ml-1">（自动判分）</span>
                 </div>
             )}
 
-            {/* 参考答案显示，受 localShowReference 或 forceShowReference 控制 */}
-            {(localShowReference || forceShowReference) && q.reference && (
-                <div className="mt-2 p-3 rounded-xl bg-amber-50 border border-amber-300 text-sm text-amber-900">
-                    <div className="font-medium mb-1">参考答案</div>
-                    <div className="prose prose-sm max-w-none">
-                        <ReactMarkdown>{q.reference}</ReactMarkdown>
+            {/* 参考答案显示，受 localShowReference 或 forceShowReference 控制；评分时与选手作答并排 */}
+            {referenceShown && q.reference && (
+                <div className={`mt-2 grid gap-2 text-sm ${canGrade ? "md:grid-cols-2" : ""}`}>
+                    {canGrade && (
+                        <div className="p-3 rounded-xl border bg-gray-50">
+                            <div className="font-medium mb-1">选手作答</div>
+                            <WrittenAnswer q={q} ans={ans} />
+                        </div>
+                    )}
+                    <div className="p-3 rounded-xl bg-amber-50 border border-amber-300 text-amber-900">
+                        <div className="font-medium mb-1">参考答案</div>
+                        <div className="prose prose-sm max-w-none">
+                            <ReactMarkdown>{q.reference}</ReactMarkdown>
+                        </div>
                     </div>
                 </div>
             )}
@@ -842,18 +1719,18 @@ function ManualBlock({ q, ans, setAns, forceShowReference, adminMode }) {
 
 // ...
 
-function AdminArea({ questions, setQuestions, hints, setHints, selectedIP, ips }) {
+function AdminArea({ questions, editQuestions, ipMeta, editIpMeta, onSaveIp, journal, onUndo, onRedo, onRestore, selectedIP, ips, runs, setRuns, drawSettings, setDrawSettings, rules, rulesStore, setRulesStore, storageStatus, bankReport, upgradeItems, onApplyUpgrade, onIgnoreUpgrade, onLaterUpgrade }) {
     const [form, setForm] = useState(null); // null indicates no editing
     const [newIp, setNewIp] = useState("");
-    const [specialHint, setSpecialHint] = useState(() => (selectedIP ? (hints?.[selectedIP] || "") : ""));
-    const [adminPin, setAdminPinState] = useState(getAdminPin());
+    const [currentAdminPin, setCurrentAdminPin] = useState("");
     const [newAdminPin, setNewAdminPin] = useState("");
+    const [newGraderPin, setNewGraderPin] = useState("");
+    const [graderPinSet, setGraderPinSet] = useState(() => hasGraderPin());
+    const [pendingImport, setPendingImport] = useState(null); // { kind, data, media?, report, step: "map"|"check"|"merge" } awaiting review
+    const [historyFor, setHistoryFor] = useState(null); // question whose edit history is open
+    const [filters, setFilters] = useState(EMPTY_FILTERS); // bank list search, see search.js
 
 
-    useEffect(() => {
-        setSpecialHint(selectedIP ? (hints?.[selectedIP] || "") : "");
-    }, [selectedIP, hints]);
-
     function resetForm() {
         setForm({
             id: "",
@@ -868,16 +1745,16 @@ function AdminArea({ questions, setQuestions, hints, setHints, selectedIP, ips }
         });
     }
 
-    function saveSpecialHint() {
-        if (!selectedIP) return alert("请先选择一个 IP 分类来保存提示。");
-        setHints((prev) => ({ ...(prev || {}), [selectedIP]: specialHint }));
-        alert("特殊提示已保存！");
-    }
-
     function saveQuestion() {
         const payload = { ...form };
         if (!payload.ip || !payload.title) return alert("请填写 IP 名称与题目内容");
 
+        if (payload.media?.length) {
+            payload.media = payload.media.map(({ caption, ...m }) => (caption?.trim() ? { ...m, caption: caption.trim() } : m));
+        } else {
+            delete payload.media;
+        }
+
         if (payload.type === "mcq") {
             // Filter out empty options before validation
             payload.options = payload.options.filter(o => o.trim() !== "");
@@ -889,59 +1766,187 @@ function AdminArea({ questions, setQuestions, hints, setHints, selectedIP, ips }
             }
             // Ensure correctIndices only contain valid indices for existing options
             payload.correctIndices = payload.correctIndices.filter(idx => idx >= 0 && idx < payload.options.length);
+            if (!payload.isMultiChoice || !payload.scoring) delete payload.scoring; // single choice is always all-or-nothing
 
         } else {
             // Non-MCQ types don't need options, correctIndices, isMultiChoice
             delete payload.options;
             delete payload.correctIndices;
             delete payload.isMultiChoice;
+            delete payload.scoring;
             // Reference is optional for these, but good to have
         }
 
+        if (payload.type === "fill" && payload.blanks) {
+            payload.blanks = payload.blanks
+                .map((b) => ({
+                    accepted: (b.accepted || []).map((x) => x.trim()).filter(Boolean),
+                    patterns: (b.patterns || []).map((x) => x.trim()).filter(Boolean),
+                }));
+            // Blanks stay in place: the n-th one belongs to the n-th "____" and the n-th typed answer
+            const empty = payload.blanks.findIndex((b) => b.accepted.length === 0 && b.patterns.length === 0);
+            const configured = payload.blanks.some((b) => b.accepted.length > 0 || b.patterns.length > 0);
+            if (configured && empty >= 0) return alert(`第 ${empty + 1} 空没有可接受答案，请填写或删除该空。`);
+            for (const p of payload.blanks.flatMap((b) => b.patterns)) {
+                try {
+                    new RegExp(p, "iu");
+                } catch (e) {
+                    return alert(`正则表达式无效：${p}\n${e.message}`);
+                }
+            }
+            if (!configured) delete payload.blanks;
+        } else {
+            delete payload.blanks;
+        }
+
+        if (payload.type === "truefalse") {
+            if (typeof payload.answer !== "boolean") return alert("请选择判断题的正确答案。");
+        } else {
+            delete payload.answer;
+        }
+        if (payload.type === "ordering") {
+            payload.items = (payload.items || []).map((x) => x.trim()).filter(Boolean);
+            if (payload.items.length < 2) return alert("排序题至少需要两项。");
+        } else {
+            delete payload.items;
+        }
+        if (payload.type === "matching") {
+            payload.pairs = (payload.pairs || [])
+                .map((p) => ({ left: p.left.trim(), right: p.right.trim() }))
+                .filter((p) => p.left || p.right);
+            if (payload.pairs.some((p) => !p.left || !p.right)) return alert("连线题每一对都需要填写左右两项。");
+            if (payload.pairs.length < 2) return alert("连线题至少需要两对。");
+        } else {
+            delete payload.pairs;
+        }
+
+        if (payload.type === "reading" && payload.subQuestions) {
+            // Structured reading: passage + sub-questions; an empty list falls back to a plain reading question
+            payload.subQuestions = payload.subQuestions.map(normalizeSubQuestion);
+            if (payload.subQuestions.length === 0) {
+                delete payload.subQuestions;
+                delete payload.passage;
+            } else {
+                if (!String(payload.passage || "").trim()) return alert("请填写阅读材料。");
+                for (const [i, sub] of payload.subQuestions.entries()) {
+                    const problem = lintSubQuestion(sub).find((x) => x.severity === "error");
+                    if (problem) return alert(`第 ${i + 1} 小题：${problem.message}`);
+                }
+            }
+        } else {
+            delete payload.subQuestions;
+            delete payload.passage;
+        }
+
+        // Several contributors share the bank; catch a question someone already wrote
+        const dups = duplicatesOf(payload, questions, loadIgnoredPairs().pairs);
+        if (dups.length > 0) {
+            const list = dups
+                .slice(0, 5)
+                .map((d) => `[${d.a.ip}] ${d.a.title.slice(0, 40)}（${d.kind === "exact" ? "完全重复" : `相似度 ${Math.round(d.score * 100)}%`}）`)
+                .join("\n");
+            if (!window.confirm(`题库中已有相似的题目：\n${list}\n\n仍要保存吗？`)) return;
+        }
+
         if (payload.id) {
             // Update existing question
-            setQuestions((prev) => prev.map((q) => (q.id === payload.id ? payload : q)));
+            editQuestions((prev) => prev.map((q) => (q.id === payload.id ? payload : q)), "编辑题目");
         } else {
             // Add new question
             payload.id = uid();
-            setQuestions((prev) => [payload, ...prev]);
+            editQuestions((prev) => [payload, ...prev], "新增题目");
         }
         setForm(null); // Close the form
     }
 
+    // One-off helper for banks that predate accepted-answer lists
+    function initFillAnswers() {
+        const targets = questions.filter((q) => q.type === "fill" && !q.blanks && blankCount(q) === 1 && q.reference);
+        if (targets.length === 0) return alert("没有可初始化的填空题（已配置或含多个空的题目请手动编辑）。");
+        if (!window.confirm(`将为 ${targets.length} 道单空填空题从参考答案生成可接受答案，建议生成后逐题复核。继续吗？`)) return;
+        const ids = new Set(targets.map((q) => q.id));
+        editQuestions((prev) => prev.map((q) => (ids.has(q.id) ? { ...q, blanks: [{ accepted: acceptedFromReference(q.reference), patterns: [] }] } : q)), "批量生成填空答案");
+    }
+
+    function mergeDuplicateQuestions(keep, drop) {
+        const what = keep.type === drop.type ? "用另一题补全缺少的内容" : "题型不同，只并入另一题的媒体附件";
+        if (!window.confirm(`保留「${keep.title.slice(0, 30)}」，${what}后删除另一题？可在「修改记录」中撤销。`)) return;
+        editQuestions(
+            (prev) => prev.filter((q) => q.id !== drop.id).map((q) => (q.id === keep.id ? mergeDuplicate(keep, drop) : q)),
+            "合并重复题目"
+        );
+    }
+
     function deleteQuestion(id) {
-        if (window.confirm("确定要删除此题目吗？此操作不可逆！")) {
-            setQuestions((prev) => prev.filter((q) => q.id !== id));
+        if (window.confirm("确定要删除此题目吗？可在「修改记录」中撤销。")) {
+            editQuestions((prev) => prev.filter((q) => q.id !== id), "删除题目");
         }
     }
 
     function addNewIp() {
         const name = newIp.trim();
         if (!name) return alert("IP 名称不能为空。");
-        // Check if IP already exists in questions or hints
-        const exists = questions.some((q) => q.ip === name) || Object.keys(hints || {}).some(ip => ip === name);
+        // Check if IP already exists in questions or IP records
+        const exists = questions.some((q) => q.ip === name) || name in ipMeta;
         if (exists) return alert("IP 名称已存在，请勿重复添加。");
 
-        // Create an empty hint entry for the new IP to make it show up in the IP list
-        setHints((prev) => ({ ...(prev || {}), [name]: "" }));
+        // An empty record makes the new IP show up in the IP list before it has questions
+        editIpMeta((prev) => ({ ...prev, [name]: makeIp() }), "新增 IP");
         setNewIp("");
         alert(`IP "${name}" 已添加！`);
     }
 
-    function changeAdminPin() {
+    async function changeAdminPin() {
         const newPin = newAdminPin.trim();
         if (!newPin) return alert("新 PIN 码不能为空。");
-        if (newPin.length < 4) return alert("PIN 码至少需要 4 位。");
-
-        setAdminPin(newPin);
-        setAdminPinState(newPin); // Update local state for display
+        const policy = pinPolicyError(newPin);
+        if (policy) return alert(policy);
+        try {
+            // Re-check the current PIN so an unattended session cannot take over the booth
+            const check = await verifyPin(currentAdminPin, { roles: ["admin"] });
+            if (!check.ok) return alert(check.lockedMs ? "输错次数过多，已暂时锁定。" : "当前 PIN 码不正确。");
+
+            const refused = await setRolePin("admin", newPin);
+            if (refused) return alert(refused);
+        } catch (e) {
+            return alert(describeAuthError(e));
+        }
+        setCurrentAdminPin("");
         setNewAdminPin("");
         alert("管理员 PIN 码已更新！");
     }
 
+    async function changeGraderPin() {
+        const newPin = newGraderPin.trim();
+        const policy = pinPolicyError(newPin);
+        if (policy) return alert(policy);
+        try {
+            const refused = await setRolePin("grader", newPin);
+            if (refused) return alert(refused);
+        } catch (e) {
+            return alert(describeAuthError(e));
+        }
+        setNewGraderPin("");
+        setGraderPinSet(true);
+        alert("评分员 PIN 码已设置！");
+    }
+
+    function removeGraderPin() {
+        if (!window.confirm("确定要停用评分员 PIN 吗？评分员将无法再登录。")) return;
+        clearGraderPin();
+        setGraderPinSet(false);
+    }
+
     // --- 导出题目功能 ---
-    function exportQuestions() {
-        const dataStr = JSON.stringify(questions, null, 2); // null, 2 for pretty print
+    // Banks with media export as a bundle carrying the files; others stay a plain array
+    async function exportQuestions() {
+        let records = [];
+        try {
+            records = await loadMediaList([...referencedMediaIds(questions)]);
+        } catch (e) {
+            if (!window.confirm("读取媒体文件失败，是否只导出题目（不含媒体）？")) return;
+        }
+        const dataStr = JSON.stringify(records.length ? makeBundle(questions, records) : questions, null, 2); // null, 2 for pretty print
         const blob = new Blob([dataStr], { type: "application/json" });
         const url = URL.createObjectURL(blob);
         const a = document.createElement("a");
@@ -954,6 +1959,33 @@ function AdminArea({ questions, setQuestions, hints, setHints, selectedIP, ips }
         alert("题库已导出！");
     }
 
+    // Uploads of cancelled edits and media of deleted questions stay in the database until pruned;
+    // the question open in the editor counts as in use, its uploads are not saved to the bank yet
+    async function pruneUnusedMedia() {
+        if (!window.confirm("删除所有未被题目或修改记录引用的媒体文件？正在编辑的题目中的媒体会保留。")) return;
+        try {
+            const n = await pruneMedia(referencedMediaIds(form ? [...questions, form] : questions, journal));
+            alert(n ? `已清理 ${n} 个媒体文件。` : "没有未使用的媒体文件。");
+        } catch (e) {
+            alert(describeStorageError(e));
+        }
+    }
+
+    // --- 导出表格（CSV / TSV）功能 ---
+    function exportQuestionsTable(delimiter) {
+        const ext = delimiter === "\t" ? "tsv" : "csv";
+        // BOM so that Excel opens the Chinese text as UTF-8
+        const blob = new Blob(["\uFEFF" + questionsToDelimited(questions, delimiter)], { type: `text/${ext === "tsv" ? "tab-separated-values" : "csv"};charset=utf-8` });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement("a");
+        a.href = url;
+        a.download = `ipquiz_questions_${new Date().toISOString().slice(0,10)}.${ext}`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
     // --- 导入题目功能 ---
     function importQuestions(event) {
         const file = event.target.files[0];
@@ -961,15 +1993,20 @@ function AdminArea({ questions, setQuestions, hints, setHints, selectedIP, ips }
 
         const reader = new FileReader();
         reader.onload = (e) => {
+            if (/\.(csv|tsv|txt)$/i.test(file.name)) {
+                // Spreadsheet rows go through the column mapping step first
+                const rows = parseDelimited(e.target.result);
+                if (rows.length < 2) return alert("表格中没有题目行。");
+                setPendingImport({ kind: "questions", rows, fileName: file.name, step: "map" });
+                return;
+            }
             try {
-                const importedData = JSON.parse(e.target.result);
-                if (Array.isArray(importedData)) {
-                    if (window.confirm(`确定要导入 ${importedData.length} 道题目吗？这将覆盖当前题库！`)) {
-                        setQuestions(importedData);
-                        alert("题库导入成功！");
-                    }
+                const bundle = readBundle(JSON.parse(e.target.result));
+                if (bundle) {
+                    // Nothing is written until the report has been reviewed; media are stored on merge
+                    setPendingImport({ kind: "questions", data: bundle.questions, media: bundle.media, report: validateQuestions(bundle.questions, rules), step: "check" });
                 } else {
-                    alert("导入文件格式不正确，请确保是题目数组的 JSON 文件。");
+                    alert("导入文件格式不正确，请确保是导出的题库文件或题目数组的 JSON 文件。");
                 }
             } catch (error) {
                 alert("解析 JSON 文件失败，请检查文件内容是否正确。\n" + error.message);
@@ -985,23 +2022,23 @@ function AdminArea({ questions, setQuestions, hints, setHints, selectedIP, ips }
         event.target.value = null;
     }
 
-    // --- 导出 hints 功能 ---
-    function exportHints() {
-        const dataStr = JSON.stringify(hints, null, 2);
+    // --- 导出 IP 资料功能 ---
+    function exportIpMeta() {
+        const dataStr = JSON.stringify(ipMeta, null, 2);
         const blob = new Blob([dataStr], { type: "application/json" });
         const url = URL.createObjectURL(blob);
         const a = document.createElement("a");
         a.href = url;
-        a.download = `ipquiz_hints_${new Date().toISOString().slice(0,10)}.json`;
+        a.download = `ipquiz_ips_${new Date().toISOString().slice(0,10)}.json`;
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
         URL.revokeObjectURL(url);
-        alert("提示数据已导出！");
+        alert("IP 资料已导出！");
     }
 
-    // --- 导入 hints 功能 ---
-    function importHints(event) {
+    // --- 导入 IP 资料功能（也接受旧版提示文件） ---
+    function importIpMeta(event) {
         const file = event.target.files[0];
         if (!file) return;
 
@@ -1009,13 +2046,10 @@ function AdminArea({ questions, setQuestions, hints, setHints, selectedIP, ips }
         reader.onload = (e) => {
             try {
                 const importedData = JSON.parse(e.target.result);
-                if (typeof importedData === 'object' && !Array.isArray(importedData)) { // Hints are an object, not an array
-                    if (window.confirm(`确定要导入提示数据吗？这将覆盖当前提示！`)) {
-                        setHints(importedData);
-                        alert("提示数据导入成功！");
-                    }
+                if (importedData && typeof importedData === 'object' && !Array.isArray(importedData)) { // IP records are an object, not an array
+                    setPendingImport({ kind: "ipMeta", data: normalizeIpMeta(importedData, ipMeta), report: validateIpMeta(importedData, questions), step: "check" });
                 } else {
-                    alert("导入文件格式不正确，请确保是提示对象的 JSON 文件。");
+                    alert("导入文件格式不正确，请确保是 IP 资料对象的 JSON 文件。");
                 }
             } catch (error) {
                 alert("解析 JSON 文件失败，请检查文件内容是否正确。\n" + error.message);
@@ -1031,13 +2065,38 @@ function AdminArea({ questions, setQuestions, hints, setHints, selectedIP, ips }
     }
 
 
-    const filteredQuestions = useMemo(() => {
+    // Merge instead of overwrite, so files from several contributors don't undo each other
+    async function applyMergedImport(merged, count) {
+        if (pendingImport.media?.length) {
+            // Only the files some merged question still refers to
+            const used = referencedMediaIds(merged);
+            try {
+                await saveMedia(pendingImport.media.filter((m) => used.has(m.id)));
+            } catch (e) {
+                return alert(describeStorageError(e));
+            }
+        }
+        if (pendingImport.kind === "questions") editQuestions(merged, `合并导入 ${count} 项`);
+        else editIpMeta(merged, `合并导入 IP 资料 ${count} 项`);
+        setPendingImport(null);
+        alert(`已合并 ${count} 项改动！`);
+    }
+
+    const searchResults = useMemo(() => {
         const arr = selectedIP ? questions.filter((q) => q.ip === selectedIP) : questions;
-        return arr.filter((q) => q.type !== "info"); // Hide legacy info-type items
-    }, [questions, selectedIP]);
+        return searchQuestions(arr.filter((q) => q.type !== "info"), filters, true); // Hide legacy info-type items
+    }, [questions, selectedIP, filters]);
+    const filteredQuestions = searchResults.map((r) => r.q);
 
     return (
         <div className="space-y-4 relative">
+            {upgradeItems.length > 0 && (
+                <BankUpgrade items={upgradeItems} onApply={onApplyUpgrade} onIgnore={onIgnoreUpgrade} onLater={onLaterUpgrade} />
+            )}
+
+            {/* Errors come first; a clean bank keeps its report further down */}
+            {bankReport.errors > 0 && <ValidationReport title="当前题库检查" report={bankReport} />}
+
             <Card>
                 <h3 className="font-semibold mb-2">题库导入/导出</h3>
                 <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 mb-4"> {/* Use grid for better layout */}
@@ -1045,26 +2104,75 @@ function AdminArea({ questions, setQuestions, hints, setHints, selectedIP, ips }
                         <Save className="w-4 h-4 inline mr-1" /> 导出题目库
                     </Button>
                     <label className="bg-green-600 text-white hover:bg-green-700 px-3 py-2 rounded-2xl shadow-sm border text-sm transition cursor-pointer w-full text-center">
-                        <input type="file" accept=".json" onChange={importQuestions} className="hidden" />
-                        <BookOpen className="w-4 h-4 inline mr-1" /> 导入题目库
+                        <input type="file" accept=".json,.csv,.tsv,.txt" onChange={importQuestions} className="hidden" />
+                        <BookOpen className="w-4 h-4 inline mr-1" /> 导入题目库（JSON / CSV / TSV）
                     </label>
+                    <Button onClick={() => exportQuestionsTable(",")} className="bg-gray-100 hover:bg-gray-200 text-gray-700 w-full">
+                        <Table className="w-4 h-4 inline mr-1" /> 导出表格 CSV
+                    </Button>
+                    <Button onClick={() => exportQuestionsTable("\t")} className="bg-gray-100 hover:bg-gray-200 text-gray-700 w-full">
+                        <Table className="w-4 h-4 inline mr-1" /> 导出表格 TSV
+                    </Button>
                 </div>
 
-                <h3 className="font-semibold mb-2">提示数据导入/导出</h3>
-                <div className="grid grid-cols-1 sm:grid-cols-2 gap-3"> {/* New section for hints */}
-                    <Button onClick={exportHints} className="bg-blue-600 text-white hover:bg-blue-700 w-full">
-                        <Save className="w-4 h-4 inline mr-1" /> 导出提示数据
+                <h3 className="font-semibold mb-2">IP 资料导入/导出</h3>
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-3"> {/* New section for IP records */}
+                    <Button onClick={exportIpMeta} className="bg-blue-600 text-white hover:bg-blue-700 w-full">
+                        <Save className="w-4 h-4 inline mr-1" /> 导出 IP 资料
                     </Button>
                     <label className="bg-orange-600 text-white hover:bg-orange-700 px-3 py-2 rounded-2xl shadow-sm border text-sm transition cursor-pointer w-full text-center">
-                        <input type="file" accept=".json" onChange={importHints} className="hidden" />
-                        <BookOpen className="w-4 h-4 inline mr-1" /> 导入提示数据
+                        <input type="file" accept=".json" onChange={importIpMeta} className="hidden" />
+                        <BookOpen className="w-4 h-4 inline mr-1" /> 导入 IP 资料
                     </label>
                 </div>
-                <p className="text-sm text-gray-500 mt-2">导出可备份和分享，导入会覆盖当前数据。</p>
+                <p className="text-sm text-gray-500 mt-2">导出可备份和分享，题目带有媒体附件时会一并打包。导入前会先检查文件，再按题目 id（IP 资料按 IP 名）预览差异，逐项选择要合并的改动。</p>
+                <Button onClick={pruneUnusedMedia} className="mt-2 bg-gray-100 hover:bg-gray-200 text-gray-700">
+                    <Trash2 className="w-4 h-4 inline mr-1" /> 清理未使用的媒体文件
+                </Button>
             </Card>
 
+            {pendingImport?.step === "map" && (
+                <CsvImport
+                    fileName={pendingImport.fileName}
+                    rows={pendingImport.rows}
+                    rules={rules}
+                    onNext={(data, report) => setPendingImport({ kind: "questions", data, report, step: "check" })}
+                    onCancel={() => setPendingImport(null)}
+                />
+            )}
+            {pendingImport?.step === "check" && (
+                <ValidationReport
+                    title={pendingImport.kind === "questions" ? `导入检查：${pendingImport.data.length} 道题目` : "导入检查：IP 资料"}
+                    report={pendingImport.report}
+                    confirmLabel="下一步：预览合并"
+                    onConfirm={() => setPendingImport({ ...pendingImport, step: "merge" })}
+                    onCancel={() => setPendingImport(null)}
+                />
+            )}
+            {pendingImport?.step === "merge" && (
+                <MergePreview
+                    kind={pendingImport.kind}
+                    current={pendingImport.kind === "questions" ? questions : ipMeta}
+                    incoming={pendingImport.data}
+                    onApply={applyMergedImport}
+                    onCancel={() => setPendingImport(null)}
+                />
+            )}
+
+            {bankReport.errors === 0 && <ValidationReport title="当前题库检查" report={bankReport} />}
+
+            <DuplicatePanel questions={questions} onMerge={mergeDuplicateQuestions} onDelete={(q) => deleteQuestion(q.id)} />
+
+            <AnalyticsPanel runs={runs} questions={questions} rules={rules} levelLabel={(l) => levelLabel(rules, l)} />
+
+            <HistoryPanel journal={journal} onUndo={onUndo} onRedo={onRedo} onRestore={onRestore} />
+
+            <StorageStatus status={storageStatus} />
+
+            <OfflineCache questions={questions} ipMeta={ipMeta} />
+
             <Card>
-                <h3 className="font-semibold mb-2">添加/管理 IP 分类</h3>
+                <h3 className="font-semibold mb-2">添加/管理 IP</h3>
                 <div className="flex items-center gap-2 mb-4">
                     <Input
                         value={newIp}
@@ -1076,21 +2184,60 @@ function AdminArea({ questions, setQuestions, hints, setHints, selectedIP, ips }
                     />
                     <Button onClick={addNewIp} className="bg-blue-600 text-white hover:bg-blue-700">添加 IP</Button>
                 </div>
-                <h4 className="font-semibold mb-2">当前 IP 特殊提示 ({selectedIP || "未选择"})</h4>
-                <div className="flex flex-col gap-2">
-                    <Textarea
-                        value={specialHint}
-                        onChange={(e) => setSpecialHint(e.target.value)}
-                        placeholder="输入当前 IP 的特殊提示 (支持 Markdown)"
-                        className="min-h-[80px]"
+                <h4 className="font-semibold mb-2">当前 IP 资料 ({selectedIP || "未选择"})</h4>
+                {selectedIP ? (
+                    <IpEditor
+                        name={selectedIP}
+                        ip={ipMeta[selectedIP]}
+                        questionCount={questions.filter((q) => q.ip === selectedIP).length}
+                        onSave={onSaveIp}
+                    />
+                ) : (
+                    <p className="text-sm text-gray-500">请先在左侧选择一个 IP。</p>
+                )}
+            </Card>
+
+            <RulesEditor rulesStore={rulesStore} setRulesStore={setRulesStore} />
+
+            <RunHistory runs={runs} setRuns={setRuns} />
+
+            <Card>
+                <h3 className="font-semibold mb-2">随机抽题设置</h3>
+                <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+                    {Object.keys(LEVEL_NAMES).map((lv) => (
+                        <label key={lv} className="text-sm text-gray-700">
+                            {levelLabel(rules, lv)} 至少
+                            <Input
+                                type="number"
+                                min={0}
+                                value={drawSettings.minLevels[lv] || 0}
+                                onChange={(e) => setDrawSettings({
+                                    ...drawSettings,
+                                    minLevels: { ...drawSettings.minLevels, [lv]: Math.max(0, parseInt(e.target.value, 10) || 0) },
+                                })}
+                            />
+                        </label>
+                    ))}
+                </div>
+                <div className="mt-3">
+                    <label className="block text-sm text-gray-700 mb-1">固定种子（留空则每次随机，填入历史种子可复现抽题）</label>
+                    <Input
+                        value={drawSettings.seed}
+                        onChange={(e) => setDrawSettings({ ...drawSettings, seed: e.target.value.trim() })}
+                        placeholder="例如 a1b2c3"
                     />
-                    <Button onClick={saveSpecialHint} className="bg-green-600 text-white hover:bg-green-700" disabled={!selectedIP}>保存提示</Button>
                 </div>
             </Card>
 
             <Card>
                 <h3 className="font-semibold mb-2">修改管理员 PIN 码</h3>
                 <div className="flex items-center gap-2">
+                    <Input
+                        placeholder="当前 PIN"
+                        value={currentAdminPin}
+                        onChange={(e) => setCurrentAdminPin(e.target.value)}
+                        type="password"
+                    />
                     <Input
                         placeholder="输入新的管理员 PIN"
                         value={newAdminPin}
@@ -1102,44 +2249,103 @@ function AdminArea({ questions, setQuestions, hints, setHints, selectedIP, ips }
                     />
                     <Button onClick={changeAdminPin} className="bg-purple-600 text-white hover:bg-purple-700">更新 PIN</Button>
                 </div>
-                <p className="text-sm text-gray-500 mt-2">当前 PIN 码 (仅供参考，请勿泄露): <Tag>{adminPin}</Tag></p>
+                <p className="text-sm text-gray-500 mt-2">PIN 码仅以加盐哈希保存在本机；管理页 5 分钟无操作会自动退出。</p>
+            </Card>
+
+            <Card>
+                <h3 className="font-semibold mb-2">评分员 PIN 码 {graderPinSet ? <Tag tone="green">已启用</Tag> : <Tag tone="gray">未设置</Tag>}</h3>
+                <div className="flex items-center gap-2">
+                    <Input
+                        placeholder={graderPinSet ? "输入新的评分员 PIN" : "设置评分员 PIN"}
+                        value={newGraderPin}
+                        onChange={(e) => setNewGraderPin(e.target.value)}
+                        type="password"
+                        onKeyPress={(e) => {
+                            if (e.key === 'Enter') changeGraderPin();
+                        }}
+                    />
+                    <Button onClick={changeGraderPin} className="bg-purple-600 text-white hover:bg-purple-700">保存</Button>
+                    {graderPinSet && (
+                        <Button onClick={removeGraderPin} className="text-rose-600 border-rose-300 bg-rose-50 hover:bg-rose-100">停用</Button>
+                    )}
+                </div>
+                <p className="text-sm text-gray-500 mt-2">评分员用此 PIN 在同一登录框登录，只能查看参考答案并为填空 / 简答 / 阅读题评分。</p>
             </Card>
 
 
             <Card>
                 <div className="flex items-center justify-between mb-3">
                     <h3 className="font-semibold">题库（共 {filteredQuestions.length} 题 {selectedIP && `，${selectedIP} IP 下的题目`}）</h3>
-                    <Button onClick={resetForm} className="bg-blue-600 text-white hover:bg-blue-700">
-                        <PlusCircle className="w-4 h-4 inline mr-1" /> 新建题目
-                    </Button>
+                    <div className="flex gap-2">
+                        <Button onClick={initFillAnswers} className="bg-gray-100 hover:bg-gray-200 text-gray-700">
+                            填空题自动判分初始化
+                        </Button>
+                        <Button onClick={resetForm} className="bg-blue-600 text-white hover:bg-blue-700">
+                            <PlusCircle className="w-4 h-4 inline mr-1" /> 新建题目
+                        </Button>
+                    </div>
+                </div>
+                <div className="mb-3">
+                    <QuestionFilters filters={filters} onChange={setFilters} count={filteredQuestions.length} answers levelLabel={(l) => levelLabel(rules, l)} />
                 </div>
                 <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
                     {filteredQuestions.length === 0 && (
                         <div className="col-span-full text-center py-4 text-gray-500">
-                            暂无题目。点击“新建题目”添加一个。
+                            {isFiltering(filters) ? "没有符合搜索条件的题目。" : "暂无题目。点击“新建题目”添加一个。"}
                         </div>
                     )}
-                    {filteredQuestions.map((q) => (
+                    {searchResults.map(({ q, terms }) => (
                         <div key={q.id} className="p-3 rounded-xl border relative shadow-sm hover:shadow-md transition bg-white flex flex-col justify-between">
                             <div>
                                 <div className="flex items-center gap-2 mb-2">
                                     <Tag tone="blue">{q.ip}</Tag>
-                                    <Tag tone={LEVEL_COLORS[q.level]}>{LEVEL_LABEL[q.level]}</Tag>
+                                    <Tag tone={LEVEL_COLORS[q.level]}>{levelLabel(rules, q.level)}</Tag>
                                     <Tag tone="gray">{TYPE_LABELS[q.type]}{q.type === 'mcq' && (q.isMultiChoice ? ' (多选)' : ' (单选)')}</Tag>
+                                    {isAutoGraded(q) && <Tag tone="green">自动判分</Tag>}
                                 </div>
                                 <div className={`prose max-w-none text-base ${q.title.length > 120 ? "line-clamp-3 overflow-hidden" : ""}`}>
-                                    <ReactMarkdown>{q.title}</ReactMarkdown>
+                                    <ReactMarkdown rehypePlugins={[[rehypeHighlight, { terms }]]}>{q.title}</ReactMarkdown>
                                 </div>
+                                {/* Where else the search matched: options and the reference answer */}
+                                {terms.length > 0 && q.options?.length > 0 && (
+                                    <div className="text-sm text-gray-600 mt-1">
+                                        {q.options.map((opt, idx) => (
+                                            <span key={idx} className="mr-3">{String.fromCharCode(65 + idx)}. <Highlight text={opt} terms={terms} /></span>
+                                        ))}
+                                    </div>
+                                )}
+                                {terms.length > 0 && q.reference && (
+                                    <div className="text-sm text-gray-600 mt-1 line-clamp-2">
+                                        参考答案：<Highlight text={q.reference} terms={terms} />
+                                    </div>
+                                )}
                             </div>
                             <div className="mt-3 flex gap-2">
                                 <Button onClick={() => setForm(q)} className="bg-gray-100 hover:bg-gray-200 text-gray-700"><Pencil className="w-4 h-4 inline mr-1" /> 编辑</Button>
                                 <Button onClick={() => deleteQuestion(q.id)} className="text-rose-600 border-rose-300 bg-rose-50 hover:bg-rose-100"><Trash2 className="w-4 h-4 inline mr-1" /> 删除</Button>
+                                <Button onClick={() => setHistoryFor(q)} className="bg-gray-100 hover:bg-gray-200 text-gray-700" title="修改历史"><History className="w-4 h-4 inline" /></Button>
                             </div>
                         </div>
                     ))}
                 </div>
             </Card>
 
+            {historyFor && (
+                <QuestionHistory
+                    journal={journal}
+                    question={historyFor}
+                    onRestoreVersion={(version) => {
+                        const exists = questions.some((q) => q.id === version.id);
+                        editQuestions(
+                            (prev) => (exists ? prev.map((q) => (q.id === version.id ? version : q)) : [version, ...prev]),
+                            "恢复题目历史版本"
+                        );
+                        setHistoryFor(null);
+                    }}
+                    onClose={() => setHistoryFor(null)}
+                />
+            )}
+
             {/* Question Edit/Create Form Modal */}
             {form && (
                 <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
@@ -1175,6 +2381,12 @@ function AdminArea({ questions, setQuestions, hints, setHints, selectedIP, ips }
                                         setForm((prevForm) => {
                                             const newState = { ...prevForm, type: newType };
                                             // Reset type-specific fields when changing type
+                                            delete newState.answer;
+                                            delete newState.items;
+                                            delete newState.pairs;
+                                            if (newType === "truefalse") newState.answer = prevForm.answer ?? true;
+                                            if (newType === "ordering") newState.items = prevForm.items || ["", "", "", ""];
+                                            if (newType === "matching") newState.pairs = prevForm.pairs || [{ left: "", right: "" }, { left: "", right: "" }, { left: "", right: "" }];
                                             if (newType !== "mcq") {
                                                 delete newState.options;
                                                 delete newState.correctIndices;
@@ -1201,8 +2413,8 @@ function AdminArea({ questions, setQuestions, hints, setHints, selectedIP, ips }
                                     value={form.level}
                                     onChange={(e) => setForm({ ...form, level: e.target.value })}
                                 >
-                                    {Object.entries(LEVEL_LABEL).map(([key, label]) => (
-                                        <option key={key} value={key}>{label}</option>
+                                    {Object.keys(LEVEL_NAMES).map((key) => (
+                                        <option key={key} value={key}>{levelLabel(rules, key)}</option>
                                     ))}
                                 </select>
                             </div>
@@ -1235,6 +2447,18 @@ function AdminArea({ questions, setQuestions, hints, setHints, selectedIP, ips }
                                             }}
                                         />
                                         <label htmlFor="isMultiChoice" className="text-sm font-medium text-gray-700">允许多选</label>
+                                        {form.isMultiChoice && (
+                                            <select
+                                                className="ml-auto px-3 py-1 border rounded-xl bg-white text-sm"
+                                                value={form.scoring || ""}
+                                                onChange={(e) => setForm({ ...form, scoring: e.target.value || undefined })}
+                                            >
+                                                <option value="">计分：跟随赛制（{MCQ_STRATEGIES[mcqStrategy(rules, {})]}）</option>
+                                                {Object.entries(MCQ_STRATEGIES).map(([key, label]) => (
+                                                    <option key={key} value={key}>计分：{label}</option>
+                                                ))}
+                                            </select>
+                                        )}
                                     </div>
                                     <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
                                         {[0, 1, 2, 3].map((i) => ( // Support up to 4 options, can be expanded
@@ -1283,6 +2507,94 @@ function AdminArea({ questions, setQuestions, hints, setHints, selectedIP, ips }
                                 </div>
                             )}
 
+                            {form.type === "fill" && (
+                                <div className="md:col-span-2 space-y-3">
+                                    <div className="flex items-center gap-2">
+                                        <span className="text-sm font-medium text-gray-700">自动判分（每空一组可接受答案，留空则人工评分）</span>
+                                        <Button
+                                            type="button"
+                                            className="ml-auto bg-gray-100 hover:bg-gray-200 text-gray-700"
+                                            onClick={() => setForm({ ...form, blanks: [{ accepted: acceptedFromReference(form.reference), patterns: [] }, ...(form.blanks || []).slice(1)] })}
+                                        >
+                                            从参考答案生成
+                                        </Button>
+                                        <Button
+                                            type="button"
+                                            className="bg-gray-100 hover:bg-gray-200 text-gray-700"
+                                            onClick={() => setForm({ ...form, blanks: [...(form.blanks || []), { accepted: [], patterns: [] }] })}
+                                        >
+                                            <PlusCircle className="w-4 h-4 inline mr-1" /> 添加空
+                                        </Button>
+                                    </div>
+                                    {(form.blanks || []).map((b, i) => (
+                                        <div key={i} className="grid grid-cols-1 sm:grid-cols-2 gap-2 border rounded-xl p-2 bg-gray-50">
+                                            <div className="sm:col-span-2 flex items-center text-sm text-gray-600">
+                                                第 {i + 1} 空
+                                                <button
+                                                    type="button"
+                                                    className="ml-auto text-rose-600"
+                                                    onClick={() => setForm({ ...form, blanks: form.blanks.filter((_, k) => k !== i) })}
+                                                    title="删除此空"
+                                                >
+                                                    <Trash2 className="w-4 h-4" />
+                                                </button>
+                                            </div>
+                                            <Textarea
+                                                value={(b.accepted || []).join("\n")}
+                                                onChange={(e) => setForm({ ...form, blanks: form.blanks.map((x, k) => (k === i ? { ...x, accepted: e.target.value.split("\n") } : x)) })}
+                                                placeholder="可接受答案，每行一个（自动忽略全半角、大小写、空格、繁简，可用拼音作答）"
+                                                className="min-h-[80px]"
+                                            />
+                                            <Textarea
+                                                value={(b.patterns || []).join("\n")}
+                                                onChange={(e) => setForm({ ...form, blanks: form.blanks.map((x, k) => (k === i ? { ...x, patterns: e.target.value.split("\n") } : x)) })}
+                                                placeholder="正则表达式（可选），每行一个，例如 ^京都.*纵火"
+                                                className="min-h-[80px] font-mono"
+                                            />
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
+
+                            {form.type === "truefalse" && (
+                                <div className="md:col-span-2">
+                                    <TrueFalseFields answer={form.answer} onChange={(patch) => setForm((prev) => ({ ...prev, ...patch }))} />
+                                </div>
+                            )}
+                            {form.type === "ordering" && (
+                                <div className="md:col-span-2">
+                                    <OrderingFields items={form.items} onChange={(patch) => setForm((prev) => ({ ...prev, ...patch }))} />
+                                </div>
+                            )}
+                            {form.type === "matching" && (
+                                <div className="md:col-span-2">
+                                    <MatchingFields pairs={form.pairs} onChange={(patch) => setForm((prev) => ({ ...prev, ...patch }))} />
+                                </div>
+                            )}
+
+                            {form.type === "reading" && (
+                                <div className="md:col-span-2 space-y-3">
+                                    <label className="flex items-center gap-2 text-sm">
+                                        <input
+                                            type="checkbox"
+                                            checked={!!form.subQuestions}
+                                            onChange={(e) => setForm(e.target.checked
+                                                ? { ...form, passage: form.passage || "", subQuestions: form.subQuestions || [] }
+                                                : { ...form, passage: undefined, subQuestions: undefined })}
+                                        />
+                                        结构化阅读题（阅读材料 + 选择 / 填空小题，自动判分）
+                                    </label>
+                                    {form.subQuestions && (
+                                        <ReadingEditor
+                                            passage={form.passage}
+                                            subQuestions={form.subQuestions}
+                                            levelPoints={rules.points[form.level] || 0}
+                                            onChange={(patch) => setForm((prev) => ({ ...prev, ...patch }))}
+                                        />
+                                    )}
+                                </div>
+                            )}
+
                             {form.type !== "mcq" && (
                                 <div className="md:col-span-2">
                                     <label className="block text-sm font-medium text-gray-700 mb-1">参考答案（Markdown，可选）</label>
@@ -1294,6 +2606,11 @@ function AdminArea({ questions, setQuestions, hints, setHints, selectedIP, ips }
                                     />
                                 </div>
                             )}
+
+                            <div className="md:col-span-2">
+                                <label className="block text-sm font-medium text-gray-700 mb-1">媒体附件（可选，离线可用）</label>
+                                <MediaEditor media={form.media} onChange={(patch) => setForm((prev) => ({ ...prev, ...patch }))} />
+                            </div>
                         </div>
 
                         <div className="mt-6 flex gap-3 justify-end border-t pt-4">
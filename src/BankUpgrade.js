@@ -0,0 +1,85 @@
+import React, { useState } from "react";
+import { PackagePlus } from "lucide-react";
+import { Button, Card, Tag } from "./ui";
+import { QuestionSide, FIELD_LABELS } from "./MergePreview";
+import { summarizeUpgrade } from "./bankSync";
+
+const KIND_TAGS = {
+    added: { tone: "green", label: "上游新增" },
+    updated: { tone: "blue", label: "上游更新" },
+    removed: { tone: "red", label: "上游删除" },
+    merged: { tone: "purple", label: "双方修改，已合并" },
+    conflict: { tone: "amber", label: "冲突" },
+};
+
+// 内置题库升级：三方合并，保留本地修改并引入上游新增与修正
+export default function BankUpgrade({ items, onApply, onIgnore, onLater }) {
+    const [choices, setChoices] = useState({}); // id -> "merge" | "local" | "upstream"
+    const counts = summarizeUpgrade(items);
+
+    function choose(id, choice) {
+        setChoices((prev) => ({ ...prev, [id]: choice }));
+    }
+
+    return (
+        <Card className="border-blue-300">
+            <div className="flex items-center gap-2 flex-wrap mb-2">
+                <h3 className="font-semibold mr-auto"><PackagePlus className="w-4 h-4 inline -mt-0.5 mr-1" />内置题库有新版本</h3>
+                {Object.entries(counts).filter(([, n]) => n > 0).map(([kind, n]) => (
+                    <Tag key={kind} tone={KIND_TAGS[kind].tone}>{KIND_TAGS[kind].label} {n}</Tag>
+                ))}
+            </div>
+            <p className="text-sm text-gray-600 mb-3">
+                本机题库曾被修改过。升级会保留本地修改，并引入新版本的新增与修正；两边都改过的同一处默认保留本地，可逐题改为采用新版本。
+            </p>
+
+            <div className="space-y-2 max-h-[32rem] overflow-auto">
+                {items.map((it) => {
+                    const choice = choices[it.id] || "merge";
+                    return (
+                        <div key={it.id} className="border rounded-xl p-2 text-sm">
+                            <div className="flex items-center gap-2 flex-wrap mb-2">
+                                <Tag tone={KIND_TAGS[it.kind].tone}>{KIND_TAGS[it.kind].label}</Tag>
+                                <span className="font-mono text-xs text-gray-600 truncate">{it.id}</span>
+                                {it.fields.length > 0 && (
+                                    <span className="text-xs text-gray-500">（{it.fields.map((f) => FIELD_LABELS[f] || f).join("、")}）</span>
+                                )}
+                                {it.note && <span className="text-xs text-amber-700">{it.note}</span>}
+                                <select
+                                    className="ml-auto px-2 py-1 border rounded-lg bg-white text-xs"
+                                    value={choice}
+                                    onChange={(e) => choose(it.id, e.target.value)}
+                                >
+                                    <option value="merge">{it.kind === "conflict" ? "冲突处保留本地" : "应用"}</option>
+                                    <option value="local">{it.local ? "保留本地版本" : "不添加"}</option>
+                                    <option value="upstream">{it.upstream ? "采用新版本" : "按新版本删除"}</option>
+                                </select>
+                            </div>
+                            <div className="grid grid-cols-2 gap-2">
+                                <div>
+                                    <div className="text-xs text-gray-400 mb-1">本地</div>
+                                    <QuestionSide q={it.local} fields={it.fields} />
+                                </div>
+                                <div className="border-l pl-2">
+                                    <div className="text-xs text-gray-400 mb-1">新版本</div>
+                                    <QuestionSide q={it.upstream} fields={it.fields} />
+                                </div>
+                            </div>
+                        </div>
+                    );
+                })}
+            </div>
+
+            <div className="flex gap-2 mt-3 flex-wrap">
+                <Button onClick={() => onApply(choices)} className="bg-blue-600 text-white hover:bg-blue-700">升级题库</Button>
+                <Button onClick={onLater} className="bg-gray-100 hover:bg-gray-200 text-gray-700">稍后</Button>
+                <Button
+                    onClick={() => window.confirm("忽略后此版本的改动不会再提示，确定吗？") && onIgnore()}
+                    className="text-rose-600 border-rose-300 bg-rose-50 hover:bg-rose-100"
+                >
+                    忽略此版本
+                </Button>
+            </div>
+        </Card>
+    );
+}
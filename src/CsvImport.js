@@ -0,0 +1,98 @@
+import React, { useMemo, useState } from "react";
+import { Table } from "lucide-react";
+import { Button, Card } from "./ui";
+import { CSV_FIELDS, guessMapping, rowsToQuestions, validateRows } from "./csv";
+
+const PREVIEW_ROWS = 3;
+
+// 表格导入第一步：确认列对应关系，之后进入常规的导入检查与合并预览
+export default function CsvImport({ fileName, rows, rules, onNext, onCancel }) {
+    const headers = rows[0] || [];
+    const [mapping, setMapping] = useState(() => guessMapping(headers));
+    const preview = useMemo(() => rows.slice(1, 1 + PREVIEW_ROWS), [rows]);
+
+    function setField(field, col) {
+        setMapping((prev) => ({ ...prev, [field]: col }));
+    }
+
+    function toggleOption(col) {
+        setMapping((prev) => ({
+            ...prev,
+            options: prev.options.includes(col)
+                ? prev.options.filter((c) => c !== col)
+                : [...prev.options, col].sort((a, b) => a - b),
+        }));
+    }
+
+    function next() {
+        if (mapping.title < 0) return alert("请至少指定「题目」所在的列。");
+        const parsed = rowsToQuestions(rows, mapping);
+        onNext(parsed.questions, validateRows(parsed, rules));
+    }
+
+    return (
+        <Card>
+            <h3 className="font-semibold mb-1">
+                <Table className="w-4 h-4 inline -mt-0.5 mr-1" />
+                表格导入：{fileName}（{rows.length - 1} 行）
+            </h3>
+            <p className="text-sm text-gray-500 mb-3">确认每个字段对应的列。题型 / 等级填写中文标签或字母，正确答案填写字母，如 “A,C”。</p>
+
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                {Object.entries(CSV_FIELDS).map(([field, spec]) => (
+                    <label key={field} className="text-sm text-gray-700 flex items-center gap-2">
+                        <span className="w-20 shrink-0">{spec.header}</span>
+                        <select
+                            className="flex-1 px-3 py-1.5 border rounded-xl bg-white"
+                            value={mapping[field]}
+                            onChange={(e) => setField(field, Number(e.target.value))}
+                        >
+                            <option value={-1}>（无）</option>
+                            {headers.map((h, i) => (
+                                <option key={i} value={i}>{h || `第 ${i + 1} 列`}</option>
+                            ))}
+                        </select>
+                    </label>
+                ))}
+            </div>
+
+            <div className="mt-3 text-sm text-gray-700">
+                <span className="mr-2">选项列（按顺序对应 A、B、C…）：</span>
+                <div className="flex flex-wrap gap-3 mt-1">
+                    {headers.map((h, i) => (
+                        <label key={i} className="flex items-center gap-1">
+                            <input type="checkbox" checked={mapping.options.includes(i)} onChange={() => toggleOption(i)} />
+                            {h || `第 ${i + 1} 列`}
+                        </label>
+                    ))}
+                </div>
+            </div>
+
+            <div className="mt-3 overflow-auto">
+                <table className="text-xs border-collapse">
+                    <thead>
+                        <tr>
+                            {headers.map((h, i) => (
+                                <th key={i} className="border px-2 py-1 bg-gray-50 whitespace-nowrap">{h}</th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {preview.map((row, r) => (
+                            <tr key={r}>
+                                {headers.map((_, i) => (
+                                    <td key={i} className="border px-2 py-1 max-w-[12rem] truncate">{row[i]}</td>
+                                ))}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+
+            <div className="flex gap-2 mt-3">
+                <Button onClick={next} className="bg-green-600 text-white hover:bg-green-700">下一步：检查</Button>
+                <Button onClick={onCancel} className="bg-gray-100 hover:bg-gray-200 text-gray-700">取消</Button>
+            </div>
+        </Card>
+    );
+}
@@ -0,0 +1,99 @@
+import React, { useMemo, useState } from "react";
+import { Copy, GitMerge, Trash2 } from "lucide-react";
+import { Button, Card, Tag } from "./ui";
+import { FIELD_LABELS, QuestionSide } from "./MergePreview";
+import { findDuplicates, loadIgnoredPairs, pairKey, saveIgnoredPairs } from "./duplicates";
+
+const PAGE = 20;
+
+function differingFields(a, b) {
+    return Object.keys(FIELD_LABELS).filter((k) => JSON.stringify(a[k]) !== JSON.stringify(b[k]));
+}
+
+// 一侧题目及其操作：保留此题并合并另一题 / 删除此题
+function PairSide({ q, other, onMerge, onDelete }) {
+    return (
+        <div className="p-3 rounded-xl border bg-white text-sm flex flex-col">
+            <div className="flex-1">
+                <QuestionSide q={q} fields={differingFields(q, other)} />
+            </div>
+            <div className="flex gap-2 mt-2">
+                <Button onClick={() => onMerge(q, other)} className="bg-blue-50 text-blue-700 border-blue-200 hover:bg-blue-100" title="保留此题，补全另一题中此题缺少的内容后删除另一题">
+                    <GitMerge className="w-4 h-4 inline mr-1" /> 保留并合并
+                </Button>
+                <Button onClick={() => onDelete(q)} className="text-rose-600 border-rose-300 bg-rose-50 hover:bg-rose-100">
+                    <Trash2 className="w-4 h-4 inline mr-1" /> 删除此题
+                </Button>
+            </div>
+        </div>
+    );
+}
+
+// 重复题检查：完全重复与高度相似的题目并排显示，可一键合并、删除或标记为不重复
+export default function DuplicatePanel({ questions, onMerge, onDelete }) {
+    const [open, setOpen] = useState(false);
+    const [stored] = useState(loadIgnoredPairs);
+    const [ignored, setIgnored] = useState(stored.pairs);
+    const [loadError, setLoadError] = useState(stored.error); // cleared once the pairs are saved again
+    const [shown, setShown] = useState(PAGE);
+    const pairs = useMemo(() => (open ? findDuplicates(questions, ignored) : []), [open, questions, ignored]);
+
+    function ignore(pair) {
+        const next = new Set(ignored);
+        next.add(pairKey(pair.a, pair.b));
+        saveIgnoredPairs(next);
+        setIgnored(next);
+        setLoadError("");
+    }
+
+    function resetIgnored() {
+        if (!window.confirm(`恢复 ${ignored.size} 组已标记为“不重复”的题目？`)) return;
+        saveIgnoredPairs(new Set());
+        setIgnored(new Set());
+        setLoadError("");
+    }
+
+    return (
+        <Card>
+            <div className="flex items-center gap-2 flex-wrap">
+                <h3 className="font-semibold mr-auto"><Copy className="w-4 h-4 inline -mt-0.5 mr-1" />重复题检查</h3>
+                {open && <Tag tone={pairs.length ? "amber" : "green"}>{pairs.length ? `${pairs.length} 组疑似重复` : "未发现重复"}</Tag>}
+                {ignored.size > 0 && (
+                    <button type="button" className="text-xs text-blue-600" onClick={resetIgnored}>已忽略 {ignored.size} 组</button>
+                )}
+                <Button onClick={() => setOpen(!open)} className="bg-gray-100 hover:bg-gray-200 text-gray-700">
+                    {open ? "收起" : "检查题库"}
+                </Button>
+            </div>
+            {loadError && <p className="text-sm text-rose-600 mt-2">{loadError}</p>}
+            {open && (
+                <p className="text-sm text-gray-500 mt-2">
+                    按规范化后的题干（忽略标点、全半角、繁简与大小写）和选项相似度比对，跨 IP 也会检查。黄色底色标出两题不同的字段。
+                </p>
+            )}
+            {open && (
+                <div className="space-y-3 mt-3">
+                    {pairs.slice(0, shown).map((p) => (
+                        <div key={pairKey(p.a, p.b)} className="p-3 rounded-xl border bg-gray-50">
+                            <div className="flex items-center gap-2 mb-2 text-sm">
+                                <Tag tone={p.kind === "exact" ? "red" : "amber"}>{p.kind === "exact" ? "完全重复" : `相似度 ${Math.round(p.score * 100)}%`}</Tag>
+                                {p.a.ip !== p.b.ip && <Tag tone="blue">跨 IP</Tag>}
+                                <span className="ml-auto" />
+                                <button type="button" className="text-gray-500 hover:text-gray-700" onClick={() => ignore(p)}>不是重复</button>
+                            </div>
+                            <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                                <PairSide q={p.a} other={p.b} onMerge={onMerge} onDelete={onDelete} />
+                                <PairSide q={p.b} other={p.a} onMerge={onMerge} onDelete={onDelete} />
+                            </div>
+                        </div>
+                    ))}
+                    {pairs.length > shown && (
+                        <Button onClick={() => setShown(shown + PAGE)} className="bg-gray-100 hover:bg-gray-200 text-gray-700">
+                            显示更多（剩余 {pairs.length - shown} 组）
+                        </Button>
+                    )}
+                </div>
+            )}
+        </Card>
+    );
+}
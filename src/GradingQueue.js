@@ -0,0 +1,126 @@
+import React, { useEffect, useMemo, useState } from "react";
+import ReactMarkdown from "react-markdown";
+import { ChevronLeft, ChevronRight, ClipboardCheck } from "lucide-react";
+import { LEVEL_COLORS, LEVEL_NAMES, TYPE_LABELS } from "./constants";
+import { Button, Card, Input, Tag } from "./ui";
+import { pendingGrades, runRules, writtenAnswer } from "./grading";
+import { formatTime } from "./utils";
+
+// 选手的书面作答，多空 / 多问时逐条列出
+export function WrittenAnswer({ q, ans, className = "" }) {
+    const parts = writtenAnswer(q, ans);
+    if (parts.every((p) => !p.text)) {
+        return <div className={`text-gray-400 italic ${className}`}>（无书面作答，按现场作答评分）</div>;
+    }
+    return (
+        <div className={`space-y-1 ${className}`}>
+            {parts.map((p, i) => (
+                <div key={i} className="whitespace-pre-wrap break-words">
+                    {p.label && <span className="text-gray-500 mr-1">{p.label}：</span>}
+                    {p.text || <span className="text-gray-400 italic">（未作答）</span>}
+                </div>
+            ))}
+        </div>
+    );
+}
+
+// 评分队列：逐条处理所有历史记录中待人工评分的答案；数字键直接打分并跳到下一条
+export default function GradingQueue({ runs, questions, rules, onGrade }) {
+    const queue = useMemo(() => pendingGrades(runs, questions), [runs, questions]);
+    const [index, setIndex] = useState(0);
+    const [comment, setComment] = useState("");
+    const at = Math.min(index, Math.max(0, queue.length - 1));
+    const item = queue[at];
+    // Full points of the level the question had when the run was played
+    const level = item && ((item.run.items || []).find((it) => it.id === item.q.id)?.level || item.q.level);
+    const maxPoints = item ? runRules(item.run, rules).points[level] || 0 : 0;
+
+    // A fresh comment box for every answer
+    const key = item?.key;
+    useEffect(() => setComment(""), [key]);
+
+    function score(p) {
+        if (!item || p > maxPoints) return;
+        // The graded answer leaves the queue, so the same index shows the next one
+        onGrade(item.run.id, item.q, { manualScore: p, comment });
+    }
+
+    useEffect(() => {
+        function onKey(e) {
+            if (e.ctrlKey || e.metaKey || e.altKey) return;
+            if (["INPUT", "TEXTAREA", "SELECT"].includes(e.target.tagName)) return;
+            if (/^[0-9]$/.test(e.key)) score(Number(e.key));
+            else if (e.key === "ArrowRight" || e.key === "j") setIndex(Math.min(at + 1, queue.length - 1));
+            else if (e.key === "ArrowLeft" || e.key === "k") setIndex(Math.max(at - 1, 0));
+            else return;
+            e.preventDefault();
+        }
+        window.addEventListener("keydown", onKey);
+        return () => window.removeEventListener("keydown", onKey);
+    });
+
+    if (!item) {
+        return (
+            <Card>
+                <h3 className="font-semibold mb-2"><ClipboardCheck className="w-4 h-4 inline -mt-0.5 mr-1" />评分队列</h3>
+                <div className="text-center py-4 text-gray-500 text-sm">没有待评分的答案。</div>
+            </Card>
+        );
+    }
+
+    const { run, q, ans } = item;
+
+    return (
+        <Card>
+            <div className="flex items-center gap-2 mb-3">
+                <h3 className="font-semibold mr-auto"><ClipboardCheck className="w-4 h-4 inline -mt-0.5 mr-1" />评分队列</h3>
+                <span className="text-sm text-gray-500">{at + 1} / {queue.length}</span>
+                <Button onClick={() => setIndex(at - 1)} disabled={at === 0} className="bg-gray-100 hover:bg-gray-200" title="上一条 (←)">
+                    <ChevronLeft className="w-4 h-4" />
+                </Button>
+                <Button onClick={() => setIndex(at + 1)} disabled={at >= queue.length - 1} className="bg-gray-100 hover:bg-gray-200" title="下一条 (→)">
+                    <ChevronRight className="w-4 h-4" />
+                </Button>
+            </div>
+
+            <div className="flex items-center gap-2 flex-wrap text-sm mb-2">
+                <span className="font-medium">{run.contestant?.name || "匿名"}</span>
+                {run.contestant?.code && <Tag tone="gray">#{run.contestant.code}</Tag>}
+                <span className="text-xs text-gray-500">{formatTime(run.finishedAt)}</span>
+                <span className="ml-auto" />
+                <Tag tone="blue">{q.ip}</Tag>
+                <Tag tone={LEVEL_COLORS[level]}>{LEVEL_NAMES[level]}</Tag>
+                <Tag tone="gray">{TYPE_LABELS[q.type]}</Tag>
+            </div>
+            <div className="prose prose-sm max-w-none max-h-48 overflow-auto mb-2">
+                <ReactMarkdown>{q.title}</ReactMarkdown>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-2 mb-3 text-sm">
+                <div className="p-3 rounded-xl border bg-gray-50">
+                    <div className="font-medium mb-1">选手作答</div>
+                    <WrittenAnswer q={q} ans={ans} />
+                </div>
+                <div className="p-3 rounded-xl bg-amber-50 border border-amber-300 text-amber-900">
+                    <div className="font-medium mb-1">参考答案</div>
+                    {q.reference ? (
+                        <div className="prose prose-sm max-w-none">
+                            <ReactMarkdown>{q.reference}</ReactMarkdown>
+                        </div>
+                    ) : (
+                        <div className="text-amber-700 italic">（无参考答案）</div>
+                    )}
+                </div>
+            </div>
+
+            <Input placeholder="评分备注（可选）" value={comment} onChange={(e) => setComment(e.target.value)} />
+            <div className="flex items-center gap-2 flex-wrap mt-2">
+                <span className="text-sm font-medium">评分 ({maxPoints} 分):</span>
+                {Array.from({ length: maxPoints + 1 }, (_, p) => (
+                    <Button key={p} onClick={() => score(p)} className="bg-gray-100 hover:bg-gray-200">{p} 分</Button>
+                ))}
+            </div>
+            <p className="text-xs text-gray-500 mt-2">快捷键：数字键 0–{Math.min(maxPoints, 9)} 直接打分，←/→ 切换。</p>
+        </Card>
+    );
+}
@@ -0,0 +1,129 @@
+import React, { useState } from "react";
+import { History, Undo2, Redo2, RotateCcw, X } from "lucide-react";
+import { Button, Card, Tag } from "./ui";
+import { formatTime } from "./utils";
+import { questionHistory } from "./journal";
+
+const KIND_LABELS = { added: "新增", changed: "修改", removed: "删除" };
+const KIND_TONES = { added: "green", changed: "amber", removed: "red" };
+const LIST_LIMIT = 30;
+
+function summarize(changes) {
+    const counts = { added: 0, changed: 0, removed: 0 };
+    for (const c of changes) counts[c.kind]++;
+    return Object.entries(counts)
+        .filter(([, n]) => n > 0)
+        .map(([kind, n]) => `${KIND_LABELS[kind]} ${n}`)
+        .join(" · ");
+}
+
+function describeTargets(entry) {
+    const parts = [];
+    if (entry.questions.length > 0) parts.push(`题目：${summarize(entry.questions)}`);
+    if (entry.ipMeta.length > 0) parts.push(`IP：${summarize(entry.ipMeta)}`);
+    return parts.join("；");
+}
+
+function previewKeys(entry) {
+    const names = [
+        ...entry.questions.map((c) => (c.after || c.before)?.title || c.key),
+        ...entry.ipMeta.map((c) => c.key),
+    ];
+    const head = names.slice(0, 3).map((s) => (s.length > 24 ? `${s.slice(0, 24)}…` : s));
+    return names.length > 3 ? `${head.join("、")} 等 ${names.length} 项` : head.join("、");
+}
+
+// 修改记录：撤销 / 重做，或把整个题库恢复到某一步之后的状态
+export default function HistoryPanel({ journal, onUndo, onRedo, onRestore }) {
+    const [showAll, setShowAll] = useState(false);
+    const { entries, cursor } = journal;
+    const rows = entries.map((entry, i) => ({ entry, step: i + 1 })).reverse();
+    const shown = showAll ? rows : rows.slice(0, LIST_LIMIT);
+
+    return (
+        <Card>
+            <div className="flex items-center gap-2 flex-wrap mb-3">
+                <h3 className="font-semibold mr-auto"><History className="w-4 h-4 inline -mt-0.5 mr-1" />修改记录</h3>
+                <Button onClick={onUndo} disabled={cursor === 0} className="bg-gray-100 hover:bg-gray-200 text-gray-700">
+                    <Undo2 className="w-4 h-4 inline mr-1" /> 撤销
+                </Button>
+                <Button onClick={onRedo} disabled={cursor >= entries.length} className="bg-gray-100 hover:bg-gray-200 text-gray-700">
+                    <Redo2 className="w-4 h-4 inline mr-1" /> 重做
+                </Button>
+            </div>
+            {rows.length === 0 ? (
+                <p className="text-sm text-gray-500">暂无修改记录。</p>
+            ) : (
+                <ul className="text-sm divide-y max-h-80 overflow-auto">
+                    {shown.map(({ entry, step }) => (
+                        <li key={entry.id} className={`py-2 flex items-center gap-2 ${step > cursor ? "opacity-50" : ""}`}>
+                            <span className="text-gray-400 w-10 shrink-0">#{step}</span>
+                            <div className="flex-1 min-w-0">
+                                <div>
+                                    <span className="font-medium">{entry.label}</span>
+                                    <span className="text-xs text-gray-500 ml-2">{formatTime(entry.at)}</span>
+                                    {step > cursor && <Tag tone="gray">已撤销</Tag>}
+                                </div>
+                                <div className="text-xs text-gray-500 truncate">{describeTargets(entry)} · {previewKeys(entry)}</div>
+                            </div>
+                            {step !== cursor && (
+                                <button
+                                    className="text-xs text-blue-600 shrink-0"
+                                    onClick={() => onRestore(step)}
+                                    title="把题库和提示恢复到这一步完成后的状态"
+                                >
+                                    <RotateCcw className="w-3 h-3 inline -mt-0.5" /> 恢复到此
+                                </button>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+            )}
+            {rows.length > LIST_LIMIT && (
+                <button className="text-xs text-blue-600 mt-1" onClick={() => setShowAll((v) => !v)}>
+                    {showAll ? "收起" : `显示全部 ${rows.length} 条`}
+                </button>
+            )}
+            <p className="text-xs text-gray-500 mt-2">最多保留最近 300 条记录；撤销后再修改会丢弃可重做的记录。</p>
+        </Card>
+    );
+}
+
+// 单题历史：每次修改前后的版本，可恢复任一版本
+export function QuestionHistory({ journal, question, onRestoreVersion, onClose }) {
+    const items = questionHistory(journal, question.id);
+
+    return (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+            <Card className="relative w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+                <button className="absolute top-4 right-4 p-1 rounded-xl border hover:bg-gray-100" onClick={onClose}>
+                    <X className="w-4 h-4" />
+                </button>
+                <h3 className="text-lg font-semibold mb-1"><History className="w-5 h-5 inline -mt-1 mr-1" />题目历史</h3>
+                <p className="text-sm text-gray-500 mb-3 truncate">{question.title}</p>
+                {items.length === 0 && <p className="text-sm text-gray-500">没有这道题的修改记录。</p>}
+                <ul className="space-y-3">
+                    {items.map(({ entry, change }) => (
+                        <li key={entry.id} className="border rounded-xl p-2 text-sm">
+                            <div className="flex items-center gap-2 mb-1">
+                                <Tag tone={KIND_TONES[change.kind]}>{KIND_LABELS[change.kind]}</Tag>
+                                <span>{entry.label}</span>
+                                <span className="text-xs text-gray-500 ml-auto">{formatTime(entry.at)}</span>
+                            </div>
+                            {change.before && (
+                                <div className="flex items-start gap-2">
+                                    <pre className="flex-1 text-xs bg-gray-50 rounded p-2 whitespace-pre-wrap break-all max-h-40 overflow-auto">
+                                        {JSON.stringify(change.before, null, 2)}
+                                    </pre>
+                                    <Button onClick={() => onRestoreVersion(change.before)} className="bg-gray-100 hover:bg-gray-200 text-gray-700 shrink-0">
+                                        恢复修改前版本
+                                    </Button>
+                                </div>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+            </Card>
+        </div>
+    );
+}
@@ -0,0 +1,115 @@
+import React, { useEffect, useState } from "react";
+import ReactMarkdown from "react-markdown";
+import remarkGfm from "remark-gfm";
+import rehypeRaw from "rehype-raw";
+import { EyeOff, Save } from "lucide-react";
+import { IP_CATEGORIES } from "./constants";
+import { Button, Input, Tag, Textarea } from "./ui";
+import { ipLabel, makeIp } from "./ips";
+
+const ALIAS_SEPARATORS = /[,，、\n]/;
+
+function Markdown({ children }) {
+    return <ReactMarkdown remarkPlugins={[remarkGfm]} rehypePlugins={[rehypeRaw]} children={children} />;
+}
+
+// 选手看到的 IP 介绍：封面、出题人、同好群与说明
+export function IpInfo({ name, ip }) {
+    if (!ip || !(ip.displayName || ip.cover || ip.credit || ip.community || ip.note)) return null;
+    return (
+        <div className="p-3 bg-yellow-100 border border-yellow-300 rounded-lg flex gap-3">
+            {ip.cover && <img src={ip.cover} alt="" className="w-20 h-28 object-cover rounded-lg shrink-0" />}
+            <div className="flex-1 min-w-0">
+                <h4 className="font-semibold text-yellow-800">
+                    {ipLabel(name, ip)}
+                    {ip.category && <Tag tone="yellow" className="ml-2 align-middle">{IP_CATEGORIES[ip.category]}</Tag>}
+                </h4>
+                {ip.credit && <div className="text-sm text-yellow-700">出题：{ip.credit}</div>}
+                {ip.note && (
+                    <div className="prose prose-sm max-w-none text-yellow-700 mt-1">
+                        <Markdown>{ip.note}</Markdown>
+                    </div>
+                )}
+                {ip.community && (
+                    <div className="prose prose-sm max-w-none text-yellow-700 mt-1">
+                        <Markdown>{ip.community}</Markdown>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
+
+function toDraft(name, ip) {
+    const record = ip || makeIp();
+    return { ...record, name, aliases: record.aliases.join("、") };
+}
+
+// 当前 IP 的资料：改名会一并更新该 IP 下的所有题目
+export default function IpEditor({ name, ip, questionCount, onSave }) {
+    const [draft, setDraft] = useState(() => toDraft(name, ip));
+
+    useEffect(() => {
+        setDraft(toDraft(name, ip));
+    }, [name, ip]);
+
+    const set = (patch) => setDraft((prev) => ({ ...prev, ...patch }));
+
+    function save() {
+        const to = draft.name.trim();
+        if (!to) return alert("IP 名称不能为空。");
+        const { name: _, aliases, ...fields } = draft;
+        onSave(name, to, makeIp({ ...fields, aliases: aliases.split(ALIAS_SEPARATORS) }));
+    }
+
+    return (
+        <div className="space-y-2 text-sm">
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                <label className="text-gray-700">
+                    IP 名称{draft.name.trim() !== name && <span className="text-amber-600">（保存后 {questionCount} 道题目一并改名）</span>}
+                    <Input value={draft.name} onChange={(e) => set({ name: e.target.value })} />
+                </label>
+                <label className="text-gray-700">
+                    显示名称
+                    <Input value={draft.displayName} onChange={(e) => set({ displayName: e.target.value })} placeholder="留空则显示 IP 名称" />
+                </label>
+                <label className="text-gray-700">
+                    别名
+                    <Input value={draft.aliases} onChange={(e) => set({ aliases: e.target.value })} placeholder="用顿号或逗号分隔，侧栏搜索可用" />
+                </label>
+                <label className="text-gray-700">
+                    分类
+                    <select className="w-full px-3 py-2 border rounded-xl bg-white" value={draft.category} onChange={(e) => set({ category: e.target.value })}>
+                        <option value="">未分类</option>
+                        {Object.entries(IP_CATEGORIES).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+                    </select>
+                </label>
+                <label className="text-gray-700">
+                    出题
+                    <Input value={draft.credit} onChange={(e) => set({ credit: e.target.value })} placeholder="出题人 / 贡献者" />
+                </label>
+                <label className="text-gray-700">
+                    封面图片
+                    <Input value={draft.cover} onChange={(e) => set({ cover: e.target.value })} placeholder="https://..." />
+                </label>
+            </div>
+            <label className="block text-gray-700">
+                同好群（支持 Markdown）
+                <Textarea value={draft.community} onChange={(e) => set({ community: e.target.value })} placeholder="群号、二维码图片等" className="min-h-[60px]" />
+            </label>
+            <label className="block text-gray-700">
+                说明（支持 Markdown，显示在题目列表上方）
+                <Textarea value={draft.note} onChange={(e) => set({ note: e.target.value })} className="min-h-[80px]" />
+            </label>
+            <div className="flex items-center gap-3">
+                <label className="flex items-center gap-1 text-gray-700">
+                    <input type="checkbox" checked={draft.hidden} onChange={(e) => set({ hidden: e.target.checked })} />
+                    <EyeOff className="w-4 h-4" /> 隐藏（选手看不到，也不参与随机抽题）
+                </label>
+                <Button onClick={save} className="ml-auto bg-green-600 text-white hover:bg-green-700">
+                    <Save className="w-4 h-4 inline mr-1" /> 保存 IP 资料
+                </Button>
+            </div>
+        </div>
+    );
+}
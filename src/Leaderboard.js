@@ -0,0 +1,141 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { Trophy, Maximize2, X } from "lucide-react";
+import { Button, Card, Tag } from "./ui";
+import { dayKey, formatElapsed, rankRuns, runIPs } from "./ranking";
+
+const MEDAL_TONES = { 1: "amber", 2: "gray", 3: "rose" };
+
+// 排行榜：总榜 / 日榜，可按 IP 分榜；投影模式用于展台大屏
+export default function Leaderboard({ runs }) {
+    const [scope, setScope] = useState("daily"); // daily | overall
+    const [day, setDay] = useState(() => dayKey(Date.now()));
+    const [ip, setIp] = useState("");
+    const [projector, setProjector] = useState(false);
+
+    const ipOptions = useMemo(() => runIPs(runs), [runs]);
+    const rows = useMemo(
+        () => rankRuns(runs, { day: scope === "daily" ? day : "", ip }),
+        [runs, scope, day, ip]
+    );
+
+    useEffect(() => {
+        if (!projector) return;
+        const onKey = (e) => {
+            if (e.key === "Escape") setProjector(false);
+        };
+        window.addEventListener("keydown", onKey);
+        return () => window.removeEventListener("keydown", onKey);
+    }, [projector]);
+
+    function openProjector() {
+        setProjector(true);
+        // Best effort, browsers may refuse without a user gesture
+        document.documentElement.requestFullscreen?.().catch(() => {});
+    }
+
+    function closeProjector() {
+        setProjector(false);
+        if (document.fullscreenElement) document.exitFullscreen?.().catch(() => {});
+    }
+
+    const boardTitle = `${scope === "daily" ? `${day} 日榜` : "总榜"}${ip ? ` · ${ip}` : ""}`;
+
+    if (projector) {
+        return (
+            <div className="fixed inset-0 z-50 bg-gray-900 text-white overflow-auto p-8">
+                <button
+                    className="absolute top-6 right-6 p-2 rounded-xl border border-gray-600 hover:bg-gray-800"
+                    onClick={closeProjector}
+                    title="退出投影 (Esc)"
+                >
+                    <X className="w-6 h-6" />
+                </button>
+                <h2 className="text-4xl font-bold text-center mb-8">
+                    <Trophy className="w-10 h-10 inline -mt-2 mr-2 text-amber-400" />{boardTitle}
+                </h2>
+                <ol className="max-w-4xl mx-auto space-y-3">
+                    {rows.slice(0, 10).map((row) => (
+                        <li key={row.run.id} className="flex items-center gap-6 text-3xl px-6 py-4 rounded-2xl bg-gray-800">
+                            <span className={`w-16 text-center font-bold ${row.rank <= 3 ? "text-amber-400" : "text-gray-400"}`}>{row.rank}</span>
+                            <span className="flex-1 truncate">{row.run.contestant?.name || "匿名"}</span>
+                            {!ip && <span className="text-xl text-gray-400">{formatElapsed(row.elapsedMs)}</span>}
+                            <span className="w-28 text-right font-bold text-blue-300">{row.score}</span>
+                        </li>
+                    ))}
+                    {rows.length === 0 && <li className="text-center text-2xl text-gray-400">暂无成绩</li>}
+                </ol>
+            </div>
+        );
+    }
+
+    return (
+        <Card>
+            <div className="flex items-center gap-2 flex-wrap mb-3">
+                <h3 className="text-lg font-semibold mr-auto"><Trophy className="w-5 h-5 inline -mt-1 mr-1 text-amber-500" />排行榜</h3>
+                <select
+                    className="px-3 py-2 border rounded-xl bg-white text-sm"
+                    value={scope}
+                    onChange={(e) => setScope(e.target.value)}
+                >
+                    <option value="daily">日榜</option>
+                    <option value="overall">总榜</option>
+                </select>
+                {scope === "daily" && (
+                    <input
+                        type="date"
+                        className="px-3 py-2 border rounded-xl bg-white text-sm"
+                        value={day}
+                        onChange={(e) => setDay(e.target.value)}
+                    />
+                )}
+                <select
+                    className="px-3 py-2 border rounded-xl bg-white text-sm"
+                    value={ip}
+                    onChange={(e) => setIp(e.target.value)}
+                >
+                    <option value="">全部 IP</option>
+                    {ipOptions.map((x) => (
+                        <option key={x} value={x}>{x}</option>
+                    ))}
+                </select>
+                <Button onClick={openProjector} className="bg-gray-900 text-white">
+                    <Maximize2 className="w-4 h-4 inline -mt-0.5 mr-1" /> 投影模式
+                </Button>
+            </div>
+            <p className="text-xs text-gray-500 mb-2">排名规则：总分优先；同分比较 S/A 级题得分；再同分按用时短者优先。</p>
+            <table className="w-full text-sm">
+                <thead>
+                    <tr className="text-left text-gray-500 border-b">
+                        <th className="py-2 w-12">名次</th>
+                        <th className="py-2">选手</th>
+                        <th className="py-2 text-right">S/A 得分</th>
+                        {/* Time is only known for the whole run, so a per-IP board leaves it out */}
+                        {!ip && <th className="py-2 text-right">用时</th>}
+                        <th className="py-2 text-right">{ip ? "IP 得分" : "总分"}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {rows.map((row) => (
+                        <tr key={row.run.id} className="border-b last:border-0">
+                            <td className="py-2">
+                                <Tag tone={MEDAL_TONES[row.rank] || "blue"}>{row.rank}</Tag>
+                            </td>
+                            <td className="py-2">
+                                {row.run.contestant?.name || "匿名"}
+                                {row.run.contestant?.code && <span className="text-xs text-gray-400 ml-1">#{row.run.contestant.code}</span>}
+                            </td>
+                            <td className="py-2 text-right">{row.topLevel}</td>
+                            {!ip && <td className="py-2 text-right">{formatElapsed(row.elapsedMs)}</td>}
+                            <td className="py-2 text-right font-semibold text-blue-600">{row.score}</td>
+                        </tr>
+                    ))}
+                    {rows.length === 0 && (
+                        <tr>
+                            <td colSpan={5} className="py-6 text-center text-gray-500">暂无成绩</td>
+                        </tr>
+                    )}
+                </tbody>
+            </table>
+        </Card>
+    );
+}
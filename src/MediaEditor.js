@@ -0,0 +1,65 @@
+import React, { useState } from "react";
+import { Paperclip, Trash2 } from "lucide-react";
+import { Input } from "./ui";
+import MediaPlayer from "./MediaPlayer";
+import { MEDIA_KINDS, MAX_MEDIA_BYTES, mediaFileError, mediaKind } from "./media";
+import { describeStorageError, saveMedia } from "./storage";
+import { uid } from "./utils";
+
+const limits = Object.entries(MAX_MEDIA_BYTES).map(([kind, n]) => `${MEDIA_KINDS[kind]} ${n / 1024 / 1024} MB`).join("，");
+
+// 题目媒体附件：上传后立即存入本地数据库，题目里只记录 id；未保存的题目留下的文件可在管理页清理
+export default function MediaEditor({ media, onChange }) {
+    const list = media || [];
+    const [busy, setBusy] = useState(false);
+
+    async function addFiles(event) {
+        const files = [...event.target.files];
+        event.target.value = null;
+        const refused = files.map(mediaFileError).filter(Boolean);
+        if (refused.length) alert(refused.join("\n"));
+        const accepted = files.filter((f) => !mediaFileError(f));
+        if (!accepted.length) return;
+
+        setBusy(true);
+        try {
+            const records = await Promise.all(
+                accepted.map(async (f) => ({ id: uid(), name: f.name, mime: f.type, size: f.size, data: await f.arrayBuffer() }))
+            );
+            await saveMedia(records);
+            onChange({ media: [...list, ...records.map((r) => ({ id: r.id, kind: mediaKind(r.mime), name: r.name }))] });
+        } catch (e) {
+            console.error("Failed to store media:", e);
+            alert(describeStorageError(e));
+        } finally {
+            setBusy(false);
+        }
+    }
+
+    const setItem = (i, patch) => onChange({ media: list.map((m, k) => (k === i ? { ...m, ...patch } : m)) });
+
+    return (
+        <div className="space-y-2">
+            <div className="flex items-center gap-2 flex-wrap">
+                <label className={`px-3 py-2 rounded-2xl shadow-sm border text-sm transition bg-gray-100 hover:bg-gray-200 ${busy ? "opacity-50 pointer-events-none" : "cursor-pointer"}`}>
+                    <input type="file" accept="image/*,audio/*,video/*" multiple onChange={addFiles} className="hidden" />
+                    <Paperclip className="w-4 h-4 inline -mt-0.5 mr-1" /> {busy ? "保存中..." : "添加图片 / 音频 / 视频"}
+                </label>
+                <span className="text-xs text-gray-500">单个文件上限：{limits}</span>
+            </div>
+            {list.map((m, i) => (
+                <div key={m.id} className="border rounded-xl p-3 space-y-2">
+                    <div className="flex items-center gap-2">
+                        <span className="text-sm text-gray-500">{MEDIA_KINDS[m.kind]}</span>
+                        <span className="text-sm truncate flex-1" title={m.name}>{m.name}</span>
+                        <button type="button" className="p-1 text-rose-600" onClick={() => onChange({ media: list.filter((_, k) => k !== i) })} title="移除">
+                            <Trash2 className="w-4 h-4" />
+                        </button>
+                    </div>
+                    <MediaPlayer media={[m]} />
+                    <Input value={m.caption || ""} onChange={(e) => setItem(i, { caption: e.target.value })} placeholder="说明文字（可选）" />
+                </div>
+            ))}
+        </div>
+    );
+}
@@ -0,0 +1,66 @@
+import React, { useEffect, useState } from "react";
+import { ImageOff } from "lucide-react";
+import { loadMedia } from "./storage";
+
+/**
+ * Object URL of a stored media record, revoked when the id changes or the
+ * component unmounts. `missing` is set when the database has no such record.
+ */
+export function useMediaUrl(id) {
+    const [state, setState] = useState({ url: null, missing: false });
+
+    useEffect(() => {
+        let live = true;
+        let url = null;
+        loadMedia(id)
+            .then((rec) => {
+                if (!live) return;
+                if (!rec) return setState({ url: null, missing: true });
+                url = URL.createObjectURL(new Blob([rec.data], { type: rec.mime }));
+                setState({ url, missing: false });
+            })
+            .catch((e) => {
+                console.error("Failed to load media:", e);
+                if (live) setState({ url: null, missing: true });
+            });
+        return () => {
+            live = false;
+            if (url) URL.revokeObjectURL(url);
+            setState({ url: null, missing: false });
+        };
+    }, [id]);
+
+    return state;
+}
+
+function MediaItem({ item, large }) {
+    const { url, missing } = useMediaUrl(item.id);
+    if (missing) {
+        return (
+            <div className="flex items-center gap-2 text-sm text-gray-500 p-3 rounded-xl border border-dashed">
+                <ImageOff className="w-4 h-4" /> 媒体文件缺失：{item.name}
+            </div>
+        );
+    }
+    if (!url) return <div className="h-10 rounded-xl bg-gray-100 animate-pulse" />;
+    if (item.kind === "image") {
+        return <img src={url} alt={item.caption || item.name} className={`rounded-xl border mx-auto ${large ? "max-h-[60vh]" : "max-h-64"}`} />;
+    }
+    if (item.kind === "audio") return <audio src={url} controls preload="metadata" className="w-full" />;
+    return <video src={url} controls preload="metadata" className={`rounded-xl border w-full ${large ? "max-h-[60vh]" : "max-h-64"}`} />;
+}
+
+// 题目附带的图片 / 音频 / 视频，从本地数据库读取，离线可用
+export default function MediaPlayer({ media, large = false }) {
+    if (!media?.length) return null;
+    return (
+        <div className="space-y-2">
+            {media.map((m) => (
+                <figure key={m.id}>
+                    <MediaItem item={m} large={large} />
+                    {m.caption && <figcaption className="text-xs text-gray-500 text-center mt-1">{m.caption}</figcaption>}
+                </figure>
+            ))}
+        </div>
+    );
+}
@@ -0,0 +1,208 @@
+import React, { useMemo, useState } from "react";
+import { GitMerge } from "lucide-react";
+import { IP_CATEGORIES, LEVEL_NAMES, TYPE_LABELS } from "./constants";
+import { Button, Card, Tag } from "./ui";
+import { SUB_TYPES } from "./reading";
+import { MEDIA_KINDS } from "./media";
+import {
+    applyIpMetaDiff,
+    applyQuestionDiff,
+    defaultAccepted,
+    diffIpMeta,
+    diffQuestions,
+} from "./merge";
+
+const KIND_TAGS = {
+    added: { tone: "green", label: "新增" },
+    changed: { tone: "amber", label: "修改" },
+    removed: { tone: "red", label: "删除" },
+};
+
+export const FIELD_LABELS = {
+    ip: "IP",
+    type: "题型",
+    level: "等级",
+    title: "题目",
+    options: "选项",
+    correctIndices: "正确答案",
+    isMultiChoice: "多选",
+    reference: "参考答案",
+    blanks: "填空答案",
+    scoring: "计分方式",
+    passage: "阅读材料",
+    subQuestions: "小题",
+    answer: "判断答案",
+    items: "排序项",
+    pairs: "配对",
+    media: "媒体",
+};
+
+export function QuestionSide({ q, fields }) {
+    if (!q) return <div className="text-gray-400 italic">（无）</div>;
+    const rows = [
+        ["ip", q.ip],
+        ["type", TYPE_LABELS[q.type] || q.type],
+        ["level", LEVEL_NAMES[q.level] || q.level],
+        ["title", q.title],
+        ["options", q.options?.map((o, i) => `${String.fromCharCode(65 + i)}. ${o}`).join("\n")],
+        ["correctIndices", q.correctIndices?.map((i) => String.fromCharCode(65 + i)).join(", ")],
+        ["reference", q.reference],
+        ["blanks", q.blanks?.map((b) => [...(b.accepted || []), ...(b.patterns || []).map((p) => `/${p}/`)].join(" | ")).join("\n")],
+        ["scoring", q.scoring],
+        ["passage", q.passage],
+        ["subQuestions", q.subQuestions?.map((s, i) => `${i + 1}. [${SUB_TYPES[s.type] || s.type} ${s.points} 分] ${s.title}`).join("\n")],
+        ["answer", typeof q.answer === "boolean" ? (q.answer ? "正确" : "错误") : undefined],
+        ["items", q.items?.map((x, i) => `${i + 1}. ${x}`).join("\n")],
+        ["pairs", q.pairs?.map((p) => `${p.left} — ${p.right}`).join("\n")],
+        ["media", q.media?.map((x) => `[${MEDIA_KINDS[x.kind] || x.kind}] ${x.name}${x.caption ? `（${x.caption}）` : ""}`).join("\n")],
+    ];
+    return (
+        <dl className="space-y-1">
+            {rows.filter(([, v]) => v !== undefined && v !== "").map(([field, v]) => (
+                <div key={field} className={fields.includes(field) ? "bg-amber-50 rounded px-1" : "px-1"}>
+                    <dt className="inline text-gray-500 mr-1">{FIELD_LABELS[field]}：</dt>
+                    <dd className="inline whitespace-pre-wrap">{v}</dd>
+                </div>
+            ))}
+        </dl>
+    );
+}
+
+const IP_FIELD_LABELS = {
+    displayName: "显示名称",
+    aliases: "别名",
+    category: "分类",
+    credit: "出题",
+    community: "同好群",
+    cover: "封面",
+    hidden: "隐藏",
+    note: "说明",
+};
+
+function IpSide({ ip, fields }) {
+    if (!ip) return <div className="text-gray-400 italic">（无）</div>;
+    const rows = [
+        ["displayName", ip.displayName],
+        ["aliases", ip.aliases?.join("、")],
+        ["category", IP_CATEGORIES[ip.category] || ip.category],
+        ["credit", ip.credit],
+        ["community", ip.community],
+        ["cover", ip.cover],
+        ["hidden", ip.hidden ? "是" : undefined],
+        ["note", ip.note],
+    ];
+    const shown = rows.filter(([, v]) => v !== undefined && v !== "");
+    if (shown.length === 0) return <div className="text-gray-400 italic">（空资料）</div>;
+    return (
+        <dl className="space-y-1">
+            {shown.map(([field, v]) => (
+                <div key={field} className={fields.includes(field) ? "bg-amber-50 rounded px-1" : "px-1"}>
+                    <dt className="inline text-gray-500 mr-1">{IP_FIELD_LABELS[field]}：</dt>
+                    <dd className="inline whitespace-pre-wrap break-all">{v}</dd>
+                </div>
+            ))}
+        </dl>
+    );
+}
+
+// 合并导入预览：按 id（IP 资料按 IP 名）对比，逐项接受 / 拒绝
+export default function MergePreview({ kind, current, incoming, onApply, onCancel }) {
+    const isQuestions = kind === "questions";
+    const ipOptions = useMemo(
+        () => [...new Set(isQuestions ? incoming.map((q) => q.ip) : Object.keys(incoming))].sort(),
+        [isQuestions, incoming]
+    );
+    const [ip, setIp] = useState("");
+    const entries = useMemo(
+        () => (isQuestions ? diffQuestions(current, incoming, { ip }) : diffIpMeta(current, incoming, { ip })),
+        [isQuestions, current, incoming, ip]
+    );
+    const [accepted, setAccepted] = useState(() => defaultAccepted(entries));
+    const [lastEntries, setLastEntries] = useState(entries);
+    if (lastEntries !== entries) {
+        // The scope changed: start over from the defaults of the new diff
+        setLastEntries(entries);
+        setAccepted(defaultAccepted(entries));
+    }
+
+    function toggle(key) {
+        setAccepted((prev) => {
+            const next = new Set(prev);
+            if (next.has(key)) next.delete(key);
+            else next.add(key);
+            return next;
+        });
+    }
+
+    function apply() {
+        if (accepted.size === 0) return alert("没有选中任何改动。");
+        const merged = isQuestions
+            ? applyQuestionDiff(current, entries, accepted)
+            : applyIpMetaDiff(current, entries, accepted);
+        onApply(merged, accepted.size);
+    }
+
+    const counts = { added: 0, changed: 0, removed: 0 };
+    for (const e of entries) counts[e.kind]++;
+
+    return (
+        <Card>
+            <div className="flex items-center gap-2 flex-wrap mb-3">
+                <h3 className="font-semibold mr-auto">
+                    <GitMerge className="w-4 h-4 inline -mt-0.5 mr-1" />
+                    合并预览：{isQuestions ? "题目" : "IP 资料"}
+                </h3>
+                <select className="px-3 py-2 border rounded-xl bg-white text-sm" value={ip} onChange={(e) => setIp(e.target.value)}>
+                    <option value="">全部 IP</option>
+                    {ipOptions.map((x) => (
+                        <option key={x} value={x}>只处理：{x}</option>
+                    ))}
+                </select>
+            </div>
+            <div className="flex items-center gap-2 flex-wrap mb-2 text-sm">
+                <Tag tone="green">新增 {counts.added}</Tag>
+                <Tag tone="amber">修改 {counts.changed}</Tag>
+                <Tag tone="red">删除 {counts.removed}</Tag>
+                <span className="ml-auto" />
+                <button className="text-blue-600" onClick={() => setAccepted(new Set(entries.map((e) => e.key)))}>全选</button>
+                <button className="text-blue-600" onClick={() => setAccepted(new Set())}>全不选</button>
+            </div>
+            {isQuestions && counts.removed > 0 && (
+                <p className="text-xs text-gray-500 mb-2">“删除”仅针对导入文件中出现的 IP，默认不勾选。</p>
+            )}
+
+            <div className="space-y-2 max-h-[32rem] overflow-auto">
+                {entries.map((e) => (
+                    <div key={e.key} className={`border rounded-xl p-2 text-sm ${accepted.has(e.key) ? "" : "opacity-60"}`}>
+                        <label className="flex items-center gap-2 mb-2 cursor-pointer">
+                            <input type="checkbox" checked={accepted.has(e.key)} onChange={() => toggle(e.key)} />
+                            <Tag tone={KIND_TAGS[e.kind].tone}>{KIND_TAGS[e.kind].label}</Tag>
+                            <span className="font-mono text-xs text-gray-600 truncate">{e.key}</span>
+                            {e.fields.length > 0 && (
+                                <span className="text-xs text-gray-500">（{e.fields.map((f) => (isQuestions ? FIELD_LABELS : IP_FIELD_LABELS)[f] || f).join("、")}）</span>
+                            )}
+                        </label>
+                        <div className="grid grid-cols-2 gap-2">
+                            <div>
+                                <div className="text-xs text-gray-400 mb-1">当前</div>
+                                {isQuestions ? <QuestionSide q={e.before} fields={e.fields} /> : <IpSide ip={e.before} fields={e.fields} />}
+                            </div>
+                            <div className="border-l pl-2">
+                                <div className="text-xs text-gray-400 mb-1">导入</div>
+                                {isQuestions ? <QuestionSide q={e.after} fields={e.fields} /> : <IpSide ip={e.after} fields={e.fields} />}
+                            </div>
+                        </div>
+                    </div>
+                ))}
+                {entries.length === 0 && <div className="text-center text-gray-500 py-4">没有差异，无需合并。</div>}
+            </div>
+
+            <div className="flex gap-2 mt-3">
+                <Button onClick={apply} disabled={entries.length === 0} className="bg-green-600 text-white hover:bg-green-700">
+                    应用选中的 {accepted.size} 项
+                </Button>
+                <Button onClick={onCancel} className="bg-gray-100 hover:bg-gray-200 text-gray-700">取消</Button>
+            </div>
+        </Card>
+    );
+}
@@ -0,0 +1,56 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { WifiOff, DownloadCloud } from "lucide-react";
+import { Button, Card, Tag } from "./ui";
+import { hasServiceWorker, imageUrls, warmImageCache } from "./offline";
+
+// 离线缓存：活动开始前把题目与提示中的远程图片预先缓存，现场断网也能显示
+export default function OfflineCache({ questions, ipMeta }) {
+    const urls = useMemo(() => imageUrls(questions, ipMeta), [questions, ipMeta]);
+    const [ready, setReady] = useState(null); // null while checking
+    const [progress, setProgress] = useState(null); // { done, total, failed, finished }
+
+    useEffect(() => {
+        hasServiceWorker()
+            .then(setReady)
+            .catch(() => setReady(false));
+    }, []);
+
+    async function warm() {
+        setProgress({ done: 0, total: urls.length, failed: [] });
+        try {
+            const result = await warmImageCache(urls, setProgress);
+            if (result.failed.length) alert(`有 ${result.failed.length} 张图片未能缓存：\n${result.failed.join("\n")}`);
+        } catch (e) {
+            setProgress(null);
+            alert(e.message);
+        }
+    }
+
+    const running = progress && !progress.finished;
+
+    return (
+        <Card>
+            <div className="flex items-center gap-2 flex-wrap">
+                <h3 className="font-semibold mr-auto"><WifiOff className="w-4 h-4 inline -mt-0.5 mr-1" />离线缓存</h3>
+                {ready === true && <Tag tone="green">Service Worker 已启用</Tag>}
+                {ready === false && <Tag tone="gray">未启用（仅正式构建）</Tag>}
+                <Tag tone="gray">{urls.length} 张远程图片</Tag>
+            </div>
+            <p className="text-sm text-gray-500 mt-2">
+                页面与内置题库安装后即可离线使用，上传的媒体附件保存在本地数据库中。题目和提示引用的远程图片需要在联网时预先缓存。
+            </p>
+            <div className="flex items-center gap-3 mt-3">
+                <Button onClick={warm} disabled={!ready || running || urls.length === 0} className="bg-blue-600 text-white hover:bg-blue-700">
+                    <DownloadCloud className="w-4 h-4 inline mr-1" /> {running ? "缓存中..." : "预热图片缓存"}
+                </Button>
+                {progress && (
+                    <span className="text-sm text-gray-600">
+                        {progress.done} / {progress.total}
+                        {progress.failed.length > 0 && <span className="text-rose-600">，失败 {progress.failed.length}</span>}
+                        {progress.finished && progress.failed.length === 0 && <span className="text-green-600">，已全部缓存</span>}
+                    </span>
+                )}
+            </div>
+        </Card>
+    );
+}
@@ -0,0 +1,62 @@
+import React from "react";
+import { Search, X } from "lucide-react";
+import { LEVEL_NAMES, TYPE_LABELS } from "./constants";
+import { Input } from "./ui";
+import { EMPTY_FILTERS, isFiltering, splitHighlights } from "./search";
+
+// 纯文本中的匹配片段高亮（选项、排序项等不经 Markdown 渲染的文字）
+export function Highlight({ text, terms }) {
+    return splitHighlights(text, terms || []).map((run, i) =>
+        run.hit ? <mark key={i} className="bg-yellow-200 rounded-sm">{run.text}</mark> : <React.Fragment key={i}>{run.text}</React.Fragment>
+    );
+}
+
+// 题目搜索与筛选：关键词（支持拼音全拼 / 首字母）、题型、等级、单选 / 多选、缺少参考答案
+// answers：管理页也搜索答案部分（参考答案、排序项、连线），选手页不搜索
+export default function QuestionFilters({ filters, onChange, count, answers = false, types = Object.keys(TYPE_LABELS), levelLabel = (l) => LEVEL_NAMES[l] }) {
+    const set = (patch) => onChange({ ...filters, ...patch });
+    const select = "px-2 py-2 border rounded-xl bg-white text-sm";
+
+    return (
+        <div className="space-y-2">
+            <div className="relative">
+                <Search className="w-4 h-4 absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+                <Input
+                    value={filters.query}
+                    onChange={(e) => set({ query: e.target.value })}
+                    placeholder={`搜索题目、选项${answers ? "、参考答案" : ""}（支持拼音或首字母，如 yipaisan / yps）`}
+                    className="pl-9"
+                />
+            </div>
+            <div className="flex items-center gap-2 flex-wrap text-sm">
+                <select className={select} value={filters.type} onChange={(e) => set({ type: e.target.value })}>
+                    <option value="">全部题型</option>
+                    {types.map((t) => <option key={t} value={t}>{TYPE_LABELS[t]}</option>)}
+                </select>
+                <select className={select} value={filters.level} onChange={(e) => set({ level: e.target.value })}>
+                    <option value="">全部等级</option>
+                    {Object.keys(LEVEL_NAMES).map((l) => <option key={l} value={l}>{levelLabel(l)}</option>)}
+                </select>
+                <select className={select} value={filters.multi} onChange={(e) => set({ multi: e.target.value })}>
+                    <option value="">单选 / 多选</option>
+                    <option value="single">仅单选</option>
+                    <option value="multi">仅多选</option>
+                </select>
+                {answers && (
+                    <label className="flex items-center gap-1">
+                        <input type="checkbox" checked={filters.missingReference} onChange={(e) => set({ missingReference: e.target.checked })} />
+                        缺少参考答案
+                    </label>
+                )}
+                {isFiltering(filters) && (
+                    <>
+                        <span className="text-gray-500 ml-auto">找到 {count} 题</span>
+                        <button type="button" className="text-blue-600 flex items-center gap-0.5" onClick={() => onChange(EMPTY_FILTERS)}>
+                            <X className="w-4 h-4" /> 清除
+                        </button>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,64 @@
+import React, { useState } from "react";
+import { Shuffle } from "lucide-react";
+import { Button, Card, Tag } from "./ui";
+import { drawBasket, randomSeed } from "./draw";
+import { levelLabel } from "./rules";
+
+// 随机抽题：选手只选 IP 范围，题目由程序抽取
+export default function RandomDraw({ questions, ips, settings, rules, drawInfo, onDraw }) {
+    const [chosenIPs, setChosenIPs] = useState(() => drawInfo?.ips || []);
+
+    function toggleIP(ip) {
+        setChosenIPs((prev) => (prev.includes(ip) ? prev.filter((x) => x !== ip) : [...prev, ip]));
+    }
+
+    function draw() {
+        const seed = settings.seed || randomSeed();
+        try {
+            const ids = drawBasket(questions, { ips: chosenIPs, seed, minLevels: settings.minLevels, rules });
+            onDraw(ids, { seed, ips: chosenIPs });
+        } catch (e) {
+            alert(e.message);
+        }
+    }
+
+    const mix = Object.keys(rules.minLevels)
+        .map((lv) => [lv, Math.max(rules.minLevels[lv] || 0, settings.minLevels?.[lv] || 0)])
+        .filter(([, n]) => n > 0);
+
+    return (
+        <Card>
+            <div className="flex items-center justify-between mb-2">
+                <h3 className="font-semibold"><Shuffle className="w-4 h-4 inline -mt-0.5 mr-1" />随机抽题</h3>
+                <Button
+                    onClick={() => setChosenIPs([])}
+                    className={chosenIPs.length === 0 ? "bg-gray-900 text-white" : "bg-gray-100 hover:bg-gray-200"}
+                >
+                    任意 IP
+                </Button>
+            </div>
+            <div className="flex flex-wrap gap-1 max-h-[160px] overflow-auto">
+                {ips.map((ip) => (
+                    <button
+                        key={ip}
+                        onClick={() => toggleIP(ip)}
+                        className={`px-2 py-1 rounded-full border text-xs ${chosenIPs.includes(ip) ? "bg-blue-600 border-blue-600 text-white" : "bg-white hover:bg-gray-50"}`}
+                    >
+                        {ip}
+                    </button>
+                ))}
+            </div>
+            <div className="mt-3 flex items-center gap-2 flex-wrap">
+                <Button onClick={draw} className="bg-blue-600 text-white hover:bg-blue-700">
+                    <Shuffle className="w-4 h-4 inline -mt-0.5 mr-1" /> {drawInfo ? "重新抽题" : "抽题"}
+                </Button>
+                {mix.length > 0 && (
+                    <span className="text-xs text-gray-500">
+                        保底：{mix.map(([lv, n]) => `${levelLabel(rules, lv)} ≥ ${n}`).join("，")}
+                    </span>
+                )}
+                {drawInfo && <Tag tone="gray" className="ml-auto">种子 {drawInfo.seed}</Tag>}
+            </div>
+        </Card>
+    );
+}
@@ -0,0 +1,132 @@
+import React from "react";
+import { ArrowDown, ArrowUp, Plus, Trash2 } from "lucide-react";
+import { Button, Input, Textarea } from "./ui";
+import { SUB_TYPES, subQuestionTotal } from "./reading";
+import { uid } from "./utils";
+
+function newSubQuestion(type) {
+    return type === "mcq"
+        ? { id: uid(), type, title: "", options: ["", "", "", ""], correctIndices: [], isMultiChoice: false, points: 1 }
+        : { id: uid(), type, title: "", blanks: [{ accepted: [], patterns: [] }], points: 1 };
+}
+
+function SubMcqFields({ sub, onChange }) {
+    const options = sub.options || [];
+    function toggleCorrect(i) {
+        const correct = sub.correctIndices || [];
+        if (!sub.isMultiChoice) return onChange({ correctIndices: [i] });
+        const next = correct.includes(i) ? correct.filter((x) => x !== i) : [...correct, i];
+        onChange({ correctIndices: next.sort((a, b) => a - b) });
+    }
+    return (
+        <div className="space-y-2">
+            <label className="flex items-center gap-2 text-sm">
+                <input
+                    type="checkbox"
+                    checked={!!sub.isMultiChoice}
+                    onChange={(e) => onChange({ isMultiChoice: e.target.checked, correctIndices: e.target.checked ? sub.correctIndices : (sub.correctIndices || []).slice(0, 1) })}
+                />
+                多选
+            </label>
+            {options.map((opt, i) => (
+                <div key={i} className="flex items-center gap-2">
+                    <button
+                        type="button"
+                        onClick={() => toggleCorrect(i)}
+                        className={`w-8 h-8 shrink-0 rounded-full border text-sm font-medium ${(sub.correctIndices || []).includes(i) ? "bg-blue-500 border-blue-600 text-white" : "bg-white border-gray-300 text-gray-600"}`}
+                        title="标记为正确答案"
+                    >
+                        {String.fromCharCode(65 + i)}
+                    </button>
+                    <Input value={opt} onChange={(e) => onChange({ options: options.map((o, k) => (k === i ? e.target.value : o)) })} placeholder={`选项 ${String.fromCharCode(65 + i)}`} />
+                </div>
+            ))}
+            <button type="button" className="text-sm text-blue-600" onClick={() => onChange({ options: [...options, ""] })}>+ 添加选项</button>
+        </div>
+    );
+}
+
+function SubFillFields({ sub, onChange }) {
+    const blanks = sub.blanks || [];
+    const setBlank = (i, patch) => onChange({ blanks: blanks.map((b, k) => (k === i ? { ...b, ...patch } : b)) });
+    return (
+        <div className="space-y-2">
+            {blanks.map((b, i) => (
+                <div key={i} className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                    <Textarea
+                        value={(b.accepted || []).join("\n")}
+                        onChange={(e) => setBlank(i, { accepted: e.target.value.split("\n") })}
+                        placeholder={`第 ${i + 1} 空可接受答案，每行一个`}
+                        className="min-h-[60px]"
+                    />
+                    <Textarea
+                        value={(b.patterns || []).join("\n")}
+                        onChange={(e) => setBlank(i, { patterns: e.target.value.split("\n") })}
+                        placeholder="正则（可选），每行一个"
+                        className="min-h-[60px] font-mono"
+                    />
+                </div>
+            ))}
+            <div className="flex gap-3 text-sm">
+                <button type="button" className="text-blue-600" onClick={() => onChange({ blanks: [...blanks, { accepted: [], patterns: [] }] })}>+ 添加一空</button>
+                {blanks.length > 1 && (
+                    <button type="button" className="text-rose-600" onClick={() => onChange({ blanks: blanks.slice(0, -1) })}>删除最后一空</button>
+                )}
+            </div>
+        </div>
+    );
+}
+
+// 阅读题编辑：阅读材料 + 有序小题（选择 / 填空），小题分值合计应等于该等级总分
+export default function ReadingEditor({ passage, subQuestions, levelPoints, onChange }) {
+    const list = subQuestions || [];
+    const total = subQuestionTotal({ subQuestions: list });
+
+    const setSub = (i, patch) => onChange({ subQuestions: list.map((s, k) => (k === i ? { ...s, ...patch } : s)) });
+    function move(i, delta) {
+        const next = [...list];
+        const [item] = next.splice(i, 1);
+        next.splice(i + delta, 0, item);
+        onChange({ subQuestions: next });
+    }
+
+    return (
+        <div className="space-y-3">
+            <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">阅读材料（支持 Markdown，答题时固定显示）</label>
+                <Textarea value={passage || ""} onChange={(e) => onChange({ passage: e.target.value })} placeholder="粘贴阅读材料..." className="min-h-[160px]" />
+            </div>
+
+            <div className="flex items-center gap-2">
+                <span className="text-sm font-medium text-gray-700 mr-auto">
+                    小题（分值合计 {total} / {levelPoints} 分{total !== levelPoints && <span className="text-amber-600">，计分时按比例折算</span>}）
+                </span>
+                {Object.entries(SUB_TYPES).map(([type, label]) => (
+                    <Button key={type} onClick={() => onChange({ subQuestions: [...list, newSubQuestion(type)] })} className="bg-gray-100 hover:bg-gray-200">
+                        <Plus className="w-4 h-4 inline -mt-0.5" /> {label}小题
+                    </Button>
+                ))}
+            </div>
+
+            {list.map((sub, i) => (
+                <div key={sub.id} className="border rounded-xl p-3 space-y-2">
+                    <div className="flex items-center gap-2">
+                        <span className="font-medium">{i + 1}.</span>
+                        <span className="text-sm text-gray-500">{SUB_TYPES[sub.type]}</span>
+                        <label className="text-sm text-gray-600 ml-2">分值</label>
+                        <Input type="number" min="0" step="0.5" value={sub.points} onChange={(e) => setSub(i, { points: e.target.value })} className="w-20" />
+                        <span className="ml-auto" />
+                        <button type="button" className="p-1 text-gray-500 disabled:opacity-30" disabled={i === 0} onClick={() => move(i, -1)} title="上移"><ArrowUp className="w-4 h-4" /></button>
+                        <button type="button" className="p-1 text-gray-500 disabled:opacity-30" disabled={i === list.length - 1} onClick={() => move(i, 1)} title="下移"><ArrowDown className="w-4 h-4" /></button>
+                        <button type="button" className="p-1 text-rose-600" onClick={() => onChange({ subQuestions: list.filter((_, k) => k !== i) })} title="删除小题"><Trash2 className="w-4 h-4" /></button>
+                    </div>
+                    <Input value={sub.title} onChange={(e) => setSub(i, { title: e.target.value })} placeholder="小题题干" />
+                    {sub.type === "mcq"
+                        ? <SubMcqFields sub={sub} onChange={(patch) => setSub(i, patch)} />
+                        : <SubFillFields sub={sub} onChange={(patch) => setSub(i, patch)} />}
+                </div>
+            ))}
+            {list.length === 0 && <div className="text-sm text-gray-500">还没有小题。</div>}
+        </div>
+    );
+}
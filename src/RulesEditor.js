@@ -0,0 +1,196 @@
+import React from "react";
+import { PlusCircle, Trash2, RotateCcw } from "lucide-react";
+import { LEVEL_NAMES, TYPE_LABELS } from "./constants";
+import { Button, Card, Input } from "./ui";
+import { BUILTIN_PRESETS, REVEAL_MODES, getActiveRules, levelMixError } from "./rules";
+import { MCQ_STRATEGIES, ORDERING_STRATEGIES } from "./scoring";
+import { uid } from "./utils";
+
+function toInt(v, min = 0) {
+    return Math.max(min, parseInt(v, 10) || 0);
+}
+
+// 赛制配置：活动当天可在多个命名预设之间切换
+export default function RulesEditor({ rulesStore, setRulesStore }) {
+    const rules = getActiveRules(rulesStore);
+
+    function update(patch) {
+        setRulesStore((prev) => ({
+            ...prev,
+            profiles: prev.profiles.map((p) => (p.id === rules.id ? { ...p, ...patch } : p)),
+        }));
+    }
+
+    function switchProfile(id) {
+        setRulesStore((prev) => ({ ...prev, activeId: id }));
+    }
+
+    function addProfile() {
+        const copy = { ...rules, id: uid(), name: `${rules.name} 副本` };
+        setRulesStore((prev) => ({ activeId: copy.id, profiles: [...prev.profiles, copy] }));
+    }
+
+    function deleteProfile() {
+        if (rulesStore.profiles.length <= 1) return alert("至少需要保留一个赛制。");
+        if (!window.confirm(`确定要删除赛制「${rules.name}」吗？`)) return;
+        setRulesStore((prev) => {
+            const profiles = prev.profiles.filter((p) => p.id !== rules.id);
+            return { activeId: profiles[0].id, profiles };
+        });
+    }
+
+    function restorePresets() {
+        if (!window.confirm("恢复内置预设会覆盖同名内置赛制的修改，自建赛制保留。确定吗？")) return;
+        setRulesStore((prev) => {
+            const custom = prev.profiles.filter((p) => !BUILTIN_PRESETS.some((b) => b.id === p.id));
+            return { ...prev, profiles: [...BUILTIN_PRESETS, ...custom] };
+        });
+    }
+
+    function toggleType(type) {
+        const allowed = rules.allowedTypes.includes(type)
+            ? rules.allowedTypes.filter((t) => t !== type)
+            : [...rules.allowedTypes, type];
+        if (allowed.length === 0) return alert("至少需要允许一种题型。");
+        update({ allowedTypes: allowed });
+    }
+
+    return (
+        <Card>
+            <div className="flex items-center gap-2 flex-wrap mb-3">
+                <h3 className="font-semibold mr-auto">赛制配置</h3>
+                <select
+                    className="px-3 py-2 border rounded-xl bg-white text-sm"
+                    value={rules.id}
+                    onChange={(e) => switchProfile(e.target.value)}
+                >
+                    {rulesStore.profiles.map((p) => (
+                        <option key={p.id} value={p.id}>{p.name}</option>
+                    ))}
+                </select>
+                <Button onClick={addProfile} className="bg-blue-600 text-white hover:bg-blue-700">
+                    <PlusCircle className="w-4 h-4 inline mr-1" /> 复制为新赛制
+                </Button>
+                <Button onClick={deleteProfile} className="text-rose-600 border-rose-300 bg-rose-50 hover:bg-rose-100">
+                    <Trash2 className="w-4 h-4 inline mr-1" /> 删除
+                </Button>
+                <Button onClick={restorePresets} className="bg-gray-100 hover:bg-gray-200 text-gray-700">
+                    <RotateCcw className="w-4 h-4 inline mr-1" /> 恢复内置预设
+                </Button>
+            </div>
+
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+                <label className="text-sm text-gray-700">
+                    赛制名称
+                    <Input value={rules.name} onChange={(e) => update({ name: e.target.value })} />
+                </label>
+                <label className="text-sm text-gray-700">
+                    总题数上限
+                    <Input type="number" min={1} value={rules.total} onChange={(e) => update({ total: toInt(e.target.value, 1) })} />
+                </label>
+                <label className="text-sm text-gray-700">
+                    每个 IP 上限
+                    <Input type="number" min={1} value={rules.perIP} onChange={(e) => update({ perIP: toInt(e.target.value, 1) })} />
+                </label>
+            </div>
+
+            <table className="w-full text-sm mt-4">
+                <thead>
+                    <tr className="text-left text-gray-500">
+                        <th className="py-1">等级</th>
+                        <th className="py-1">分值</th>
+                        <th className="py-1">至少</th>
+                        <th className="py-1">至多（留空不限）</th>
+                        <th className="py-1">每题限时（秒，0 不限）</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {Object.keys(LEVEL_NAMES).map((lv) => (
+                        <tr key={lv}>
+                            <td className="py-1 pr-2 font-medium">{LEVEL_NAMES[lv]}</td>
+                            <td className="py-1 pr-2">
+                                <Input type="number" min={0} value={rules.points[lv]} onChange={(e) => update({ points: { ...rules.points, [lv]: toInt(e.target.value) } })} />
+                            </td>
+                            <td className="py-1 pr-2">
+                                <Input type="number" min={0} value={rules.minLevels[lv] || 0} onChange={(e) => update({ minLevels: { ...rules.minLevels, [lv]: toInt(e.target.value) } })} />
+                            </td>
+                            <td className="py-1">
+                                <Input
+                                    type="number"
+                                    min={0}
+                                    value={rules.maxLevels[lv] ?? ""}
+                                    onChange={(e) => update({ maxLevels: { ...rules.maxLevels, [lv]: e.target.value === "" ? null : toInt(e.target.value) } })}
+                                />
+                            </td>
+                            <td className="py-1 pl-2">
+                                <Input
+                                    type="number"
+                                    min={0}
+                                    value={rules.timer.perQuestion[lv] || 0}
+                                    onChange={(e) => update({ timer: { ...rules.timer, perQuestion: { ...rules.timer.perQuestion, [lv]: toInt(e.target.value) } } })}
+                                />
+                            </td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+            {levelMixError(rules) && <p className="mt-2 text-sm text-rose-600">{levelMixError(rules)}</p>}
+
+            <label className="block mt-3 text-sm text-gray-700 sm:w-1/3">
+                全程限时（秒，0 不限）
+                <Input type="number" min={0} value={rules.timer.global || 0} onChange={(e) => update({ timer: { ...rules.timer, global: toInt(e.target.value) } })} />
+            </label>
+
+            <label className="block mt-3 text-sm text-gray-700 sm:w-1/2">
+                作答流程
+                <select
+                    className="w-full px-3 py-2 border rounded-xl bg-white"
+                    value={rules.revealMode}
+                    onChange={(e) => update({ revealMode: e.target.value })}
+                >
+                    {Object.entries(REVEAL_MODES).map(([key, m]) => (
+                        <option key={key} value={key}>{m.label}</option>
+                    ))}
+                </select>
+            </label>
+
+            <div className="mt-3 grid grid-cols-1 sm:grid-cols-2 gap-3">
+                <label className="block text-sm text-gray-700">
+                    多选题计分方式（题目可单独覆盖）
+                    <select
+                        className="w-full px-3 py-2 border rounded-xl bg-white"
+                        value={rules.mcqScoring}
+                        onChange={(e) => update({ mcqScoring: e.target.value })}
+                    >
+                        {Object.entries(MCQ_STRATEGIES).map(([key, label]) => (
+                            <option key={key} value={key}>{label}</option>
+                        ))}
+                    </select>
+                </label>
+                <label className="block text-sm text-gray-700">
+                    排序题计分方式
+                    <select
+                        className="w-full px-3 py-2 border rounded-xl bg-white"
+                        value={rules.orderingScoring}
+                        onChange={(e) => update({ orderingScoring: e.target.value })}
+                    >
+                        {Object.entries(ORDERING_STRATEGIES).map(([key, label]) => (
+                            <option key={key} value={key}>{label}</option>
+                        ))}
+                    </select>
+                </label>
+            </div>
+
+            <div className="mt-4 flex items-center gap-4 flex-wrap text-sm">
+                <span className="text-gray-700">允许题型：</span>
+                {Object.entries(TYPE_LABELS).map(([type, label]) => (
+                    <label key={type} className="flex items-center gap-1">
+                        <input type="checkbox" checked={rules.allowedTypes.includes(type)} onChange={() => toggleType(type)} />
+                        {label}
+                    </label>
+                ))}
+            </div>
+            <p className="text-sm text-gray-500 mt-2">修改即时生效，所有页面与选题检查均读取当前赛制。</p>
+        </Card>
+    );
+}
@@ -0,0 +1,101 @@
+import React, { useMemo, useState } from "react";
+import { Trash2, Eye, Users } from "lucide-react";
+import { LEVEL_COLORS, LEVEL_NAMES, TYPE_LABELS } from "./constants";
+import { Button, Card, Input, Tag } from "./ui";
+import { searchRuns } from "./sessions";
+import { WrittenAnswer } from "./GradingQueue";
+import { formatTime } from "./utils";
+
+// 管理员查看 / 搜索 / 删除历史答题记录
+export default function RunHistory({ runs, setRuns }) {
+    const [query, setQuery] = useState("");
+    const [openId, setOpenId] = useState(null);
+
+    const list = useMemo(() => searchRuns(runs, query), [runs, query]);
+
+    function deleteRun(id) {
+        if (window.confirm("确定要删除这条答题记录吗？此操作不可逆！")) {
+            setRuns((prev) => prev.filter((r) => r.id !== id));
+            if (openId === id) setOpenId(null);
+        }
+    }
+
+    function clearRuns() {
+        if (runs.length === 0) return;
+        if (window.confirm(`确定要清空全部 ${runs.length} 条答题记录吗？此操作不可逆！`)) {
+            setRuns([]);
+            setOpenId(null);
+        }
+    }
+
+    return (
+        <Card>
+            <div className="flex items-center justify-between mb-3 gap-2">
+                <h3 className="font-semibold"><Users className="w-4 h-4 inline -mt-0.5 mr-1" />答题记录（共 {runs.length} 条）</h3>
+                <Button onClick={clearRuns} className="text-rose-600 border-rose-300 bg-rose-50 hover:bg-rose-100" disabled={runs.length === 0}>
+                    <Trash2 className="w-4 h-4 inline mr-1" /> 清空
+                </Button>
+            </div>
+            <Input
+                placeholder="按选手昵称 / 编号 / IP 搜索"
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+            />
+            <div className="mt-3 space-y-2 max-h-[480px] overflow-auto pr-1">
+                {list.length === 0 && (
+                    <div className="text-center py-4 text-gray-500 text-sm">暂无答题记录。</div>
+                )}
+                {list.map((r) => (
+                    <div key={r.id} className="p-3 rounded-xl border bg-white">
+                        <div className="flex items-center gap-2 flex-wrap">
+                            <span className="font-medium">{r.contestant?.name || "匿名"}</span>
+                            {r.contestant?.code && <Tag tone="gray">#{r.contestant.code}</Tag>}
+                            <Tag tone="blue">{r.scoreSummary?.total ?? 0} 分</Tag>
+                            <span className="text-xs text-gray-500">{formatTime(r.finishedAt)}</span>
+                            <div className="ml-auto flex gap-2">
+                                <Button onClick={() => setOpenId(openId === r.id ? null : r.id)} className="bg-gray-100 hover:bg-gray-200 text-gray-700">
+                                    <Eye className="w-4 h-4 inline mr-1" /> {openId === r.id ? "收起" : "详情"}
+                                </Button>
+                                <Button onClick={() => deleteRun(r.id)} className="text-rose-600 border-rose-300 bg-rose-50 hover:bg-rose-100">
+                                    <Trash2 className="w-4 h-4 inline mr-1" /> 删除
+                                </Button>
+                            </div>
+                        </div>
+                        {openId === r.id && (
+                            <ul className="mt-2 space-y-1 text-sm text-gray-700">
+                                {(r.items || []).map((it) => {
+                                    const ans = r.answers?.[it.id];
+                                    return (
+                                        <li key={it.id}>
+                                            <div className="flex items-center gap-2">
+                                                <Tag tone="blue">{it.ip}</Tag>
+                                                <Tag tone={LEVEL_COLORS[it.level]}>{LEVEL_NAMES[it.level]}</Tag>
+                                                <Tag tone="gray">{TYPE_LABELS[it.type]}</Tag>
+                                                <span className="truncate flex-1" title={it.title}>{it.title}</span>
+                                                {typeof ans?.manualScore === "number" && <Tag tone="blue">评 {ans.manualScore} 分</Tag>}
+                                            </div>
+                                            {/* 书面作答随记录保存，便于事后评分与复核 */}
+                                            {r.scoreSummary?.bySub?.[it.id] ? (
+                                                <div className="ml-2 mt-1 pl-2 border-l text-xs text-gray-600">
+                                                    小题得分：{Object.values(r.scoreSummary.bySub[it.id]).map((n, i) => `${i + 1}. ${n}`).join("，")}
+                                                </div>
+                                            ) : ["fill", "short", "reading"].includes(it.type) && (
+                                                <div className="ml-2 mt-1 pl-2 border-l text-xs text-gray-600">
+                                                    <WrittenAnswer q={it} ans={ans} />
+                                                    {ans?.graderComment && <div className="text-gray-500 mt-1">评分备注：{ans.graderComment}</div>}
+                                                </div>
+                                            )}
+                                        </li>
+                                    );
+                                })}
+                                <li className="text-xs text-gray-500 pt-1">
+                                    按 IP：{Object.entries(r.scoreSummary?.byIP || {}).map(([ip, n]) => `${ip} ${n}`).join("，") || "暂无数据"}
+                                </li>
+                            </ul>
+                        )}
+                    </div>
+                ))}
+            </div>
+        </Card>
+    );
+}
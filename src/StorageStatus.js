@@ -0,0 +1,42 @@
+import React, { useEffect, useState } from "react";
+import { Database } from "lucide-react";
+import { Card, Tag } from "./ui";
+import { storageEstimate } from "./storage";
+
+const WARN_RATIO = 0.8;
+
+function formatBytes(n) {
+    if (n >= 1024 * 1024 * 1024) return `${(n / 1024 / 1024 / 1024).toFixed(1)} GB`;
+    if (n >= 1024 * 1024) return `${(n / 1024 / 1024).toFixed(1)} MB`;
+    return `${Math.round(n / 1024)} KB`;
+}
+
+// 本地存储状态：数据库是否可用、已用空间与浏览器配额
+export default function StorageStatus({ status }) {
+    const [estimate, setEstimate] = useState(null);
+
+    useEffect(() => {
+        storageEstimate()
+            .then(setEstimate)
+            .catch(() => setEstimate(null));
+    }, []);
+
+    const ratio = estimate?.quota ? estimate.usage / estimate.quota : 0;
+
+    return (
+        <Card>
+            <div className="flex items-center gap-2 flex-wrap">
+                <h3 className="font-semibold mr-auto"><Database className="w-4 h-4 inline -mt-0.5 mr-1" />本地存储</h3>
+                {status === "ready" ? <Tag tone="green">IndexedDB 正常</Tag> : <Tag tone="red">不可用，数据仅保存在当前页面</Tag>}
+                {estimate && (
+                    <Tag tone={ratio > WARN_RATIO ? "amber" : "gray"}>
+                        已用 {formatBytes(estimate.usage)} / 配额 {formatBytes(estimate.quota)}
+                    </Tag>
+                )}
+            </div>
+            {ratio > WARN_RATIO && (
+                <p className="text-sm text-amber-700 mt-2">存储空间即将用尽，请导出备份并清理成绩记录、修改记录或未使用的媒体文件。</p>
+            )}
+        </Card>
+    );
+}
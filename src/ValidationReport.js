@@ -0,0 +1,74 @@
+import React, { useState } from "react";
+import { AlertTriangle, CheckCircle2, XCircle } from "lucide-react";
+import { Button, Card, Tag } from "./ui";
+
+const PREVIEW_LIMIT = 50;
+
+// 题库检查报告：导入前预览，或显示当前题库的问题
+export default function ValidationReport({ title, report, onConfirm, onCancel, confirmLabel = "确认导入" }) {
+    const [showAll, setShowAll] = useState(false);
+    const { issues, errors, warnings } = report;
+    const shown = showAll ? issues : issues.slice(0, PREVIEW_LIMIT);
+
+    return (
+        <Card className={errors > 0 ? "border-rose-300" : warnings > 0 ? "border-amber-300" : ""}>
+            <div className="flex items-center gap-2 flex-wrap mb-2">
+                <h3 className="font-semibold mr-auto">{title}</h3>
+                {errors === 0 && warnings === 0 ? (
+                    <Tag tone="green"><CheckCircle2 className="w-3 h-3 inline -mt-0.5" /> 未发现问题</Tag>
+                ) : (
+                    <>
+                        <Tag tone="red">{errors} 个错误</Tag>
+                        <Tag tone="amber">{warnings} 个警告</Tag>
+                    </>
+                )}
+            </div>
+
+            {issues.length > 0 && (
+                <ul className="text-sm space-y-1 max-h-80 overflow-auto">
+                    {shown.map((issue, i) => (
+                        <li key={i} className="flex items-start gap-2">
+                            {issue.severity === "error" ? (
+                                <XCircle className="w-4 h-4 mt-0.5 shrink-0 text-rose-600" />
+                            ) : (
+                                <AlertTriangle className="w-4 h-4 mt-0.5 shrink-0 text-amber-500" />
+                            )}
+                            <span>
+                                {issue.row != null ? (
+                                    <span className="text-gray-400 mr-1">第 {issue.row} 行</span>
+                                ) : (
+                                    issue.index !== null && <span className="text-gray-400 mr-1">#{issue.index + 1}</span>
+                                )}
+                                {issue.id && <span className="font-mono text-xs text-gray-600 mr-1">{issue.id}</span>}
+                                {issue.message}
+                            </span>
+                        </li>
+                    ))}
+                </ul>
+            )}
+            {issues.length > PREVIEW_LIMIT && (
+                <button className="text-xs text-blue-600 mt-1" onClick={() => setShowAll((v) => !v)}>
+                    {showAll ? "收起" : `显示全部 ${issues.length} 条`}
+                </button>
+            )}
+
+            {(onConfirm || onCancel) && (
+                <div className="flex gap-2 mt-3">
+                    {onConfirm && (
+                        <Button
+                            onClick={onConfirm}
+                            disabled={errors > 0}
+                            className="bg-green-600 text-white hover:bg-green-700"
+                        >
+                            {confirmLabel}
+                        </Button>
+                    )}
+                    {onCancel && (
+                        <Button onClick={onCancel} className="bg-gray-100 hover:bg-gray-200 text-gray-700">取消</Button>
+                    )}
+                    {errors > 0 && <span className="text-sm text-rose-600 self-center">请先修正错误后再导入</span>}
+                </div>
+            )}
+        </Card>
+    );
+}
@@ -0,0 +1,129 @@
+import { scoreQuestion } from "./scoring";
+import { needsManualGrade, runRules } from "./grading";
+
+// --- Question usage and difficulty statistics over stored quiz runs ---
+
+// Fewer answers than this say nothing about difficulty
+export const MIN_SAMPLES = 5;
+
+/**
+ * Score rate (points earned / points available) that each level should land
+ * in; the first band the observed rate reaches suggests the level.
+ */
+export const LEVEL_BY_RATE = [
+    { level: "c", min: 0.8 },
+    { level: "b", min: 0.6 },
+    { level: "a", min: 0.35 },
+    { level: "s", min: 0 },
+];
+
+/** @returns {string} the level whose band contains `rate` */
+export function suggestLevel(rate) {
+    return LEVEL_BY_RATE.find((b) => rate >= b.min).level;
+}
+
+/**
+ * @typedef {Object} QuestionStats
+ * @property {Object} q
+ * @property {number} picks             runs that contained the question
+ * @property {number} scored            answers with a score (graded, or auto-graded)
+ * @property {number|null} rate         average score rate over `scored`, null when none
+ * @property {number|null} correctRate  MCQ only: share of answers earning full points
+ * @property {number|null} manualAvg    manually graded types: average manualScore
+ * @property {number} pending           manual answers still waiting for a grader
+ * @property {number[]|null} optionCounts  MCQ only: how often each option was chosen
+ * @property {string|null} suggested    level suggested by `rate`, null below MIN_SAMPLES
+ */
+
+/**
+ * Per-question statistics. Runs keep answers but not per-question points, so
+ * answers are re-scored against the current bank, at the level and under the
+ * rules each run was played with (see runRules); questions deleted since are skipped.
+ * @param {Object[]} runs
+ * @param {Object[]} questions
+ * @param {import("./rules").Rules} rules
+ * @returns {QuestionStats[]} in bank order, only questions picked at least once
+ */
+export function questionStats(runs, questions, rules) {
+    const byId = new Map(questions.map((q) => [q.id, q]));
+    const acc = new Map();
+
+    for (const run of runs) {
+        for (const id of run.basket || []) {
+            const q = byId.get(id);
+            if (!q) continue;
+            if (!acc.has(id)) {
+                acc.set(id, { picks: 0, scored: 0, rateSum: 0, full: 0, manualSum: 0, manualCount: 0, pending: 0, optionCounts: q.type === "mcq" ? (q.options || []).map(() => 0) : null });
+            }
+            const s = acc.get(id);
+            const ans = run.answers?.[id];
+            s.picks++;
+
+            if (s.optionCounts) {
+                for (const i of ans?.chosenIndices || []) if (i < s.optionCounts.length) s.optionCounts[i]++;
+            }
+            const manual = needsManualGrade(q);
+            if (manual && typeof ans?.manualScore !== "number") {
+                s.pending++;
+                continue;
+            }
+            // Score as played: the level of the run's snapshot, under the rules of the run
+            const level = (run.items || []).find((it) => it.id === id)?.level || q.level;
+            const scoring = runRules(run, rules);
+            const points = scoring.points[level] || 0;
+            const gained = scoreQuestion({ ...q, level }, ans, scoring);
+            s.scored++;
+            s.rateSum += points > 0 ? Math.min(1, gained / points) : 0;
+            if (points > 0 && gained >= points) s.full++;
+            if (manual) {
+                s.manualSum += ans.manualScore;
+                s.manualCount++;
+            }
+        }
+    }
+
+    return questions
+        .filter((q) => acc.has(q.id))
+        .map((q) => {
+            const s = acc.get(q.id);
+            const rate = s.scored > 0 ? s.rateSum / s.scored : null;
+            return {
+                q,
+                picks: s.picks,
+                scored: s.scored,
+                rate,
+                correctRate: q.type === "mcq" && s.scored > 0 ? s.full / s.scored : null,
+                manualAvg: s.manualCount > 0 ? s.manualSum / s.manualCount : null,
+                pending: s.pending,
+                optionCounts: s.optionCounts,
+                suggested: s.scored >= MIN_SAMPLES ? suggestLevel(rate) : null,
+            };
+        });
+}
+
+/** Questions whose observed difficulty suggests another level. */
+export function levelMismatches(stats) {
+    return stats.filter((s) => s.suggested && s.suggested !== s.q.level);
+}
+
+/**
+ * How often each IP ends up in a basket, split into hand-picked runs and random
+ * draws. Uses the question snapshots in the runs, so deleted questions still count.
+ * @returns {{ ip: string, picks: number, manual: number, drawn: number, runs: number }[]} most picked first
+ */
+export function ipPopularity(runs) {
+    const m = new Map();
+    for (const run of runs) {
+        const seen = new Set();
+        for (const it of run.items || []) {
+            if (!m.has(it.ip)) m.set(it.ip, { ip: it.ip, picks: 0, manual: 0, drawn: 0, runs: 0 });
+            const row = m.get(it.ip);
+            row.picks++;
+            if (run.draw) row.drawn++;
+            else row.manual++;
+            if (!seen.has(it.ip)) row.runs++;
+            seen.add(it.ip);
+        }
+    }
+    return [...m.values()].sort((a, b) => b.picks - a.picks || a.ip.localeCompare(b.ip, "zh-CN"));
+}
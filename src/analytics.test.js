@@ -0,0 +1,64 @@
+import { DEFAULT_RULES } from './rules';
+import { ipPopularity, levelMismatches, questionStats, suggestLevel } from './analytics';
+
+const mcq = { id: 'm', ip: 'A', type: 'mcq', level: 'c', title: 't', options: ['x', 'y', 'z'], correctIndices: [0], isMultiChoice: false };
+const short = { id: 's', ip: 'B', type: 'short', level: 'a', title: 't', reference: 'r' };
+
+const run = (answers, extra = {}) => ({
+    id: Math.random().toString(36),
+    basket: Object.keys(answers),
+    answers,
+    items: Object.keys(answers).map((id) => ({ id, ip: id === 'm' ? 'A' : 'B' })),
+    draw: null,
+    ...extra,
+});
+
+test('levels follow the observed score rate', () => {
+    expect(suggestLevel(0.95)).toBe('c');
+    expect(suggestLevel(0.6)).toBe('b');
+    expect(suggestLevel(0.4)).toBe('a');
+    expect(suggestLevel(0.1)).toBe('s');
+});
+
+test('per-question picks, rates, option distribution and pending grades', () => {
+    const runs = [
+        run({ m: { chosenIndices: [0] }, s: { manualScore: 3 } }),
+        run({ m: { chosenIndices: [2] }, s: { manualScore: 1 } }),
+        run({ m: { chosenIndices: [2] }, s: { texts: ['?'] } }),
+        run({ m: {} }),
+        run({ gone: {} }),
+    ];
+    const [m, s] = questionStats(runs, [mcq, short], DEFAULT_RULES);
+    expect(m).toMatchObject({ picks: 4, scored: 4, rate: 0.25, correctRate: 0.25, optionCounts: [1, 0, 2], pending: 0, suggested: null });
+    expect(s).toMatchObject({ picks: 3, scored: 2, manualAvg: 2, pending: 1, correctRate: null, optionCounts: null });
+    expect(s.rate).toBeCloseTo((1 + 1 / 3) / 2);
+});
+
+test('flags questions with enough answers whose difficulty does not fit the level', () => {
+    const runs = Array.from({ length: 5 }, () => run({ m: { chosenIndices: [1] } }));
+    const stats = questionStats(runs, [mcq], DEFAULT_RULES);
+    expect(stats[0].suggested).toBe('s');
+    expect(levelMismatches(stats).map((x) => x.q.id)).toEqual(['m']);
+    expect(levelMismatches(questionStats(runs.slice(0, 4), [mcq], DEFAULT_RULES))).toEqual([]);
+});
+
+test('answers are rated at the level and points of the run they were played in', () => {
+    const played = { items: [{ id: 'm', ip: 'A', level: 's' }, { id: 's', ip: 'B', level: 'a' }], scoring: { points: { a: 4, b: 2, c: 1, s: 8 } } };
+    const runs = [run({ m: { chosenIndices: [0] }, s: { manualScore: 2 } }, played)];
+    // Since then both questions moved to level c and the current rules give it 1 point
+    const [m, s] = questionStats(runs, [mcq, { ...short, level: 'c' }], DEFAULT_RULES);
+    expect(m.rate).toBe(1);
+    expect(s.rate).toBe(0.5);
+});
+
+test('IP popularity splits hand-picked and drawn baskets', () => {
+    const runs = [
+        run({ m: {}, s: {} }),
+        run({ m: {} }, { draw: { seed: 1 } }),
+        { id: 'x', basket: [], answers: {}, items: [{ id: 'm1', ip: 'A' }, { id: 'm2', ip: 'A' }], draw: null },
+    ];
+    expect(ipPopularity(runs)).toEqual([
+        { ip: 'A', picks: 4, manual: 3, drawn: 1, runs: 3 },
+        { ip: 'B', picks: 1, manual: 1, drawn: 0, runs: 1 },
+    ]);
+});
@@ -0,0 +1,182 @@
+import { useEffect, useRef } from "react";
+
+// --- Admin / grader PINs: PBKDF2 hash in localStorage, lockout, inactivity logout ---
+const LS_AUTH = "ipquiz.auth.v1";
+const LS_LEGACY_PIN = "ipquiz.admin.pin"; // plaintext PIN of older versions, migrated on first read
+
+const DEFAULT_PIN = "flycomic"; // only ever hashed; the first login must replace it
+export const PIN_MIN_LENGTH = 4;
+export const PBKDF2_ITERATIONS = 150000;
+export const MAX_FAILURES = 5;
+export const LOCKOUT_MS = 5 * 60 * 1000;
+export const IDLE_LOGOUT_MS = 5 * 60 * 1000;
+
+/** Admins manage everything; graders only see references and score manual questions. */
+export const ROLES = { admin: "管理员", grader: "评分员" };
+
+/**
+ * @typedef {Object} PinRecord
+ * @property {string} salt        base64
+ * @property {string} hash        base64 PBKDF2-SHA256 of the PIN
+ * @property {number} iterations
+ * @property {boolean} mustChange  still the default PIN
+ *
+ * @typedef {Object} AuthState
+ * @property {PinRecord|null} admin  null until first use, then the default PIN is hashed in
+ * @property {PinRecord|null} grader null until the admin sets a grader PIN
+ * @property {number} failures       consecutive wrong PINs
+ * @property {number} lockedUntil    epoch ms, 0 when not locked
+ */
+
+const EMPTY_AUTH = { admin: null, grader: null, failures: 0, lockedUntil: 0 };
+
+function toBase64(bytes) {
+    return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+function fromBase64(s) {
+    return Uint8Array.from(atob(s), (c) => c.charCodeAt(0));
+}
+
+export async function hashPin(pin, salt, iterations = PBKDF2_ITERATIONS) {
+    const key = await crypto.subtle.importKey("raw", new TextEncoder().encode(pin), "PBKDF2", false, ["deriveBits"]);
+    const bits = await crypto.subtle.deriveBits({ name: "PBKDF2", hash: "SHA-256", salt: fromBase64(salt), iterations }, key, 256);
+    return toBase64(bits);
+}
+
+/** @returns {Promise<PinRecord>} */
+export async function createPinRecord(pin, { mustChange = false, iterations = PBKDF2_ITERATIONS } = {}) {
+    const salt = toBase64(crypto.getRandomValues(new Uint8Array(16)));
+    return { salt, hash: await hashPin(pin, salt, iterations), iterations, mustChange };
+}
+
+// Compare without an early exit, so timing does not leak how much matched
+function sameDigest(a, b) {
+    if (a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    return diff === 0;
+}
+
+/** @returns {AuthState} */
+export function loadAuth() {
+    try {
+        const s = localStorage.getItem(LS_AUTH);
+        if (s) return { ...EMPTY_AUTH, ...JSON.parse(s) };
+    } catch (e) {
+        console.error("Failed to load auth from localStorage:", e);
+    }
+    return EMPTY_AUTH;
+}
+export function saveAuth(auth) {
+    localStorage.setItem(LS_AUTH, JSON.stringify(auth));
+}
+
+/** The stored record, hashing in a legacy plaintext PIN or the default on first use. */
+async function ensureAdminRecord(auth) {
+    if (auth.admin) return auth;
+    const legacy = localStorage.getItem(LS_LEGACY_PIN);
+    const admin = await createPinRecord(legacy || DEFAULT_PIN, { mustChange: !legacy || legacy === DEFAULT_PIN });
+    const next = { ...auth, admin };
+    saveAuth(next);
+    localStorage.removeItem(LS_LEGACY_PIN);
+    return next;
+}
+
+/** ms left on the lockout, 0 when PINs may be tried. */
+export function lockoutRemaining(auth, now = Date.now()) {
+    return Math.max(0, (auth.lockedUntil || 0) - now);
+}
+
+async function matches(record, pin) {
+    return !!record && sameDigest(await hashPin(pin, record.salt, record.iterations), record.hash);
+}
+
+/**
+ * Check a PIN against the given roles (one login box serves both), counting
+ * failures and locking after MAX_FAILURES in a row.
+ * @param {string} pin
+ * @param {{ roles?: string[], now?: number }} [options]
+ * @returns {Promise<{ ok: boolean, role?: string, mustChange?: boolean, lockedMs?: number, attemptsLeft?: number }>}
+ */
+export async function verifyPin(pin, { roles = Object.keys(ROLES), now = Date.now() } = {}) {
+    let auth = loadAuth();
+    const locked = lockoutRemaining(auth, now);
+    if (locked > 0) return { ok: false, lockedMs: locked };
+
+    auth = await ensureAdminRecord(auth);
+    for (const role of roles) {
+        if (await matches(auth[role], pin)) {
+            saveAuth({ ...auth, failures: 0, lockedUntil: 0 });
+            return { ok: true, role, mustChange: auth[role].mustChange };
+        }
+    }
+
+    const failures = auth.failures + 1;
+    if (failures >= MAX_FAILURES) {
+        saveAuth({ ...auth, failures: 0, lockedUntil: now + LOCKOUT_MS });
+        return { ok: false, lockedMs: LOCKOUT_MS };
+    }
+    saveAuth({ ...auth, failures });
+    return { ok: false, attemptsLeft: MAX_FAILURES - failures };
+}
+
+/** Why a new PIN is not acceptable, or null. */
+export function pinPolicyError(pin) {
+    if (pin.length < PIN_MIN_LENGTH) return `PIN 码至少需要 ${PIN_MIN_LENGTH} 位。`;
+    if (pin === DEFAULT_PIN) return "不能使用默认 PIN 码。";
+    return null;
+}
+
+/**
+ * Replace the PIN of a role. The login box tells roles apart by PIN, so the
+ * two must differ.
+ * @returns {Promise<string|null>} why the PIN was refused, or null once saved
+ */
+export async function setRolePin(role, pin) {
+    const auth = await ensureAdminRecord(loadAuth());
+    const other = role === "admin" ? "grader" : "admin";
+    if (await matches(auth[other], pin)) return `不能与${ROLES[other]} PIN 相同。`;
+    saveAuth({ ...auth, [role]: await createPinRecord(pin), failures: 0, lockedUntil: 0 });
+    return null;
+}
+
+/** Readable message for a failed PIN check or change, like describeStorageError. */
+export function describeAuthError(e) {
+    if (!window.crypto?.subtle) return "此浏览器不支持安全校验（需要 HTTPS 或 localhost）。";
+    if (e?.name === "QuotaExceededError") return "浏览器存储空间不足，PIN 码没有保存。";
+    return `PIN 校验出错：${e?.message || e}`;
+}
+
+export function hasGraderPin() {
+    return !!loadAuth().grader;
+}
+
+export function clearGraderPin() {
+    saveAuth({ ...loadAuth(), grader: null });
+}
+
+/**
+ * Calls onIdle after `ms` without pointer, key or scroll activity while `active`.
+ * @param {boolean} active
+ * @param {number} ms
+ * @param {() => void} onIdle
+ */
+export function useIdleLogout(active, ms, onIdle) {
+    const onIdleRef = useRef(onIdle);
+    onIdleRef.current = onIdle;
+
+    useEffect(() => {
+        if (!active) return;
+        let timer = setTimeout(() => onIdleRef.current(), ms);
+        const reset = () => {
+            clearTimeout(timer);
+            timer = setTimeout(() => onIdleRef.current(), ms);
+        };
+        const events = ["pointerdown", "keydown", "wheel", "touchstart"];
+        events.forEach((e) => window.addEventListener(e, reset, { passive: true }));
+        return () => {
+            clearTimeout(timer);
+            events.forEach((e) => window.removeEventListener(e, reset));
+        };
+    }, [active, ms]);
+}
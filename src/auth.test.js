@@ -0,0 +1,63 @@
+import { clearGraderPin, createPinRecord, describeAuthError, hashPin, loadAuth, LOCKOUT_MS, MAX_FAILURES, pinPolicyError, saveAuth, setRolePin, verifyPin } from './auth';
+
+beforeEach(() => localStorage.clear());
+
+test('hashPin is salted and deterministic', async () => {
+    const a = await createPinRecord('1234', { iterations: 10 });
+    const b = await createPinRecord('1234', { iterations: 10 });
+    expect(a.hash).not.toBe(b.hash);
+    expect(await hashPin('1234', a.salt, 10)).toBe(a.hash);
+});
+
+test('the default PIN works once and must be changed', async () => {
+    expect(await verifyPin('flycomic')).toEqual({ ok: true, role: 'admin', mustChange: true });
+    expect(JSON.stringify(loadAuth())).not.toContain('flycomic');
+    expect(await setRolePin('admin', 's3cret')).toBeNull();
+    expect(await verifyPin('flycomic')).toMatchObject({ ok: false });
+    expect(await verifyPin('s3cret')).toEqual({ ok: true, role: 'admin', mustChange: false });
+});
+
+test('a legacy plaintext PIN is hashed in and removed', async () => {
+    localStorage.setItem('ipquiz.admin.pin', 'old-pin');
+    expect(await verifyPin('old-pin')).toEqual({ ok: true, role: 'admin', mustChange: false });
+    expect(localStorage.getItem('ipquiz.admin.pin')).toBeNull();
+});
+
+test('locks after repeated failures and unlocks after the timeout', async () => {
+    saveAuth({ admin: await createPinRecord('right', { iterations: 10 }), failures: 0, lockedUntil: 0 });
+    const now = 1000;
+    for (let i = 1; i < MAX_FAILURES; i++) {
+        expect(await verifyPin('wrong', { now })).toEqual({ ok: false, attemptsLeft: MAX_FAILURES - i });
+    }
+    expect(await verifyPin('wrong', { now })).toEqual({ ok: false, lockedMs: LOCKOUT_MS });
+    expect(await verifyPin('right', { now: now + 1000 })).toEqual({ ok: false, lockedMs: LOCKOUT_MS - 1000 });
+    expect(await verifyPin('right', { now: now + LOCKOUT_MS })).toEqual({ ok: true, role: 'admin', mustChange: false });
+});
+
+test('the grader PIN logs in as grader and must differ from the admin PIN', async () => {
+    saveAuth({ admin: await createPinRecord('admin-pin', { iterations: 10 }), failures: 0, lockedUntil: 0 });
+    expect(await setRolePin('grader', 'admin-pin')).toMatch(/管理员/);
+    expect(await setRolePin('grader', 'grade-pin')).toBeNull();
+    expect(await verifyPin('grade-pin')).toMatchObject({ ok: true, role: 'grader' });
+    expect(await verifyPin('grade-pin', { roles: ['admin'] })).toMatchObject({ ok: false });
+    clearGraderPin();
+    expect(await verifyPin('grade-pin')).toMatchObject({ ok: false });
+});
+
+test('pinPolicyError', () => {
+    expect(pinPolicyError('12')).toMatch(/至少/);
+    expect(pinPolicyError('flycomic')).toMatch(/默认/);
+    expect(pinPolicyError('1234')).toBeNull();
+});
+
+test('describeAuthError only blames HTTPS when WebCrypto is missing', () => {
+    expect(describeAuthError(new DOMException('full', 'QuotaExceededError'))).toMatch(/存储空间不足/);
+    expect(describeAuthError(new Error('boom'))).toMatch(/boom/);
+    const { subtle } = window.crypto;
+    Object.defineProperty(window.crypto, 'subtle', { value: undefined, configurable: true });
+    try {
+        expect(describeAuthError(new TypeError('x'))).toMatch(/HTTPS/);
+    } finally {
+        Object.defineProperty(window.crypto, 'subtle', { value: subtle, configurable: true });
+    }
+});
@@ -0,0 +1,134 @@
+import { hashText } from "./utils";
+
+// --- Bundled bank upgrades: content hash and three-way merge ---
+
+/**
+ * Content hash of a bank, e.g. "945-1a2b3c4d". The stored copy remembers the
+ * hash (and content) of the bundled file it was last synced with, its base.
+ */
+export function hashBank(questions) {
+    return `${questions.length}-${hashText(JSON.stringify(questions))}`;
+}
+
+function same(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * @typedef {Object} UpgradeItem
+ * @property {string} id
+ * @property {"added"|"updated"|"removed"|"merged"|"conflict"} kind
+ *           added / updated / removed upstream, merged = both sides edited different fields
+ * @property {Object|undefined} base
+ * @property {Object|undefined} local
+ * @property {Object|undefined} upstream
+ * @property {Object|undefined} result      what the merge takes by default (undefined = absent)
+ * @property {string[]} fields              fields edited on both sides (conflicts only)
+ * @property {string} [note]                why a deletion needs a decision
+ */
+
+/** Field-level merge of two edits of the same question; conflicting fields keep the local value. */
+function mergeFields(base, local, upstream) {
+    const keys = new Set([...Object.keys(base), ...Object.keys(local), ...Object.keys(upstream)]);
+    const result = {};
+    const conflicts = [];
+    for (const k of keys) {
+        let v;
+        if (same(local[k], base[k])) v = upstream[k];
+        else if (same(upstream[k], base[k]) || same(local[k], upstream[k])) v = local[k];
+        else {
+            v = local[k];
+            conflicts.push(k);
+        }
+        if (v !== undefined) result[k] = v;
+    }
+    return { result, conflicts };
+}
+
+/**
+ * Three-way merge keyed on id: upstream additions and fixes come in, local admin
+ * edits stay. Without a base (data from before hashes were kept) every
+ * difference is treated as a conflict and keeps the local side.
+ *
+ * @param {Object[]|null} base      bundled bank the local copy was synced with
+ * @param {Object[]} local          the stored bank
+ * @param {Object[]} upstream       the bundled bank of this deploy
+ * @returns {UpgradeItem[]} only the questions that differ from the local bank or need a decision
+ */
+export function planUpgrade(base, local, upstream) {
+    const byId = (list) => new Map((list || []).map((q) => [q.id, q]));
+    const B = byId(base);
+    const L = byId(local);
+    const U = byId(upstream);
+    const items = [];
+    const push = (id, kind, result, fields = [], note = "") =>
+        items.push({ id, kind, base: B.get(id), local: L.get(id), upstream: U.get(id), result, fields, note });
+
+    const ids = new Set([...L.keys(), ...U.keys(), ...B.keys()]);
+    for (const id of ids) {
+        const b = B.get(id);
+        const l = L.get(id);
+        const u = U.get(id);
+
+        if (l && u) {
+            if (same(l, u)) continue;
+            if (!base || !b) push(id, "conflict", l, Object.keys({ ...l, ...u }).filter((k) => !same(l[k], u[k])));
+            else if (same(l, b)) push(id, "updated", u);
+            else if (same(u, b)) continue; // local edit, upstream unchanged
+            else {
+                const { result, conflicts } = mergeFields(b, l, u);
+                push(id, conflicts.length > 0 ? "conflict" : "merged", result, conflicts);
+            }
+        } else if (u) {
+            // Missing locally: new upstream, or deleted by the admin
+            if (!b) push(id, "added", u);
+            else if (!same(u, b)) push(id, "conflict", undefined, [], "本地已删除，上游又修改了此题");
+        } else if (l && b && base) {
+            // Removed upstream
+            if (same(l, b)) push(id, "removed", undefined);
+            else push(id, "conflict", l, [], "上游已删除，本地又修改了此题");
+        }
+    }
+    return items;
+}
+
+/**
+ * Apply decisions to the local bank. Additions go after the last local question
+ * of the same IP, so IPs stay grouped.
+ *
+ * @param {Object[]} local
+ * @param {UpgradeItem[]} items
+ * @param {Object<string, "local"|"upstream"|"merge">} choices  per id, default "merge" (the item's result)
+ */
+export function applyUpgrade(local, items, choices = {}) {
+    const decided = new Map(
+        items.map((it) => {
+            const choice = choices[it.id] || "merge";
+            const value = choice === "local" ? it.local : choice === "upstream" ? it.upstream : it.result;
+            return [it.id, value];
+        })
+    );
+    const merged = [];
+    for (const q of local) {
+        if (!decided.has(q.id)) merged.push(q);
+        else if (decided.get(q.id)) merged.push(decided.get(q.id));
+    }
+    for (const it of items) {
+        const value = decided.get(it.id);
+        if (it.local || !value) continue;
+        let at = -1;
+        merged.forEach((q, i) => {
+            if (q.ip === value.ip) at = i;
+        });
+        if (at < 0) merged.push(value);
+        else merged.splice(at + 1, 0, value);
+    }
+    return merged;
+}
+
+/** Counts per kind, for the startup banner. */
+export function summarizeUpgrade(items) {
+    const counts = { added: 0, updated: 0, removed: 0, merged: 0, conflict: 0 };
+    for (const it of items) counts[it.kind]++;
+    return counts;
+}
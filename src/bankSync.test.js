@@ -0,0 +1,45 @@
+import { applyUpgrade, hashBank, planUpgrade, summarizeUpgrade } from './bankSync';
+
+const q = (id, ip, title = id, extra = {}) => ({ id, ip, type: 'short', level: 'c', title, ...extra });
+
+test('hashBank changes with content', () => {
+    expect(hashBank([q('a', 'A')])).toMatch(/^1-[0-9a-f]{8}$/);
+    expect(hashBank([q('a', 'A')])).toBe(hashBank([q('a', 'A')]));
+    expect(hashBank([q('a', 'A', 'x')])).not.toBe(hashBank([q('a', 'A')]));
+});
+
+test('three-way merge keeps local edits and takes upstream additions and fixes', () => {
+    const base = [q('a', 'A'), q('b', 'A'), q('c', 'B'), q('d', 'B')];
+    const local = [q('new', 'A'), q('a', 'A', 'local fix'), q('b', 'A'), q('c', 'B'), q('d', 'B')];
+    const upstream = [q('a', 'A'), q('b', 'A', 'upstream fix'), q('c', 'B'), q('e', 'A')];
+    const items = planUpgrade(base, local, upstream);
+    expect(items.map((it) => `${it.kind}:${it.id}`).sort()).toEqual(['added:e', 'removed:d', 'updated:b']);
+
+    const merged = applyUpgrade(local, items);
+    expect(merged.map((x) => `${x.id}:${x.title}`)).toEqual(['new:new', 'a:local fix', 'b:upstream fix', 'e:e', 'c:c']);
+});
+
+test('edits to different fields merge, same field conflicts keep local by default', () => {
+    const base = [q('a', 'A', 't', { reference: 'r' })];
+    const local = [q('a', 'A', 'local title', { reference: 'r' })];
+    const merge = planUpgrade(base, local, [q('a', 'A', 't', { reference: 'new ref' })]);
+    expect(merge[0]).toMatchObject({ kind: 'merged', result: q('a', 'A', 'local title', { reference: 'new ref' }) });
+
+    const conflict = planUpgrade(base, local, [q('a', 'A', 'upstream title', { reference: 'r' })]);
+    expect(conflict[0]).toMatchObject({ kind: 'conflict', fields: ['title'] });
+    expect(applyUpgrade(local, conflict)[0].title).toBe('local title');
+    expect(applyUpgrade(local, conflict, { a: 'upstream' })[0].title).toBe('upstream title');
+});
+
+test('deletions on one side with edits on the other need a decision', () => {
+    const base = [q('a', 'A'), q('b', 'A')];
+    const items = planUpgrade(base, [q('b', 'A', 'edited')], [q('a', 'A', 'fixed')]);
+    expect(summarizeUpgrade(items)).toMatchObject({ conflict: 2 });
+    expect(applyUpgrade([q('b', 'A', 'edited')], items).map((x) => x.id)).toEqual(['b']);
+});
+
+test('without a base, differences are conflicts and upstream-only questions are added', () => {
+    const items = planUpgrade(null, [q('a', 'A', 'local')], [q('a', 'A', 'upstream'), q('b', 'A')]);
+    expect(items.map((it) => `${it.kind}:${it.id}`)).toEqual(['conflict:a', 'added:b']);
+    expect(applyUpgrade([q('a', 'A', 'local')], items).map((x) => x.title)).toEqual(['local', 'b']);
+});
@@ -0,0 +1,39 @@
+// --- Types ---
+/**
+ * Question types:
+ * - mcq: multiple choice (can be single or multi-select)
+ * - fill: fill in blank (auto-graded when `blanks` lists accepted answers, else manual)
+ * - short: short answer (typed into `answers[qid].texts`, manual grading)
+ * - reading: reading comprehension; with `passage` + `subQuestions` auto-graded per sub-question (see reading.js),
+ *   otherwise one typed answer per numbered sub-question, manual grading
+ * - truefalse: `answer` true / false, player picks `choice`
+ * - ordering: `items` in the correct order, shown scrambled; player answer `order` (item indices), partial credit per rules
+ * - matching: `pairs` of { left, right }, right column scrambled; player answer `matches` { leftIndex: pairIndex }
+ */
+// Points per level live in the active rules profile (see rules.js)
+export const LEVEL_NAMES = { a: "A", b: "B", c: "C", s: "S" };
+export const LEVEL_COLORS = { a: "red", b: "yellow", c: "green", s: "purple" };
+export const TYPE_LABELS = {
+    mcq: "选择题",
+    fill: "填空题",
+    short: "简答题",
+    reading: "阅读题",
+    truefalse: "判断题",
+    ordering: "排序题",
+    matching: "连线题",
+};
+
+/** @typedef {"mcq"|"fill"|"short"|"reading"|"truefalse"|"ordering"|"matching"} QType */
+
+// IP categories for grouping the sidebar; IPs without one are listed as 未分类
+export const IP_CATEGORIES = {
+    anime: "动画",
+    game: "游戏",
+    manga: "漫画",
+    novel: "小说",
+};
+
+// Shared with service-worker.js, which must not pull in React
+export const IMAGE_CACHE = "ipquiz-images";
+export const WARM_MESSAGE = "WARM_IMAGES";
+export const SKIP_WAITING = "SKIP_WAITING";
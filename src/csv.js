@@ -0,0 +1,325 @@
+import { LEVEL_NAMES, TYPE_LABELS } from "./constants";
+import { MCQ_STRATEGIES } from "./scoring";
+import { validateQuestions } from "./schema";
+import { hashText } from "./utils";
+
+// --- CSV / TSV (spreadsheet) import and export of the question bank ---
+
+/**
+ * Spreadsheet layout, one row per question:
+ *   ID | IP | 题型 | 等级 | 题目 | 选项A … 选项N | 正确答案 | 多选 | 计分方式 | 参考答案 | 填空答案 | 阅读材料 | 小题
+ * 题型 / 等级 use the labels of TYPE_LABELS / LEVEL_NAMES, 正确答案 is letters like "A,C".
+ * 填空答案 holds one line per blank, alternatives separated by "|", /regex/ for patterns.
+ * 小题 is the JSON array of a structured reading question's sub-questions (see reading.js).
+ * The option columns also carry 排序题 items (in the correct order) and 连线题 pairs as "左 = 右";
+ * 判断题 put 对 / 错 in 正确答案.
+ */
+export const CSV_FIELDS = {
+    id: { header: "ID", aliases: ["id", "编号"] },
+    ip: { header: "IP", aliases: ["ip", "作品", "分类"] },
+    type: { header: "题型", aliases: ["type", "类型"] },
+    level: { header: "等级", aliases: ["level", "难度"] },
+    title: { header: "题目", aliases: ["title", "题干", "问题"] },
+    correct: { header: "正确答案", aliases: ["correct", "答案"] },
+    multi: { header: "多选", aliases: ["multi", "ismultichoice", "是否多选"] },
+    scoring: { header: "计分方式", aliases: ["scoring", "计分"] },
+    reference: { header: "参考答案", aliases: ["reference", "解析"] },
+    blanks: { header: "填空答案", aliases: ["blanks", "可接受答案"] },
+    passage: { header: "阅读材料", aliases: ["passage", "材料"] },
+    subQuestions: { header: "小题", aliases: ["subquestions", "子题"] },
+};
+const OPTION_HEADER_RE = /^(?:选项|option)\s*([a-z])$/i;
+const MIN_OPTION_COLUMNS = 4;
+
+const letter = (i) => String.fromCharCode(65 + i);
+
+// --- Low-level delimited text ---
+
+/** Tab when the header line contains one, else comma. */
+export function detectDelimiter(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0] || "";
+    return firstLine.includes("\t") ? "\t" : ",";
+}
+
+/**
+ * RFC 4180 style parser: quoted cells may contain delimiters, newlines and "" escapes.
+ * @returns {string[][]} rows of cells, blank lines dropped
+ */
+export function parseDelimited(text, delimiter = detectDelimiter(text)) {
+    const src = String(text).replace(/^﻿/, "");
+    const rows = [];
+    let row = [];
+    let cell = "";
+    let quoted = false;
+
+    for (let i = 0; i < src.length; i++) {
+        const ch = src[i];
+        if (quoted) {
+            if (ch === '"' && src[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                cell += ch;
+            }
+        } else if (ch === '"' && cell === "") {
+            quoted = true;
+        } else if (ch === delimiter) {
+            row.push(cell);
+            cell = "";
+        } else if (ch === "\n" || ch === "\r") {
+            if (ch === "\r" && src[i + 1] === "\n") i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = "";
+        } else {
+            cell += ch;
+        }
+    }
+    row.push(cell);
+    rows.push(row);
+    return rows.filter((r) => r.some((c) => c.trim() !== ""));
+}
+
+export function toDelimited(rows, delimiter = ",") {
+    const quote = (v) => {
+        const s = String(v ?? "");
+        return /["\r\n]/.test(s) || s.includes(delimiter) ? `"${s.replace(/"/g, '""')}"` : s;
+    };
+    return rows.map((r) => r.map(quote).join(delimiter)).join("\r\n");
+}
+
+// --- Cell formats ---
+
+function labelToKey(labels, value) {
+    const v = String(value ?? "").trim();
+    if (!v) return "";
+    const lower = v.toLowerCase();
+    if (labels[lower]) return lower;
+    const hit = Object.entries(labels).find(([, label]) => label === v);
+    return hit ? hit[0] : null;
+}
+
+/** "选择题" / "mcq" → "mcq"; null when unknown. */
+export function parseType(value) {
+    return labelToKey(TYPE_LABELS, value);
+}
+
+/** "A" / "a" / "A(3)" / "A级" → "a"; null when unknown. */
+export function parseLevel(value) {
+    return labelToKey(LEVEL_NAMES, String(value ?? "").trim().replace(/\s*(?:[(（].*[)）]|级)$/, ""));
+}
+
+/** "A,C" / "AC" / "a、c" → [0, 2]; null when something else is in the cell. */
+export function parseCorrectLetters(value) {
+    const letters = String(value ?? "").toUpperCase().replace(/[\s,，、;；/]/g, "");
+    if (!/^[A-Z]*$/.test(letters)) return null;
+    return [...new Set([...letters].map((c) => c.charCodeAt(0) - 65))].sort((a, b) => a - b);
+}
+
+const TRUE_RE = /^(?:对|是|正确|√|t|true|y|yes)$/i;
+const FALSE_RE = /^(?:错|否|错误|×|f|false|n|no)$/i;
+
+/** 判断题 answer cell → true / false; null when unreadable. */
+export function parseTrueFalse(value) {
+    const v = String(value ?? "").trim();
+    if (TRUE_RE.test(v)) return true;
+    if (FALSE_RE.test(v)) return false;
+    return null;
+}
+
+/** The option columns of a row: mcq options, ordering items or "左 = 右" matching pairs. */
+function optionCells(q) {
+    if (q.type === "ordering") return q.items || [];
+    if (q.type === "matching") return (q.pairs || []).map((p) => `${p.left} = ${p.right}`);
+    return q.options || [];
+}
+
+function parseBool(value) {
+    return /^(?:是|y|yes|true|1|多选)$/i.test(String(value ?? "").trim());
+}
+
+function parseScoring(value) {
+    const v = String(value ?? "").trim();
+    if (!v) return "";
+    if (MCQ_STRATEGIES[v]) return v;
+    const hit = Object.entries(MCQ_STRATEGIES).find(([, label]) => label === v);
+    return hit ? hit[0] : null;
+}
+
+/** One line per blank; "|" separates alternatives, /…/ marks a pattern. */
+export function formatBlanks(blanks) {
+    return (blanks || [])
+        .map((b) => [...(b.accepted || []), ...(b.patterns || []).map((p) => `/${p}/`)].join(" | "))
+        .join("\n");
+}
+
+export function parseBlanks(value) {
+    return String(value ?? "")
+        .split(/\r?\n/)
+        .filter((line) => line.trim() !== "")
+        .map((line) => {
+            const blank = { accepted: [], patterns: [] };
+            // A /pattern/ may itself contain "|", so take those tokens first
+            for (const m of line.matchAll(/\s*(\/(?:\\.|[^/])+\/|[^|]+)\s*(?:\||$)/g)) {
+                const token = m[1].trim();
+                if (!token) continue;
+                if (token.length > 2 && token.startsWith("/") && token.endsWith("/")) blank.patterns.push(token.slice(1, -1));
+                else blank.accepted.push(token);
+            }
+            return blank;
+        });
+}
+
+// --- Export ---
+
+/** @returns {string} CSV (or TSV) text for the whole bank */
+export function questionsToDelimited(questions, delimiter = ",") {
+    const optionCount = Math.max(MIN_OPTION_COLUMNS, ...questions.map((q) => optionCells(q).length));
+    const optionHeaders = Array.from({ length: optionCount }, (_, i) => `选项${letter(i)}`);
+    const f = CSV_FIELDS;
+    const header = [f.id, f.ip, f.type, f.level, f.title].map((x) => x.header)
+        .concat(optionHeaders, [f.correct, f.multi, f.scoring, f.reference, f.blanks, f.passage, f.subQuestions].map((x) => x.header));
+
+    const rows = questions.map((q) => [
+        q.id,
+        q.ip,
+        TYPE_LABELS[q.type] || q.type,
+        LEVEL_NAMES[q.level] || q.level,
+        q.title,
+        ...Array.from({ length: optionCount }, (_, i) => optionCells(q)[i] ?? ""),
+        q.type === "truefalse" ? (q.answer ? "对" : "错") : (q.correctIndices || []).map(letter).join(","),
+        q.type === "mcq" ? (q.isMultiChoice ? "是" : "否") : "",
+        q.scoring ? MCQ_STRATEGIES[q.scoring] : "",
+        q.reference || "",
+        formatBlanks(q.blanks),
+        q.passage || "",
+        q.subQuestions ? JSON.stringify(q.subQuestions) : "",
+    ]);
+    return toDelimited([header, ...rows], delimiter);
+}
+
+// --- Import ---
+
+/**
+ * Default column mapping from header names.
+ * @param {string[]} headers
+ * @returns {{ [field: string]: number, options: number[] }}  -1 when a field has no column
+ */
+export function guessMapping(headers) {
+    const norm = headers.map((h) => String(h).trim().toLowerCase());
+    const mapping = { options: [] };
+    for (const [field, spec] of Object.entries(CSV_FIELDS)) {
+        const names = [spec.header.toLowerCase(), ...spec.aliases];
+        mapping[field] = norm.findIndex((h) => names.includes(h));
+    }
+    norm.forEach((h, i) => {
+        if (OPTION_HEADER_RE.test(h)) mapping.options.push(i);
+    });
+    return mapping;
+}
+
+/**
+ * Id of a row without an id column, derived from its IP, type and title so a
+ * re-import of the same sheet updates the questions instead of adding copies.
+ * Repeats within the sheet get a running suffix.
+ */
+function contentId(seen, ip, type, title) {
+    const id = `csv-${hashText(JSON.stringify([ip, type, title]))}`;
+    const n = (seen.get(id) || 0) + 1;
+    seen.set(id, n);
+    return n === 1 ? id : `${id}-${n}`;
+}
+
+/**
+ * Rows → questions. Every data row yields a question (so validation can point
+ * at it); cells that cannot be read become row errors.
+ *
+ * @param {string[][]} rows  including the header row
+ * @param {ReturnType<typeof guessMapping>} mapping
+ * @returns {{ questions: Object[], issues: import("./schema").Issue[] }}
+ */
+export function rowsToQuestions(rows, mapping) {
+    const cell = (row, field) => (mapping[field] >= 0 ? String(row[mapping[field]] ?? "").trim() : "");
+    const questions = [];
+    const issues = [];
+    const seen = new Map(); // content id -> rows using it so far
+
+    rows.slice(1).forEach((row, index) => {
+        const rowError = (message) => issues.push({ severity: "error", index, id: cell(row, "id"), message });
+        const type = parseType(cell(row, "type")) ?? "";
+        const level = parseLevel(cell(row, "level")) ?? "";
+        if (!type && cell(row, "type")) rowError(`无法识别的题型：${cell(row, "type")}`);
+        if (!level && cell(row, "level")) rowError(`无法识别的等级：${cell(row, "level")}`);
+
+        const q = {
+            id: cell(row, "id") || contentId(seen, cell(row, "ip"), type, cell(row, "title")),
+            ip: cell(row, "ip"),
+            type,
+            level,
+            title: cell(row, "title"),
+        };
+
+        const options = mapping.options.map((c) => String(row[c] ?? "").trim());
+        while (options.length > 0 && options[options.length - 1] === "") options.pop();
+
+        if (type === "mcq") {
+            q.options = options;
+            const correct = parseCorrectLetters(cell(row, "correct"));
+            if (correct === null) rowError(`正确答案应为字母，如 "A,C"：${cell(row, "correct")}`);
+            q.correctIndices = correct || [];
+            q.isMultiChoice = mapping.multi >= 0 && cell(row, "multi") !== ""
+                ? parseBool(cell(row, "multi"))
+                : q.correctIndices.length > 1;
+            const scoring = parseScoring(cell(row, "scoring"));
+            if (scoring === null) rowError(`无法识别的计分方式：${cell(row, "scoring")}`);
+            else if (scoring && q.isMultiChoice) q.scoring = scoring;
+        }
+        if (type === "truefalse") {
+            const answer = parseTrueFalse(cell(row, "correct"));
+            if (answer === null) rowError(`判断题答案应为“对”或“错”：${cell(row, "correct")}`);
+            else q.answer = answer;
+        }
+        if (type === "ordering") q.items = options;
+        if (type === "matching") {
+            q.pairs = options.filter(Boolean).map((text) => {
+                const at = text.indexOf("=");
+                if (at < 0) rowError(`连线项应写成“左 = 右”：${text}`);
+                return at < 0 ? { left: text, right: "" } : { left: text.slice(0, at).trim(), right: text.slice(at + 1).trim() };
+            });
+        }
+        if (cell(row, "reference")) q.reference = cell(row, "reference");
+        if (type === "fill" && cell(row, "blanks")) q.blanks = parseBlanks(cell(row, "blanks"));
+        if (type === "reading" && cell(row, "passage")) q.passage = cell(row, "passage");
+        if (type === "reading" && cell(row, "subQuestions")) {
+            try {
+                q.subQuestions = JSON.parse(cell(row, "subQuestions"));
+            } catch (e) {
+                rowError(`小题不是有效的 JSON：${e.message}`);
+            }
+        }
+
+        questions.push(q);
+    });
+    return { questions, issues };
+}
+
+/**
+ * Row errors plus the regular bank validation, issues pointing at sheet rows
+ * (row 1 is the header).
+ * @param {{ questions: Object[], issues: import("./schema").Issue[] }} parsed  from rowsToQuestions
+ * @param {import("./rules").RulesProfile} [rules]  active profile, see validateQuestions
+ * @returns {import("./schema").ValidationReport}
+ */
+export function validateRows({ questions, issues }, rules) {
+    const all = [...issues, ...validateQuestions(questions, rules).issues]
+        .map((issue) => ({ ...issue, row: issue.index === null ? null : issue.index + 2 }))
+        .sort((a, b) => (a.index ?? -1) - (b.index ?? -1));
+    return {
+        issues: all,
+        errors: all.filter((i) => i.severity === "error").length,
+        warnings: all.filter((i) => i.severity === "warning").length,
+    };
+}
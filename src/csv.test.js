@@ -0,0 +1,85 @@
+import {
+    detectDelimiter,
+    guessMapping,
+    parseBlanks,
+    parseCorrectLetters,
+    parseDelimited,
+    parseLevel,
+    parseType,
+    questionsToDelimited,
+    rowsToQuestions,
+    toDelimited,
+    validateRows,
+} from './csv';
+import { changedFields } from './merge';
+
+const bank = [
+    { id: 'q1', ip: 'IP', type: 'mcq', level: 'b', title: 'Pick "two", please', options: ['x', 'y,z', 'w'], correctIndices: [0, 2], isMultiChoice: true, scoring: 'penalty' },
+    { id: 'q2', ip: 'IP', type: 'fill', level: 'c', title: '____', reference: '转描', blanks: [{ accepted: ['转描', 'rotoscope'], patterns: ['^a|b$'] }] },
+    { id: 'q3', ip: 'IP2', type: 'short', level: 's', title: 'Line one\nline two', reference: 'r' },
+    { id: 'q4', ip: 'IP2', type: 'truefalse', level: 'c', title: 'T?', answer: false },
+    { id: 'q5', ip: 'IP2', type: 'ordering', level: 'b', title: 'Order', items: ['一', '二', '三', '四', '五'] },
+    { id: 'q6', ip: 'IP2', type: 'matching', level: 'a', title: 'Match', pairs: [{ left: '甲', right: '乙' }, { left: '丙', right: '丁' }] },
+];
+
+test('parseDelimited handles quotes, escaped quotes, newlines and BOM', () => {
+    const text = '﻿a,b\r\n"x, y","say ""hi"""\n"multi\nline",z\n\n';
+    expect(parseDelimited(text)).toEqual([['a', 'b'], ['x, y', 'say "hi"'], ['multi\nline', 'z']]);
+    expect(detectDelimiter('a\tb\nc,d')).toBe('\t');
+    expect(parseDelimited(toDelimited([['a\tb', 'c']], '\t'), '\t')).toEqual([['a\tb', 'c']]);
+});
+
+test('cell parsers accept labels and letters', () => {
+    expect(parseType('选择题')).toBe('mcq');
+    expect(parseType('fill')).toBe('fill');
+    expect(parseType('问答')).toBeNull();
+    expect(parseLevel('A(3)')).toBe('a');
+    expect(parseLevel('s级')).toBe('s');
+    expect(parseCorrectLetters('a、c')).toEqual([0, 2]);
+    expect(parseCorrectLetters('1')).toBeNull();
+    expect(parseBlanks('甲 | /^乙|丙$/\n丁')).toEqual([
+        { accepted: ['甲'], patterns: ['^乙|丙$'] },
+        { accepted: ['丁'], patterns: [] },
+    ]);
+});
+
+test('export then import round-trips the bank', () => {
+    for (const delimiter of [',', '\t']) {
+        const rows = parseDelimited(questionsToDelimited(bank, delimiter), delimiter);
+        const { questions, issues } = rowsToQuestions(rows, guessMapping(rows[0]));
+        expect(issues).toEqual([]);
+        questions.forEach((q, i) => expect(changedFields(bank[i], q)).toEqual([]));
+    }
+});
+
+test('rows with unreadable cells report errors on their sheet row', () => {
+    const rows = [
+        ['题目', '题型', '等级', 'IP', '选项A', '选项B', '答案'],
+        ['t1', '选择题', 'B', 'IP', 'x', 'y', 'B'],
+        ['t2', '问答', 'Z', 'IP', '', '', ''],
+        ['t3', '选择题', 'C', 'IP', 'x', '', '1'],
+    ];
+    const parsed = rowsToQuestions(rows, guessMapping(rows[0]));
+    expect(parsed.questions[0]).toMatchObject({ type: 'mcq', level: 'b', options: ['x', 'y'], correctIndices: [1], isMultiChoice: false });
+    expect(parsed.questions[0].id).toBeTruthy();
+    const report = validateRows(parsed);
+    expect(report.issues.filter((i) => i.row === 3).map((i) => i.message)).toEqual(
+        expect.arrayContaining(['无法识别的题型：问答', '无法识别的等级：Z'])
+    );
+    expect(report.issues.filter((i) => i.row === 4).map((i) => i.message)).toContain('正确答案应为字母，如 "A,C"：1');
+    expect(report.issues.some((i) => i.row === 2)).toBe(false);
+});
+
+test('rows without an id get the same id on every import', () => {
+    const rows = [
+        ['题目', '题型', '等级', 'IP', '参考答案'],
+        ['t1', '简答题', 'B', 'IP', 'r'],
+        ['t1', '简答题', 'C', 'IP', 'r2'],
+        ['t2', '简答题', 'B', 'IP', 'r'],
+    ];
+    const ids = () => rowsToQuestions(rows, guessMapping(rows[0])).questions.map((q) => q.id);
+    const first = ids();
+    expect(ids()).toEqual(first);
+    expect(new Set(first).size).toBe(3);
+    expect(first[1]).toBe(`${first[0]}-2`);
+});
@@ -0,0 +1,112 @@
+import { DEFAULT_RULES, basketAddError, levelMixError } from "./rules";
+
+// --- Random draw (随机抽题) ---
+const LS_DRAW = "ipquiz.draw.v1";
+
+export const DEFAULT_DRAW_SETTINGS = {
+    minLevels: { s: 0, a: 0, b: 0, c: 0 }, // at least N questions of each level
+    seed: "", // fixed seed set by admin; empty = new random seed every draw
+};
+
+export function loadDrawSettings() {
+    try {
+        const s = localStorage.getItem(LS_DRAW);
+        if (s) {
+            const obj = JSON.parse(s);
+            return { ...DEFAULT_DRAW_SETTINGS, ...obj, minLevels: { ...DEFAULT_DRAW_SETTINGS.minLevels, ...(obj.minLevels || {}) } };
+        }
+    } catch (e) {
+        console.error("Failed to load draw settings from localStorage:", e);
+    }
+    return DEFAULT_DRAW_SETTINGS;
+}
+export function saveDrawSettings(obj) {
+    localStorage.setItem(LS_DRAW, JSON.stringify(obj || DEFAULT_DRAW_SETTINGS));
+}
+
+export function randomSeed() {
+    return Math.random().toString(36).slice(2, 8);
+}
+
+/** Deterministic PRNG (mulberry32) seeded from any string. */
+export function createRng(seed) {
+    let h = 1779033703 ^ String(seed).length;
+    for (const ch of String(seed)) {
+        h = Math.imul(h ^ ch.codePointAt(0), 3432918353);
+        h = (h << 13) | (h >>> 19);
+    }
+    let a = h >>> 0;
+    return function rng() {
+        a = (a + 0x6d2b79f5) | 0;
+        let t = Math.imul(a ^ (a >>> 15), 1 | a);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function shuffle(arr, rng) {
+    const out = [...arr];
+    for (let i = out.length - 1; i > 0; i--) {
+        const j = Math.floor(rng() * (i + 1));
+        [out[i], out[j]] = [out[j], out[i]];
+    }
+    return out;
+}
+
+/**
+ * Stable scrambled order of 0..n-1 for presenting ordering items / matching
+ * columns; never the identity when n > 1, so the answer is not given away.
+ */
+export function scrambledIndices(n, seed) {
+    const order = shuffle(Array.from({ length: n }, (_, i) => i), createRng(seed));
+    if (n > 1 && order.every((idx, pos) => idx === pos)) order.push(order.shift());
+    return order;
+}
+
+/**
+ * Draw a basket at random, honouring the same rules as manual picking.
+ * Level minimums (rules profile and draw settings, whichever is higher) are
+ * filled first, the rest of the basket from any level.
+ *
+ * @param {Object[]} questions  full question bank
+ * @param {{ ips?: string[], seed: string, minLevels?: Object, rules?: Object }} opts
+ *        ips: restrict to these IPs; empty = any IP
+ * @returns {string[]} question ids
+ * @throws {Error} when the level minimums contradict the rules, or the pool cannot satisfy them
+ */
+export function drawBasket(questions, { ips = [], seed, minLevels = {}, rules = DEFAULT_RULES }) {
+    const rng = createRng(seed);
+    const pool = shuffle(
+        questions.filter((q) => q.type !== "info" && (ips.length === 0 || ips.includes(q.ip))),
+        rng
+    );
+
+    const picked = [];
+    const tryPick = (q) => {
+        if (picked.includes(q) || basketAddError(rules, picked, q)) return false;
+        picked.push(q);
+        return true;
+    };
+
+    const required = { ...rules.minLevels };
+    for (const [level, min] of Object.entries(minLevels)) required[level] = Math.max(required[level] || 0, min);
+    const mixError = levelMixError(rules, required);
+    if (mixError) throw new Error(mixError);
+
+    for (const [level, min] of Object.entries(required)) {
+        let got = 0;
+        for (const q of pool) {
+            if (got >= min) break;
+            if (q.level === level && tryPick(q)) got++;
+        }
+        if (got < min) throw new Error(`题池不足：无法抽到至少 ${min} 道 ${level.toUpperCase()} 级题目`);
+    }
+    for (const q of pool) {
+        if (picked.length >= rules.total) break;
+        tryPick(q);
+    }
+    if (picked.length === 0) throw new Error("所选 IP 下没有可抽取的题目");
+
+    // Keep the basket in bank order so a reproduced draw also looks the same
+    return questions.filter((q) => picked.includes(q)).map((q) => q.id);
+}
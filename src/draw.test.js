@@ -0,0 +1,65 @@
+import { drawBasket, scrambledIndices } from './draw';
+import { DEFAULT_RULES } from './rules';
+
+const bank = [];
+for (const ip of ['东方', 'FGO', 'EVA']) {
+    for (const level of ['a', 'b', 'c', 'c']) {
+        bank.push({ id: `${ip}-${bank.length}`, ip, level, type: 'mcq' });
+    }
+}
+
+test('same seed reproduces the same draw', () => {
+    const a = drawBasket(bank, { seed: 'booth-1' });
+    const b = drawBasket(bank, { seed: 'booth-1' });
+    expect(a).toEqual(b);
+    expect(a).toHaveLength(5);
+});
+
+test('respects total and per-IP caps', () => {
+    for (const seed of ['x', 'y', 'z', '42']) {
+        const ids = drawBasket(bank, { seed, rules: DEFAULT_RULES });
+        const counts = {};
+        ids.forEach((id) => {
+            const ip = bank.find((q) => q.id === id).ip;
+            counts[ip] = (counts[ip] || 0) + 1;
+        });
+        expect(ids.length).toBe(5);
+        expect(Math.max(...Object.values(counts))).toBeLessThanOrEqual(2);
+    }
+});
+
+test('honours IP filter and level minimums', () => {
+    const ids = drawBasket(bank, { seed: 's', ips: ['东方', 'FGO'], minLevels: { a: 2 } });
+    const picked = ids.map((id) => bank.find((q) => q.id === id));
+    expect(picked.every((q) => ['东方', 'FGO'].includes(q.ip))).toBe(true);
+    expect(picked.filter((q) => q.level === 'a').length).toBeGreaterThanOrEqual(2);
+    expect(ids.length).toBe(4); // two IPs x two per IP
+});
+
+test('throws when the level mix is impossible', () => {
+    expect(() => drawBasket(bank, { seed: 's', ips: ['EVA'], minLevels: { a: 2 } })).toThrow(/A 级/);
+    expect(() => drawBasket(bank, { seed: 's', ips: ['nope'] })).toThrow();
+});
+
+test('level minimums above the total are a rules error, not a short pool', () => {
+    expect(() => drawBasket(bank, { seed: 's', minLevels: { a: 3, b: 3 } })).toThrow(/赛制规则冲突.*合计 6/);
+    const rules = { ...DEFAULT_RULES, maxLevels: { ...DEFAULT_RULES.maxLevels, s: 1 } };
+    expect(() => drawBasket(bank, { seed: 's', minLevels: { s: 2 }, rules })).toThrow(/赛制规则冲突.*S 级/);
+});
+
+test('uses caps, level maximums and allowed types from the rules profile', () => {
+    const rules = { ...DEFAULT_RULES, total: 3, perIP: 1, maxLevels: { ...DEFAULT_RULES.maxLevels, c: 0 } };
+    const ids = drawBasket(bank, { seed: 'r', rules });
+    const picked = ids.map((id) => bank.find((q) => q.id === id));
+    expect(ids).toHaveLength(3);
+    expect(new Set(picked.map((q) => q.ip)).size).toBe(3);
+    expect(picked.some((q) => q.level === 'c')).toBe(false);
+    expect(() => drawBasket(bank, { seed: 'r', rules: { ...DEFAULT_RULES, allowedTypes: ['fill'] } })).toThrow();
+});
+
+test('scrambledIndices is stable and never the identity', () => {
+    expect(scrambledIndices(5, 'q1')).toEqual(scrambledIndices(5, 'q1'));
+    expect([...scrambledIndices(5, 'q1')].sort()).toEqual([0, 1, 2, 3, 4]);
+    for (const seed of ['a', 'b', 'c', 'd', 'e']) expect(scrambledIndices(2, seed)).toEqual([1, 0]);
+    expect(scrambledIndices(1, 'a')).toEqual([0]);
+});
@@ -0,0 +1,164 @@
+import { normalizeAnswer } from "./fillGrading";
+
+// --- Duplicate and near-duplicate questions: normalized titles, bigram similarity, option sets ---
+const LS_IGNORED = "ipquiz.duplicates.ignored.v1";
+
+// Pairs scoring at least this are reported; exact duplicates always are
+export const SIMILARITY_THRESHOLD = 0.8;
+// Share of the options in the combined score; the title carries the rest
+const OPTION_WEIGHT = 0.2;
+// Titles shorter than this (normalized) only count as duplicates with matching options
+const MIN_FUZZY_LENGTH = 6;
+
+/**
+ * @typedef {Object} DuplicatePair
+ * @property {Object} a
+ * @property {Object} b
+ * @property {"exact"|"similar"} kind
+ * @property {number} score        0..1, title and option similarity combined
+ * @property {number} titleSim
+ * @property {number|null} optionSim  null unless both have options
+ */
+
+const MARKDOWN_IMAGE = /!\[[^\]]*\]\(\s*<?([^\s)>]+)>?[^)]*\)/g;
+const HTML_IMAGE = /<img\b[^>]*?\bsrc\s*=\s*["']([^"']+)["'][^>]*>/gi;
+
+function bigrams(s) {
+    const out = new Set();
+    if (s.length === 1) out.add(s);
+    for (let i = 0; i + 1 < s.length; i++) out.add(s.slice(i, i + 2));
+    return out;
+}
+
+function fingerprint(q) {
+    // Images are compared apart from the text, so "这是谁？" over two different pictures stays apart
+    const images = new Set();
+    const text = String(q.title ?? "").replace(MARKDOWN_IMAGE, (_, url) => images.add(url) && " ").replace(HTML_IMAGE, (_, url) => images.add(url) && " ");
+    const title = normalizeAnswer(text);
+    const options = Array.isArray(q.options) && q.options.length > 0 ? q.options.map(normalizeAnswer).filter(Boolean) : null;
+    return {
+        q,
+        title,
+        grams: bigrams(title),
+        images,
+        options: options && new Set(options),
+        optionGrams: options && new Set(options.flatMap((o) => [...bigrams(o)])),
+    };
+}
+
+function overlap(a, b) {
+    let n = 0;
+    for (const x of a) if (b.has(x)) n++;
+    return n;
+}
+
+function dice(a, b) {
+    return (2 * overlap(a, b)) / (a.size + b.size || 1);
+}
+
+function sameSet(a, b) {
+    return a.size === b.size && overlap(a, b) === a.size;
+}
+
+function compare(x, y) {
+    if (!sameSet(x.images, y.images)) return null;
+    const titleSim = x.title === y.title ? 1 : dice(x.grams, y.grams);
+    const optionSim = x.options && y.options ? dice(x.optionGrams, y.optionGrams) : null;
+    const sameOptions = x.options && y.options ? sameSet(x.options, y.options) : !x.options && !y.options;
+    if (x.title === y.title && sameOptions) return { kind: "exact", score: 1, titleSim, optionSim };
+
+    const short = Math.min(x.title.length, y.title.length) < MIN_FUZZY_LENGTH;
+    if (short && !sameOptions) return null;
+    const score = optionSim === null ? titleSim : (1 - OPTION_WEIGHT) * titleSim + OPTION_WEIGHT * optionSim;
+    return score >= SIMILARITY_THRESHOLD ? { kind: "similar", score, titleSim, optionSim } : null;
+}
+
+export function pairKey(a, b) {
+    return a.id < b.id ? `${a.id}|${b.id}` : `${b.id}|${a.id}`;
+}
+
+/**
+ * All duplicate pairs in a bank, most similar first. Candidates come from an
+ * index of title bigrams, so only questions sharing enough of them are compared.
+ * @param {Object[]} questions
+ * @param {Set<string>} [ignored]  pair keys marked "not a duplicate"
+ * @returns {DuplicatePair[]}
+ */
+export function findDuplicates(questions, ignored = new Set()) {
+    const prints = questions.filter((q) => q.type !== "info").map(fingerprint);
+    const index = new Map(); // bigram -> indices into prints
+    const pairs = [];
+
+    prints.forEach((x, i) => {
+        const shared = new Map();
+        for (const g of x.grams) {
+            for (const j of index.get(g) || []) shared.set(j, (shared.get(j) || 0) + 1);
+        }
+        for (const [j, n] of shared) {
+            // Even identical options cannot lift titles less alike than this to the threshold
+            const y = prints[j];
+            if (x.title !== y.title && (2 * n) / (x.grams.size + y.grams.size) < (SIMILARITY_THRESHOLD - OPTION_WEIGHT) / (1 - OPTION_WEIGHT)) continue;
+            if (ignored.has(pairKey(x.q, y.q))) continue;
+            const match = compare(y, x);
+            if (match) pairs.push({ a: y.q, b: x.q, ...match });
+        }
+        for (const g of x.grams) {
+            if (!index.has(g)) index.set(g, []);
+            index.get(g).push(i);
+        }
+    });
+    return pairs.sort((p, q) => q.score - p.score);
+}
+
+/**
+ * Questions of the bank that duplicate `q` (the bank should not contain `q` itself).
+ * @returns {DuplicatePair[]} with `a` the bank question and `b` = q
+ */
+export function duplicatesOf(q, questions, ignored = new Set()) {
+    const x = fingerprint(q);
+    const out = [];
+    for (const other of questions) {
+        if (other.id === q.id || other.type === "info" || ignored.has(pairKey(other, q))) continue;
+        const match = compare(fingerprint(other), x);
+        if (match) out.push({ a: other, b: q, ...match });
+    }
+    return out.sort((p, r) => r.score - p.score);
+}
+
+// Fields whose meaning depends on the question type (options, answer keys, …)
+const TYPE_FIELDS = ["options", "correctIndices", "isMultiChoice", "reference", "blanks", "scoring", "passage", "subQuestions", "answer", "items", "pairs"];
+
+/**
+ * Merge a duplicate into the question that is kept: fields the kept question
+ * lacks are taken from the other one, media attachments are combined. Answer
+ * fields are only taken from a question of the same type.
+ */
+export function mergeDuplicate(keep, drop) {
+    const merged = { ...keep };
+    const sameType = keep.type === drop.type;
+    for (const [k, v] of Object.entries(drop)) {
+        if (k === "id" || k === "media" || (!sameType && TYPE_FIELDS.includes(k))) continue;
+        const missing = merged[k] === undefined || merged[k] === null || merged[k] === "" || (Array.isArray(merged[k]) && merged[k].length === 0);
+        if (missing) merged[k] = v;
+    }
+    const media = [...(keep.media || []), ...(drop.media || []).filter((m) => !(keep.media || []).some((k) => k.id === m.id))];
+    if (media.length) merged.media = media;
+    return merged;
+}
+
+/**
+ * Pair keys an admin marked as not duplicates. Unreadable data counts as none
+ * marked, with a message to show where the pairs are listed.
+ * @returns {{ pairs: Set<string>, error: string }}
+ */
+export function loadIgnoredPairs() {
+    try {
+        return { pairs: new Set(JSON.parse(localStorage.getItem(LS_IGNORED) || "[]")), error: "" };
+    } catch (e) {
+        return { pairs: new Set(), error: `已标记为“不重复”的题目记录无法读取，暂按未标记处理：${e.message}` };
+    }
+}
+
+export function saveIgnoredPairs(set) {
+    localStorage.setItem(LS_IGNORED, JSON.stringify([...set]));
+}
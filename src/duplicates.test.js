@@ -0,0 +1,65 @@
+import bank from './question.json';
+import { duplicatesOf, findDuplicates, loadIgnoredPairs, mergeDuplicate, pairKey, saveIgnoredPairs } from './duplicates';
+
+const mcq = (id, title, options, over = {}) => ({ id, ip: 'IP', type: 'mcq', level: 'b', title, options, correctIndices: [0], isMultiChoice: false, ...over });
+
+test('exact duplicates ignore punctuation, width, case and traditional characters', () => {
+    const a = mcq('a', '弹丸论破的主角是谁？', ['苗木诚', '日向创']);
+    const b = mcq('b', '彈丸論破的主角是誰?', ['日向创', '苗木诚 '], { ip: 'Other' });
+    const [pair] = findDuplicates([a, b]);
+    expect(pair).toMatchObject({ kind: 'exact', score: 1 });
+    expect([pair.a.id, pair.b.id]).toEqual(['a', 'b']);
+});
+
+test('near duplicates combine title and option similarity', () => {
+    const a = mcq('a', '超级弹丸论破2的舞台是哪座岛屿', ['贾巴沃克岛', '希望之峰']);
+    const b = mcq('b', '超级弹丸论破2的舞台是哪一座岛屿', ['贾巴沃克岛', '希望之峰学园']);
+    const c = mcq('c', '超级弹丸论破2的舞台是哪座岛屿', ['完全不同', '的选项'], { ip: 'X' });
+    const pairs = findDuplicates([a, b, c]);
+    expect(pairs.map((p) => pairKey(p.a, p.b))).toEqual(['a|b', 'a|c']);
+    expect(pairs[0].kind).toBe('similar');
+    expect(findDuplicates([a, b, c], new Set(['a|b'])).map((p) => pairKey(p.a, p.b))).toEqual(['a|c']);
+});
+
+test('short generic titles need matching options, images tell questions apart', () => {
+    expect(findDuplicates([mcq('a', '这是谁', ['甲', '乙']), mcq('b', '这是谁？', ['丙', '丁'])])).toEqual([]);
+    const img = (id, file) => ({ id, ip: 'IP', type: 'short', level: 'c', title: `这个角色出自哪部作品？![](https://img.example/${file})` });
+    expect(findDuplicates([img('a', '1.png'), img('b', '2.png')])).toEqual([]);
+    expect(findDuplicates([img('a', '1.png'), img('b', '1.png')])).toHaveLength(1);
+});
+
+test('duplicatesOf checks one question being saved against the bank', () => {
+    const a = mcq('a', '弹丸论破的主角是谁', ['苗木诚', '日向创']);
+    expect(duplicatesOf({ ...a, id: 'new' }, [a]).map((p) => p.a.id)).toEqual(['a']);
+    expect(duplicatesOf(a, [a])).toEqual([]);
+});
+
+test('merging keeps the kept question and fills its gaps', () => {
+    const keep = { id: 'a', type: 'short', title: 't', reference: '', media: [{ id: 'm1' }] };
+    const drop = { id: 'b', type: 'short', title: 'other', reference: 'r', media: [{ id: 'm1' }, { id: 'm2' }] };
+    expect(mergeDuplicate(keep, drop)).toEqual({ id: 'a', type: 'short', title: 't', reference: 'r', media: [{ id: 'm1' }, { id: 'm2' }] });
+});
+
+test('questions of another type only contribute their media', () => {
+    const keep = { id: 'a', type: 'truefalse', title: 't', answer: true };
+    const drop = { id: 'b', type: 'mcq', title: 't', options: ['x', 'y'], correctIndices: [1], isMultiChoice: false, media: [{ id: 'm1' }] };
+    expect(mergeDuplicate(keep, drop)).toEqual({ id: 'a', type: 'truefalse', title: 't', answer: true, media: [{ id: 'm1' }] });
+});
+
+test('the bigram index finds the same pairs as comparing every question', () => {
+    const sample = bank.slice(0, 200);
+    const keys = (pairs) => pairs.map((p) => pairKey(p.a, p.b)).sort();
+    const everyPair = sample.flatMap((q, i) => duplicatesOf(q, sample.slice(0, i)));
+    expect(keys(findDuplicates(sample))).toEqual(keys(everyPair));
+});
+
+test('ignored pairs round-trip, unreadable ones come back empty with a message', () => {
+    saveIgnoredPairs(new Set(['a|b']));
+    expect(loadIgnoredPairs()).toEqual({ pairs: new Set(['a|b']), error: '' });
+
+    localStorage.setItem('ipquiz.duplicates.ignored.v1', '{broken');
+    const { pairs, error } = loadIgnoredPairs();
+    expect(pairs.size).toBe(0);
+    expect(error).toMatch(/无法读取/);
+    localStorage.clear();
+});
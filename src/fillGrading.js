@@ -0,0 +1,103 @@
+import { pinyin } from "pinyin-pro";
+import * as OpenCC from "opencc-js/t2cn";
+
+// --- Auto-grading for fill-in-the-blank questions ---
+
+/**
+ * A fill question carries one entry per blank:
+ *   blanks: [{ accepted: ["转描", "rotoscope"], patterns: ["^转描(技法)?$"] }]
+ * Questions without `blanks` stay manually graded.
+ *
+ * @typedef {{ accepted: string[], patterns: string[] }} FillBlank
+ */
+
+const toSimplified = OpenCC.Converter({ from: "tw", to: "cn" });
+
+// ASCII and CJK punctuation / brackets that players type inconsistently
+const PUNCT_RE = /[\s\p{P}\p{S}]/gu;
+const CJK_RE = /[\u4e00-\u9fa5]/;
+const LATIN_ONLY_RE = /^[a-z]+$/;
+
+/** Full-width → half-width, traditional → simplified, lower case, no spaces or punctuation. */
+export function normalizeAnswer(s) {
+    return toSimplified(String(s ?? "").normalize("NFKC"))
+        .toLowerCase()
+        .replace(PUNCT_RE, "");
+}
+
+/** Toneless pinyin of a normalized answer, e.g. "转描" → "zhuanmiao". */
+function toPinyin(normalized) {
+    return pinyin(normalized, { toneType: "none", type: "array" }).join("").toLowerCase();
+}
+
+/** @returns {FillBlank[]} */
+export function fillBlanks(q) {
+    return (q.blanks || []).map((b) => ({
+        accepted: (b.accepted || []).filter((x) => String(x).trim() !== ""),
+        patterns: (b.patterns || []).filter((x) => String(x).trim() !== ""),
+    }));
+}
+
+export function isAutoGraded(q) {
+    return q.type === "fill" && fillBlanks(q).some((b) => b.accepted.length > 0 || b.patterns.length > 0);
+}
+
+/** Number of inputs to show: configured blanks, else the "____" runs in the title, at least one. */
+export function blankCount(q) {
+    const configured = (q.blanks || []).length;
+    if (configured > 0) return configured;
+    return Math.max(1, (q.title.match(/_{2,}/g) || []).length);
+}
+
+/** Does one typed answer satisfy one blank? */
+export function matchBlank(blank, input) {
+    const raw = String(input ?? "").trim();
+    if (!raw) return false;
+    const norm = normalizeAnswer(raw);
+
+    for (const acc of blank.accepted) {
+        const accNorm = normalizeAnswer(acc);
+        if (norm === accNorm) return true;
+        // Players without a Chinese IME may type the pinyin instead
+        if (LATIN_ONLY_RE.test(norm) && CJK_RE.test(accNorm) && toPinyin(accNorm) === norm) return true;
+    }
+    for (const p of blank.patterns) {
+        let re;
+        try {
+            re = new RegExp(p, "iu");
+        } catch (e) {
+            continue; // invalid patterns are reported by the editor, never crash grading
+        }
+        if (re.test(raw) || re.test(norm)) return true;
+    }
+    return false;
+}
+
+/**
+ * @param {Object} q
+ * @param {string[]} texts  typed answers in blank order
+ * @returns {{ results: boolean[], correct: number, total: number }}
+ */
+export function gradeFill(q, texts) {
+    const blanks = fillBlanks(q);
+    const results = blanks.map((b, i) => matchBlank(b, texts?.[i]));
+    return { results, correct: results.filter(Boolean).length, total: blanks.length };
+}
+
+/** Auto score: points split evenly across blanks. */
+export function autoFillScore(q, texts, points) {
+    const { correct, total } = gradeFill(q, texts);
+    if (total === 0) return 0;
+    return Math.round(((points * correct) / total) * 100) / 100;
+}
+
+/**
+ * Best-effort accepted answers from a free-text reference, for the editor's
+ * "从参考答案生成" button. Splits on "或" and slashes, drops trailing notes in brackets.
+ */
+export function acceptedFromReference(reference) {
+    return String(reference || "")
+        .split(/\s*(?:\/|／|\s或\s)\s*/)
+        .map((s) => s.replace(/[（(][^）)]*[）)]?\s*$/, "").trim())
+        .filter(Boolean);
+}
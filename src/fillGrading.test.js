@@ -0,0 +1,51 @@
+import { normalizeAnswer, matchBlank, gradeFill, autoFillScore, blankCount, isAutoGraded, acceptedFromReference } from './fillGrading';
+
+test('normalizeAnswer folds width, case, spaces, punctuation and traditional characters', () => {
+    expect(normalizeAnswer('ＡＢＣ　１２３')).toBe('abc123');
+    expect(normalizeAnswer('《月色真美》')).toBe('月色真美');
+    expect(normalizeAnswer('涼宮春日的憂鬱')).toBe('凉宫春日的忧郁');
+    expect(normalizeAnswer(' Hello, World! ')).toBe('helloworld');
+});
+
+describe('matchBlank', () => {
+    const blank = { accepted: ['转描', 'Rotoscope'], patterns: ['^京都.*纵火'] };
+
+    test('accepted answers after normalization', () => {
+        expect(matchBlank(blank, '轉描')).toBe(true);
+        expect(matchBlank(blank, ' ROTOSCOPE ')).toBe(true);
+        expect(matchBlank(blank, '描转')).toBe(false);
+        expect(matchBlank(blank, '')).toBe(false);
+    });
+
+    test('typed pinyin matches Chinese answers', () => {
+        expect(matchBlank(blank, 'zhuanmiao')).toBe(true);
+        expect(matchBlank(blank, 'Zhuan Miao')).toBe(true);
+        expect(matchBlank(blank, 'zm')).toBe(false);
+    });
+
+    test('regex patterns, invalid ones are skipped', () => {
+        expect(matchBlank(blank, '京都动画纵火案')).toBe(true);
+        expect(matchBlank({ accepted: [], patterns: ['(', '^\\d+$'] }, '37')).toBe(true);
+    });
+});
+
+test('multiple blanks score proportionally', () => {
+    const q = { type: 'fill', title: '__ 和 __', blanks: [{ accepted: ['天依'] }, { accepted: ['导出'] }] };
+    expect(isAutoGraded(q)).toBe(true);
+    expect(blankCount(q)).toBe(2);
+    expect(gradeFill(q, ['天依', '导入']).results).toEqual([true, false]);
+    expect(autoFillScore(q, ['天依', '导入'], 3)).toBe(1.5);
+    expect(autoFillScore(q, ['天依', '导出'], 3)).toBe(3);
+});
+
+test('questions without blanks stay manual', () => {
+    const q = { type: 'fill', title: '第一空____，第二空____', reference: 'x' };
+    expect(isAutoGraded(q)).toBe(false);
+    expect(blankCount(q)).toBe(2);
+});
+
+test('acceptedFromReference splits alternatives and drops notes', () => {
+    expect(acceptedFromReference('京都动画第一工作室纵火事件 或 纵火案 或 京都纵火案')).toEqual(['京都动画第一工作室纵火事件', '纵火案', '京都纵火案']);
+    expect(acceptedFromReference('两脚羊/人类')).toEqual(['两脚羊', '人类']);
+    expect(acceptedFromReference('大卡车（意思对即可）')).toEqual(['大卡车']);
+});
@@ -0,0 +1,115 @@
+import { blankCount, isAutoGraded } from "./fillGrading";
+import { isStructuredReading } from "./reading";
+import { round2, scoreQuestion } from "./scoring";
+
+// --- Grading queue: manual answers waiting for a grader across stored runs ---
+
+/** Types a person scores; fill and reading only when they have no answer key to grade against. */
+export function needsManualGrade(q) {
+    if (q.type === "fill") return !isAutoGraded(q);
+    if (q.type === "reading") return !isStructuredReading(q);
+    return q.type === "short";
+}
+
+/**
+ * Answer boxes for a short / reading question: one, or one per numbered
+ * sub-question ("1. …", "**2.\t…**") starting a line of a reading title.
+ * @returns {string[]} box labels, "" for a single box
+ */
+export function answerParts(q) {
+    if (q.type !== "reading") return [""];
+    const numbers = new Set();
+    for (const line of (q.title || "").split("\n")) {
+        const m = line.match(/^\s*(?:\*\*)?\s*[(（]?(\d{1,2})\s*[.、．)）]/);
+        if (m) numbers.add(m[1]);
+    }
+    return numbers.size >= 2 ? [...numbers].map((n) => `第 ${n} 问`) : [""];
+}
+
+/**
+ * The typed answer of a fill / short / reading question, one entry per box.
+ * Works on the question snapshots kept in runs too.
+ * @returns {{ label: string, text: string }[]}
+ */
+export function writtenAnswer(q, ans) {
+    const n = q.type === "fill" ? blankCount(q) : 0;
+    const labels = q.type === "fill"
+        ? Array.from({ length: n }, (_, i) => (n > 1 ? `第 ${i + 1} 空` : ""))
+        : answerParts(q);
+    return labels.map((label, i) => ({ label, text: (ans?.texts?.[i] || "").trim() }));
+}
+
+/**
+ * @typedef {Object} PendingGrade
+ * @property {string} key    `${runId}:${questionId}`
+ * @property {Object} run    the stored QuizRun (see sessions.js)
+ * @property {Object} q      the question as it is in the bank now, for its reference
+ * @property {Object|undefined} ans
+ */
+
+/**
+ * Every ungraded manual answer, oldest run first so contestants are served in
+ * order. Questions deleted from the bank since are skipped: there is no
+ * reference left to grade against.
+ * @returns {PendingGrade[]}
+ */
+export function pendingGrades(runs, questions) {
+    const byId = new Map(questions.map((q) => [q.id, q]));
+    const list = [];
+    for (const run of [...runs].sort((a, b) => (a.finishedAt || 0) - (b.finishedAt || 0))) {
+        for (const id of run.basket || []) {
+            const q = byId.get(id);
+            if (!q || !needsManualGrade(q)) continue;
+            const ans = run.answers?.[id];
+            if (typeof ans?.manualScore === "number") continue;
+            list.push({ key: `${run.id}:${id}`, run, q, ans });
+        }
+    }
+    return list;
+}
+
+/**
+ * The answer record with a grade; an empty comment is dropped.
+ * @param {Object|undefined} ans
+ * @param {{ manualScore: number, comment?: string }} grade
+ */
+export function withGrade(ans, { manualScore, comment = "" }) {
+    const next = { ...ans, manualScore };
+    delete next.graderComment;
+    if (comment.trim()) next.graderComment = comment.trim();
+    return next;
+}
+
+/** Rules to score a stored run with: the scoring it was played under, `rules` for runs that predate the snapshot. */
+export function runRules(run, rules) {
+    return run.scoring ? { ...rules, ...run.scoring } : rules;
+}
+
+/**
+ * Store a grade on a run. The score summary moves by the difference on this
+ * question only, so the other items keep what they were scored at the time,
+ * and it is scored under the rules of the run (see runRules).
+ */
+export function gradeRun(run, q, grade, rules) {
+    const before = run.answers?.[q.id];
+    const after = withGrade(before, grade);
+    const scoring = runRules(run, rules);
+    const delta = scoreQuestion(q, after, scoring) - scoreQuestion(q, before, scoring);
+    // Group under the snapshot taken when the run finished, like the summary was
+    const { ip, level } = (run.items || []).find((it) => it.id === q.id) || q;
+    const summary = run.scoreSummary || { total: 0, byIP: {}, byLevel: {} };
+    return {
+        ...run,
+        answers: { ...run.answers, [q.id]: after },
+        scoreSummary: {
+            ...summary,
+            total: round2(summary.total + delta),
+            byIP: { ...summary.byIP, [ip]: round2((summary.byIP?.[ip] || 0) + delta) },
+            byLevel: { ...summary.byLevel, [level]: round2((summary.byLevel?.[level] || 0) + delta) },
+            // Runs stored before the per-IP split do not get a partial one
+            ...(summary.byIPLevel && {
+                byIPLevel: { ...summary.byIPLevel, [ip]: { ...summary.byIPLevel[ip], [level]: round2((summary.byIPLevel[ip]?.[level] || 0) + delta) } },
+            }),
+        },
+    };
+}
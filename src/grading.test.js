@@ -0,0 +1,64 @@
+import { answerParts, gradeRun, pendingGrades, runRules, withGrade, writtenAnswer } from './grading';
+import { DEFAULT_RULES } from './rules';
+
+const questions = [
+    { id: 'm', ip: '东方', level: 'c', type: 'mcq', title: 'M', options: ['a', 'b'], correctIndices: [0] },
+    { id: 's', ip: '东方', level: 'a', type: 'short', title: 'S', reference: 'ref' },
+    { id: 'f', ip: 'FGO', level: 'b', type: 'fill', title: 'F' },
+    { id: 'auto', ip: 'FGO', level: 'b', type: 'fill', title: 'A', blanks: [{ accepted: ['x'] }] },
+];
+
+const run = (id, finishedAt, answers = {}) => ({
+    id,
+    finishedAt,
+    basket: ['m', 's', 'f', 'auto', 'gone'],
+    answers,
+    items: questions.map(({ id: qid, ip, level, type, title }) => ({ id: qid, ip, level, type, title })),
+    scoreSummary: { total: 1, byIP: { 东方: 1 }, byLevel: { a: 0, b: 0, c: 1, s: 0 } },
+});
+
+test('pendingGrades lists ungraded manual answers, oldest run first', () => {
+    const runs = [run('new', 2), run('old', 1, { s: { manualScore: 0 } })];
+    expect(pendingGrades(runs, questions).map((p) => p.key)).toEqual(['old:f', 'new:s', 'new:f']);
+});
+
+test('gradeRun stores the grade and moves only that question in the summary', () => {
+    const graded = gradeRun(run('r', 1), questions[1], { manualScore: 2, comment: ' 要点齐全 ' }, DEFAULT_RULES);
+    expect(graded.answers.s).toEqual({ manualScore: 2, graderComment: '要点齐全' });
+    expect(graded.scoreSummary).toEqual({ total: 3, byIP: { 东方: 3 }, byLevel: { a: 2, b: 0, c: 1, s: 0 } });
+
+    const regraded = gradeRun(graded, questions[1], { manualScore: 1 }, DEFAULT_RULES);
+    expect(regraded.answers.s).toEqual({ manualScore: 1 });
+    expect(regraded.scoreSummary.total).toBe(2);
+
+    const split = { ...run('r', 1), scoreSummary: { ...run('r', 1).scoreSummary, byIPLevel: { 东方: { c: 1 } } } };
+    expect(gradeRun(split, questions[1], { manualScore: 2 }, DEFAULT_RULES).scoreSummary.byIPLevel).toEqual({ 东方: { c: 1, a: 2 } });
+});
+
+test('stored runs are graded under the rules they were played under', () => {
+    const played = { ...run('r', 1, { auto: { texts: ['x'] } }), scoring: { points: { ...DEFAULT_RULES.points, b: 4 }, mcqScoring: 'exact', orderingScoring: 'position' } };
+    played.scoreSummary = { total: 5, byIP: { 东方: 1, FGO: 4 }, byLevel: { a: 0, b: 4, c: 1, s: 0 } };
+    // Overriding the auto score of 4 with 0 takes all of it back, whatever the current points of level b
+    const graded = gradeRun(played, questions[3], { manualScore: 0 }, DEFAULT_RULES);
+    expect(graded.scoreSummary).toEqual({ total: 1, byIP: { 东方: 1, FGO: 0 }, byLevel: { a: 0, b: 0, c: 1, s: 0 } });
+    expect(runRules(played, DEFAULT_RULES).points.b).toBe(4);
+    expect(runRules(run('old', 1), DEFAULT_RULES)).toBe(DEFAULT_RULES);
+});
+
+test('withGrade keeps the contestant answer', () => {
+    expect(withGrade({ texts: ['x'] }, { manualScore: 1, comment: '' })).toEqual({ texts: ['x'], manualScore: 1 });
+});
+
+test('answerParts splits reading titles with numbered sub-questions', () => {
+    expect(answerParts({ type: 'short', title: '1. a\n2. b' })).toEqual(['']);
+    expect(answerParts({ type: 'reading', title: '材料……\n\n**问题：为什么？**' })).toEqual(['']);
+    expect(answerParts({ type: 'reading', title: '材料\n\n**1.\t甲？**\n\n（2）乙？' })).toEqual(['第 1 问', '第 2 问']);
+});
+
+test('writtenAnswer labels blanks and parts', () => {
+    expect(writtenAnswer({ type: 'fill', title: '__ 和 __' }, { texts: [' 甲 '] })).toEqual([
+        { label: '第 1 空', text: '甲' },
+        { label: '第 2 空', text: '' },
+    ]);
+    expect(writtenAnswer({ type: 'short', title: 'S' }, undefined)).toEqual([{ label: '', text: '' }]);
+});
@@ -3,6 +3,7 @@ import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
 import reportWebVitals from './reportWebVitals';
+import { registerServiceWorker } from './offline';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 
@@ -12,6 +13,9 @@ root.render(
   </React.StrictMode>
 );
 
+// Installable and usable offline at the venue, see service-worker.js
+registerServiceWorker();
+
 // If you want to start measuring performance in your app, pass a function
 // to log results (for example: reportWebVitals(console.log))
 // or send to an analytics endpoint. Learn more: https://bit.ly/CRA-vitals
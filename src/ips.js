@@ -0,0 +1,128 @@
+import { IP_CATEGORIES } from "./constants";
+
+// --- IP metadata: display name, aliases, category, credits, community, cover, visibility ---
+
+/**
+ * What the app knows about an IP besides its questions, keyed by the IP name
+ * questions carry in `ip`.
+ *
+ * @typedef {Object} IpRecord
+ * @property {string} displayName   full title for contestants, "" = the IP name itself
+ * @property {string[]} aliases     other names the sidebar search finds it by; renaming keeps the old name here
+ * @property {""|"anime"|"game"|"manga"|"novel"} category  "" = uncategorized
+ * @property {string} credit        who wrote the questions
+ * @property {string} community     markdown: fan group number, QR code, …
+ * @property {string} cover         image URL
+ * @property {boolean} hidden       kept out of the sidebar, the pick list and draws for contestants
+ * @property {string} note          markdown shown above the questions
+ */
+
+// "by 某某" on the first line of a legacy hint credits the contributors
+const CREDIT_LINE = /^\s*by\s*(.*?)[：:]?\s*$/i;
+// Group numbers and QR codes of a legacy hint are community info, anything else a note
+const COMMUNITY_TEXT = /群|!\[[^\]]*\]\(|<img\b/i;
+
+function text(v) {
+    return typeof v === "string" ? v.trim() : "";
+}
+
+/** @returns {IpRecord} with every field present and of the right type */
+export function makeIp(fields = {}) {
+    return {
+        displayName: text(fields.displayName),
+        aliases: Array.isArray(fields.aliases) ? [...new Set(fields.aliases.map(text).filter(Boolean))] : [],
+        category: Object.keys(IP_CATEGORIES).includes(fields.category) ? fields.category : "",
+        credit: text(fields.credit),
+        community: text(fields.community),
+        cover: text(fields.cover),
+        hidden: fields.hidden === true,
+        note: text(fields.note),
+    };
+}
+
+/**
+ * Split a free-form markdown hint of the old `hints` map into a record: a
+ * leading "by …" line becomes the credit, group info and QR codes the community.
+ * Hints never carried the other fields, so those are taken from `base`.
+ * @param {string|null} hint
+ * @param {IpRecord} [base]  e.g. the bundled or current record of the same IP
+ * @returns {IpRecord}
+ */
+export function ipFromHint(hint, base) {
+    const ip = { ...makeIp(base), credit: "", community: "", note: "" };
+    if (typeof hint !== "string" || !hint.trim()) return ip;
+    const lines = hint.trim().split("\n");
+    const credit = lines[0].match(CREDIT_LINE);
+    if (credit) {
+        ip.credit = credit[1].trim();
+        lines.shift();
+    }
+    const rest = lines.join("\n").trim();
+    if (COMMUNITY_TEXT.test(rest)) ip.community = rest;
+    else ip.note = rest;
+    return ip;
+}
+
+/**
+ * Records for every entry of an imported or stored map; legacy hint strings
+ * (and nulls) are converted with ipFromHint on top of the record in `base`.
+ * @param {Object<string, IpRecord|string|null>} map
+ * @param {Object<string, IpRecord>} [base]
+ * @returns {Object<string, IpRecord>}
+ */
+export function normalizeIpMeta(map, base = {}) {
+    const out = {};
+    for (const [name, v] of Object.entries(map || {})) {
+        out[name] = v && typeof v === "object" ? makeIp(v) : ipFromHint(v, base[name]);
+    }
+    return out;
+}
+
+/** Name shown for an IP: its display name when it has one. */
+export function ipLabel(name, record) {
+    return record?.displayName || name;
+}
+
+/** Case-insensitive match of a sidebar search on name, display name and aliases. */
+export function matchesIp(name, record, query) {
+    const q = query.trim().toLowerCase();
+    if (!q) return true;
+    return [name, record?.displayName, ...(record?.aliases || [])].some((s) => s && s.toLowerCase().includes(q));
+}
+
+/**
+ * IP names grouped by category, in IP_CATEGORIES order with uncategorized last;
+ * empty groups are left out and each group keeps the order of `names`.
+ * @param {string[]} names
+ * @param {Object<string, IpRecord>} ipMeta
+ * @returns {{ category: string, label: string, ips: string[] }[]}
+ */
+export function groupIps(names, ipMeta) {
+    const groups = [...Object.entries(IP_CATEGORIES), ["", "未分类"]].map(([category, label]) => ({ category, label, ips: [] }));
+    for (const name of names) {
+        const category = ipMeta?.[name]?.category || "";
+        groups.find((g) => g.category === category).ips.push(name);
+    }
+    return groups.filter((g) => g.ips.length > 0);
+}
+
+/**
+ * Rename an IP in the bank and its metadata in one step, so a single journal
+ * entry covers both. Renaming onto an existing IP merges into it: its record
+ * wins and the old name's aliases are added. The old name becomes an alias.
+ * @param {{ questions: Object[], ipMeta: Object<string, IpRecord> }} state
+ * @param {string} from
+ * @param {string} to
+ * @returns {{ questions: Object[], ipMeta: Object<string, IpRecord> }}
+ */
+export function renameIp({ questions, ipMeta }, from, to) {
+    if (from === to) return { questions, ipMeta };
+    const source = ipMeta[from] || makeIp();
+    const target = ipMeta[to] || source;
+    const aliases = [...target.aliases, ...source.aliases, from].filter((a) => a !== to);
+    const { [from]: _dropped, ...rest } = ipMeta;
+    return {
+        questions: questions.map((q) => (q.ip === from ? { ...q, ip: to } : q)),
+        ipMeta: { ...rest, [to]: makeIp({ ...target, aliases }) },
+    };
+}
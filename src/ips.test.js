@@ -0,0 +1,55 @@
+import { groupIps, ipFromHint, ipLabel, makeIp, matchesIp, normalizeIpMeta, renameIp } from './ips';
+import ipMeta from './ips.json';
+
+test('makeIp fills defaults and drops bad values', () => {
+    expect(makeIp()).toEqual({ displayName: '', aliases: [], category: '', credit: '', community: '', cover: '', hidden: false, note: '' });
+    expect(makeIp({ category: 'movie', hidden: 'yes', aliases: [' a ', '', 'a', 'b', 3] })).toMatchObject({ category: '', hidden: false, aliases: ['a', 'b'] });
+    expect(makeIp({ category: 'game', hidden: true }).category).toBe('game');
+});
+
+test('legacy hints split into credit, community and note', () => {
+    expect(ipFromHint('by 曦月よ\n同好群群号：924490548\n![](https://img.example/qr.png)')).toMatchObject({
+        credit: '曦月よ',
+        community: '同好群群号：924490548\n![](https://img.example/qr.png)',
+        note: '',
+    });
+    expect(ipFromHint('by 某同好群：\n![](https://img.example/qr.png)')).toMatchObject({ credit: '某同好群', community: '![](https://img.example/qr.png)' });
+    expect(ipFromHint('by 雪风\n（不推荐作答）')).toMatchObject({ credit: '雪风', note: '（不推荐作答）', community: '' });
+    expect(ipFromHint('谁的私货主题这么乱！')).toMatchObject({ credit: '', note: '谁的私货主题这么乱！' });
+    expect(ipFromHint(null)).toEqual(makeIp());
+    expect(ipFromHint('by y', makeIp({ category: 'game', credit: 'x', note: 'n' }))).toEqual(makeIp({ category: 'game', credit: 'y' }));
+    expect(normalizeIpMeta({ A: 'by x', B: { category: 'anime' } })).toEqual({ A: makeIp({ credit: 'x' }), B: makeIp({ category: 'anime' }) });
+});
+
+test('the bundled records are already normalized', () => {
+    expect(normalizeIpMeta(ipMeta)).toEqual(ipMeta);
+});
+
+test('sidebar helpers: labels, search on aliases, grouping by category', () => {
+    const meta = { 点兔: makeIp({ displayName: '请问您今天要来点兔子吗？', aliases: ['Gochiusa'], category: 'anime' }), 原神: makeIp({ category: 'game' }) };
+    expect(ipLabel('点兔', meta.点兔)).toBe('请问您今天要来点兔子吗？');
+    expect(ipLabel('其他', undefined)).toBe('其他');
+    expect(matchesIp('点兔', meta.点兔, 'gochi')).toBe(true);
+    expect(matchesIp('点兔', meta.点兔, '兔子')).toBe(true);
+    expect(matchesIp('原神', meta.原神, 'gochi')).toBe(false);
+    expect(matchesIp('原神', undefined, ' ')).toBe(true);
+    expect(groupIps(['原神', '其他', '点兔'], meta)).toEqual([
+        { category: 'anime', label: '动画', ips: ['点兔'] },
+        { category: 'game', label: '游戏', ips: ['原神'] },
+        { category: '', label: '未分类', ips: ['其他'] },
+    ]);
+});
+
+test('renaming moves the questions and keeps the old name as an alias', () => {
+    const questions = [{ id: 'a', ip: 'Old' }, { id: 'b', ip: 'Other' }];
+    const state = { questions, ipMeta: { Old: makeIp({ credit: 'x', aliases: ['o'] }) } };
+    const next = renameIp(state, 'Old', 'New');
+    expect(next.questions).toEqual([{ id: 'a', ip: 'New' }, { id: 'b', ip: 'Other' }]);
+    expect(next.ipMeta).toEqual({ New: makeIp({ credit: 'x', aliases: ['o', 'Old'] }) });
+    expect(renameIp(state, 'Old', 'Old')).toEqual(state);
+
+    // onto an existing IP: its record wins, the renamed IP's names become aliases
+    const merged = renameIp({ questions, ipMeta: { ...state.ipMeta, Other: makeIp({ credit: 'y', aliases: ['Old'] }) } }, 'Old', 'Other');
+    expect(merged.questions.map((q) => q.ip)).toEqual(['Other', 'Other']);
+    expect(merged.ipMeta).toEqual({ Other: makeIp({ credit: 'y', aliases: ['Old', 'o'] }) });
+});
@@ -0,0 +1,150 @@
+import { uid } from "./utils";
+
+// --- Edit journal for the question bank and IP metadata (undo / redo / history), stored by storage.js ---
+const MAX_ENTRIES = 300;
+
+/**
+ * One admin action. Only the touched items are stored, so the whole bank at any
+ * point is rebuilt by walking back from the current state.
+ *
+ * @typedef {Object} Change
+ * @property {string} key                       question id, or IP name for IP metadata
+ * @property {"added"|"changed"|"removed"} kind
+ * @property {*} before                         undefined when added
+ * @property {*} after                          undefined when removed
+ * @property {number} [index]                   questions only: position in the list that contains the item
+ *
+ * @typedef {Object} JournalEntry
+ * @property {string} id
+ * @property {number} at                        epoch ms
+ * @property {string} label                     e.g. "编辑题目"
+ * @property {Change[]} questions
+ * @property {Change[]} ipMeta
+ *
+ * @typedef {{ entries: JournalEntry[], cursor: number }} Journal
+ *           entries[0 .. cursor) are applied, the rest can be redone
+ */
+
+export const EMPTY_JOURNAL = { entries: [], cursor: 0 };
+
+function same(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/** @returns {Change[]} */
+export function diffQuestionLists(before, after) {
+    const beforeById = new Map(before.map((q, index) => [q.id, { q, index }]));
+    const afterIds = new Set(after.map((q) => q.id));
+    const changes = [];
+    after.forEach((q, index) => {
+        const prev = beforeById.get(q.id);
+        if (!prev) changes.push({ key: q.id, kind: "added", before: undefined, after: q, index });
+        else if (!same(prev.q, q)) changes.push({ key: q.id, kind: "changed", before: prev.q, after: q, index });
+    });
+    before.forEach((q, index) => {
+        if (!afterIds.has(q.id)) changes.push({ key: q.id, kind: "removed", before: q, after: undefined, index });
+    });
+    return changes;
+}
+
+/** @returns {Change[]} */
+export function diffIpMetaMaps(before, after) {
+    const changes = [];
+    for (const key of new Set([...Object.keys(before || {}), ...Object.keys(after || {})])) {
+        const had = key in (before || {});
+        const has = key in (after || {});
+        if (!had) changes.push({ key, kind: "added", before: undefined, after: after[key] });
+        else if (!has) changes.push({ key, kind: "removed", before: before[key], after: undefined });
+        else if (!same(before[key], after[key])) changes.push({ key, kind: "changed", before: before[key], after: after[key] });
+    }
+    return changes;
+}
+
+/** null when nothing changed, so no-op saves don't clutter the history. */
+export function makeEntry(label, { questions = [], ipMeta = [] }, at = Date.now()) {
+    if (questions.length === 0 && ipMeta.length === 0) return null;
+    return { id: uid(), at, label, questions, ipMeta };
+}
+
+/** Append after the cursor; anything that was undone is discarded. */
+export function recordEntry(journal, entry) {
+    const entries = [...journal.entries.slice(0, journal.cursor), entry].slice(-MAX_ENTRIES);
+    return { entries, cursor: entries.length };
+}
+
+// Re-insert by position, ascending, so the target list order is rebuilt exactly
+function applyQuestionChanges(list, changes, forward) {
+    const side = forward ? "after" : "before";
+    const dropKind = forward ? "removed" : "added";
+    const byKey = new Map(changes.map((c) => [c.key, c]));
+    const inserts = [];
+    const out = [];
+    for (const q of list) {
+        const c = byKey.get(q.id);
+        if (!c) out.push(q);
+        else if (c.kind === "changed") out.push(c[side]);
+        // dropKind items are left out
+    }
+    // Indices of "changed" entries point into the after list; only inserts need positions
+    for (const c of changes) {
+        if (c.kind !== "changed" && c.kind !== dropKind) inserts.push(c);
+    }
+    inserts.sort((a, b) => a.index - b.index);
+    for (const c of inserts) out.splice(Math.min(c.index, out.length), 0, c[side]);
+    return out;
+}
+
+function applyIpChanges(map, changes, forward) {
+    const out = { ...map };
+    for (const c of changes) {
+        const value = forward ? c.after : c.before;
+        if (value === undefined) delete out[c.key];
+        else out[c.key] = value;
+    }
+    return out;
+}
+
+/**
+ * @param {{ questions: Object[], ipMeta: Object }} state
+ * @param {JournalEntry} entry
+ * @param {boolean} forward  true to redo the entry, false to undo it
+ */
+export function applyEntry(state, entry, forward) {
+    return {
+        questions: entry.questions.length > 0 ? applyQuestionChanges(state.questions, entry.questions, forward) : state.questions,
+        ipMeta: entry.ipMeta.length > 0 ? applyIpChanges(state.ipMeta, entry.ipMeta, forward) : state.ipMeta,
+    };
+}
+
+/** @returns {{ journal: Journal, state: Object }|null} */
+export function undo(journal, state) {
+    if (journal.cursor === 0) return null;
+    const entry = journal.entries[journal.cursor - 1];
+    return { journal: { ...journal, cursor: journal.cursor - 1 }, state: applyEntry(state, entry, false), entry };
+}
+
+/** @returns {{ journal: Journal, state: Object }|null} */
+export function redo(journal, state) {
+    if (journal.cursor >= journal.entries.length) return null;
+    const entry = journal.entries[journal.cursor];
+    return { journal: { ...journal, cursor: journal.cursor + 1 }, state: applyEntry(state, entry, true), entry };
+}
+
+/** The bank as it was when `cursor` entries had been applied. */
+export function stateAt(journal, state, cursor) {
+    let s = state;
+    for (let i = journal.cursor - 1; i >= cursor; i--) s = applyEntry(s, journal.entries[i], false);
+    for (let i = journal.cursor; i < cursor; i++) s = applyEntry(s, journal.entries[i], true);
+    return s;
+}
+
+/** Applied entries that touched one question, newest first, with that question's change. */
+export function questionHistory(journal, id) {
+    const out = [];
+    for (let i = journal.cursor - 1; i >= 0; i--) {
+        const entry = journal.entries[i];
+        const change = entry.questions.find((c) => c.key === id);
+        if (change) out.push({ entry, change });
+    }
+    return out;
+}
@@ -0,0 +1,62 @@
+import {
+    EMPTY_JOURNAL,
+    applyEntry,
+    diffIpMetaMaps,
+    diffQuestionLists,
+    makeEntry,
+    questionHistory,
+    recordEntry,
+    redo,
+    stateAt,
+    undo,
+} from './journal';
+
+const q = (id, title = id) => ({ id, ip: 'IP', type: 'short', level: 'c', title });
+
+function edit(journal, state, next, label) {
+    const entry = makeEntry(label, {
+        questions: diffQuestionLists(state.questions, next.questions),
+        ipMeta: diffIpMetaMaps(state.ipMeta, next.ipMeta),
+    });
+    return { journal: recordEntry(journal, entry), state: next };
+}
+
+test('diffs record added, changed and removed items with positions', () => {
+    const changes = diffQuestionLists([q('a'), q('b'), q('c')], [q('n'), q('a', 'A!'), q('c')]);
+    expect(changes.map((c) => `${c.kind}:${c.key}@${c.index}`)).toEqual(['added:n@0', 'changed:a@1', 'removed:b@1']);
+    expect(diffIpMetaMaps({ x: { note: '1' }, y: {} }, { x: { note: '2' }, z: {} }).map((c) => `${c.kind}:${c.key}`)).toEqual([
+        'changed:x', 'removed:y', 'added:z',
+    ]);
+    expect(makeEntry('noop', { questions: [], ipMeta: [] })).toBeNull();
+});
+
+test('undo and redo restore exact order', () => {
+    const s0 = { questions: [q('a'), q('b'), q('c'), q('d')], ipMeta: { IP: { note: 'hi' } } };
+    let { journal, state } = edit(EMPTY_JOURNAL, s0, { questions: [q('n'), q('a'), q('c', 'C!')], ipMeta: { IP: { note: 'hi' } } }, 'e1');
+    ({ journal, state } = edit(journal, state, { questions: state.questions, ipMeta: { IP: { note: 'bye' }, New: {} } }, 'e2'));
+
+    const u1 = undo(journal, state);
+    expect(u1.state.ipMeta).toEqual({ IP: { note: 'hi' } });
+    const u2 = undo(u1.journal, u1.state);
+    expect(u2.state).toEqual(s0);
+    expect(undo(u2.journal, u2.state)).toBeNull();
+
+    const r1 = redo(u2.journal, u2.state);
+    expect(r1.state.questions.map((x) => x.id)).toEqual(['n', 'a', 'c']);
+    expect(applyEntry(r1.state, journal.entries[1], true)).toEqual(state);
+});
+
+test('recording after an undo drops the redo tail; stateAt rebuilds snapshots', () => {
+    const s0 = { questions: [q('a')], ipMeta: {} };
+    let { journal, state } = edit(EMPTY_JOURNAL, s0, { questions: [q('a', 'v1')], ipMeta: {} }, 'e1');
+    ({ journal, state } = edit(journal, state, { questions: [q('a', 'v2')], ipMeta: {} }, 'e2'));
+    expect(stateAt(journal, state, 0)).toEqual(s0);
+    expect(stateAt(journal, state, 1).questions[0].title).toBe('v1');
+    expect(questionHistory(journal, 'a').map((h) => h.entry.label)).toEqual(['e2', 'e1']);
+
+    const u = undo(journal, state);
+    const after = edit(u.journal, u.state, { questions: [q('a', 'v3')], ipMeta: {} }, 'e3');
+    expect(after.journal.entries.map((e) => e.label)).toEqual(['e1', 'e3']);
+    expect(after.journal.cursor).toBe(2);
+    expect(stateAt(u.journal, u.state, 2).questions[0].title).toBe('v2');
+});
@@ -0,0 +1,108 @@
+// --- Media attachments: images, audio and short clips kept in IndexedDB, see storage.js ---
+
+/**
+ * A question lists its attachments in `media`; the bytes live in the media
+ * store under the same id, so the bank itself stays small and diffable.
+ *
+ * @typedef {Object} MediaRef
+ * @property {string} id
+ * @property {"image"|"audio"|"video"} kind
+ * @property {string} name              original file name
+ * @property {string} [caption]
+ *
+ * @typedef {Object} MediaRecord
+ * @property {string} id
+ * @property {string} name
+ * @property {string} mime
+ * @property {number} size              bytes
+ * @property {ArrayBuffer} data         not a Blob: Safari long refused Blobs in IndexedDB
+ */
+
+export const MEDIA_KINDS = { image: "图片", audio: "音频", video: "视频" };
+
+// Per-file limits; clips are meant to be short
+export const MAX_MEDIA_BYTES = { image: 5 * 1024 * 1024, audio: 10 * 1024 * 1024, video: 30 * 1024 * 1024 };
+
+export const BUNDLE_FORMAT = "ipquiz-bank";
+
+/** @returns {"image"|"audio"|"video"|null} */
+export function mediaKind(mime) {
+    const kind = String(mime || "").split("/")[0];
+    return MEDIA_KINDS[kind] ? kind : null;
+}
+
+/** Why a file cannot be attached, or null. */
+export function mediaFileError(file) {
+    const kind = mediaKind(file.type);
+    if (!kind) return `不支持的文件类型：${file.name}`;
+    if (file.size > MAX_MEDIA_BYTES[kind]) {
+        return `${file.name} 超过${MEDIA_KINDS[kind]}大小上限 ${MAX_MEDIA_BYTES[kind] / 1024 / 1024} MB`;
+    }
+    return null;
+}
+
+/**
+ * Ids of all media still in use: by the bank, and by journal entries that an
+ * undo could bring back.
+ * @param {Object[]} questions
+ * @param {import("./journal").Journal} [journal]
+ * @returns {Set<string>}
+ */
+export function referencedMediaIds(questions, journal) {
+    const ids = new Set();
+    const add = (q) => (q?.media || []).forEach((m) => ids.add(m.id));
+    questions.forEach(add);
+    for (const entry of journal?.entries || []) {
+        for (const c of entry.questions) {
+            add(c.before);
+            add(c.after);
+        }
+    }
+    return ids;
+}
+
+// btoa / atob work on binary strings; chunk to stay under the argument limit
+export function toBase64(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let s = "";
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        s += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(s);
+}
+
+export function fromBase64(text) {
+    const s = atob(text);
+    const bytes = new Uint8Array(s.length);
+    for (let i = 0; i < s.length; i++) bytes[i] = s.charCodeAt(i);
+    return bytes.buffer;
+}
+
+/**
+ * Exported bank with the media files it refers to, base64-encoded.
+ * @param {Object[]} questions
+ * @param {MediaRecord[]} records
+ */
+export function makeBundle(questions, records) {
+    return {
+        format: BUNDLE_FORMAT,
+        version: 1,
+        questions,
+        media: records.map((r) => ({ id: r.id, name: r.name, mime: r.mime, data: toBase64(r.data) })),
+    };
+}
+
+/**
+ * Read an imported file: a bundle, or the plain question array older exports
+ * (and question.json) use. Returns null when it is neither.
+ * @returns {{ questions: Object[], media: MediaRecord[] }|null}
+ */
+export function readBundle(json) {
+    if (Array.isArray(json)) return { questions: json, media: [] };
+    if (json?.format !== BUNDLE_FORMAT || !Array.isArray(json.questions)) return null;
+    const media = (json.media || []).map((m) => {
+        const data = fromBase64(m.data);
+        return { id: m.id, name: m.name, mime: m.mime, size: data.byteLength, data };
+    });
+    return { questions: json.questions, media };
+}
@@ -0,0 +1,30 @@
+import { fromBase64, makeBundle, mediaFileError, mediaKind, readBundle, referencedMediaIds, toBase64 } from './media';
+
+test('kinds come from the mime type, with per-kind size limits', () => {
+    expect(mediaKind('image/png')).toBe('image');
+    expect(mediaKind('audio/ogg')).toBe('audio');
+    expect(mediaKind('application/pdf')).toBeNull();
+    expect(mediaFileError({ name: 'op.mp3', type: 'audio/mpeg', size: 1024 })).toBeNull();
+    expect(mediaFileError({ name: 'x.pdf', type: 'application/pdf', size: 1 })).toMatch(/不支持/);
+    expect(mediaFileError({ name: 'big.png', type: 'image/png', size: 50 * 1024 * 1024 })).toMatch(/上限/);
+});
+
+test('media referenced by the bank or an undoable edit is kept', () => {
+    const q = (id, mediaIds) => ({ id, media: mediaIds.map((m) => ({ id: m, kind: 'image', name: m })) });
+    const journal = { entries: [{ questions: [{ key: 'q2', kind: 'removed', before: q('q2', ['m2']), after: undefined }], ipMeta: [] }], cursor: 1 };
+    expect([...referencedMediaIds([q('q1', ['m1']), { id: 'q3' }], journal)].sort()).toEqual(['m1', 'm2']);
+});
+
+test('bundles carry media as base64 and plain arrays still import', () => {
+    const data = new Uint8Array(70000).map((_, i) => i % 251).buffer;
+    expect(new Uint8Array(fromBase64(toBase64(data)))).toEqual(new Uint8Array(data));
+
+    const questions = [{ id: 'q1', media: [{ id: 'm1', kind: 'audio', name: 'op.mp3' }] }];
+    const bundle = JSON.parse(JSON.stringify(makeBundle(questions, [{ id: 'm1', name: 'op.mp3', mime: 'audio/mpeg', size: 70000, data }])));
+    const read = readBundle(bundle);
+    expect(read.questions).toEqual(questions);
+    expect(read.media[0]).toMatchObject({ id: 'm1', mime: 'audio/mpeg', size: 70000 });
+
+    expect(readBundle(questions)).toEqual({ questions, media: [] });
+    expect(readBundle({ hello: 1 })).toBeNull();
+});
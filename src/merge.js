@@ -0,0 +1,98 @@
+// --- Merge import: diff an incoming file against the current bank ---
+
+/**
+ * @typedef {Object} DiffEntry
+ * @property {string} key                      question id, or IP name for IP metadata
+ * @property {"added"|"changed"|"removed"} kind
+ * @property {*} before                        current value (undefined when added)
+ * @property {*} after                         incoming value (undefined when removed)
+ * @property {string[]} fields                 changed question or IP record fields (empty unless changed)
+ */
+
+function same(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/** Names of the fields that differ between two questions. */
+export function changedFields(a, b) {
+    const keys = new Set([...Object.keys(a || {}), ...Object.keys(b || {})]);
+    return [...keys].filter((k) => !same(a?.[k], b?.[k]));
+}
+
+/**
+ * Questions keyed on `id`. A contributor usually sends only their own IP, so
+ * removals are limited to IPs that appear in the incoming file.
+ *
+ * @param {Object[]} current
+ * @param {Object[]} incoming
+ * @param {{ ip?: string }} [opts]  only touch questions of this IP
+ * @returns {DiffEntry[]} in current bank order, additions last
+ */
+export function diffQuestions(current, incoming, { ip = "" } = {}) {
+    const inScope = (q) => !ip || q.ip === ip;
+    const incomingById = new Map(incoming.filter(inScope).map((q) => [q.id, q]));
+    const incomingIPs = new Set(incoming.map((q) => q.ip));
+    const entries = [];
+
+    for (const q of current) {
+        const next = incomingById.get(q.id);
+        if (next) {
+            incomingById.delete(q.id);
+            const fields = changedFields(q, next);
+            if (fields.length > 0) entries.push({ key: q.id, kind: "changed", before: q, after: next, fields });
+        } else if (inScope(q) && incomingIPs.has(q.ip)) {
+            entries.push({ key: q.id, kind: "removed", before: q, after: undefined, fields: [] });
+        }
+    }
+    for (const [id, q] of incomingById) {
+        entries.push({ key: id, kind: "added", before: undefined, after: q, fields: [] });
+    }
+    return entries;
+}
+
+/**
+ * Apply the accepted entries; everything else in the bank stays untouched.
+ * @param {Object[]} current
+ * @param {DiffEntry[]} entries
+ * @param {Set<string>} accepted  keys to apply
+ */
+export function applyQuestionDiff(current, entries, accepted) {
+    const byKey = new Map(entries.filter((e) => accepted.has(e.key)).map((e) => [e.key, e]));
+    const merged = [];
+    for (const q of current) {
+        const e = byKey.get(q.id);
+        if (!e) merged.push(q);
+        else if (e.kind === "changed") merged.push(e.after);
+        // removed: drop
+    }
+    for (const e of byKey.values()) if (e.kind === "added") merged.push(e.after);
+    return merged;
+}
+
+/**
+ * IP records keyed on IP name. An IP file never removes other IPs.
+ * @param {Object<string, import("./ips").IpRecord>} current
+ * @param {Object<string, import("./ips").IpRecord>} incoming
+ * @param {{ ip?: string }} [opts]
+ * @returns {DiffEntry[]}
+ */
+export function diffIpMeta(current, incoming, { ip = "" } = {}) {
+    const entries = [];
+    for (const [key, after] of Object.entries(incoming)) {
+        if (ip && key !== ip) continue;
+        if (!(key in current)) entries.push({ key, kind: "added", before: undefined, after, fields: [] });
+        else if (!same(current[key], after)) entries.push({ key, kind: "changed", before: current[key], after, fields: changedFields(current[key], after) });
+    }
+    return entries;
+}
+
+export function applyIpMetaDiff(current, entries, accepted) {
+    const merged = { ...current };
+    for (const e of entries) if (accepted.has(e.key)) merged[e.key] = e.after;
+    return merged;
+}
+
+/** Keys accepted by default: additions and changes, removals need an explicit tick. */
+export function defaultAccepted(entries) {
+    return new Set(entries.filter((e) => e.kind !== "removed").map((e) => e.key));
+}
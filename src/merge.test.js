@@ -0,0 +1,40 @@
+import { applyIpMetaDiff, applyQuestionDiff, changedFields, defaultAccepted, diffIpMeta, diffQuestions } from './merge';
+
+const q = (id, ip, title = id) => ({ id, ip, type: 'short', level: 'c', title });
+
+const current = [q('a1', 'A'), q('a2', 'A'), q('b1', 'B'), q('c1', 'C')];
+const incoming = [q('a1', 'A', 'new title'), q('a3', 'A'), q('b1', 'B')];
+
+test('changedFields lists differing keys', () => {
+    expect(changedFields(q('x', 'A'), { ...q('x', 'B'), reference: 'r' })).toEqual(['ip', 'reference']);
+});
+
+test('diffQuestions finds added, changed and removed within incoming IPs', () => {
+    const entries = diffQuestions(current, incoming);
+    expect(entries.map((e) => `${e.kind}:${e.key}`)).toEqual(['changed:a1', 'removed:a2', 'added:a3']);
+    expect(entries[0].fields).toEqual(['title']);
+});
+
+test('diffQuestions can be scoped to one IP', () => {
+    expect(diffQuestions(current, incoming, { ip: 'B' })).toEqual([]);
+    expect(diffQuestions(current, incoming, { ip: 'A' })).toHaveLength(3);
+});
+
+test('applyQuestionDiff applies only accepted entries and keeps order', () => {
+    const entries = diffQuestions(current, incoming);
+    const accepted = defaultAccepted(entries);
+    expect([...accepted]).toEqual(['a1', 'a3']);
+    const merged = applyQuestionDiff(current, entries, accepted);
+    expect(merged.map((x) => x.id)).toEqual(['a1', 'a2', 'b1', 'c1', 'a3']);
+    expect(merged[0].title).toBe('new title');
+    expect(applyQuestionDiff(current, entries, new Set(['a2'])).map((x) => x.id)).toEqual(['a1', 'b1', 'c1']);
+});
+
+test('IP records merge by IP name and never remove', () => {
+    const old = { credit: 'x', note: 'old' };
+    const entries = diffIpMeta({ A: old, B: { note: 'keep' } }, { A: { credit: 'x', note: 'new' }, C: {} });
+    expect(entries.map((e) => `${e.kind}:${e.key}`)).toEqual(['changed:A', 'added:C']);
+    expect(entries[0].fields).toEqual(['note']);
+    expect(applyIpMetaDiff({ A: old, B: { note: 'keep' } }, entries, new Set(['A']))).toEqual({ A: { credit: 'x', note: 'new' }, B: { note: 'keep' } });
+    expect(diffIpMeta({ A: old }, { A: {}, C: {} }, { ip: 'C' }).map((e) => e.key)).toEqual(['C']);
+});
@@ -0,0 +1,130 @@
+import { useEffect, useState } from "react";
+import { SKIP_WAITING, WARM_MESSAGE } from "./constants";
+
+// --- Offline support: service worker registration, online state, image cache pre-warm ---
+
+// ![alt](url "title") in markdown, <img src="url"> in raw HTML
+const MARKDOWN_IMAGE = /!\[[^\]]*\]\(\s*<?(https?:\/\/[^\s)>]+)>?(?:\s+"[^"]*")?\s*\)/g;
+const HTML_IMAGE = /<img\b[^>]*?\bsrc\s*=\s*["'](https?:\/\/[^"']+)["']/gi;
+
+function collect(text, into) {
+    if (typeof text !== "string") return;
+    for (const m of text.matchAll(MARKDOWN_IMAGE)) into.add(m[1]);
+    for (const m of text.matchAll(HTML_IMAGE)) into.add(m[1]);
+}
+
+/**
+ * Remote image URLs of a bank and its IP records (covers, QR codes), in
+ * first-seen order. Uploaded media live in IndexedDB and need no caching.
+ * @returns {string[]}
+ */
+export function imageUrls(questions, ipMeta) {
+    const urls = new Set();
+    for (const q of questions) {
+        collect(q.title, urls);
+        collect(q.reference, urls);
+        collect(q.passage, urls);
+        (q.subQuestions || []).forEach((s) => collect(s.title, urls));
+    }
+    for (const ip of Object.values(ipMeta || {})) {
+        if (/^https?:\/\//.test(ip.cover || "")) urls.add(ip.cover);
+        collect(ip.community, urls);
+        collect(ip.note, urls);
+    }
+    return [...urls];
+}
+
+// A newly installed version waits next to the running one until the user reloads
+let waitingWorker = null;
+const waitingListeners = new Set();
+
+function setWaiting(worker) {
+    waitingWorker = worker;
+    waitingListeners.forEach((listener) => listener(worker));
+}
+
+/** Watch a registration for a new version that has installed and is waiting. */
+export function watchForUpdate(reg) {
+    // Without a controller this is the first install, which activates right away
+    if (reg.waiting && navigator.serviceWorker.controller) setWaiting(reg.waiting);
+    reg.addEventListener("updatefound", () => {
+        const worker = reg.installing;
+        worker?.addEventListener("statechange", () => {
+            if (worker.state === "installed" && navigator.serviceWorker.controller) setWaiting(worker);
+        });
+    });
+}
+
+/** Register the service worker; production builds only, as in the CRA template. */
+export function registerServiceWorker() {
+    if (process.env.NODE_ENV !== "production" || !("serviceWorker" in navigator)) return;
+    window.addEventListener("load", () => {
+        navigator.serviceWorker
+            .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+            .then(watchForUpdate)
+            .catch((e) => {
+                console.error("Service worker registration failed:", e);
+            });
+    });
+}
+
+/** The waiting service worker of a new version, null when the page is up to date. */
+export function useWaitingWorker() {
+    const [worker, setWorker] = useState(waitingWorker);
+    useEffect(() => {
+        waitingListeners.add(setWorker);
+        setWorker(waitingWorker);
+        return () => waitingListeners.delete(setWorker);
+    }, []);
+    return worker;
+}
+
+/** Let the waiting version take over, and reload once it controls the page. */
+export function applyUpdate(worker, reload = () => window.location.reload()) {
+    navigator.serviceWorker.addEventListener("controllerchange", reload, { once: true });
+    worker.postMessage({ type: SKIP_WAITING });
+}
+
+/** @returns {Promise<boolean>} whether a service worker controls caching for this page */
+export async function hasServiceWorker() {
+    if (!("serviceWorker" in navigator)) return false;
+    const reg = await navigator.serviceWorker.getRegistration();
+    return !!reg?.active;
+}
+
+/**
+ * Ask the service worker to fetch and cache images ahead of time.
+ * @param {string[]} urls
+ * @param {(p: { done: number, total: number, failed: string[] }) => void} onProgress
+ * @returns {Promise<{ done: number, total: number, failed: string[] }>}
+ */
+export async function warmImageCache(urls, onProgress) {
+    const reg = "serviceWorker" in navigator ? await navigator.serviceWorker.getRegistration() : null;
+    if (!reg?.active) throw new Error("离线缓存仅在正式构建（HTTPS 或 localhost）中可用");
+    return new Promise((resolve) => {
+        const channel = new MessageChannel();
+        channel.port1.onmessage = (e) => {
+            onProgress?.(e.data);
+            if (e.data.finished) {
+                channel.port1.close();
+                resolve(e.data);
+            }
+        };
+        reg.active.postMessage({ type: WARM_MESSAGE, urls }, [channel.port2]);
+    });
+}
+
+/** navigator.onLine, kept up to date. */
+export function useOnline() {
+    const [online, setOnline] = useState(() => navigator.onLine);
+    useEffect(() => {
+        const update = () => setOnline(navigator.onLine);
+        window.addEventListener("online", update);
+        window.addEventListener("offline", update);
+        return () => {
+            window.removeEventListener("online", update);
+            window.removeEventListener("offline", update);
+        };
+    }, []);
+    return online;
+}
@@ -0,0 +1,53 @@
+import { act, renderHook } from '@testing-library/react';
+import { SKIP_WAITING } from './constants';
+import { applyUpdate, imageUrls, useWaitingWorker, watchForUpdate } from './offline';
+import bank from './question.json';
+import ipMeta from './ips.json';
+import { makeIp } from './ips';
+
+test('collects markdown and html image urls from questions and IP records, once each', () => {
+    const questions = [
+        { id: 'a', title: '看图 ![](https://img.example/a.png) 再看 <img src="https://img.example/b.jpg" width="200">' },
+        { id: 'b', title: 't', reference: '![x](https://img.example/a.png "same")', subQuestions: [{ title: '![](<https://img.example/c.png>)' }] },
+        { id: 'c', title: '[link](https://example.com/page) and a local ![](/logo192.png)' },
+    ];
+    const ips = { IP: makeIp({ cover: 'https://img.example/e.png', community: '![](https://img.example/d.png)' }), Empty: makeIp() };
+    expect(imageUrls(questions, ips)).toEqual([
+        'https://img.example/a.png',
+        'https://img.example/b.jpg',
+        'https://img.example/c.png',
+        'https://img.example/e.png',
+        'https://img.example/d.png',
+    ]);
+});
+
+test('finds the images of the bundled bank and IP records', () => {
+    const urls = imageUrls(bank, ipMeta);
+    expect(urls.length).toBeGreaterThan(0);
+    expect(urls.every((u) => u.startsWith('https://'))).toBe(true);
+});
+
+test('a waiting version is reported and takes over on request', () => {
+    const listeners = {};
+    const container = { controller: {}, addEventListener: jest.fn((type, fn) => (listeners[type] = fn)) };
+    Object.defineProperty(navigator, 'serviceWorker', { value: container, configurable: true });
+    const worker = { state: 'installing', postMessage: jest.fn(), addEventListener: (type, fn) => (worker.onstate = fn) };
+    const reg = { waiting: null, installing: worker, addEventListener: (type, fn) => (reg.onupdate = fn) };
+
+    const { result } = renderHook(() => useWaitingWorker());
+    expect(result.current).toBeNull();
+    watchForUpdate(reg);
+    act(() => {
+        reg.onupdate();
+        worker.state = 'installed';
+        worker.onstate();
+    });
+    expect(result.current).toBe(worker);
+
+    const reload = jest.fn();
+    applyUpdate(worker, reload);
+    expect(worker.postMessage).toHaveBeenCalledWith({ type: SKIP_WAITING });
+    listeners.controllerchange();
+    expect(reload).toHaveBeenCalled();
+    delete navigator.serviceWorker;
+});
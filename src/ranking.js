@@ -0,0 +1,78 @@
+// --- Leaderboard ranking over stored quiz runs ---
+
+/** Local calendar day of a timestamp, e.g. "2025-10-18". */
+export function dayKey(ts) {
+    const d = new Date(ts);
+    const pad = (n) => String(n).padStart(2, "0");
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+/** Time spent answering; Infinity when unknown so such runs lose time tiebreaks. */
+export function runElapsedMs(run) {
+    if (typeof run.elapsedMs === "number") return run.elapsedMs;
+    if (run.startedAt && run.finishedAt && run.finishedAt >= run.startedAt) return run.finishedAt - run.startedAt;
+    return Infinity;
+}
+
+/**
+ * Points earned on S and A level questions, the first tiebreaker; with `ip`
+ * only those of that IP. Runs stored before scores were split per IP and
+ * level only know it when they picked that one IP.
+ */
+export function topLevelPoints(run, ip = "") {
+    const summary = run.scoreSummary || {};
+    let byLevel = summary.byLevel || {};
+    if (ip) {
+        const onlyIP = Object.keys(summary.byIP || {}).length === 1;
+        byLevel = summary.byIPLevel ? summary.byIPLevel[ip] || {} : onlyIP ? byLevel : {};
+    }
+    return (byLevel.s || 0) + (byLevel.a || 0);
+}
+
+/** IPs that appear in at least one run, for the per-IP board selector. */
+export function runIPs(runs) {
+    const set = new Set();
+    for (const r of runs) Object.keys(r.scoreSummary?.byIP || {}).forEach((ip) => set.add(ip));
+    return Array.from(set).sort((a, b) => a.localeCompare(b, "zh-CN"));
+}
+
+/**
+ * Rank runs by total score, then S/A points, then elapsed time (faster wins).
+ * Runs that tie on all three share a rank (1, 1, 3 ...). A per-IP board
+ * compares that IP's score and S/A points only; answering time is recorded
+ * for the whole run, so it does not break ties there.
+ *
+ * @param {Object[]} runs
+ * @param {{ day?: string, ip?: string }} [opts]
+ *        day: only runs finished on that local day (see dayKey)
+ *        ip:  per-IP board, score is scoreSummary.byIP[ip] and only runs that picked the IP count
+ */
+export function rankRuns(runs, { day = "", ip = "" } = {}) {
+    const rows = runs
+        .filter((r) => !day || dayKey(r.finishedAt) === day)
+        .filter((r) => !ip || Object.prototype.hasOwnProperty.call(r.scoreSummary?.byIP || {}, ip))
+        .map((run) => ({
+            run,
+            score: ip ? run.scoreSummary.byIP[ip] || 0 : run.scoreSummary?.total || 0,
+            topLevel: topLevelPoints(run, ip),
+            elapsedMs: runElapsedMs(run),
+        }));
+
+    const compare = (a, b) =>
+        b.score - a.score ||
+        b.topLevel - a.topLevel ||
+        (ip || a.elapsedMs === b.elapsedMs ? 0 : a.elapsedMs < b.elapsedMs ? -1 : 1);
+
+    rows.sort(compare);
+    rows.forEach((row, i) => {
+        row.rank = i > 0 && compare(rows[i - 1], row) === 0 ? rows[i - 1].rank : i + 1;
+    });
+    return rows;
+}
+
+/** "m:ss" for display; "-" when unknown. */
+export function formatElapsed(ms) {
+    if (!Number.isFinite(ms)) return "-";
+    const sec = Math.round(ms / 1000);
+    return `${Math.floor(sec / 60)}:${String(sec % 60).padStart(2, "0")}`;
+}
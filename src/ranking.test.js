@@ -0,0 +1,49 @@
+import { rankRuns, dayKey } from './ranking';
+
+const run = (id, total, byLevel, elapsed, byIP = {}, finishedAt = new Date(2025, 9, 18, 12).getTime()) => ({
+    id,
+    contestant: { name: id },
+    scoreSummary: { total, byLevel, byIP },
+    startedAt: finishedAt - elapsed,
+    finishedAt,
+});
+
+test('ranks by total, then S/A points, then elapsed time', () => {
+    const rows = rankRuns([
+        run('slow', 6, { a: 3, c: 3 }, 90000),
+        run('fast', 6, { a: 3, c: 3 }, 30000),
+        run('top', 8, { c: 8 }, 100000),
+        run('hard', 6, { s: 5, c: 1 }, 120000),
+    ]);
+    expect(rows.map((r) => r.run.id)).toEqual(['top', 'hard', 'fast', 'slow']);
+    expect(rows.map((r) => r.rank)).toEqual([1, 2, 3, 4]);
+});
+
+test('full ties share a rank', () => {
+    const rows = rankRuns([run('x', 3, { a: 3 }, 1000), run('y', 3, { a: 3 }, 1000), run('z', 1, {}, 1000)]);
+    expect(rows.map((r) => r.rank)).toEqual([1, 1, 3]);
+});
+
+test('daily and per-IP boards filter runs', () => {
+    const day1 = new Date(2025, 9, 18, 10).getTime();
+    const day2 = new Date(2025, 9, 19, 10).getTime();
+    const runs = [
+        run('a', 5, {}, 1000, { 东方: 2, FGO: 3 }, day1),
+        run('b', 4, {}, 1000, { 东方: 4 }, day2),
+    ];
+    expect(rankRuns(runs, { day: dayKey(day1) }).map((r) => r.run.id)).toEqual(['a']);
+    const ipRows = rankRuns(runs, { ip: '东方' });
+    expect(ipRows.map((r) => [r.run.id, r.score])).toEqual([['b', 4], ['a', 2]]);
+    expect(rankRuns(runs, { ip: 'FGO' }).map((r) => r.run.id)).toEqual(['a']);
+});
+
+test('per-IP boards break ties on that IP only', () => {
+    const mixed = (id, elapsed, byIPLevel) => ({ ...run(id, 9, { s: 5, a: 3, c: 1 }, elapsed, { 东方: 3, FGO: 6 }), scoreSummary: { total: 9, byLevel: { s: 5, a: 3, c: 1 }, byIP: { 东方: 3, FGO: 6 }, byIPLevel } });
+    const rows = rankRuns([
+        // S/A points overall favour 'elsewhere', but on 东方 'here' earned them
+        mixed('elsewhere', 1000, { 东方: { c: 1, b: 2 }, FGO: { s: 5, a: 1 } }),
+        run('here', 3, { a: 3 }, 90000, { 东方: 3 }),
+        mixed('same', 5000, { 东方: { c: 1, b: 2 }, FGO: { s: 5, a: 1 } }),
+    ], { ip: '东方' });
+    expect(rows.map((r) => [r.run.id, r.topLevel, r.rank])).toEqual([['here', 3, 1], ['elsewhere', 0, 2], ['same', 0, 2]]);
+});
@@ -0,0 +1,105 @@
+// --- Structured reading questions: a passage plus ordered MCQ / fill sub-questions ---
+
+/**
+ * A structured `reading` question carries `passage` (markdown) and `subQuestions`;
+ * its `title` is then just the instruction line. Readings without sub-questions
+ * keep the old single manual score.
+ *
+ * @typedef {Object} SubQuestion
+ * @property {string} id               unique within its reading question
+ * @property {"mcq"|"fill"} type
+ * @property {string} title
+ * @property {string[]} [options]      mcq
+ * @property {number[]} [correctIndices]
+ * @property {boolean} [isMultiChoice]
+ * @property {string} [scoring]        mcq strategy override, see MCQ_STRATEGIES
+ * @property {{ accepted: string[], patterns: string[] }[]} [blanks]  fill; always auto-graded
+ * @property {number} points           share of the level total
+ */
+
+export const SUB_TYPES = { mcq: "选择", fill: "填空" };
+
+export function isStructuredReading(q) {
+    return q?.type === "reading" && Array.isArray(q.subQuestions) && q.subQuestions.length > 0;
+}
+
+/**
+ * Points of each sub-question under a rules profile. Authors split the level
+ * total between the sub-questions; a profile that awards a different total
+ * scales the shares to it.
+ * @returns {number[]}
+ */
+export function subQuestionPoints(q, levelPoints) {
+    const shares = q.subQuestions.map((s) => Math.max(0, Number(s.points) || 0));
+    const sum = shares.reduce((a, b) => a + b, 0);
+    const scale = (n) => Math.round(n * 100) / 100;
+    if (sum === 0) return shares.map(() => scale(levelPoints / shares.length));
+    return shares.map((p) => scale((levelPoints * p) / sum));
+}
+
+/** Sum of the authored shares, to compare with the level total. */
+export function subQuestionTotal(q) {
+    return (q.subQuestions || []).reduce((a, s) => a + (Number(s.points) || 0), 0);
+}
+
+/**
+ * Problems with one sub-question, as schema issues without index / id.
+ * @returns {{ severity: "error"|"warning", message: string }[]}
+ */
+export function lintSubQuestion(sub) {
+    const out = [];
+    const error = (message) => out.push({ severity: "error", message });
+    if (!sub || typeof sub !== "object") {
+        error("不是小题对象");
+        return out;
+    }
+    if (!sub.id) error("缺少 id");
+    if (!SUB_TYPES[sub.type]) error(`小题题型只能是选择或填空：${sub.type}`);
+    if (!String(sub.title ?? "").trim()) error("缺少题干");
+    if (!(Number(sub.points) > 0)) error("分值应大于 0");
+
+    if (sub.type === "mcq") {
+        const options = Array.isArray(sub.options) ? sub.options : [];
+        const correct = Array.isArray(sub.correctIndices) ? sub.correctIndices : [];
+        if (options.length < 2) error("至少需要两个选项");
+        if (correct.length === 0) error("没有正确答案");
+        for (const idx of correct) {
+            if (!Number.isInteger(idx) || idx < 0 || idx >= options.length) error(`正确答案下标越界：${idx}`);
+        }
+    }
+    if (sub.type === "fill") {
+        const blanks = Array.isArray(sub.blanks) ? sub.blanks : [];
+        const answered = blanks.map((b) => (b?.accepted || []).length > 0 || (b?.patterns || []).length > 0);
+        if (!answered.includes(true)) error("填空小题需要可接受答案");
+        else answered.forEach((ok, i) => ok || error(`第 ${i + 1} 空没有可接受答案`));
+        blanks.forEach((b, i) => {
+            for (const p of b?.patterns || []) {
+                try {
+                    new RegExp(p, "iu");
+                } catch (e) {
+                    error(`第 ${i + 1} 空的正则无效：${p}`);
+                }
+            }
+        });
+    }
+    return out;
+}
+
+/** Editor output → stored shape: trims text, drops empty options / answers and fields of the other type; blanks keep their positions. */
+export function normalizeSubQuestion(sub) {
+    const base = { id: sub.id, type: sub.type, title: String(sub.title ?? "").trim(), points: Number(sub.points) || 0 };
+    if (sub.type === "mcq") {
+        const options = (sub.options || []).map((o) => String(o ?? "").trim());
+        const kept = options.map((o, i) => (o ? i : -1)).filter((i) => i >= 0);
+        const correctIndices = (sub.correctIndices || []).filter((i) => kept.includes(i)).map((i) => kept.indexOf(i));
+        const out = { ...base, options: kept.map((i) => options[i]), correctIndices, isMultiChoice: !!sub.isMultiChoice };
+        if (sub.isMultiChoice && sub.scoring) out.scoring = sub.scoring;
+        return out;
+    }
+    // Empty blanks stay in place so the later ones keep their positions; lintSubQuestion reports them
+    const blanks = (sub.blanks || []).map((b) => ({
+        accepted: (b.accepted || []).map((x) => String(x).trim()).filter(Boolean),
+        patterns: (b.patterns || []).map((x) => String(x).trim()).filter(Boolean),
+    }));
+    return { ...base, blanks };
+}
@@ -0,0 +1,69 @@
+import { isStructuredReading, lintSubQuestion, normalizeSubQuestion, subQuestionPoints } from './reading';
+import { scoreQuestion, summarizeScore } from './scoring';
+import { lintQuestion } from './schema';
+import { needsManualGrade } from './grading';
+import { DEFAULT_RULES } from './rules';
+
+const reading = {
+    id: 'r',
+    ip: '东方',
+    type: 'reading',
+    level: 'a',
+    title: '阅读材料，回答问题',
+    passage: '很长的材料',
+    subQuestions: [
+        { id: 's1', type: 'mcq', title: '选一个', options: ['甲', '乙'], correctIndices: [1], points: 1 },
+        { id: 's2', type: 'fill', title: '填一个', blanks: [{ accepted: ['丙'], patterns: [] }], points: 2 },
+    ],
+};
+
+test('structured readings are auto-graded per sub-question', () => {
+    expect(isStructuredReading(reading)).toBe(true);
+    expect(needsManualGrade(reading)).toBe(false);
+    const ans = { subs: { s1: { chosenIndices: [1] }, s2: { texts: ['丁'] } } };
+    expect(scoreQuestion(reading, ans, DEFAULT_RULES)).toBe(1);
+    expect(scoreQuestion(reading, { ...ans, manualScore: 3 }, DEFAULT_RULES)).toBe(3);
+
+    const summary = summarizeScore(['r'], [reading], { r: ans }, DEFAULT_RULES);
+    expect(summary.total).toBe(1);
+    expect(summary.bySub).toEqual({ r: { s1: 1, s2: 0 } });
+});
+
+test('sub-question points scale to the level total of the profile', () => {
+    expect(subQuestionPoints(reading, 3)).toEqual([1, 2]);
+    expect(subQuestionPoints(reading, 6)).toEqual([2, 4]);
+    expect(subQuestionPoints({ subQuestions: [{}, {}] }, 3)).toEqual([1.5, 1.5]);
+});
+
+test('lint flags broken sub-questions and a points total off the level', () => {
+    expect(lintQuestion(reading)).toEqual([]);
+    expect(lintSubQuestion({ id: 'x', type: 'fill', title: 't', points: 1, blanks: [] }).map((i) => i.message)).toEqual(['填空小题需要可接受答案']);
+
+    const messages = lintQuestion({ ...reading, passage: '', subQuestions: [{ ...reading.subQuestions[0], points: 5 }] }).map((i) => i.message);
+    expect(messages).toContain('阅读题有小题但缺少阅读材料');
+    expect(messages.some((m) => m.includes('合计 5'))).toBe(true);
+});
+
+test('the points total is checked against the active rules', () => {
+    const total = reading.subQuestions.reduce((sum, sub) => sum + sub.points, 0);
+    const rules = { ...DEFAULT_RULES, points: { ...DEFAULT_RULES.points, a: total + 1 } };
+    expect(lintQuestion(reading, rules).map((i) => i.message)).toEqual([`小题分值合计 ${total}，与A级总分 ${total + 1} 不一致（计分时按比例折算）`]);
+});
+
+test('normalizeSubQuestion drops empty options and keeps answers aligned', () => {
+    const sub = normalizeSubQuestion({ id: 'n', type: 'mcq', title: ' t ', options: ['a', '', 'c', ''], correctIndices: [2], points: '2', blanks: [] });
+    expect(sub).toEqual({ id: 'n', type: 'mcq', title: 't', options: ['a', 'c'], correctIndices: [1], isMultiChoice: false, points: 2 });
+});
+
+test('an empty middle blank keeps its place and is reported', () => {
+    const sub = normalizeSubQuestion({
+        id: 'f',
+        type: 'fill',
+        title: 't',
+        points: 1,
+        blanks: [{ accepted: ['甲'] }, { accepted: [' '], patterns: [] }, { accepted: ['丙'], patterns: [] }],
+    });
+    expect(sub.blanks).toEqual([{ accepted: ['甲'], patterns: [] }, { accepted: [], patterns: [] }, { accepted: ['丙'], patterns: [] }]);
+    expect(lintSubQuestion(sub)).toEqual([{ severity: 'error', message: '第 2 空没有可接受答案' }]);
+    expect(lintQuestion({ ...reading, subQuestions: [reading.subQuestions[0], { ...sub, points: 2 }] }).map((i) => i.message)).toEqual(['第 2 小题：第 2 空没有可接受答案']);
+});
@@ -0,0 +1,175 @@
+import { LEVEL_NAMES, TYPE_LABELS } from "./constants";
+
+// --- Quiz rules profiles (赛制) ---
+const LS_RULES = "ipquiz.rules.v1";
+
+/**
+ * @typedef {Object} RulesProfile
+ * @property {string} id
+ * @property {string} name
+ * @property {number} total                 max questions per basket
+ * @property {number} perIP                 max questions per IP
+ * @property {{ a: number, b: number, c: number, s: number }} points   points per level
+ * @property {Object<string, number>} minLevels   required count per level (0 = none)
+ * @property {Object<string, number|null>} maxLevels  allowed count per level (null = unlimited)
+ * @property {string[]} allowedTypes        question types players may pick
+ * @property {"instant"|"perQuestion"|"atEnd"} revealMode  when correctness is shown, see REVEAL_MODES
+ * @property {string} mcqScoring           default multi-select strategy, see MCQ_STRATEGIES in scoring.js
+ * @property {string} orderingScoring      ordering strategy, see ORDERING_STRATEGIES in scoring.js
+ * @property {{ perQuestion: Object<string, number>, global: number }} timer
+ *           countdown seconds per question level and for the whole quiz (0 = no timer)
+ */
+
+/** Answer flow: select → (确认作答 lock) → reveal */
+export const REVEAL_MODES = {
+    instant: { label: "即时判分", hint: "选中后立即判分与显示正确答案。" },
+    perQuestion: { label: "逐题确认后公布", hint: "点击「确认作答」锁定后公布该题答案。" },
+    atEnd: { label: "交卷后统一公布", hint: "点击「确认作答」锁定答案，提交答卷后统一公布。" },
+};
+
+/** @type {RulesProfile} */
+export const DEFAULT_RULES = {
+    id: "standard",
+    name: "标准赛制",
+    total: 5,
+    perIP: 2,
+    points: { a: 3, b: 2, c: 1, s: 5 },
+    minLevels: { a: 0, b: 0, c: 0, s: 0 },
+    maxLevels: { a: null, b: null, c: null, s: null },
+    allowedTypes: Object.keys(TYPE_LABELS),
+    mcqScoring: "exact",
+    orderingScoring: "position",
+    revealMode: "instant",
+    timer: { perQuestion: { a: 0, b: 0, c: 0, s: 0 }, global: 0 },
+};
+
+export const BUILTIN_PRESETS = [
+    DEFAULT_RULES,
+    {
+        ...DEFAULT_RULES,
+        id: "quick",
+        name: "快速体验",
+        total: 3,
+        perIP: 1,
+        allowedTypes: ["mcq"],
+    },
+    {
+        ...DEFAULT_RULES,
+        id: "challenge",
+        name: "挑战赛",
+        minLevels: { ...DEFAULT_RULES.minLevels, a: 1 },
+        maxLevels: { ...DEFAULT_RULES.maxLevels, c: 2 },
+        revealMode: "perQuestion",
+    },
+    {
+        ...DEFAULT_RULES,
+        id: "timed",
+        name: "限时赛",
+        revealMode: "atEnd",
+        timer: { perQuestion: { a: 60, b: 45, c: 30, s: 90 }, global: 300 },
+    },
+];
+
+/** Fill in missing fields so older or hand-edited profiles stay usable. */
+export function normalizeRules(r) {
+    return {
+        ...DEFAULT_RULES,
+        ...r,
+        points: { ...DEFAULT_RULES.points, ...(r?.points || {}) },
+        minLevels: { ...DEFAULT_RULES.minLevels, ...(r?.minLevels || {}) },
+        maxLevels: { ...DEFAULT_RULES.maxLevels, ...(r?.maxLevels || {}) },
+        allowedTypes: Array.isArray(r?.allowedTypes) ? r.allowedTypes : DEFAULT_RULES.allowedTypes,
+        revealMode: REVEAL_MODES[r?.revealMode] ? r.revealMode : DEFAULT_RULES.revealMode,
+        timer: {
+            global: r?.timer?.global || 0,
+            perQuestion: { ...DEFAULT_RULES.timer.perQuestion, ...(r?.timer?.perQuestion || {}) },
+        },
+    };
+}
+
+/** @returns {{ activeId: string, profiles: RulesProfile[] }} */
+export function loadRulesStore() {
+    try {
+        const s = localStorage.getItem(LS_RULES);
+        if (s) {
+            const obj = JSON.parse(s);
+            if (Array.isArray(obj?.profiles) && obj.profiles.length > 0) {
+                return { activeId: obj.activeId, profiles: obj.profiles.map(normalizeRules) };
+            }
+        }
+    } catch (e) {
+        console.error("Failed to load rules from localStorage:", e);
+    }
+    return { activeId: DEFAULT_RULES.id, profiles: BUILTIN_PRESETS };
+}
+export function saveRulesStore(store) {
+    localStorage.setItem(LS_RULES, JSON.stringify(store));
+}
+
+export function getActiveRules(store) {
+    return store.profiles.find((p) => p.id === store.activeId) || store.profiles[0] || DEFAULT_RULES;
+}
+
+/** The part of a profile that decides scores, kept on each run so later grading uses what it was played under. */
+export function scoringRules(rules) {
+    return { points: { ...rules.points }, mcqScoring: rules.mcqScoring, orderingScoring: rules.orderingScoring };
+}
+
+export function levelLabel(rules, level) {
+    return `${LEVEL_NAMES[level] || level}(${rules.points[level] ?? 0})`;
+}
+
+/** One-line summary for the header and welcome page. */
+export function describeRules(rules) {
+    return `总计可选 ${rules.total} 题；每个 IP ≤ ${rules.perIP} 题`;
+}
+
+function countBy(list, key) {
+    const m = {};
+    for (const q of list) m[q[key]] = (m[q[key]] || 0) + 1;
+    return m;
+}
+
+/**
+ * Why `q` may not be added to the basket, or null when it can.
+ * @param {RulesProfile} rules
+ * @param {Object[]} picked  questions already in the basket
+ * @param {Object} q
+ */
+export function basketAddError(rules, picked, q) {
+    if (!rules.allowedTypes.includes(q.type)) return `当前赛制不允许选择${TYPE_LABELS[q.type] || q.type}`;
+    if (picked.length >= rules.total) return `已达总数上限（最多 ${rules.total} 题）`;
+    if ((countBy(picked, "ip")[q.ip] || 0) >= rules.perIP) return `该 IP 已选 ${rules.perIP} 题上限`;
+    const max = rules.maxLevels[q.level];
+    if (max !== null && max !== undefined && (countBy(picked, "level")[q.level] || 0) >= max) {
+        return `${LEVEL_NAMES[q.level]} 级题目最多选 ${max} 题`;
+    }
+    return null;
+}
+
+/**
+ * Why no basket can meet the level minimums at all, or null: they add up to
+ * more than the total, or one is above the maximum of its level.
+ * @param {RulesProfile} rules
+ * @param {Object<string, number>} [minLevels]  minimums to check, e.g. raised by the draw settings
+ */
+export function levelMixError(rules, minLevels = rules.minLevels) {
+    const need = Object.values(minLevels).reduce((sum, n) => sum + (n || 0), 0);
+    if (need > rules.total) return `赛制规则冲突：各等级最少题数合计 ${need} 题，超过总数上限 ${rules.total} 题`;
+    for (const [level, min] of Object.entries(minLevels)) {
+        const max = rules.maxLevels[level];
+        if (max !== null && max !== undefined && min > max) return `赛制规则冲突：${LEVEL_NAMES[level]} 级至少 ${min} 题，但最多只允许 ${max} 题`;
+    }
+    return null;
+}
+
+/** Why the basket cannot start yet (level minimums), or null. */
+export function basketStartError(rules, picked) {
+    const mixError = levelMixError(rules);
+    if (mixError) return mixError;
+    const byLevel = countBy(picked, "level");
+    for (const [level, min] of Object.entries(rules.minLevels)) {
+        if (min > 0 && (byLevel[level] || 0) < min) return `当前赛制要求至少选择 ${min} 道 ${LEVEL_NAMES[level]} 级题目`;
+    }
+    return null;
+}
@@ -0,0 +1,37 @@
+import { DEFAULT_RULES, basketAddError, basketStartError, levelLabel, levelMixError, normalizeRules } from './rules';
+
+const q = (id, ip, level, type = 'mcq') => ({ id, ip, level, type });
+
+test('basketAddError enforces total, per-IP, level max and types', () => {
+    const rules = { ...DEFAULT_RULES, total: 3, perIP: 1, maxLevels: { ...DEFAULT_RULES.maxLevels, c: 1 }, allowedTypes: ['mcq', 'fill'] };
+    expect(basketAddError(rules, [], q('1', 'A', 'c'))).toBeNull();
+    expect(basketAddError(rules, [q('1', 'A', 'b')], q('2', 'A', 'b'))).toMatch(/IP/);
+    expect(basketAddError(rules, [q('1', 'A', 'c')], q('2', 'B', 'c'))).toMatch(/C 级/);
+    expect(basketAddError(rules, [q('1', 'A', 'b'), q('2', 'B', 'b'), q('3', 'C', 'b')], q('4', 'D', 'b'))).toMatch(/3 题/);
+    expect(basketAddError(rules, [], q('5', 'E', 'b', 'short'))).toMatch(/简答题/);
+});
+
+test('basketStartError requires level minimums', () => {
+    const rules = { ...DEFAULT_RULES, minLevels: { ...DEFAULT_RULES.minLevels, a: 1 } };
+    expect(basketStartError(rules, [q('1', 'A', 'c')])).toMatch(/A 级/);
+    expect(basketStartError(rules, [q('1', 'A', 'a')])).toBeNull();
+});
+
+test('levelMixError catches minimums no basket can meet', () => {
+    expect(levelMixError(DEFAULT_RULES)).toBeNull();
+    const crowded = { ...DEFAULT_RULES, total: 2, minLevels: { ...DEFAULT_RULES.minLevels, a: 2, c: 1 } };
+    expect(levelMixError(crowded)).toMatch(/合计 3 题，超过总数上限 2 题/);
+    expect(basketStartError(crowded, [q('1', 'A', 'a'), q('2', 'B', 'a')])).toMatch(/赛制规则冲突/);
+    const capped = { ...DEFAULT_RULES, maxLevels: { ...DEFAULT_RULES.maxLevels, a: 1 } };
+    expect(levelMixError(capped, { a: 2 })).toMatch(/A 级至少 2 题，但最多只允许 1 题/);
+});
+
+test('normalizeRules fills defaults and labels follow points', () => {
+    const rules = normalizeRules({ id: 'x', name: 'x', points: { a: 4 } });
+    expect(rules.points).toEqual({ a: 4, b: 2, c: 1, s: 5 });
+    expect(rules.allowedTypes).toEqual(DEFAULT_RULES.allowedTypes);
+    expect(levelLabel(rules, 'a')).toBe('A(4)');
+    expect(rules.revealMode).toBe('instant');
+    expect(normalizeRules({ revealMode: 'atEnd' }).revealMode).toBe('atEnd');
+    expect(normalizeRules({ revealMode: 'bogus' }).revealMode).toBe('instant');
+});
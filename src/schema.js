@@ -0,0 +1,237 @@
+import { IP_CATEGORIES, LEVEL_NAMES, TYPE_LABELS } from "./constants";
+import { MCQ_STRATEGIES } from "./scoring";
+import { isStructuredReading, lintSubQuestion, subQuestionTotal } from "./reading";
+import { DEFAULT_RULES } from "./rules";
+import { MEDIA_KINDS } from "./media";
+
+// --- Question bank schema and lint (import / app load) ---
+
+/**
+ * Field schema of a question. `info` is a legacy type kept hidden by the UI.
+ * @type {Object<string, { type: "string"|"array"|"boolean", required?: boolean, oneOf?: string[] }>}
+ */
+export const QUESTION_SCHEMA = {
+    id: { type: "string", required: true },
+    ip: { type: "string", required: true },
+    type: { type: "string", required: true, oneOf: [...Object.keys(TYPE_LABELS), "info"] },
+    level: { type: "string", required: true, oneOf: Object.keys(LEVEL_NAMES) },
+    title: { type: "string", required: true },
+    options: { type: "array" },
+    correctIndices: { type: "array" },
+    isMultiChoice: { type: "boolean" },
+    reference: { type: "string" },
+    blanks: { type: "array" },
+    scoring: { type: "string", oneOf: Object.keys(MCQ_STRATEGIES) },
+    passage: { type: "string" },
+    subQuestions: { type: "array" },
+    answer: { type: "boolean" },
+    items: { type: "array" },
+    pairs: { type: "array" },
+    media: { type: "array" },
+};
+
+/** Field schema of an IP record, see ips.js. */
+export const IP_SCHEMA = {
+    displayName: { type: "string" },
+    aliases: { type: "array" },
+    category: { type: "string", oneOf: Object.keys(IP_CATEGORIES) },
+    credit: { type: "string" },
+    community: { type: "string" },
+    cover: { type: "string" },
+    hidden: { type: "boolean" },
+    note: { type: "string" },
+};
+
+// Types graded by hand need a reference answer for the grader
+const NEEDS_REFERENCE = ["short", "reading"];
+
+/**
+ * @typedef {Object} Issue
+ * @property {"error"|"warning"} severity  errors block an import, warnings only inform
+ * @property {number|null} index            position in the imported array (null for bank-wide issues)
+ * @property {string} id                    question id or IP name, "" when missing
+ * @property {string} message
+ * @property {number|null} [row]            spreadsheet row, set by CSV imports
+ *
+ * @typedef {{ issues: Issue[], errors: number, warnings: number }} ValidationReport
+ */
+
+function typeOf(v) {
+    if (Array.isArray(v)) return "array";
+    return typeof v;
+}
+
+function report(issues) {
+    return {
+        issues,
+        errors: issues.filter((i) => i.severity === "error").length,
+        warnings: issues.filter((i) => i.severity === "warning").length,
+    };
+}
+
+/**
+ * Issues of a single question, without cross-question checks.
+ * @param {Object} q
+ * @param {import("./rules").RulesProfile} [rules]  the active profile; its points are checked against reading sub-questions
+ */
+export function lintQuestion(q, rules = DEFAULT_RULES) {
+    const out = [];
+    const error = (message) => out.push({ severity: "error", message });
+    const warn = (message) => out.push({ severity: "warning", message });
+
+    if (!q || typeOf(q) !== "object") {
+        error("不是题目对象");
+        return out;
+    }
+
+    for (const [field, spec] of Object.entries(QUESTION_SCHEMA)) {
+        const v = q[field];
+        if (v === undefined || v === null || v === "") {
+            if (spec.required) error(`缺少字段 ${field}`);
+            continue;
+        }
+        if (typeOf(v) !== spec.type) {
+            error(`字段 ${field} 应为 ${spec.type}，实际为 ${typeOf(v)}`);
+        } else if (spec.oneOf && !spec.oneOf.includes(v)) {
+            error(`未知的 ${field}：${v}`);
+        }
+    }
+
+    if (q.type === "mcq") {
+        const options = Array.isArray(q.options) ? q.options : [];
+        const correct = Array.isArray(q.correctIndices) ? q.correctIndices : [];
+        if (options.length === 0) error("选择题没有选项");
+        options.forEach((o, i) => {
+            if (String(o ?? "").trim() === "") warn(`选项 ${String.fromCharCode(65 + i)} 为空`);
+        });
+        if (correct.length === 0) error("选择题没有正确答案");
+        for (const idx of correct) {
+            if (!Number.isInteger(idx) || idx < 0 || idx >= options.length) error(`正确答案下标越界：${idx}`);
+        }
+        if (new Set(correct).size !== correct.length) warn("正确答案下标重复");
+        if (!q.isMultiChoice && correct.length > 1) warn("单选题设置了多个正确答案");
+    }
+
+    if (q.type === "fill") {
+        (Array.isArray(q.blanks) ? q.blanks : []).forEach((b, i) => {
+            for (const p of b?.patterns || []) {
+                try {
+                    new RegExp(p, "iu");
+                } catch (e) {
+                    error(`第 ${i + 1} 空的正则无效：${p}`);
+                }
+            }
+        });
+        const answered = (q.blanks || []).map((b) => (b?.accepted || []).length > 0 || (b?.patterns || []).length > 0);
+        const graded = answered.includes(true);
+        answered.forEach((ok, i) => {
+            if (graded && !ok) error(`第 ${i + 1} 空没有可接受答案`);
+        });
+        if (!graded && !q.reference) warn("填空题既没有参考答案也没有自动判分答案");
+    }
+
+    if (q.type === "truefalse" && typeof q.answer !== "boolean") error("判断题没有答案");
+
+    if (q.type === "ordering") {
+        const items = Array.isArray(q.items) ? q.items.map((x) => String(x ?? "").trim()) : [];
+        if (items.length < 2) error("排序题至少需要两项");
+        items.forEach((x, i) => {
+            if (!x) error(`第 ${i + 1} 项为空`);
+        });
+        if (new Set(items).size !== items.length) warn("排序项有重复，选手无法区分");
+    }
+
+    if (q.type === "matching") {
+        const pairs = Array.isArray(q.pairs) ? q.pairs : [];
+        if (pairs.length < 2) error("连线题至少需要两对");
+        pairs.forEach((p, i) => {
+            if (!String(p?.left ?? "").trim() || !String(p?.right ?? "").trim()) error(`第 ${i + 1} 对缺少左项或右项`);
+        });
+        const rights = pairs.map((p) => String(p?.right ?? "").trim());
+        if (new Set(rights).size !== rights.length) warn("右列有重复项，连线答案不唯一");
+    }
+
+    (Array.isArray(q.media) ? q.media : []).forEach((m, i) => {
+        if (!m?.id) error(`第 ${i + 1} 个媒体缺少 id`);
+        if (!MEDIA_KINDS[m?.kind]) error(`第 ${i + 1} 个媒体类型未知：${m?.kind}`);
+    });
+
+    if (isStructuredReading(q)) {
+        if (!String(q.passage ?? "").trim()) error("阅读题有小题但缺少阅读材料");
+        const ids = new Set();
+        q.subQuestions.forEach((sub, i) => {
+            for (const issue of lintSubQuestion(sub)) out.push({ ...issue, message: `第 ${i + 1} 小题：${issue.message}` });
+            if (sub?.id && ids.has(sub.id)) error(`第 ${i + 1} 小题：id 重复`);
+            ids.add(sub?.id);
+        });
+        const expected = rules.points[q.level];
+        const sum = subQuestionTotal(q);
+        if (expected !== undefined && sum !== expected) {
+            warn(`小题分值合计 ${sum}，与${LEVEL_NAMES[q.level]}级总分 ${expected} 不一致（计分时按比例折算）`);
+        }
+    } else if (NEEDS_REFERENCE.includes(q.type) && !String(q.reference ?? "").trim()) {
+        warn(`${TYPE_LABELS[q.type]}缺少参考答案，评分时无从参照`);
+    }
+
+    return out;
+}
+
+/**
+ * Validate a whole bank (an imported file or question.json).
+ * @param {unknown} list
+ * @param {import("./rules").RulesProfile} [rules]  see lintQuestion
+ * @returns {ValidationReport}
+ */
+export function validateQuestions(list, rules = DEFAULT_RULES) {
+    if (!Array.isArray(list)) {
+        return report([{ severity: "error", index: null, id: "", message: "题库应为题目数组" }]);
+    }
+    const issues = [];
+    const seen = new Map(); // id -> first index
+    list.forEach((q, index) => {
+        const id = typeof q?.id === "string" ? q.id : "";
+        for (const issue of lintQuestion(q, rules)) issues.push({ ...issue, index, id });
+        if (!id) return;
+        if (seen.has(id)) {
+            issues.push({ severity: "error", index, id, message: `id 重复（与第 ${seen.get(id) + 1} 题相同）` });
+        } else {
+            seen.set(id, index);
+        }
+    });
+    return report(issues);
+}
+
+/**
+ * IP metadata maps an IP name to an IpRecord (see ips.js). Files of the old
+ * hints format, IP name to markdown or null, are still accepted and converted.
+ * @param {unknown} ipMeta
+ * @param {Object[]} [questions]  when given, records for IPs without questions are flagged
+ * @returns {ValidationReport}
+ */
+export function validateIpMeta(ipMeta, questions) {
+    if (!ipMeta || typeOf(ipMeta) !== "object") {
+        return report([{ severity: "error", index: null, id: "", message: "IP 资料应为 { IP: 资料 } 对象" }]);
+    }
+    const ips = questions ? new Set(questions.map((q) => q.ip)) : null;
+    const issues = [];
+    const error = (id, message) => issues.push({ severity: "error", index: null, id, message });
+    const warn = (id, message) => issues.push({ severity: "warning", index: null, id, message });
+    for (const [ip, record] of Object.entries(ipMeta)) {
+        if (record === null || typeof record === "string") {
+            warn(ip, "旧版提示文本，导入时会转换为 IP 资料");
+        } else if (typeOf(record) !== "object") {
+            error(ip, `IP 资料应为对象，实际为 ${typeOf(record)}`);
+        } else {
+            for (const [field, spec] of Object.entries(IP_SCHEMA)) {
+                const v = record[field];
+                if (v === undefined || v === null || v === "") continue;
+                if (typeOf(v) !== spec.type) error(ip, `字段 ${field} 应为 ${spec.type}，实际为 ${typeOf(v)}`);
+                else if (spec.oneOf && !spec.oneOf.includes(v)) error(ip, `未知的 ${field}：${v}`);
+            }
+            if (Array.isArray(record.aliases) && record.aliases.some((a) => typeof a !== "string")) error(ip, "别名应为文本");
+            if (typeof record.cover === "string" && record.cover && !/^https?:\/\//.test(record.cover)) warn(ip, "封面图片不是 http(s) 地址");
+        }
+        if (ips && !ips.has(ip)) warn(ip, "题库中没有该 IP 的题目");
+    }
+    return report(issues);
+}
@@ -0,0 +1,78 @@
+import { lintQuestion, validateIpMeta, validateQuestions } from './schema';
+import bank from './question.json';
+
+const mcq = (over = {}) => ({
+    id: 'q1', ip: 'IP', type: 'mcq', level: 'b', title: 't',
+    options: ['x', 'y'], correctIndices: [0], isMultiChoice: false, ...over,
+});
+
+test('a well-formed mcq has no issues', () => {
+    expect(lintQuestion(mcq())).toEqual([]);
+});
+
+test('schema fields: required, types and enums', () => {
+    const messages = lintQuestion({ id: 'q', ip: 'IP', type: 'essay', level: 'z', title: 5 }).map((i) => i.message);
+    expect(messages).toEqual(expect.arrayContaining(['未知的 type：essay', '未知的 level：z', '字段 title 应为 string，实际为 number']));
+    expect(lintQuestion({ ip: 'IP', type: 'short', level: 'a', title: 't', reference: 'r' })).toEqual([
+        { severity: 'error', message: '缺少字段 id' },
+    ]);
+});
+
+test('mcq checks options and correct answers', () => {
+    const issues = (q) => lintQuestion(q).map((i) => `${i.severity}:${i.message}`);
+    expect(issues(mcq({ correctIndices: [] }))).toContain('error:选择题没有正确答案');
+    expect(issues(mcq({ correctIndices: [2] }))).toContain('error:正确答案下标越界：2');
+    expect(issues(mcq({ options: ['x', ' '] }))).toContain('warning:选项 B 为空');
+    expect(issues(mcq({ options: [], correctIndices: [] }))).toContain('error:选择题没有选项');
+    expect(issues(mcq({ correctIndices: [0, 1] }))).toContain('warning:单选题设置了多个正确答案');
+});
+
+test('manual types warn without a reference, fill checks its patterns', () => {
+    expect(lintQuestion({ id: 's', ip: 'IP', type: 'short', level: 'a', title: 't' })[0].severity).toBe('warning');
+    const fill = { id: 'f', ip: 'IP', type: 'fill', level: 'c', title: '__', blanks: [{ accepted: [], patterns: ['('] }] };
+    expect(lintQuestion(fill).map((i) => i.message)).toContain('第 1 空的正则无效：(');
+    const gap = { ...fill, title: '__ __ __', blanks: [{ accepted: ['a'], patterns: [] }, { accepted: [], patterns: [] }, { accepted: ['c'], patterns: [] }] };
+    expect(lintQuestion(gap).map((i) => i.message)).toEqual(['第 2 空没有可接受答案']);
+});
+
+test('validateQuestions reports duplicate ids with positions', () => {
+    const r = validateQuestions([mcq(), mcq({ id: 'q2' }), mcq()]);
+    expect(r.errors).toBe(1);
+    expect(r.issues[0]).toMatchObject({ index: 2, id: 'q1', severity: 'error' });
+    expect(validateQuestions({}).errors).toBe(1);
+});
+
+test('the bundled bank has no errors', () => {
+    expect(validateQuestions(bank).errors).toBe(0);
+});
+
+test('validateIpMeta checks records, accepts legacy hints and flags unknown IPs', () => {
+    const r = validateIpMeta({
+        IP: { category: 'game', aliases: ['别名'], hidden: true },
+        Legacy: 'by someone',
+        Bad: 3,
+        Wrong: { category: 'movie', hidden: 'yes', aliases: [1], cover: 'cover.png' },
+    }, [mcq()]);
+    expect(r.issues.filter((i) => i.severity === 'error').map((i) => `${i.id}:${i.message}`)).toEqual([
+        'Bad:IP 资料应为对象，实际为 number',
+        'Wrong:未知的 category：movie',
+        'Wrong:字段 hidden 应为 boolean，实际为 string',
+        'Wrong:别名应为文本',
+    ]);
+    expect(r.issues.filter((i) => i.severity === 'warning').map((i) => i.id)).toEqual(['Legacy', 'Legacy', 'Bad', 'Wrong', 'Wrong']);
+    expect(validateIpMeta([]).errors).toBe(1);
+});
+
+test('lint checks the answers of truefalse, ordering and matching questions', () => {
+    const base = { id: 'x', ip: 'IP', level: 'c', title: 't' };
+    expect(lintQuestion({ ...base, type: 'truefalse' }).map((i) => i.message)).toEqual(['判断题没有答案']);
+    expect(lintQuestion({ ...base, type: 'truefalse', answer: true })).toEqual([]);
+    expect(lintQuestion({ ...base, type: 'ordering', items: ['a'] }).map((i) => i.message)).toEqual(['排序题至少需要两项']);
+    expect(lintQuestion({ ...base, type: 'matching', pairs: [{ left: 'a', right: 'b' }, { left: 'c', right: '' }] }).map((i) => i.message))
+        .toEqual(['第 2 对缺少左项或右项']);
+});
+
+test('media attachments need an id and a known kind', () => {
+    const q = { ...mcq(), media: [{ id: 'm1', kind: 'audio', name: 'op.mp3' }, { kind: 'pdf' }] };
+    expect(lintQuestion(q).map((i) => i.message)).toEqual(['第 2 个媒体缺少 id', '第 2 个媒体类型未知：pdf']);
+});
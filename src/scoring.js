@@ -0,0 +1,180 @@
+import { autoFillScore, isAutoGraded } from "./fillGrading";
+import { isStructuredReading, subQuestionPoints } from "./reading";
+
+// --- Scoring (pure, shared by the score summary and the MCQ feedback tag) ---
+
+/** MCQ scoring strategies; a question's `scoring` field overrides the rules profile. */
+export const MCQ_STRATEGIES = {
+    exact: "全对才得分",
+    proportional: "按重合比例得分",
+    penalty: "每个错选倒扣一项",
+    strictPartial: "有错选不得分，漏选按比例",
+};
+
+export function mcqStrategy(rules, q) {
+    if (q.scoring && MCQ_STRATEGIES[q.scoring]) return q.scoring;
+    return rules?.mcqScoring && MCQ_STRATEGIES[rules.mcqScoring] ? rules.mcqScoring : "exact";
+}
+
+export function round2(n) {
+    return Math.round(n * 100) / 100;
+}
+
+/**
+ * Points earned on an MCQ.
+ *  - exact:         full points only when the chosen set equals the correct set
+ *  - proportional:  points x |chosen ∩ correct| / |chosen ∪ correct|, so extra picks dilute the credit
+ *  - penalty:       points x (hits - wrong picks) / |correct|, never below 0
+ *  - strictPartial: 0 with any wrong pick, otherwise points x hits / |correct|
+ *
+ * @param {{ correctIndices?: number[] }} q
+ * @param {number[]} chosenIndices
+ * @param {number} points  full points for the question's level
+ * @param {string} [strategy]
+ */
+export function scoreMcq(q, chosenIndices, points, strategy = "exact") {
+    const correct = new Set(q.correctIndices || []);
+    const chosen = new Set(chosenIndices || []);
+    if (correct.size === 0 || chosen.size === 0) return 0;
+
+    let hits = 0;
+    for (const idx of chosen) if (correct.has(idx)) hits++;
+    const wrong = chosen.size - hits;
+
+    switch (strategy) {
+        case "proportional":
+            return round2((points * hits) / (correct.size + wrong));
+        case "penalty":
+            return round2(Math.max(0, (points * (hits - wrong)) / correct.size));
+        case "strictPartial":
+            return wrong > 0 ? 0 : round2((points * hits) / correct.size);
+        default:
+            return hits === correct.size && wrong === 0 ? points : 0;
+    }
+}
+
+/** "correct" | "partial" | "wrong" | "unanswered", for feedback independent of strategy. */
+export function mcqVerdict(q, chosenIndices) {
+    const chosen = chosenIndices || [];
+    if (chosen.length === 0) return "unanswered";
+    const correct = q.correctIndices || [];
+    const hits = chosen.filter((idx) => correct.includes(idx)).length;
+    if (hits === correct.length && hits === chosen.length) return "correct";
+    return hits > 0 ? "partial" : "wrong";
+}
+
+/** Ordering strategies, set per rules profile. */
+export const ORDERING_STRATEGIES = {
+    exact: "全对才得分",
+    position: "按放对位置的项数得分",
+    pairs: "按前后顺序正确的项对得分",
+};
+
+export function orderingStrategy(rules) {
+    return rules?.orderingScoring && ORDERING_STRATEGIES[rules.orderingScoring] ? rules.orderingScoring : "exact";
+}
+
+/**
+ * Points earned on an ordering question. `q.items` is the correct order and
+ * `order` the item indices as the player arranged them.
+ *  - exact:    full points only for the exact order
+ *  - position: points x items in their correct slot / n
+ *  - pairs:    points x pairs in the right relative order / all pairs, so one misplaced item costs little
+ */
+export function scoreOrdering(q, order, points, strategy = "exact") {
+    const n = (q.items || []).length;
+    if (n === 0 || !Array.isArray(order) || order.length !== n) return 0;
+    const inPlace = order.filter((idx, pos) => idx === pos).length;
+    switch (strategy) {
+        case "position":
+            return round2((points * inPlace) / n);
+        case "pairs": {
+            if (n === 1) return inPlace === 1 ? points : 0;
+            let good = 0;
+            for (let i = 0; i < n; i++) {
+                for (let j = i + 1; j < n; j++) if (order[i] < order[j]) good++;
+            }
+            return round2((points * good) / ((n * (n - 1)) / 2));
+        }
+        default:
+            return inPlace === n ? points : 0;
+    }
+}
+
+/** Matching earns a share per correct pair; `matches` maps a left index to the chosen pair's index. */
+export function scoreMatching(q, matches, points) {
+    const n = (q.pairs || []).length;
+    if (n === 0) return 0;
+    let hits = 0;
+    for (let i = 0; i < n; i++) if (matches?.[i] === i) hits++;
+    return round2((points * hits) / n);
+}
+
+export function scoreTrueFalse(q, choice, points) {
+    return typeof choice === "boolean" && choice === q.answer ? points : 0;
+}
+
+/**
+ * Points per sub-question of a structured reading question, keyed by sub-question
+ * id in question order. Sub-answers live in `ans.subs[subId]`.
+ * @returns {Object<string, number>}
+ */
+export function scoreSubQuestions(q, ans, rules) {
+    const points = subQuestionPoints(q, rules.points[q.level] || 0);
+    const out = {};
+    q.subQuestions.forEach((sub, i) => {
+        const a = ans?.subs?.[sub.id];
+        out[sub.id] = sub.type === "mcq"
+            ? scoreMcq(sub, a?.chosenIndices, points[i], mcqStrategy(rules, sub))
+            : autoFillScore(sub, a?.texts, points[i]);
+    });
+    return out;
+}
+
+/**
+ * Points earned on any question. Manual types use the grader's manualScore;
+ * auto-graded fill questions and structured readings use their answer keys
+ * unless a grader overrode them.
+ */
+export function scoreQuestion(q, ans, rules) {
+    const points = rules.points[q.level] || 0;
+    if (q.type === "mcq") {
+        return scoreMcq(q, ans?.chosenIndices, points, mcqStrategy(rules, q));
+    }
+    if (q.type === "truefalse") return scoreTrueFalse(q, ans?.choice, points);
+    if (q.type === "ordering") return scoreOrdering(q, ans?.order, points, orderingStrategy(rules));
+    if (q.type === "matching") return scoreMatching(q, ans?.matches, points);
+    if (typeof ans?.manualScore === "number") return ans.manualScore;
+    if (isAutoGraded(q)) return autoFillScore(q, ans?.texts, points);
+    if (isStructuredReading(q)) {
+        return round2(Object.values(scoreSubQuestions(q, ans, rules)).reduce((a, b) => a + b, 0));
+    }
+    return 0;
+}
+
+/**
+ * Totals for a basket. `byIPLevel` splits each IP's points by level (the per-IP
+ * leaderboard breaks ties on them); `bySub` breaks structured reading questions
+ * down per sub-question (answer keys only, a grader override applies to the whole question).
+ * @returns {{ total: number, byIP: Object<string, number>, byLevel: Object<string, number>, byIPLevel: Object<string, Object<string, number>>, bySub: Object<string, Object<string, number>> }}
+ */
+export function summarizeScore(basket, questions, answers, rules) {
+    let total = 0;
+    const byIP = {};
+    const byLevel = { a: 0, b: 0, c: 0, s: 0 }; // Initialize all levels
+    const byIPLevel = {};
+    const bySub = {};
+
+    for (const id of basket) {
+        const q = questions.find((x) => x.id === id);
+        if (!q) continue; // Question might have been deleted
+
+        const gained = scoreQuestion(q, answers[id], rules);
+        total = round2(total + gained);
+        byIP[q.ip] = round2((byIP[q.ip] || 0) + gained);
+        byLevel[q.level] = round2((byLevel[q.level] || 0) + gained);
+        byIPLevel[q.ip] = { ...byIPLevel[q.ip], [q.level]: round2((byIPLevel[q.ip]?.[q.level] || 0) + gained) };
+        if (isStructuredReading(q)) bySub[q.id] = scoreSubQuestions(q, answers[id], rules);
+    }
+    return { total, byIP, byLevel, byIPLevel, bySub };
+}
@@ -0,0 +1,89 @@
+import { scoreMcq, mcqVerdict, mcqStrategy, scoreOrdering, scoreQuestion, summarizeScore } from './scoring';
+import { DEFAULT_RULES } from './rules';
+
+const multi = { id: 'm', ip: '东方', level: 'a', type: 'mcq', isMultiChoice: true, options: ['A', 'B', 'C', 'D'], correctIndices: [0, 2] };
+const single = { id: 's', ip: 'FGO', level: 'c', type: 'mcq', options: ['A', 'B'], correctIndices: [1] };
+
+describe('scoreMcq', () => {
+    test('exact is all-or-nothing', () => {
+        expect(scoreMcq(multi, [2, 0], 3, 'exact')).toBe(3);
+        expect(scoreMcq(multi, [0], 3, 'exact')).toBe(0);
+        expect(scoreMcq(multi, [0, 1, 2], 3, 'exact')).toBe(0);
+    });
+
+    test('proportional divides by the union so extra picks dilute', () => {
+        expect(scoreMcq(multi, [0], 3, 'proportional')).toBe(1.5);
+        expect(scoreMcq(multi, [0, 1, 2], 3, 'proportional')).toBe(2);
+        expect(scoreMcq(multi, [0, 1, 2, 3], 3, 'proportional')).toBe(1.5);
+    });
+
+    test('penalty deducts one hit per wrong pick, floored at zero', () => {
+        expect(scoreMcq(multi, [0, 2], 3, 'penalty')).toBe(3);
+        expect(scoreMcq(multi, [0, 1, 2], 3, 'penalty')).toBe(1.5);
+        expect(scoreMcq(multi, [0, 1, 3], 3, 'penalty')).toBe(0);
+    });
+
+    test('strictPartial zeroes any wrong pick', () => {
+        expect(scoreMcq(multi, [2], 3, 'strictPartial')).toBe(1.5);
+        expect(scoreMcq(multi, [2, 3], 3, 'strictPartial')).toBe(0);
+    });
+
+    test('empty answers and single choice', () => {
+        expect(scoreMcq(multi, [], 3, 'proportional')).toBe(0);
+        for (const s of ['exact', 'proportional', 'penalty', 'strictPartial']) {
+            expect(scoreMcq(single, [1], 1, s)).toBe(1);
+            expect(scoreMcq(single, [0], 1, s)).toBe(0);
+        }
+    });
+});
+
+test('mcqVerdict', () => {
+    expect(mcqVerdict(multi, [])).toBe('unanswered');
+    expect(mcqVerdict(multi, [0, 2])).toBe('correct');
+    expect(mcqVerdict(multi, [0, 1])).toBe('partial');
+    expect(mcqVerdict(multi, [3])).toBe('wrong');
+});
+
+test('question strategy overrides the rules profile', () => {
+    const rules = { ...DEFAULT_RULES, mcqScoring: 'penalty' };
+    expect(mcqStrategy(rules, multi)).toBe('penalty');
+    expect(mcqStrategy(rules, { ...multi, scoring: 'proportional' })).toBe('proportional');
+    expect(mcqStrategy(DEFAULT_RULES, { scoring: 'bogus' })).toBe('exact');
+});
+
+test('scoreQuestion uses manualScore for manual types', () => {
+    expect(scoreQuestion({ type: 'fill', level: 'b' }, { manualScore: 2 }, DEFAULT_RULES)).toBe(2);
+    expect(scoreQuestion({ type: 'short', level: 'b' }, undefined, DEFAULT_RULES)).toBe(0);
+});
+
+test('summarizeScore totals by IP and level and skips deleted questions', () => {
+    const rules = { ...DEFAULT_RULES, mcqScoring: 'strictPartial' };
+    const summary = summarizeScore(['m', 's', 'gone'], [multi, single], { m: { chosenIndices: [0] }, s: { chosenIndices: [1] } }, rules);
+    expect(summary.total).toBe(2.5);
+    expect(summary.byIP).toEqual({ 东方: 1.5, FGO: 1 });
+    expect(summary.byLevel).toEqual({ a: 1.5, b: 0, c: 1, s: 0 });
+    expect(summary.byIPLevel).toEqual({ 东方: { a: 1.5 }, FGO: { c: 1 } });
+});
+
+describe('truefalse, ordering and matching', () => {
+    const ordering = { id: 'o', ip: 'X', level: 'a', type: 'ordering', items: ['1', '2', '3', '4'] };
+
+    test('ordering strategies give partial credit', () => {
+        const swapped = [1, 0, 2, 3];
+        expect(scoreOrdering(ordering, [0, 1, 2, 3], 3, 'exact')).toBe(3);
+        expect(scoreOrdering(ordering, swapped, 3, 'exact')).toBe(0);
+        expect(scoreOrdering(ordering, swapped, 3, 'position')).toBe(1.5);
+        expect(scoreOrdering(ordering, swapped, 3, 'pairs')).toBe(2.5);
+        expect(scoreOrdering(ordering, [0, 1], 3, 'position')).toBe(0);
+    });
+
+    test('scoreQuestion dispatches the new types', () => {
+        const rules = { ...DEFAULT_RULES, orderingScoring: 'position' };
+        expect(scoreQuestion({ type: 'truefalse', level: 'c', answer: false }, { choice: false }, rules)).toBe(1);
+        expect(scoreQuestion({ type: 'truefalse', level: 'c', answer: false }, {}, rules)).toBe(0);
+        expect(scoreQuestion(ordering, { order: [1, 0, 2, 3] }, rules)).toBe(1.5);
+        expect(scoreQuestion(ordering, {}, rules)).toBe(0); // never moved: no partial credit for the scrambled start
+        const matching = { type: 'matching', level: 'b', pairs: [{}, {}, {}, {}] };
+        expect(scoreQuestion(matching, { matches: { 0: 0, 1: 2, 2: 1, 3: 3 } }, rules)).toBe(1);
+    });
+});
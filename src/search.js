@@ -0,0 +1,178 @@
+import { pinyin } from "pinyin-pro";
+
+// --- Question search: text and pinyin matching, filters, and highlighting in rendered markdown ---
+
+/**
+ * @typedef {Object} QuestionFilters
+ * @property {string} query               words separated by spaces, all must match
+ * @property {string} type                "" for all, else a TYPE_LABELS key
+ * @property {string} level               "" for all, else a LEVEL_NAMES key
+ * @property {""|"single"|"multi"} multi  MCQ only; setting it hides other types
+ * @property {boolean} missingReference   non-MCQ questions without a reference answer
+ */
+export const EMPTY_FILTERS = { query: "", type: "", level: "", multi: "", missingReference: false };
+
+const CJK_RE = /[\u4e00-\u9fa5]/;
+const PINYIN_QUERY_RE = /^[a-z]{2,}$/;
+
+const isText = (t) => typeof t === "string" && t !== "";
+
+/**
+ * The texts a query searches: what a player sees in the pick list (title,
+ * options, passage and sub-questions), and with `answers` also the answer key
+ * (ordering items, matching pairs, reference) for admins. The answer fields
+ * come last, so the player fields are always a prefix of the full list.
+ */
+export function searchFields(q, answers = false) {
+    const shown = [
+        q.title,
+        ...(q.options || []),
+        q.passage,
+        ...(q.subQuestions || []).flatMap((s) => [s.title, ...(s.options || [])]),
+    ].filter(isText);
+    if (!answers) return shown;
+    return [...shown, ...[...(q.items || []), ...(q.pairs || []).flatMap((p) => [p.left, p.right]), q.reference].filter(isText)];
+}
+
+// Toneless pinyin per UTF-16 unit, computed once per question object
+const pinyinCache = new WeakMap();
+
+function fieldPinyin(q) {
+    if (!pinyinCache.has(q)) {
+        pinyinCache.set(
+            q,
+            searchFields(q, true).map((text) => {
+                const syllables = pinyin(text, { toneType: "none", type: "array" }).map((s) => s.toLowerCase());
+                // Characters outside the BMP shift the alignment; those fields match literally only
+                return syllables.length === text.length ? syllables : null;
+            })
+        );
+    }
+    return pinyinCache.get(q);
+}
+
+/** Length in characters of a pinyin match of `token` starting at `start`, or 0. */
+function pinyinMatchAt(text, syllables, start, token) {
+    // Full pinyin, the last syllable may be typed in part: "yipais" matches 一拍三
+    let rest = token;
+    let i = start;
+    while (rest && i < text.length && CJK_RE.test(text[i])) {
+        const s = syllables[i];
+        if (rest.startsWith(s)) rest = rest.slice(s.length);
+        else if (s.startsWith(rest)) rest = "";
+        else break;
+        i++;
+    }
+    if (!rest) return i - start;
+
+    // Initials: "yps" matches 一拍三
+    if (start + token.length > text.length) return 0;
+    for (let k = 0; k < token.length; k++) {
+        const c = text[start + k];
+        if (!CJK_RE.test(c) || syllables[start + k][0] !== token[k]) return 0;
+    }
+    return token.length;
+}
+
+/** Fragments of `text` matched by one query token, literally or by pinyin. */
+function tokenMatches(text, syllables, token) {
+    const lower = text.toLowerCase();
+    const found = [];
+    const at = lower.indexOf(token);
+    if (at >= 0) found.push(text.slice(at, at + token.length));
+    if (syllables && PINYIN_QUERY_RE.test(token)) {
+        for (let i = 0; i < text.length; i++) {
+            if (!CJK_RE.test(text[i])) continue;
+            const n = pinyinMatchAt(text, syllables, i, token);
+            if (n > 0) found.push(text.slice(i, i + n));
+        }
+    }
+    return found;
+}
+
+/**
+ * Match a question against a query.
+ * @param {boolean} [answers]  also search the answer key, see searchFields
+ * @returns {string[]|null} the matched fragments to highlight, null when a word does not match
+ */
+export function matchQuestion(q, query, answers = false) {
+    const tokens = String(query || "").toLowerCase().split(/\s+/).filter(Boolean);
+    if (tokens.length === 0) return [];
+    const fields = searchFields(q, answers);
+    const latin = tokens.some((t) => PINYIN_QUERY_RE.test(t));
+    const syllables = latin ? fieldPinyin(q) : [];
+    const terms = new Set();
+    for (const token of tokens) {
+        const found = fields.flatMap((text, i) => tokenMatches(text, syllables[i], token));
+        if (found.length === 0) return null;
+        found.forEach((f) => terms.add(f));
+    }
+    return [...terms];
+}
+
+function passesFilters(q, filters) {
+    if (filters.type && q.type !== filters.type) return false;
+    if (filters.level && q.level !== filters.level) return false;
+    if (filters.multi && (q.type !== "mcq" || !!q.isMultiChoice !== (filters.multi === "multi"))) return false;
+    if (filters.missingReference && (q.type === "mcq" || String(q.reference ?? "").trim())) return false;
+    return true;
+}
+
+/**
+ * Questions passing the filters, each with the fragments to highlight.
+ * @param {Object[]} questions
+ * @param {QuestionFilters} filters
+ * @param {boolean} [answers]  search the answer key too; admin only, players could look answers up
+ * @returns {{ q: Object, terms: string[] }[]}
+ */
+export function searchQuestions(questions, filters, answers = false) {
+    const out = [];
+    for (const q of questions) {
+        if (!passesFilters(q, filters)) continue;
+        const terms = matchQuestion(q, filters.query, answers);
+        if (terms) out.push({ q, terms });
+    }
+    return out;
+}
+
+export function isFiltering(filters) {
+    return Object.entries(EMPTY_FILTERS).some(([k, v]) => (k === "query" ? filters.query.trim() !== "" : filters[k] !== v));
+}
+
+/**
+ * Split plain text into runs, marking the ones that equal a term
+ * (case-insensitive, longest term first).
+ * @returns {{ text: string, hit: boolean }[]}
+ */
+export function splitHighlights(text, terms) {
+    const list = [...new Set(terms.filter(Boolean))].sort((a, b) => b.length - a.length);
+    if (list.length === 0 || !text) return [{ text, hit: false }];
+    const escaped = list.map((t) => t.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+    const parts = text.split(new RegExp(`(${escaped.join("|")})`, "gi"));
+    // split() with a capture group puts the matches at the odd indices
+    return parts.map((p, i) => ({ text: p, hit: i % 2 === 1 })).filter((run) => run.text !== "");
+}
+
+/**
+ * Rehype plugin for react-markdown: wraps matched fragments of text nodes in
+ * <mark>, leaving markup and code alone. Use as `[rehypeHighlight, { terms }]`.
+ */
+export function rehypeHighlight({ terms = [] } = {}) {
+    function walk(node) {
+        if (!node.children || node.tagName === "code" || node.tagName === "pre") return;
+        node.children = node.children.flatMap((child) => {
+            if (child.type !== "text") {
+                walk(child);
+                return [child];
+            }
+            return splitHighlights(child.value, terms).map((run) =>
+                run.hit
+                    ? { type: "element", tagName: "mark", properties: { className: ["bg-yellow-200", "rounded-sm"] }, children: [{ type: "text", value: run.text }] }
+                    : { type: "text", value: run.text }
+            );
+        });
+    }
+    return (tree) => {
+        if (terms.length) walk(tree);
+    };
+}
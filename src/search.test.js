@@ -0,0 +1,71 @@
+import { EMPTY_FILTERS, isFiltering, matchQuestion, rehypeHighlight, searchQuestions, splitHighlights } from './search';
+
+const q1 = { id: 'q1', type: 'mcq', level: 'b', title: '《一拍三》的作者是谁？', options: ['Alpha', 'Beta'], correctIndices: [0], isMultiChoice: false };
+const q2 = { id: 'q2', type: 'short', level: 'a', title: '简述作品主题', reference: '关于从零开始的生活' };
+const q3 = { id: 'q3', type: 'mcq', level: 'a', title: '多选题', options: ['x', 'y'], correctIndices: [0, 1], isMultiChoice: true };
+const q4 = { id: 'q4', type: 'fill', level: 'c', title: '填空 ____' };
+
+test('matches text in title, options and reference, case-insensitively', () => {
+    expect(matchQuestion(q1, '一拍')).toEqual(['一拍']);
+    expect(matchQuestion(q1, 'alpha')).toEqual(['Alpha']);
+    expect(matchQuestion(q2, '从零', true)).toEqual(['从零']);
+    expect(matchQuestion(q1, '不存在')).toBeNull();
+    expect(matchQuestion(q1, '  ')).toEqual([]);
+});
+
+test('matches full pinyin, a partly typed last syllable, and initials', () => {
+    expect(matchQuestion(q1, 'yipaisan')).toEqual(['一拍三']);
+    expect(matchQuestion(q1, 'yipais')).toEqual(['一拍三']);
+    expect(matchQuestion(q1, 'yps')).toEqual(['一拍三']);
+    expect(matchQuestion(q2, 'clks', true)).toEqual(['从零开始']);
+    expect(matchQuestion(q1, 'zzz')).toBeNull();
+});
+
+test('every word of the query must match', () => {
+    expect(matchQuestion(q1, 'yps alpha')).toEqual(['一拍三', 'Alpha']);
+    expect(matchQuestion(q1, 'yps gamma')).toBeNull();
+});
+
+test('players cannot look up the answer key', () => {
+    const ordering = { id: 'q5', type: 'ordering', level: 'b', title: '按顺序排列', items: ['第一部', '第二部'] };
+    const matching = { id: 'q6', type: 'matching', level: 'b', title: '连线', pairs: [{ left: '苗木诚', right: '希望之峰' }] };
+    for (const [q, query] of [[q2, '从零'], [q2, 'clks'], [ordering, '第一部'], [matching, '希望之峰']]) {
+        expect(matchQuestion(q, query)).toBeNull();
+        expect(matchQuestion(q, query, true)).not.toBeNull();
+    }
+    expect(searchQuestions([q1, q2], { ...EMPTY_FILTERS, query: '从零' }).map((r) => r.q.id)).toEqual([]);
+    expect(searchQuestions([q1, q2], { ...EMPTY_FILTERS, query: '从零' }, true).map((r) => r.q.id)).toEqual(['q2']);
+});
+
+test('filters by type, level, multi-choice and missing reference', () => {
+    const bank = [q1, q2, q3, q4];
+    const ids = (filters) => searchQuestions(bank, { ...EMPTY_FILTERS, ...filters }).map((r) => r.q.id);
+    expect(ids({})).toEqual(['q1', 'q2', 'q3', 'q4']);
+    expect(ids({ type: 'mcq' })).toEqual(['q1', 'q3']);
+    expect(ids({ level: 'a' })).toEqual(['q2', 'q3']);
+    expect(ids({ multi: 'single' })).toEqual(['q1']);
+    expect(ids({ multi: 'multi' })).toEqual(['q3']);
+    expect(ids({ missingReference: true })).toEqual(['q4']);
+    expect(isFiltering(EMPTY_FILTERS)).toBe(false);
+    expect(isFiltering({ ...EMPTY_FILTERS, query: 'x' })).toBe(true);
+});
+
+test('highlights split text runs and wrap rehype text nodes in <mark>', () => {
+    expect(splitHighlights('Alpha and alpha', ['alpha'])).toEqual([
+        { text: 'Alpha', hit: true },
+        { text: ' and ', hit: false },
+        { text: 'alpha', hit: true },
+    ]);
+    expect(splitHighlights('a.b', ['.'])).toEqual([{ text: 'a', hit: false }, { text: '.', hit: true }, { text: 'b', hit: false }]);
+
+    const tree = {
+        type: 'root',
+        children: [
+            { type: 'element', tagName: 'p', children: [{ type: 'text', value: '《一拍三》作者' }] },
+            { type: 'element', tagName: 'code', children: [{ type: 'text', value: '一拍三' }] },
+        ],
+    };
+    rehypeHighlight({ terms: ['一拍三'] })(tree);
+    expect(tree.children[0].children.map((c) => c.tagName || c.value)).toEqual(['《', 'mark', '》作者']);
+    expect(tree.children[1].children).toEqual([{ type: 'text', value: '一拍三' }]);
+});
@@ -0,0 +1,58 @@
+/* eslint-disable no-restricted-globals */
+// --- Service worker: offline app shell and image cache (built by react-scripts with Workbox InjectManifest) ---
+// question.json and ips.json are imported by the app, so they ship inside the precached bundle.
+
+import { clientsClaim } from "workbox-core";
+import { ExpirationPlugin } from "workbox-expiration";
+import { createHandlerBoundToURL, precacheAndRoute } from "workbox-precaching";
+import { registerRoute } from "workbox-routing";
+import { CacheFirst } from "workbox-strategies";
+import { CacheableResponsePlugin } from "workbox-cacheable-response";
+import { IMAGE_CACHE, SKIP_WAITING, WARM_MESSAGE } from "./constants";
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Every navigation gets index.html, except real files such as /foo.png
+const fileExtension = /\/[^/?]+\.[^/]+$/;
+registerRoute(({ request, url }) => {
+    if (request.mode !== "navigate") return false;
+    if (url.pathname.startsWith("/_")) return false;
+    return !url.pathname.match(fileExtension);
+}, createHandlerBoundToURL(process.env.PUBLIC_URL + "/index.html"));
+
+// Question and hint images come from other hosts as <img>, i.e. opaque (status 0) responses
+registerRoute(
+    ({ request }) => request.destination === "image",
+    new CacheFirst({
+        cacheName: IMAGE_CACHE,
+        plugins: [new CacheableResponsePlugin({ statuses: [0, 200] }), new ExpirationPlugin({ maxEntries: 500 })],
+    })
+);
+
+async function warm(urls, port) {
+    const cache = await caches.open(IMAGE_CACHE);
+    let done = 0;
+    const failed = [];
+    for (const url of urls) {
+        try {
+            if (!(await cache.match(url))) {
+                const res = await fetch(new Request(url, { mode: "no-cors" }));
+                if (res.type !== "opaque" && !res.ok) throw new Error(`HTTP ${res.status}`);
+                await cache.put(url, res);
+            }
+        } catch (e) {
+            failed.push(url);
+        }
+        done++;
+        port.postMessage({ done, total: urls.length, failed, finished: done === urls.length });
+    }
+    if (urls.length === 0) port.postMessage({ done: 0, total: 0, failed, finished: true });
+}
+
+self.addEventListener("message", (event) => {
+    // A new version waits until the page asks it to take over, see applyUpdate in offline.js
+    if (event.data?.type === SKIP_WAITING) self.skipWaiting();
+    if (event.data?.type === WARM_MESSAGE && event.ports[0]) event.waitUntil(warm(event.data.urls || [], event.ports[0]));
+});
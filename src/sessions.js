@@ -0,0 +1,61 @@
+import { scoringRules } from "./rules";
+import { uid } from "./utils";
+
+// --- Quiz run history (one record per finished contestant run, stored by storage.js) ---
+
+/**
+ * @typedef {Object} Contestant
+ * @property {string} name  display name / nickname
+ * @property {string} code  optional badge or ticket id
+ *
+ * @typedef {Object} QuizRun
+ * @property {string} id
+ * @property {Contestant} contestant
+ * @property {string[]} basket        question ids in pick order
+ * @property {Object} answers         qid -> { chosenIndices, texts, manualScore, graderComment }
+ * @property {{ total: number, byIP: Object, byLevel: Object, byIPLevel?: Object }} scoreSummary  see summarizeScore
+ * @property {{ id: string, ip: string, level: string, type: string, title: string }[]} items
+ *           snapshot of the picked questions, so history survives bank edits
+ * @property {{ seed: string, ips: string[] }|null} draw  set when the basket came from a random draw
+ * @property {number|null} elapsedMs  answering time, the leaderboard tiebreaker
+ * @property {{ points: Object<string, number>, mcqScoring: string, orderingScoring: string }} [scoring]
+ *           scoring rules the run was played under, see scoringRules; missing on older runs
+ * @property {number} startedAt       epoch ms
+ * @property {number} finishedAt      epoch ms
+ */
+
+/** Build a run record from the live quiz state. */
+export function createRun({ contestant, basket, answers, scoreSummary, questions, startedAt, rules, draw = null, elapsedMs = null, finishedAt = Date.now() }) {
+    const items = basket
+        .map((id) => questions.find((q) => q.id === id))
+        .filter(Boolean)
+        .map((q) => ({ id: q.id, ip: q.ip, level: q.level, type: q.type, title: q.title }));
+    return {
+        id: uid(),
+        contestant: { name: (contestant?.name || "").trim(), code: (contestant?.code || "").trim() },
+        basket: [...basket],
+        answers,
+        scoreSummary,
+        items,
+        draw,
+        elapsedMs,
+        ...(rules && { scoring: scoringRules(rules) }),
+        startedAt: startedAt || finishedAt,
+        finishedAt,
+    };
+}
+
+/** Case-insensitive match on contestant name / code and picked IPs. Newest runs first. */
+export function searchRuns(runs, query) {
+    const kw = (query || "").trim().toLowerCase();
+    const list = kw
+        ? runs.filter((r) => {
+            const hay = [r.contestant?.name, r.contestant?.code, ...(r.items || []).map((it) => it.ip)]
+                .filter(Boolean)
+                .join(" ")
+                .toLowerCase();
+            return hay.includes(kw);
+        })
+        : runs;
+    return [...list].sort((a, b) => (b.finishedAt || 0) - (a.finishedAt || 0));
+}
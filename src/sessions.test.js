@@ -0,0 +1,35 @@
+import { createRun, searchRuns } from './sessions';
+import { DEFAULT_RULES } from './rules';
+
+const questions = [
+    { id: 'q1', ip: '东方', level: 'c', type: 'mcq', title: 'Q1' },
+    { id: 'q2', ip: 'FGO', level: 'a', type: 'fill', title: 'Q2' },
+];
+
+test('createRun snapshots picked questions and trims contestant', () => {
+    const run = createRun({
+        contestant: { name: ' 灵梦 ', code: '' },
+        basket: ['q2', 'missing'],
+        answers: {},
+        scoreSummary: { total: 0, byIP: {}, byLevel: {} },
+        questions,
+        startedAt: 1,
+        rules: DEFAULT_RULES,
+        finishedAt: 2,
+    });
+    expect(run.contestant.name).toBe('灵梦');
+    expect(run.items).toEqual([{ id: 'q2', ip: 'FGO', level: 'a', type: 'fill', title: 'Q2' }]);
+    expect(run.startedAt).toBe(1);
+    expect(run.scoring).toEqual({ points: DEFAULT_RULES.points, mcqScoring: 'exact', orderingScoring: 'position' });
+});
+
+test('searchRuns matches name, code and IP, newest first', () => {
+    const runs = [
+        { id: 'a', contestant: { name: 'Alice', code: '007' }, items: [{ ip: '东方' }], finishedAt: 1 },
+        { id: 'b', contestant: { name: 'Bob', code: '' }, items: [{ ip: 'FGO' }], finishedAt: 2 },
+    ];
+    expect(searchRuns(runs, '').map((r) => r.id)).toEqual(['b', 'a']);
+    expect(searchRuns(runs, 'alice').map((r) => r.id)).toEqual(['a']);
+    expect(searchRuns(runs, '007').map((r) => r.id)).toEqual(['a']);
+    expect(searchRuns(runs, 'fgo').map((r) => r.id)).toEqual(['b']);
+});
@@ -3,3 +3,17 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// jsdom under Jest 27 lacks structuredClone, which fake-indexeddb needs
+if (typeof global.structuredClone !== 'function') {
+    const { serialize, deserialize } = require('v8');
+    global.structuredClone = (value) => deserialize(serialize(value));
+}
+
+// ...and crypto.subtle / TextEncoder, which the admin PIN hashing needs
+if (!global.crypto?.subtle) {
+    Object.defineProperty(global, 'crypto', { value: require('crypto').webcrypto, configurable: true });
+}
+if (typeof global.TextEncoder !== 'function') {
+    global.TextEncoder = require('util').TextEncoder;
+}
@@ -0,0 +1,347 @@
+import { ipFromHint, makeIp, normalizeIpMeta } from "./ips";
+import bundledIpMeta from "./ips.json";
+
+// --- Durable storage on IndexedDB: question bank, IP metadata, run history, edit journal, media ---
+// Small settings (rules, draw settings, PIN) stay in localStorage.
+
+const DB_NAME = "ipquiz";
+const DB_VERSION = 2; // object store layout
+export const DATA_VERSION = 5; // record format, see MIGRATIONS
+
+const KV = "kv"; // questions, ipMeta, journal, base, meta
+const RUNS = "runs"; // one record per run, keyed by id
+const MEDIA = "media"; // attachment bytes, keyed by id, see media.js
+
+// Keys of the localStorage era, migrated once and then removed
+const LEGACY_KEYS = {
+    questionsV1: "ipquiz.questions.v1",
+    hintsV1: "ipquiz.hints.v1",
+    questions: "ipquiz.questions.v2",
+    hints: "ipquiz.hints.v2",
+    runs: "ipquiz.runs.v1",
+    journal: "ipquiz.journal.v1",
+};
+
+/**
+ * Everything that lives in the database. `questions` is null until the admin
+ * stores a bank; the app then shows the bundled question.json.
+ *
+ * @typedef {Object} StoredData
+ * @property {Object[]|null} questions
+ * @property {Object} ipMeta                  IP -> IpRecord (see ips.js), seeded once from the bundled ips.json
+ * @property {Object[]} runs
+ * @property {import("./journal").Journal|null} journal
+ * @property {{ hash: string, questions: Object[] }|null} base  bundled bank last synced into `questions`, see bankSync.js
+ */
+
+/**
+ * Record format migrations, applied in order to bring older data up to DATA_VERSION.
+ * Each step gets and returns a StoredData.
+ */
+export const MIGRATIONS = [
+    {
+        version: 2,
+        // v1 questions had a single correctIndex and kept IP notes as "info" questions
+        up(data) {
+            const hints = { ...data.hints };
+            const questions = [];
+            for (const q of data.questions || []) {
+                if (q.type === "info") {
+                    if (!hints[q.ip]) hints[q.ip] = q.title || null;
+                    continue;
+                }
+                if (q.type === "mcq" && !Array.isArray(q.correctIndices)) {
+                    const { correctIndex, ...rest } = q;
+                    questions.push({ ...rest, correctIndices: Number.isInteger(correctIndex) ? [correctIndex] : [], isMultiChoice: false });
+                } else {
+                    questions.push(q);
+                }
+            }
+            return { ...data, questions: data.questions ? questions : null, hints };
+        },
+    },
+    {
+        version: 3,
+        // Runs recorded before draws and timing existed lack those fields
+        up(data) {
+            const runs = (data.runs || []).map((r) => ({
+                draw: null,
+                ...r,
+                elapsedMs: r.elapsedMs ?? (r.finishedAt && r.startedAt ? r.finishedAt - r.startedAt : null),
+            }));
+            return { ...data, runs };
+        },
+    },
+    {
+        version: 4,
+        // The free-form markdown `hints` map became structured IP records, in the journal too.
+        // Stored hints included the bundled ones, so category etc. come from ips.json.
+        up(data) {
+            const { hints, ...rest } = data;
+            const toRecord = (key, v) => (v === undefined ? undefined : ipFromHint(v, bundledIpMeta[key]));
+            const journal = data.journal && {
+                ...data.journal,
+                entries: data.journal.entries.map(({ hints: changes = [], ...entry }) => ({
+                    ...entry,
+                    ipMeta: changes.map((c) => ({ ...c, before: toRecord(c.key, c.before), after: toRecord(c.key, c.after) })),
+                })),
+            };
+            return { ...rest, ipMeta: normalizeIpMeta(hints, bundledIpMeta), journal };
+        },
+    },
+    {
+        version: 5,
+        // ips.json was merged under the stored records on every load, which brought renamed IPs
+        // back. It is now seeded into the store once; a bundled record left behind by a rename
+        // (its name became an alias of another IP) is dropped.
+        up(data) {
+            const ipMeta = { ...seedIpMeta(), ...data.ipMeta };
+            const isAlias = (name) => Object.entries(ipMeta).some(([other, r]) => other !== name && r.aliases?.includes(name));
+            for (const name of Object.keys(bundledIpMeta)) {
+                const untouched = JSON.stringify(makeIp(ipMeta[name])) === JSON.stringify(makeIp(bundledIpMeta[name]));
+                if (name in ipMeta && untouched && isAlias(name)) delete ipMeta[name];
+            }
+            return { ...data, ipMeta };
+        },
+    },
+];
+
+/** The bundled IP records a new store starts with. */
+function seedIpMeta() {
+    return normalizeIpMeta(bundledIpMeta);
+}
+
+/** @returns {StoredData} */
+export function migrateData(data, fromVersion) {
+    return MIGRATIONS.filter((m) => m.version > fromVersion).reduce((d, m) => m.up(d), data);
+}
+
+/** A readable message for the storage banner. */
+export function describeStorageError(e) {
+    if (e?.name === "QuotaExceededError") return "浏览器存储空间不足，最近的修改没有保存。请导出备份后清理历史记录或媒体文件。";
+    if (e?.name === "InvalidStateError" || e?.name === "UnknownError") return "浏览器拒绝访问本地数据库（可能处于隐私模式），数据只保存在当前页面中。";
+    return `本地存储出错：${e?.message || e}`;
+}
+
+// --- IndexedDB plumbing ---
+
+function request(req) {
+    return new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+function done(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new DOMException("Transaction aborted", "AbortError"));
+    });
+}
+
+let dbPromise = null;
+
+export function openDb() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === "undefined") {
+                reject(new DOMException("IndexedDB is not available", "InvalidStateError"));
+                return;
+            }
+            const req = indexedDB.open(DB_NAME, DB_VERSION);
+            req.onupgradeneeded = () => {
+                const db = req.result;
+                if (!db.objectStoreNames.contains(KV)) db.createObjectStore(KV);
+                if (!db.objectStoreNames.contains(RUNS)) db.createObjectStore(RUNS, { keyPath: "id" });
+                if (!db.objectStoreNames.contains(MEDIA)) db.createObjectStore(MEDIA, { keyPath: "id" });
+            };
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        }).catch((e) => {
+            dbPromise = null; // allow a retry
+            throw e;
+        });
+    }
+    return dbPromise;
+}
+
+/** Close and forget the connection (tests, or before deleting the database). */
+export async function closeDb() {
+    if (!dbPromise) return;
+    const db = await dbPromise.catch(() => null);
+    db?.close();
+    dbPromise = null;
+    loadPromise = null;
+}
+
+/**
+ * Delete the database and the localStorage-era keys, the way out when stored
+ * data cannot be read (e.g. a corrupt legacy key). Settings in localStorage stay.
+ * The next loadStoredData starts from an empty store.
+ */
+export async function resetStorage() {
+    await closeDb();
+    Object.values(LEGACY_KEYS).forEach((key) => localStorage.removeItem(key));
+    await new Promise((resolve, reject) => {
+        const req = indexedDB.deleteDatabase(DB_NAME);
+        req.onsuccess = () => resolve();
+        req.onerror = () => reject(req.error);
+        req.onblocked = () => reject(new Error("请先关闭本应用的其他标签页，再重置本地数据。"));
+    });
+}
+
+async function writeAll(db, data, meta) {
+    const tx = db.transaction([KV, RUNS], "readwrite");
+    const kv = tx.objectStore(KV);
+    if (data.questions) kv.put(data.questions, "questions");
+    kv.put(data.ipMeta || {}, "ipMeta");
+    kv.delete("hints"); // replaced by ipMeta in DATA_VERSION 4
+    if (data.journal) kv.put(data.journal, "journal");
+    if (data.base) kv.put(data.base, "base");
+    kv.put(meta, "meta");
+    const runs = tx.objectStore(RUNS);
+    runs.clear();
+    for (const r of data.runs || []) runs.put(r);
+    await done(tx);
+}
+
+function readJson(key) {
+    const s = localStorage.getItem(key);
+    return s ? JSON.parse(s) : null;
+}
+
+/** What the localStorage era left behind, with its record version; null when nothing. */
+export function readLegacyStorage() {
+    const has = (key) => localStorage.getItem(key) !== null;
+    if (!Object.values(LEGACY_KEYS).some(has)) return null;
+    const v2 = has(LEGACY_KEYS.questions) || has(LEGACY_KEYS.hints);
+    return {
+        version: v2 || !(has(LEGACY_KEYS.questionsV1) || has(LEGACY_KEYS.hintsV1)) ? 2 : 1,
+        data: {
+            questions: readJson(v2 ? LEGACY_KEYS.questions : LEGACY_KEYS.questionsV1),
+            hints: readJson(v2 ? LEGACY_KEYS.hints : LEGACY_KEYS.hintsV1) || {},
+            runs: readJson(LEGACY_KEYS.runs) || [],
+            journal: readJson(LEGACY_KEYS.journal),
+            base: null, // localStorage never kept the bundled bank it came from
+        },
+    };
+}
+
+let loadPromise = null;
+
+/**
+ * Open the database and read everything, migrating localStorage data on first
+ * run and older records on upgrade. Concurrent callers share one load, so the
+ * one-time migration never runs twice.
+ * @returns {Promise<StoredData & { migratedFrom: number|null }>}
+ */
+export function loadStoredData() {
+    if (!loadPromise) {
+        loadPromise = readStoredData().catch((e) => {
+            loadPromise = null;
+            throw e;
+        });
+    }
+    return loadPromise;
+}
+
+async function readStoredData() {
+    const db = await openDb();
+    const tx = db.transaction([KV, RUNS], "readonly");
+    const kv = tx.objectStore(KV);
+    const [meta, questions, ipMeta, hints, journal, base, runs] = await Promise.all([
+        request(kv.get("meta")),
+        request(kv.get("questions")),
+        request(kv.get("ipMeta")),
+        request(kv.get("hints")),
+        request(kv.get("journal")),
+        request(kv.get("base")),
+        request(tx.objectStore(RUNS).getAll()),
+    ]);
+
+    if (!meta) {
+        // First run on IndexedDB: take over whatever localStorage holds
+        const legacy = readLegacyStorage();
+        const data = legacy
+            ? migrateData(legacy.data, legacy.version)
+            : { questions: null, ipMeta: seedIpMeta(), runs: [], journal: null, base: null };
+        await writeAll(db, data, { dataVersion: DATA_VERSION, createdAt: Date.now(), migratedFrom: legacy ? legacy.version : null });
+        if (legacy) Object.values(LEGACY_KEYS).forEach((key) => localStorage.removeItem(key));
+        return { ...data, migratedFrom: legacy ? legacy.version : null };
+    }
+
+    // The store returns runs by id; the app keeps them newest first
+    const sortedRuns = [...runs].sort((a, b) => (b.finishedAt || 0) - (a.finishedAt || 0));
+    const data = { questions: questions ?? null, ipMeta: ipMeta || {}, runs: sortedRuns, journal: journal ?? null, base: base ?? null };
+    if ((meta.dataVersion || 1) < DATA_VERSION) {
+        const upgraded = migrateData({ ...data, hints: hints || {} }, meta.dataVersion || 1);
+        await writeAll(db, upgraded, { ...meta, dataVersion: DATA_VERSION });
+        return { ...upgraded, migratedFrom: meta.dataVersion || 1 };
+    }
+    return { ...data, migratedFrom: null };
+}
+
+/** Store one of "questions" | "ipMeta" | "journal" | "base". */
+export async function saveRecord(key, value) {
+    const db = await openDb();
+    const tx = db.transaction(KV, "readwrite");
+    tx.objectStore(KV).put(value, key);
+    await done(tx);
+}
+
+/** Replace the run history. */
+export async function saveRuns(runs) {
+    const db = await openDb();
+    const tx = db.transaction(RUNS, "readwrite");
+    const store = tx.objectStore(RUNS);
+    store.clear();
+    for (const r of runs) store.put(r);
+    await done(tx);
+}
+
+/** Store media records (see media.js), replacing any with the same id. */
+export async function saveMedia(records) {
+    const db = await openDb();
+    const tx = db.transaction(MEDIA, "readwrite");
+    const store = tx.objectStore(MEDIA);
+    for (const r of records) store.put(r);
+    await done(tx);
+}
+
+/** @returns {Promise<import("./media").MediaRecord|null>} */
+export async function loadMedia(id) {
+    const db = await openDb();
+    const found = await request(db.transaction(MEDIA, "readonly").objectStore(MEDIA).get(id));
+    return found ?? null;
+}
+
+/** The records of the given ids that exist, in that order. */
+export async function loadMediaList(ids) {
+    const db = await openDb();
+    const store = db.transaction(MEDIA, "readonly").objectStore(MEDIA);
+    const found = await Promise.all(ids.map((id) => request(store.get(id))));
+    return found.filter(Boolean);
+}
+
+/**
+ * Delete media no longer referenced, see referencedMediaIds.
+ * @param {Set<string>} keep
+ * @returns {Promise<number>} how many records were deleted
+ */
+export async function pruneMedia(keep) {
+    const db = await openDb();
+    const tx = db.transaction(MEDIA, "readwrite");
+    const store = tx.objectStore(MEDIA);
+    const stale = (await request(store.getAllKeys())).filter((id) => !keep.has(id));
+    for (const id of stale) store.delete(id);
+    await done(tx);
+    return stale.length;
+}
+
+/** Usage and quota in bytes, when the browser tells. */
+export async function storageEstimate() {
+    if (!navigator.storage?.estimate) return null;
+    const { usage, quota } = await navigator.storage.estimate();
+    return { usage, quota };
+}
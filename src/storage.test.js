@@ -0,0 +1,189 @@
+import 'fake-indexeddb/auto';
+import { IDBFactory } from 'fake-indexeddb';
+import {
+    DATA_VERSION,
+    closeDb,
+    describeStorageError,
+    loadMedia,
+    loadMediaList,
+    loadStoredData,
+    migrateData,
+    pruneMedia,
+    readLegacyStorage,
+    resetStorage,
+    saveMedia,
+    saveRecord,
+    saveRuns,
+} from './storage';
+import { makeIp, normalizeIpMeta, renameIp } from './ips';
+import bundledIpMeta from './ips.json';
+
+beforeEach(async () => {
+    await closeDb();
+    global.indexedDB = new IDBFactory();
+    localStorage.clear();
+});
+
+const mcq = { id: 'q1', ip: 'IP', type: 'mcq', level: 'b', title: 't', options: ['x', 'y'], correctIndices: [1], isMultiChoice: false };
+
+test('a fresh database starts with the bundled IP records only', async () => {
+    const data = await loadStoredData();
+    expect(data).toEqual({ questions: null, ipMeta: normalizeIpMeta(bundledIpMeta), runs: [], journal: null, base: null, migratedFrom: null });
+});
+
+test('a renamed bundled IP stays gone after a reload', async () => {
+    const [name] = Object.keys(bundledIpMeta);
+    const data = await loadStoredData();
+    const questions = [{ ...mcq, ip: name }];
+    const next = renameIp({ questions, ipMeta: data.ipMeta }, name, '新名字');
+    await saveRecord('questions', next.questions);
+    await saveRecord('ipMeta', next.ipMeta);
+    await closeDb();
+
+    const again = await loadStoredData();
+    expect(again.ipMeta).not.toHaveProperty(name);
+    expect(again.ipMeta.新名字.aliases).toContain(name);
+});
+
+test('v4 stores get the bundled records once, without the ones a rename left behind', async () => {
+    const [renamed, kept] = Object.keys(bundledIpMeta);
+    await loadStoredData();
+    await saveRecord('meta', { dataVersion: 4 });
+    await saveRecord('ipMeta', { [renamed]: makeIp(bundledIpMeta[renamed]), 新名字: makeIp({ aliases: [renamed] }), 自建: makeIp({ credit: '我' }) });
+    await closeDb();
+
+    const data = await loadStoredData();
+    expect(data.migratedFrom).toBe(4);
+    expect(data.ipMeta).not.toHaveProperty(renamed);
+    expect(data.ipMeta[kept]).toEqual(makeIp(bundledIpMeta[kept]));
+    expect(data.ipMeta.自建.credit).toBe('我');
+});
+
+test('records survive a reopen, runs come back newest first', async () => {
+    await loadStoredData();
+    await saveRecord('questions', [mcq]);
+    await saveRecord('ipMeta', { IP: { note: 'hi' } });
+    await saveRuns([{ id: 'r1', finishedAt: 1 }, { id: 'r2', finishedAt: 2 }]);
+    await closeDb();
+
+    const data = await loadStoredData();
+    expect(data.questions).toEqual([mcq]);
+    expect(data.ipMeta).toEqual({ IP: { note: 'hi' } });
+    expect(data.runs.map((r) => r.id)).toEqual(['r2', 'r1']);
+});
+
+test('localStorage data is migrated once and the old keys removed', async () => {
+    localStorage.setItem('ipquiz.questions.v2', JSON.stringify([mcq]));
+    localStorage.setItem('ipquiz.hints.v2', JSON.stringify({ IP: 'hi' }));
+    localStorage.setItem('ipquiz.runs.v1', JSON.stringify([{ id: 'r1', startedAt: 1000, finishedAt: 4000 }]));
+    localStorage.setItem('ipquiz.admin.pin', '1234');
+
+    const data = await loadStoredData();
+    expect(data.migratedFrom).toBe(2);
+    expect(data.questions).toEqual([mcq]);
+    expect(data.ipMeta.IP).toMatchObject({ note: 'hi', credit: '' });
+    expect(data.runs[0]).toMatchObject({ id: 'r1', draw: null, elapsedMs: 3000 });
+    expect(localStorage.getItem('ipquiz.questions.v2')).toBeNull();
+    expect(localStorage.getItem('ipquiz.admin.pin')).toBe('1234');
+
+    await closeDb();
+    const again = await loadStoredData();
+    expect(again.migratedFrom).toBeNull();
+    expect(again.questions).toEqual([mcq]);
+});
+
+test('v1 records: single correctIndex and info items become IP notes', () => {
+    localStorage.setItem('ipquiz.questions.v1', JSON.stringify([
+        { id: 'i', ip: 'IP', type: 'info', level: 'c', title: 'about IP' },
+        { id: 'q', ip: 'IP', type: 'mcq', level: 'c', title: 't', options: ['a', 'b'], correctIndex: 1 },
+    ]));
+    const legacy = readLegacyStorage();
+    expect(legacy.version).toBe(1);
+    const data = migrateData(legacy.data, legacy.version);
+    expect(data.questions).toEqual([
+        { id: 'q', ip: 'IP', type: 'mcq', level: 'c', title: 't', options: ['a', 'b'], correctIndices: [1], isMultiChoice: false },
+    ]);
+    expect(data.hints).toBeUndefined();
+    expect(data.ipMeta.IP.note).toBe('about IP');
+    expect(DATA_VERSION).toBe(5);
+});
+
+test('v3 hints and the journal changes to them become IP records', async () => {
+    await loadStoredData();
+    await saveRecord('meta', { dataVersion: 3 });
+    await saveRecord('hints', { IP: 'by 某人\n同好群：123' });
+    await saveRecord('journal', {
+        entries: [{ id: 'e', at: 1, label: '保存特殊提示', questions: [], hints: [{ key: 'IP', kind: 'added', before: undefined, after: 'by 某人\n同好群：123' }] }],
+        cursor: 1,
+    });
+    await closeDb();
+
+    const data = await loadStoredData();
+    expect(data.migratedFrom).toBe(3);
+    expect(data.ipMeta.IP).toMatchObject({ credit: '某人', community: '同好群：123', note: '' });
+    const [entry] = data.journal.entries;
+    expect(entry.hints).toBeUndefined();
+    expect(entry.ipMeta).toEqual([{ key: 'IP', kind: 'added', before: undefined, after: data.ipMeta.IP }]);
+
+    await closeDb();
+    const again = await loadStoredData();
+    expect(again.migratedFrom).toBeNull();
+    expect(again.ipMeta).toEqual(data.ipMeta);
+});
+
+test('bundled hints stored by a v3 install keep the categories of ips.json', async () => {
+    await loadStoredData();
+    await saveRecord('meta', { dataVersion: 3 });
+    await saveRecord('hints', { 原神: 'by 白泽', 动画基础知识: null, 杂题: '谁的私货主题这么乱！', 自建: 'by 我' });
+    await saveRecord('journal', {
+        entries: [{ id: 'e', at: 1, label: '保存特殊提示', questions: [], hints: [{ key: '原神', kind: 'changed', before: null, after: 'by 白泽' }] }],
+        cursor: 1,
+    });
+    await closeDb();
+
+    const data = await loadStoredData();
+    expect(data.ipMeta.原神).toEqual(bundledIpMeta.原神);
+    expect(data.ipMeta.动画基础知识.category).toBe('anime');
+    expect(data.ipMeta.杂题).toEqual(bundledIpMeta.杂题);
+    expect(data.ipMeta.自建).toMatchObject({ credit: '我', category: '' });
+    expect(data.journal.entries[0].ipMeta[0].before).toMatchObject({ category: 'game', credit: '' });
+});
+
+test('unreadable legacy data is reported instead of silently dropped', async () => {
+    localStorage.setItem('ipquiz.questions.v2', '{broken');
+    await expect(loadStoredData()).rejects.toThrow(SyntaxError);
+    expect(localStorage.getItem('ipquiz.questions.v2')).toBe('{broken');
+});
+
+test('resetting storage clears unreadable data but keeps settings', async () => {
+    localStorage.setItem('ipquiz.questions.v2', '{broken');
+    localStorage.setItem('ipquiz.rules.v1', '{}');
+    await expect(loadStoredData()).rejects.toThrow(SyntaxError);
+    await resetStorage();
+    expect(localStorage.getItem('ipquiz.questions.v2')).toBeNull();
+    expect(localStorage.getItem('ipquiz.rules.v1')).toBe('{}');
+    const data = await loadStoredData();
+    expect(data).toMatchObject({ questions: null, runs: [], migratedFrom: null });
+});
+
+test('quota errors get a readable message', () => {
+    expect(describeStorageError(new DOMException('full', 'QuotaExceededError'))).toMatch(/存储空间不足/);
+    expect(describeStorageError(new Error('boom'))).toMatch(/boom/);
+});
+
+test('media records round-trip and unreferenced ones can be pruned', async () => {
+    const bytes = (n) => new Uint8Array([n, n + 1]).buffer;
+    await saveMedia([
+        { id: 'm1', name: 'a.png', mime: 'image/png', size: 2, data: bytes(1) },
+        { id: 'm2', name: 'b.mp3', mime: 'audio/mpeg', size: 2, data: bytes(5) },
+    ]);
+    const m1 = await loadMedia('m1');
+    expect(m1.mime).toBe('image/png');
+    expect([...new Uint8Array(m1.data)]).toEqual([1, 2]);
+    expect(await loadMedia('nope')).toBeNull();
+    expect((await loadMediaList(['m2', 'nope', 'm1'])).map((r) => r.id)).toEqual(['m2', 'm1']);
+
+    expect(await pruneMedia(new Set(['m1']))).toBe(1);
+    expect(await loadMedia('m2')).toBeNull();
+    expect(await loadMedia('m1')).not.toBeNull();
+});
@@ -0,0 +1,54 @@
+import { useEffect, useState } from "react";
+
+// --- Countdown helpers (limits come from rules.timer, in seconds) ---
+
+/** Time limit for one question in ms, or 0 when it has no timer. */
+export function questionLimitMs(rules, q) {
+    return (rules.timer?.perQuestion?.[q.level] || 0) * 1000;
+}
+
+/** Whole-quiz limit in ms, or 0 when disabled. */
+export function globalLimitMs(rules) {
+    return (rules.timer?.global || 0) * 1000;
+}
+
+export function hasTimers(rules) {
+    return globalLimitMs(rules) > 0 || Object.values(rules.timer?.perQuestion || {}).some((n) => n > 0);
+}
+
+/** Remaining ms of a limit started at `startedAt`; Infinity when there is no limit. */
+export function remainingMs(limitMs, startedAt, now) {
+    if (!limitMs || !startedAt) return Infinity;
+    return Math.max(0, startedAt + limitMs - now);
+}
+
+/**
+ * True when the quiz should end by itself: the global timer ran out, or every
+ * picked question has its own timer and all of them ran out. A question's
+ * timer runs from when the player opened it (`questionStarts`), not from the
+ * start of the quiz.
+ * @param {Object<string, number>} [questionStarts]  question id -> epoch ms
+ */
+export function isTimeUp(rules, picked, startedAt, now, questionStarts = {}) {
+    if (!startedAt) return false;
+    if (remainingMs(globalLimitMs(rules), startedAt, now) === 0) return true;
+    return picked.length > 0 && picked.every((q) => remainingMs(questionLimitMs(rules, q), questionStarts[q.id], now) === 0);
+}
+
+/** "m:ss" countdown text. */
+export function formatCountdown(ms) {
+    const sec = Math.ceil(ms / 1000);
+    return `${Math.floor(sec / 60)}:${String(sec % 60).padStart(2, "0")}`;
+}
+
+/** Current time, re-rendered every second while `active`. */
+export function useNow(active) {
+    const [now, setNow] = useState(() => Date.now());
+    useEffect(() => {
+        if (!active) return;
+        setNow(Date.now());
+        const t = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(t);
+    }, [active]);
+    return now;
+}
@@ -0,0 +1,43 @@
+import { isTimeUp, remainingMs, questionLimitMs, formatCountdown } from './timer';
+import { DEFAULT_RULES } from './rules';
+
+const timed = (perQuestion, global = 0) => ({ ...DEFAULT_RULES, timer: { perQuestion: { ...DEFAULT_RULES.timer.perQuestion, ...perQuestion }, global } });
+
+test('per-question limits depend on level', () => {
+    const rules = timed({ a: 60, c: 20 });
+    expect(questionLimitMs(rules, { level: 'a' })).toBe(60000);
+    expect(questionLimitMs(rules, { level: 'b' })).toBe(0);
+    expect(remainingMs(0, 1000, 5000)).toBe(Infinity);
+    expect(remainingMs(20000, 1000, 5000)).toBe(16000);
+    expect(remainingMs(20000, 1000, 50000)).toBe(0);
+});
+
+test('time is up when the global timer expires', () => {
+    const rules = timed({}, 60);
+    expect(isTimeUp(rules, [{ level: 'a' }], 1000, 60000)).toBe(false);
+    expect(isTimeUp(rules, [{ level: 'a' }], 1000, 61000)).toBe(true);
+});
+
+test('time is up only when every picked question has expired', () => {
+    const rules = timed({ a: 60, c: 20 });
+    const picked = [{ id: 'x', level: 'a' }, { id: 'y', level: 'c' }];
+    const opened = { x: 1000, y: 1000 };
+    expect(isTimeUp(rules, picked, 1000, 31000, opened)).toBe(false);
+    expect(isTimeUp(rules, picked, 1000, 62000, opened)).toBe(true);
+    // an untimed question keeps the quiz open
+    expect(isTimeUp(rules, [{ id: 'z', level: 'b' }, picked[1]], 1000, 62000, opened)).toBe(false);
+});
+
+test('each question counts from when it was opened', () => {
+    const rules = timed({ c: 20 });
+    const picked = [{ id: 'x', level: 'c' }, { id: 'y', level: 'c' }];
+    // y was opened late and still has time; a question never opened has not started
+    expect(isTimeUp(rules, picked, 1000, 30000, { x: 1000, y: 25000 })).toBe(false);
+    expect(isTimeUp(rules, picked, 1000, 46000, { x: 1000, y: 25000 })).toBe(true);
+    expect(isTimeUp(rules, picked, 1000, 90000, { x: 1000 })).toBe(false);
+});
+
+test('formatCountdown rounds up to whole seconds', () => {
+    expect(formatCountdown(61001)).toBe('1:02');
+    expect(formatCountdown(0)).toBe('0:00');
+});
@@ -0,0 +1,50 @@
+import React from "react";
+
+// --- UI Primitives (Tailwind) ---
+export function Button({ className = "", disabled, children, ...props }) {
+    return (
+        <button
+            disabled={disabled}
+            className={`px-3 py-2 rounded-2xl shadow-sm border text-sm hover:shadow transition disabled:opacity-50 disabled:cursor-not-allowed ${className}`}
+            {...props}
+        >
+            {children}
+        </button>
+    );
+}
+export function Card({ className = "", children }) {
+    return (
+        <div className={`rounded-2xl border shadow-sm p-4 bg-white ${className}`}>{children}</div>
+    );
+}
+export function Input({ className = "", ...props }) {
+    return (
+        <input
+            className={`w-full px-3 py-2 border rounded-xl focus:outline-none focus:ring ${className}`}
+            {...props}
+        />
+    );
+}
+export function Textarea({ className = "", ...props }) {
+    return (
+        <textarea
+            className={`w-full px-3 py-2 border rounded-xl focus:outline-none focus:ring min-h-[100px] ${className}`}
+            {...props}
+        />
+    );
+}
+export function Tag({ children, tone = "gray", className = "" }) {
+    const colors = {
+        gray: "bg-gray-100 text-gray-700",
+        blue: "bg-blue-100 text-blue-700",
+        green: "bg-green-100 text-green-700",
+        yellow: "bg-yellow-100 text-yellow-700",
+        red: "bg-red-100 text-red-700",
+        purple: "bg-purple-100 text-purple-700",
+        rose: "bg-rose-100 text-rose-700",
+        amber: "bg-amber-100 text-amber-700"
+    };
+    return (
+        <span className={`px-2 py-0.5 rounded-full text-[11px] ${colors[tone] || colors.gray} ${className}`}>{children}</span>
+    );
+}
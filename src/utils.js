@@ -0,0 +1,20 @@
+export function uid() {
+    return Math.random().toString(36).slice(2, 10);
+}
+
+/** 32-bit FNV-1a of a string as 8 hex digits; stable across runs, not cryptographic. */
+export function hashText(text) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        h ^= text.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return (h >>> 0).toString(16).padStart(8, "0");
+}
+
+export function formatTime(ts) {
+    if (!ts) return "-";
+    const d = new Date(ts);
+    const pad = (n) => String(n).padStart(2, "0");
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}